@@ -14,6 +14,7 @@
  *   --output-dir <path>   Output directory for built graph (default: ./api/v1)
  *   --format <formats>    Export formats: jsonld,turtle (default: jsonld)
  *   --validate            Validate during build (default: true)
+ *   --lenient             Report shape violations of missing required properties as warnings
  *   --verbose             Enable verbose logging
  *   --clean               Clean output directory before build
  *   --help                Show help
@@ -22,6 +23,7 @@
 import fs from 'fs'
 import path from 'path'
 import { fileURLToPath } from 'url'
+import { BuildManifest, MANIFEST_FILE } from '../src/graph/BuildManifest.js'
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url))
 const ROOT = path.join(__dirname, '..')
@@ -31,6 +33,7 @@ interface BuildOptions {
   outputDir: string
   formats: ('jsonld' | 'turtle')[]
   validate: boolean
+  lenient: boolean
   verbose: boolean
   clean: boolean
   since?: string // ISO date string or 'last'
@@ -45,6 +48,7 @@ function parseArgs(): BuildOptions {
     outputDir: path.join(ROOT, 'api', 'v1'),
     formats: ['jsonld'],
     validate: true,
+    lenient: false,
     verbose: false,
     clean: false,
     concurrency: 10,
@@ -69,6 +73,9 @@ function parseArgs(): BuildOptions {
       case '--no-validate':
         options.validate = false
         break
+      case '--lenient':
+        options.lenient = true
+        break
       case '--verbose':
       case '-v':
         options.verbose = true
@@ -110,6 +117,8 @@ Options:
   --format <formats>    Export formats: jsonld,turtle (default: jsonld)
   --validate            Validate during build (default: true)
   --no-validate         Skip validation during build
+  --lenient             Report shape violations of missing required properties
+                        (incomplete data) as warnings instead of errors
   --verbose, -v         Enable verbose logging
   --clean               Clean output directory before build
   --since <date|last>   Incremental build: only process files modified since date
@@ -148,36 +157,6 @@ function cleanOutputDir(outputDir: string): void {
   fs.mkdirSync(outputDir, { recursive: true })
 }
 
-// Manifest file for incremental builds
-interface BuildManifest {
-  lastBuildTime: string
-  fileTimestamps: Record<string, number>
-  version: string
-}
-
-const MANIFEST_FILE = '.build-manifest.json'
-
-function getManifestPath(outputDir: string): string {
-  return path.join(outputDir, MANIFEST_FILE)
-}
-
-function loadManifest(outputDir: string): BuildManifest | null {
-  const manifestPath = getManifestPath(outputDir)
-  if (fs.existsSync(manifestPath)) {
-    try {
-      return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'))
-    } catch {
-      return null
-    }
-  }
-  return null
-}
-
-function saveManifest(outputDir: string, manifest: BuildManifest): void {
-  const manifestPath = getManifestPath(outputDir)
-  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8')
-}
-
 function getSinceTimestamp(since: string | undefined, manifest: BuildManifest | null): number {
   if (!since) return 0
 
@@ -198,34 +177,6 @@ function getFileMtime(filePath: string): number {
   }
 }
 
-// Concurrency limiter
-async function withConcurrency<T, R>(
-  items: T[],
-  concurrency: number,
-  processor: (item: T) => Promise<R>
-): Promise<R[]> {
-  const results: R[] = []
-  const executing: Promise<void>[] = []
-
-  for (const item of items) {
-    const promise = processor(item).then(result => {
-      results.push(result)
-    })
-
-    executing.push(promise)
-
-    if (executing.length >= concurrency) {
-      await Promise.race(executing)
-      // Remove completed promises
-      const index = executing.findIndex(p => p === promise)
-      if (index !== -1) executing.splice(index, 1)
-    }
-  }
-
-  await Promise.all(executing)
-  return results
-}
-
 async function main(): Promise<void> {
   const options = parseArgs()
 
@@ -240,6 +191,7 @@ async function main(): Promise<void> {
     console.log(`  Output dir: ${options.outputDir}`)
     console.log(`  Formats: ${options.formats.join(', ')}`)
     console.log(`  Validate: ${options.validate}`)
+    console.log(`  Lenient: ${options.lenient}`)
     console.log(`  Concurrency: ${options.concurrency}`)
     if (options.since) {
       console.log(`  Incremental: since ${options.since}`)
@@ -247,8 +199,9 @@ async function main(): Promise<void> {
     console.log()
   }
 
-  // Load manifest for incremental builds
-  const manifest = loadManifest(options.outputDir)
+  // Load manifest for incremental builds (a clean build starts over)
+  const manifestPath = path.join(options.outputDir, MANIFEST_FILE)
+  const manifest = options.clean ? null : BuildManifest.load(manifestPath)
   const sinceTimestamp = getSinceTimestamp(options.since, manifest)
 
   if (sinceTimestamp > 0 && options.verbose) {
@@ -278,10 +231,12 @@ async function main(): Promise<void> {
       dataRoot: options.dataRoot,
       outputDir: options.outputDir,
       validate: options.validate,
+      lenient: options.lenient,
       verbose: options.verbose,
       contextUrl: 'https://www.herbapedia.org/schema/context/index.jsonld',
       concurrency: options.concurrency,
       sinceTimestamp,
+      previousManifest: manifest ?? undefined,
     })
 
     const result = await builder.build()
@@ -301,6 +256,11 @@ async function main(): Promise<void> {
       console.log('\n📦 Exporting to JSON-LD...')
       const exporter = new JsonLdExporter(registry, options.outputDir)
       await exporter.export({ pretty: true, includeContext: true })
+
+      // Drop node files whose source files were deleted
+      if (result.incremental) {
+        exporter.removeNodes(result.incremental.removedNodes)
+      }
     }
 
     if (options.formats.includes('turtle')) {
@@ -329,6 +289,16 @@ async function main(): Promise<void> {
     }
     console.log()
 
+    if (result.incremental) {
+      const { changedFiles, removedFiles, reusedFiles, removedNodes } = result.incremental
+      console.log('  Incremental:')
+      console.log(`    Changed files: ${changedFiles.length}`)
+      console.log(`    Removed files: ${removedFiles.length}`)
+      console.log(`    Reused files: ${reusedFiles}`)
+      console.log(`    Removed nodes: ${removedNodes.length}`)
+      console.log()
+    }
+
     if (result.warnings.length > 0) {
       console.log(`  ⚠️  Warnings: ${result.warnings.length}`)
       if (options.verbose) {
@@ -346,15 +316,10 @@ async function main(): Promise<void> {
     console.log(`   Output: ${options.outputDir}`)
 
     // Save manifest for future incremental builds
-    const newManifest: BuildManifest = {
-      lastBuildTime: new Date().toISOString(),
-      fileTimestamps: {},
-      version: process.env.npm_package_version || '0.0.0',
-    }
-    saveManifest(options.outputDir, newManifest)
+    builder.getManifest().save(manifestPath)
 
     if (options.verbose) {
-      console.log(`   Manifest saved: ${getManifestPath(options.outputDir)}`)
+      console.log(`   Manifest saved: ${manifestPath}`)
     }
 
   } catch (error) {
@@ -0,0 +1,175 @@
+/**
+ * BuildManifest - Persisted record of a graph build
+ *
+ * The manifest maps every source file that was read to its mtime, content
+ * hash and the node IRIs it produced, and keeps a copy of each node with its
+ * outgoing references. An incremental build uses it to skip unchanged files,
+ * drop nodes whose source files were deleted, and re-resolve only the
+ * references that touch changed nodes.
+ */
+
+import fs from 'fs'
+import crypto from 'crypto'
+import type { GraphNode, NodeTypeValue } from './types.js'
+
+/**
+ * Manifest file name, written next to the build output
+ */
+export const MANIFEST_FILE = '.build-manifest.json'
+
+/**
+ * Manifest format version; older manifests are ignored
+ */
+export const MANIFEST_VERSION = 2
+
+/**
+ * A source file entry
+ */
+export interface ManifestFileEntry {
+  /** Modification time in milliseconds */
+  mtime: number
+  /** SHA-256 of the file content */
+  hash: string
+  /** IRIs of the nodes produced from this file */
+  nodes: string[]
+}
+
+/**
+ * An outgoing reference of a node
+ */
+export interface ManifestReference {
+  iri: string
+  resolved: boolean
+}
+
+/**
+ * A node produced by the build
+ */
+export interface ManifestNodeEntry {
+  nodeType: NodeTypeValue
+  /** The node's @id in its source file */
+  sourceIRI?: string
+  data: GraphNode
+  refs: ManifestReference[]
+}
+
+/**
+ * Serialized manifest
+ */
+export interface BuildManifestData {
+  version: number
+  /** Package version the manifest was built with */
+  buildVersion: string
+  lastBuildTime: string
+  /** Source files keyed by path relative to the data root */
+  files: Record<string, ManifestFileEntry>
+  /** Nodes keyed by IRI */
+  nodes: Record<string, ManifestNodeEntry>
+}
+
+/**
+ * Hash file content for change detection
+ */
+export function hashContent(content: string): string {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * Build manifest
+ */
+export class BuildManifest {
+  private data: BuildManifestData
+
+  constructor(data?: BuildManifestData) {
+    this.data = data ?? {
+      version: MANIFEST_VERSION,
+      buildVersion: process.env.npm_package_version || '0.0.0',
+      lastBuildTime: new Date().toISOString(),
+      files: {},
+      nodes: {},
+    }
+  }
+
+  /**
+   * Load a manifest from disk.
+   * Returns null if the file is missing, unreadable, or from another
+   * manifest or package version (its cached nodes may be stale).
+   */
+  static load(manifestPath: string): BuildManifest | null {
+    if (!fs.existsSync(manifestPath)) return null
+
+    try {
+      const data = JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) as BuildManifestData
+      const buildVersion = process.env.npm_package_version || '0.0.0'
+      if (data.version !== MANIFEST_VERSION || data.buildVersion !== buildVersion) {
+        return null
+      }
+      return new BuildManifest(data)
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Write the manifest to disk
+   */
+  save(manifestPath: string): void {
+    fs.writeFileSync(manifestPath, JSON.stringify(this.data) + '\n', 'utf-8')
+  }
+
+  get lastBuildTime(): string {
+    return this.data.lastBuildTime
+  }
+
+  /**
+   * Get a source file entry
+   */
+  getFile(relPath: string): ManifestFileEntry | undefined {
+    return this.data.files[relPath]
+  }
+
+  /**
+   * Set a source file entry
+   */
+  setFile(relPath: string, entry: ManifestFileEntry): void {
+    this.data.files[relPath] = entry
+  }
+
+  /**
+   * Remove a source file entry and its nodes
+   */
+  removeFile(relPath: string): void {
+    const entry = this.data.files[relPath]
+    if (!entry) return
+
+    for (const iri of entry.nodes) {
+      delete this.data.nodes[iri]
+    }
+    delete this.data.files[relPath]
+  }
+
+  /**
+   * List all source file paths
+   */
+  listFiles(): string[] {
+    return Object.keys(this.data.files)
+  }
+
+  /**
+   * Get a node entry
+   */
+  getNode(iri: string): ManifestNodeEntry | undefined {
+    return this.data.nodes[iri]
+  }
+
+  /**
+   * Set a node entry
+   */
+  setNode(iri: string, entry: ManifestNodeEntry): void {
+    this.data.nodes[iri] = entry
+  }
+
+  toJSON(): BuildManifestData {
+    return this.data
+  }
+}
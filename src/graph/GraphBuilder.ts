@@ -11,16 +11,161 @@
 
 import fs from 'fs'
 import path from 'path'
-import type { GraphNode, GraphStats } from './types.js'
-import { NodeType, MedicalSystem, generateIRI } from './types.js'
+import { promisify } from 'util'
+import type {
+  AnalyticalMethodNode,
+  AssayLimit,
+  AyurvedaProfileNode,
+  BarcodeNode,
+  BarcodeSequence,
+  GraphNode,
+  GraphStats,
+  IRIReference,
+  NodeTypeValue,
+  PreparationNode,
+  ReferenceCompound,
+  WesternDrugInteraction,
+  WesternProfileNode,
+} from './types.js'
+import { NodeType, MedicalSystem, generateIRI, isRegisteredNodeType, registerNodeType } from './types.js'
 import { GraphRegistry } from './registry/GraphRegistry.js'
-import { SpeciesNodeBuilder, PartNodeBuilder, ChemicalNodeBuilder } from './nodes/BotanicalNodes.js'
+import { GRAPH_BASE } from './registry/IRIResolver.js'
+import { SpeciesNodeBuilder, PartNodeBuilder, ChemicalNodeBuilder, type ChemicalNode } from './nodes/BotanicalNodes.js'
 import {
   TcmProfileNodeBuilder,
   AyurvedaProfileNodeBuilder,
   WesternProfileNodeBuilder,
+  UnaniProfileNodeBuilder,
+  MongolianProfileNodeBuilder,
+  ModernProfileNodeBuilder,
   VocabularyNodeBuilder,
+  type AyurvedaDoshaEffect,
+  type ModernDrugInteraction,
 } from './nodes/ProfileNodes.js'
+import { ShaclValidator } from './validators/ShaclValidator.js'
+import { SchemaValidator } from './validators/SchemaValidator.js'
+import { ChemicalValidator } from './validators/ChemicalValidator.js'
+import { TcmFormulaValidator } from './validators/TcmFormulaValidator.js'
+import { DoshaValidator } from './validators/DoshaValidator.js'
+import type { ValidationIssue } from './validators/ValidationResult.js'
+import { createLimiter, type Limiter } from './utils/concurrency.js'
+import { KarmaNormalizer } from './utils/karma.js'
+import {
+  NodeLoaderRegistry,
+  findLoaderSources,
+  matchesTypes,
+  type LoaderContext,
+  type NodeLoader,
+} from './loaders/NodeLoader.js'
+import {
+  BuildManifest,
+  hashContent,
+  type ManifestFileEntry,
+  type ManifestReference,
+} from './BuildManifest.js'
+
+// Callback-based fs calls are noticeably cheaper than fs.promises for many small files
+const readFile = promisify(fs.readFile)
+const statFile = promisify(fs.stat)
+
+/**
+ * Filter by @type: only load actual botanical species
+ */
+function isSpeciesType(types: string[]): boolean {
+  // Check if this is a Species/BotanicalSource node (not Chemical, Source, etc.)
+  const isSpecies = types.some(t =>
+    t === 'botany:PlantSpecies' ||
+    t === 'herbapedia:BotanicalSource' ||
+    t === 'phycology:AlgalSpecies' ||
+    t === 'mycology:FungalSpecies' ||
+    t === 'herbapedia:Species' ||
+    t === 'Species' ||
+    t.includes('PlantSpecies') ||
+    t === 'schema:Plant'
+  )
+
+  // Skip if it is a Chemical or other non-species type
+  // Note: We specifically list exclusions - don't use includes('Source') because
+  // herbapedia:BotanicalSource is a valid species type
+  const isNonSpecies = types.some(t =>
+    t === 'herbapedia:Chemical' ||
+    t === 'Chemical' ||
+    t.includes('Chemical') ||
+    t === 'herbapedia:ZoologicalSource' ||
+    t === 'herbapedia:MineralSource' ||
+    t === 'herbapedia:FungalSource' // Fungi have their own loader
+  )
+
+  return isSpecies && !isNonSpecies
+}
+
+/**
+ * Genus and species epithet of a scientific name ("Rheum palmatum L." → "rheum palmatum").
+ * Names that are not binomials (e.g. "Ligustici Rhizoma et Radix") return null.
+ */
+function toBinomial(name: string): string | null {
+  const [genus, epithet] = name.trim().split(/\s+/)
+  if (!genus || !epithet || !/^[A-Z][a-z-]+$/.test(genus) || !/^[a-z][a-z-]+$/.test(epithet)) return null
+  return `${genus} ${epithet}`.toLowerCase()
+}
+
+/**
+ * Normalize a compound name for matching ("Ginsenoside Rb₁" → "ginsenoside rb1")
+ */
+function normalizeCompoundName(name: string): string {
+  return name.normalize('NFKC').trim().toLowerCase()
+}
+
+/**
+ * Parse a pharmacopoeial content limit ("Not less than 0.05%", "4.0% (v/w)") to a percentage
+ */
+function parsePercent(value: unknown): number | undefined {
+  if (typeof value !== 'string') return undefined
+  const match = value.match(/(\d+(?:\.\d+)?)\s*%/)
+  return match ? parseFloat(match[1]) : undefined
+}
+
+/**
+ * Most frequent value, first seen wins ties
+ */
+function mostCommon(values: string[]): string | undefined {
+  const counts = new Map<string, number>()
+  for (const value of values) counts.set(value, (counts.get(value) ?? 0) + 1)
+
+  let best: string | undefined
+  for (const [value, count] of counts) {
+    if (best === undefined || count > counts.get(best)!) best = value
+  }
+  return best
+}
+
+/**
+ * A drug interaction entry of a Western profile, undefined without a drug.
+ * Severities other than high, moderate and low are dropped.
+ */
+function toWesternDrugInteraction(entry: unknown): WesternDrugInteraction | undefined {
+  if (typeof entry !== 'object' || entry === null) return undefined
+  const { drug, interaction, severity } = entry as Record<string, unknown>
+  if (typeof drug !== 'string') return undefined
+
+  const result: WesternDrugInteraction = { drug }
+  if (typeof interaction === 'string') result.interaction = interaction
+  if (severity === 'high' || severity === 'moderate' || severity === 'low') result.severity = severity
+  return result
+}
+
+/**
+ * Techniques of an analysis dataset without an identificationMethod list
+ */
+const ANALYSIS_SECTIONS: Record<string, string> = {
+  physicochemicalIdentification: 'Physicochemical',
+  tlcMethod: 'TLC',
+  hptlcMethod: 'HPTLC',
+  hplcFingerprint: 'HPLC-Fingerprint',
+  hplcAssay: 'HPLC-Assay',
+  gcFingerprint: 'GC-Fingerprint',
+  gcAssay: 'GC-Assay',
+}
 
 /**
  * Options for GraphBuilder
@@ -32,14 +177,21 @@ export interface GraphBuilderOptions {
   outputDir: string
   /** Whether to validate during build */
   validate: boolean
+  /**
+   * Report shape violations of missing required properties (sh:minCount) as
+   * warnings instead of errors, for data that is still being completed
+   */
+  lenient?: boolean
   /** Whether to verbose log */
   verbose: boolean
   /** Context URL for nodes */
   contextUrl: string
-  /** Number of concurrent operations */
+  /** Maximum number of source files read concurrently */
   concurrency?: number
   /** Timestamp for incremental builds (only process files modified after this) */
   sinceTimestamp?: number
+  /** Manifest of the previous build; enables incremental builds with sinceTimestamp */
+  previousManifest?: BuildManifest
 }
 
 /**
@@ -61,6 +213,37 @@ export interface BuildResult {
   stats: GraphStats
   errors: BuildError[]
   warnings: BuildWarning[]
+  /** What an incremental build re-used and changed (absent for full builds) */
+  incremental?: IncrementalBuildSummary
+}
+
+export interface IncrementalBuildSummary {
+  /** Source files that were re-transformed (relative to the data root) */
+  changedFiles: string[]
+  /** Source files from the previous build that no longer exist */
+  removedFiles: string[]
+  /** Number of source files whose nodes were restored from the manifest */
+  reusedFiles: number
+  /** IRIs of nodes dropped since the previous build */
+  removedNodes: string[]
+}
+
+/**
+ * A source file read ahead of transformation
+ */
+interface SourceFile {
+  filePath: string
+  /** Path relative to the data root (the manifest key) */
+  relPath: string
+  mtime: number
+  /** Entry from the previous manifest, in incremental builds */
+  previous?: ManifestFileEntry
+  /** File content; not read when the manifest entry is still current */
+  content?: string
+  hash?: string
+  /** Transform even when unchanged (see NodeLoader.incremental) */
+  reload?: boolean
+  error?: unknown
 }
 
 export interface BuildError {
@@ -71,23 +254,54 @@ export interface BuildError {
 }
 
 export interface BuildWarning {
-  type: 'reference' | 'data' | 'schema'
+  /** Kind of warning; validation warnings name the validator that raised them */
+  type: 'reference' | 'data' | 'schema' | ValidationWarningType
   source: string
   message: string
 }
 
+/**
+ * Validators whose warnings the build reports
+ */
+export type ValidationWarningType = 'chemical' | 'tcm-formula' | 'dosha' | 'json-schema' | 'shacl'
+
 /**
  * Main GraphBuilder class
  */
 export class GraphBuilder {
   private options: GraphBuilderOptions
   private registry: GraphRegistry
+  private loaders = new NodeLoaderRegistry()
   private errors: BuildError[] = []
   private warnings: BuildWarning[] = []
 
+  // Incremental build state
+  private manifest = new BuildManifest()
+  private currentSource?: string
+  private failedSources: Set<string> = new Set()
+  private changedFiles: string[] = []
+  private reusedFiles = 0
+  private changedIRIs: Set<string> = new Set()
+  private restoredRefs: Map<string, ManifestReference[]> = new Map()
+  private nodeSources: Map<string, { nodeType: NodeTypeValue; sourceIRI?: string }> = new Map()
+  // Settles when the most recently started loader has registered its nodes
+  private registrationTurn: Promise<void> = Promise.resolve()
+  // Lookups for linking analytical methods, built on first use per build
+  private speciesByBinomial?: Map<string, string[]>
+  private chemicalsByName?: Map<string, string>
+  // Matches karma strings to the karma vocabulary, reset per build
+  private karmaNormalizer: KarmaNormalizer
+  // Checks source documents against schema/json-schema in validating builds
+  private sourceSchemas?: SchemaValidator
+
   constructor(options: Partial<GraphBuilderOptions> & { dataRoot: string; outputDir: string }) {
     this.options = { ...DEFAULT_OPTIONS, ...options } as GraphBuilderOptions
     this.registry = new GraphRegistry()
+    this.karmaNormalizer = new KarmaNormalizer(this.registry)
+
+    for (const loader of this.builtinLoaders()) {
+      this.loaders.register(loader)
+    }
   }
 
   /**
@@ -96,6 +310,18 @@ export class GraphBuilder {
   async build(): Promise<BuildResult> {
     this.errors = []
     this.warnings = []
+    this.manifest = new BuildManifest()
+    this.failedSources.clear()
+    this.changedFiles = []
+    this.reusedFiles = 0
+    this.changedIRIs.clear()
+    this.restoredRefs.clear()
+    this.nodeSources.clear()
+    this.registrationTurn = Promise.resolve()
+    this.speciesByBinomial = undefined
+    this.chemicalsByName = undefined
+    this.karmaNormalizer = new KarmaNormalizer(this.registry)
+    this.sourceSchemas = this.options.validate ? this.loadSourceSchemas() : undefined
 
     if (this.options.verbose) {
       console.log('Building knowledge graph...')
@@ -106,25 +332,19 @@ export class GraphBuilder {
     // Phase 1: Load vocabulary first (other nodes reference these)
     await this.loadVocabulary()
 
-    // Phase 2: Load botanical entities
-    await this.loadSpecies()
-    await this.loadParts()
-    await this.loadChemicals()
-    await this.loadBarcodes()
-
-    // Phase 3: Load preparations and formulas
-    await this.loadPreparations()
-    await this.loadFormulas()
+    // Phases 2-4: botanical entities, preparations and formulas, then profiles
+    // (they reference species and vocabulary). Loaders read their files
+    // concurrently, sharing one limit, and register in dependency order.
+    const loaders = this.loaders.ordered()
+    const limit = createLimiter(this.options.concurrency ?? 1)
+    await Promise.all(loaders.map(loader => this.runLoader(loader, limit)))
+    this.currentSource = undefined
 
-    // Phase 4: Load profiles (they reference species and vocabulary)
-    await this.loadTCMProfiles()
-    await this.loadAyurvedaProfiles()
-    await this.loadWesternProfiles()
-    await this.loadUnaniProfiles()
-    await this.loadMongolianProfiles()
+    const incremental = this.isIncremental() ? this.collectIncrementalChanges() : undefined
 
     // Phase 5: Resolve references
     this.resolveReferences()
+    this.recordManifestNodes()
 
     // Phase 6: Validate
     if (this.options.validate) {
@@ -145,6 +365,7 @@ export class GraphBuilder {
       stats,
       errors: this.errors,
       warnings: this.warnings,
+      incremental,
     }
   }
 
@@ -155,6 +376,152 @@ export class GraphBuilder {
     return this.registry
   }
 
+  /**
+   * Get the manifest of the last build, to be saved for the next incremental build
+   */
+  getManifest(): BuildManifest {
+    return this.manifest
+  }
+
+  /**
+   * Register a loader plugin. New node types are registered with the
+   * loader's IRI pattern; loaders run after vocabulary, in dependency order.
+   */
+  registerLoader(loader: NodeLoader): this {
+    if (!isRegisteredNodeType(loader.nodeType)) {
+      registerNodeType(loader.nodeType, loader.iriPattern)
+    }
+    this.loaders.register(loader)
+    return this
+  }
+
+  /**
+   * Get the loader registry
+   */
+  getLoaders(): NodeLoaderRegistry {
+    return this.loaders
+  }
+
+  // =========================================================================
+  // Loaders
+  // =========================================================================
+
+  /**
+   * Loaders for the built-in node types, in their default order
+   */
+  private builtinLoaders(): NodeLoader[] {
+    const builtin = (
+      nodeType: NodeTypeValue,
+      sources: string[],
+      transform: (data: Record<string, unknown>, slug: string, context: LoaderContext) => GraphNode | GraphNode[] | null,
+      extra: Partial<NodeLoader> = {}
+    ): NodeLoader => ({
+      name: nodeType,
+      nodeType,
+      iriPattern: identifier => generateIRI(nodeType, identifier),
+      sources,
+      transform: (data, context) => transform.call(this, data, context.slug, context),
+      ...extra,
+    })
+
+    return [
+      builtin(NodeType.SPECIES, ['entities/botanical/species/*/entity.jsonld'], this.transformSpecies, {
+        types: isSpeciesType,
+      }),
+      builtin(NodeType.PART, ['entities/botanical/parts/*/entity.jsonld'], this.transformPart, {
+        dependsOn: [NodeType.SPECIES],
+      }),
+      builtin(NodeType.CHEMICAL, ['entities/botanical/chemicals/*/entity.jsonld'], this.transformChemical, {
+        incremental: false,
+      }),
+      builtin(NodeType.CHEMICAL, ['reference/chemicals/compounds.jsonld'], this.transformReferenceCompounds, {
+        name: 'reference-chemical',
+        dependsOn: [NodeType.CHEMICAL],
+        incremental: false,
+      }),
+      builtin(NodeType.BARCODE, ['entities/botanical/barcodes/*/entity.jsonld'], this.transformBarcode, {
+        dependsOn: [NodeType.SPECIES],
+        incremental: false,
+      }),
+      builtin(NodeType.BARCODE, ['media/extracted/dna/*.jsonld'], this.transformBarcodeDataset, {
+        name: 'barcode-dataset',
+        types: ['herbapedia:DNASequenceData'],
+        dependsOn: [NodeType.BARCODE],
+        incremental: false,
+      }),
+      builtin(NodeType.PREPARATION, ['entities/preparations/*/entity.jsonld'], this.transformPreparation, {
+        dependsOn: [NodeType.SPECIES, NodeType.PART],
+      }),
+      builtin(NodeType.FORMULA, ['entities/formulas/*/entity.jsonld'], this.transformFormula, {
+        dependsOn: [NodeType.PREPARATION],
+      }),
+      builtin(NodeType.ANALYTICAL_METHOD, ['media/extracted/chemical/*.jsonld'], this.transformAnalyticalMethods, {
+        types: ['herbapedia:ChemicalAnalysisData'],
+        dependsOn: [NodeType.SPECIES, NodeType.CHEMICAL],
+      }),
+      builtin(NodeType.TCM_PROFILE, [
+        'systems/tcm/herbs/*/profile.jsonld',
+        'profiles/tcm/*/profile.jsonld',
+      ], this.transformTCMProfile, { dependsOn: [NodeType.SPECIES] }),
+      builtin(NodeType.AYURVEDA_PROFILE, [
+        'systems/ayurveda/dravyas/*/profile.jsonld',
+      ], this.transformAyurvedaProfile, { dependsOn: [NodeType.SPECIES] }),
+      builtin(NodeType.WESTERN_PROFILE, [
+        'systems/western/herbs/*/profile.jsonld',
+        'profiles/western/*/profile.jsonld',
+      ], this.transformWesternProfile, { dependsOn: [NodeType.SPECIES] }),
+      builtin(NodeType.UNANI_PROFILE, [
+        'systems/unani/herbs/*/profile.jsonld',
+        'systems/unani/profiles/*/profile.jsonld',
+        'profiles/unani/*/profile.jsonld',
+      ], this.transformUnaniProfile, { dependsOn: [NodeType.SPECIES] }),
+      builtin(NodeType.MONGOLIAN_PROFILE, [
+        'systems/mongolian/herbs/*/profile.jsonld',
+        'systems/mongolian/profiles/*/profile.jsonld',
+        'profiles/mongolian/*/profile.jsonld',
+      ], this.transformMongolianProfile, { dependsOn: [NodeType.SPECIES] }),
+      builtin(NodeType.MODERN_PROFILE, [
+        'systems/modern/substances/*/profile.jsonld',
+        'profiles/modern/*/profile.jsonld',
+      ], this.transformModernProfile, { dependsOn: [NodeType.SPECIES] }),
+    ]
+  }
+
+  /**
+   * Load, filter, transform and register the source files of a loader
+   */
+  private async runLoader(loader: NodeLoader, limit: Limiter): Promise<void> {
+    if (this.options.verbose) console.log(`\n📂 Loading ${loader.name}...`)
+
+    const files = findLoaderSources(this.options.dataRoot, loader.sources)
+    const nodeType = loader.nodeType as NodeTypeValue
+
+    const reload = loader.incremental === false
+    await this.loadSources(files.map(file => file.filePath), limit, (source, index) => {
+      const { slug, filePath } = files[index]
+      try {
+        const data = this.openSource(source)
+        if (!data || (loader.types && !matchesTypes(data, loader.types))) return
+
+        const result = loader.transform(data, {
+          slug,
+          filePath,
+          iri: identifier => loader.iriPattern(identifier),
+          resolveRef: (ref, refType) => this.resolveRef(ref, refType as NodeTypeValue),
+          resolveVocabRef: (ref, system, vocabType) => this.resolveVocabRef(ref, system, vocabType),
+          warn: message => this.addWarning('data', filePath, message),
+        })
+
+        const nodes = result ? (Array.isArray(result) ? result : [result]) : []
+        for (const node of nodes) {
+          this.registerNode(node, nodeType, nodes.length === 1 ? data['@id'] : undefined)
+        }
+      } catch (error) {
+        this.addError('load', filePath, `Failed to load ${loader.name}: ${error}`)
+      }
+    }, reload)
+  }
+
   // =========================================================================
   // Vocabulary Loading
   // =========================================================================
@@ -165,6 +532,12 @@ export class GraphBuilder {
     // Load TCM vocabulary
     await this.loadTCMVocabulary()
     await this.loadAyurvedaVocabulary()
+    await this.loadMongolianVocabulary()
+    await this.loadUnaniVocabulary()
+    await this.loadWesternVocabulary()
+
+    // Cross-system links between the terms loaded above
+    await this.loadVocabularyMappings()
   }
 
   private async loadTCMVocabulary(): Promise<void> {
@@ -173,8 +546,8 @@ export class GraphBuilder {
     // Load flavors
     const flavorsPath = path.join(tcmDir, 'flavors.jsonld')
     if (fs.existsSync(flavorsPath)) {
-      const data = JSON.parse(fs.readFileSync(flavorsPath, 'utf-8'))
-      const flavors = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(flavorsPath))
+      const flavors = data ? data['@graph'] || [data] : []
 
       for (const flavor of flavors) {
         try {
@@ -184,22 +557,24 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('flavor')
             .prefLabel(flavor.prefLabel || {})
             .description(flavor.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.TCM_FLAVOR)
+          this.registerNode(node, NodeType.TCM_FLAVOR, flavor['@id'])
         } catch (error) {
           this.addError('transform', flavorsPath, `Failed to transform flavor: ${error}`)
         }
       }
     }
 
-    // Load natures
+    // Load natures (their members are labelled with name, not prefLabel)
     const naturesPath = path.join(tcmDir, 'reference', 'natures.jsonld')
     if (fs.existsSync(naturesPath)) {
-      const data = JSON.parse(fs.readFileSync(naturesPath, 'utf-8'))
-      const natures = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(naturesPath))
+      const natures = data ? data['@graph'] || data.members || [data] : []
 
       for (const nature of natures) {
         try {
@@ -209,11 +584,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
-            .prefLabel(nature.prefLabel || {})
+            .slug(value)
+            .vocabularyType('nature')
+            .prefLabel(nature.prefLabel || nature.name || {})
             .description(nature.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.TCM_NATURE)
+          this.registerNode(node, NodeType.TCM_NATURE, nature['@id'])
         } catch (error) {
           this.addError('transform', naturesPath, `Failed to transform nature: ${error}`)
         }
@@ -223,8 +600,8 @@ export class GraphBuilder {
     // Load meridians
     const meridiansPath = path.join(tcmDir, 'meridians.jsonld')
     if (fs.existsSync(meridiansPath)) {
-      const data = JSON.parse(fs.readFileSync(meridiansPath, 'utf-8'))
-      const meridians = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(meridiansPath))
+      const meridians = data ? data['@graph'] || [data] : []
 
       for (const meridian of meridians) {
         try {
@@ -234,11 +611,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('meridian')
             .prefLabel(meridian.prefLabel || {})
             .description(meridian.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.TCM_MERIDIAN)
+          this.registerNode(node, NodeType.TCM_MERIDIAN, meridian['@id'])
         } catch (error) {
           this.addError('transform', meridiansPath, `Failed to transform meridian: ${error}`)
         }
@@ -248,8 +627,8 @@ export class GraphBuilder {
     // Load categories
     const categoriesPath = path.join(tcmDir, 'categories.jsonld')
     if (fs.existsSync(categoriesPath)) {
-      const data = JSON.parse(fs.readFileSync(categoriesPath, 'utf-8'))
-      const categories = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(categoriesPath))
+      const categories = data ? data['@graph'] || [data] : []
 
       for (const category of categories) {
         try {
@@ -259,11 +638,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('category')
             .prefLabel(category.prefLabel || {})
             .description(category.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.TCM_CATEGORY)
+          this.registerNode(node, NodeType.TCM_CATEGORY, category['@id'])
         } catch (error) {
           this.addError('transform', categoriesPath, `Failed to transform category: ${error}`)
         }
@@ -277,8 +658,8 @@ export class GraphBuilder {
     // Load doshas
     const doshasPath = path.join(ayurvedaDir, 'doshas.jsonld')
     if (fs.existsSync(doshasPath)) {
-      const data = JSON.parse(fs.readFileSync(doshasPath, 'utf-8'))
-      const doshas = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(doshasPath))
+      const doshas = data ? data['@graph'] || [data] : []
 
       for (const dosha of doshas) {
         try {
@@ -288,11 +669,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('dosha')
             .prefLabel(dosha.prefLabel || {})
             .description(dosha.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.AYURVEDA_DOSHA)
+          this.registerNode(node, NodeType.AYURVEDA_DOSHA, dosha['@id'])
         } catch (error) {
           this.addError('transform', doshasPath, `Failed to transform dosha: ${error}`)
         }
@@ -302,8 +685,8 @@ export class GraphBuilder {
     // Load rasas
     const rasasPath = path.join(ayurvedaDir, 'rasas.jsonld')
     if (fs.existsSync(rasasPath)) {
-      const data = JSON.parse(fs.readFileSync(rasasPath, 'utf-8'))
-      const rasas = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(rasasPath))
+      const rasas = data ? data['@graph'] || [data] : []
 
       for (const rasa of rasas) {
         try {
@@ -313,11 +696,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('rasa')
             .prefLabel(rasa.prefLabel || {})
             .description(rasa.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.AYURVEDA_RASA)
+          this.registerNode(node, NodeType.AYURVEDA_RASA, rasa['@id'])
         } catch (error) {
           this.addError('transform', rasasPath, `Failed to transform rasa: ${error}`)
         }
@@ -327,8 +712,8 @@ export class GraphBuilder {
     // Load gunas
     const gunasPath = path.join(ayurvedaDir, 'gunas.jsonld')
     if (fs.existsSync(gunasPath)) {
-      const data = JSON.parse(fs.readFileSync(gunasPath, 'utf-8'))
-      const gunas = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(gunasPath))
+      const gunas = data ? data['@graph'] || [data] : []
 
       for (const guna of gunas) {
         try {
@@ -338,11 +723,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('guna')
             .prefLabel(guna.prefLabel || {})
             .description(guna.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.AYURVEDA_GUNA)
+          this.registerNode(node, NodeType.AYURVEDA_GUNA, guna['@id'])
         } catch (error) {
           this.addError('transform', gunasPath, `Failed to transform guna: ${error}`)
         }
@@ -352,8 +739,8 @@ export class GraphBuilder {
     // Load viryas
     const viryasPath = path.join(ayurvedaDir, 'viryas.jsonld')
     if (fs.existsSync(viryasPath)) {
-      const data = JSON.parse(fs.readFileSync(viryasPath, 'utf-8'))
-      const viryas = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(viryasPath))
+      const viryas = data ? data['@graph'] || [data] : []
 
       for (const virya of viryas) {
         try {
@@ -363,11 +750,13 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('virya')
             .prefLabel(virya.prefLabel || {})
             .description(virya.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.AYURVEDA_VIRYA)
+          this.registerNode(node, NodeType.AYURVEDA_VIRYA, virya['@id'])
         } catch (error) {
           this.addError('transform', viryasPath, `Failed to transform virya: ${error}`)
         }
@@ -377,8 +766,8 @@ export class GraphBuilder {
     // Load vipakas
     const vipakasPath = path.join(ayurvedaDir, 'vipakas.jsonld')
     if (fs.existsSync(vipakasPath)) {
-      const data = JSON.parse(fs.readFileSync(vipakasPath, 'utf-8'))
-      const vipakas = data['@graph'] || [data]
+      const data = this.openSource(await this.readSourceFile(vipakasPath))
+      const vipakas = data ? data['@graph'] || [data] : []
 
       for (const vipaka of vipakas) {
         try {
@@ -388,88 +777,178 @@ export class GraphBuilder {
           const node = new VocabularyNodeBuilder()
             .iri(iri)
             .value(value)
+            .slug(value)
+            .vocabularyType('vipaka')
             .prefLabel(vipaka.prefLabel || {})
             .description(vipaka.description)
             .build()
 
-          this.registry.registerNode(node, NodeType.AYURVEDA_VIPAKA)
+          this.registerNode(node, NodeType.AYURVEDA_VIPAKA, vipaka['@id'])
         } catch (error) {
           this.addError('transform', vipakasPath, `Failed to transform vipaka: ${error}`)
         }
       }
     }
+
+    // Actions, elements, special effects and classical categories
+    await this.loadReferenceVocabulary('ayurveda', [
+      { file: 'karmas.jsonld', nodeType: NodeType.AYURVEDA_KARMA, label: 'karma' },
+      { file: 'mahabhutas.jsonld', nodeType: NodeType.AYURVEDA_MAHABHUTA, label: 'mahabhuta' },
+      { file: 'prabhavas.jsonld', nodeType: NodeType.AYURVEDA_PRABHAVA, label: 'prabhava' },
+      { file: 'categories.jsonld', nodeType: NodeType.AYURVEDA_CATEGORY, label: 'category' },
+    ])
   }
 
-  // =========================================================================
-  // Species Loading
-  // =========================================================================
+  /**
+   * Load the Mongolian three roots, tastes, potencies and elements
+   * (systems/mongolian/reference)
+   */
+  private async loadMongolianVocabulary(): Promise<void> {
+    await this.loadReferenceVocabulary('mongolian', [
+      { file: 'roots.jsonld', nodeType: NodeType.MONGOLIAN_ROOT, label: 'root' },
+      { file: 'tastes.jsonld', nodeType: NodeType.MONGOLIAN_TASTE, label: 'taste' },
+      { file: 'potencies.jsonld', nodeType: NodeType.MONGOLIAN_POTENCY, label: 'potency' },
+      { file: 'elements.jsonld', nodeType: NodeType.MONGOLIAN_ELEMENT, label: 'element' },
+    ])
+  }
 
-  private async loadSpecies(): Promise<void> {
-    if (this.options.verbose) console.log('\n🌱 Loading species...')
+  /**
+   * Load the Unani temperaments (mizaj), degrees (darja) and elements
+   * (systems/unani/reference)
+   */
+  private async loadUnaniVocabulary(): Promise<void> {
+    await this.loadReferenceVocabulary('unani', [
+      { file: 'temperaments.jsonld', nodeType: NodeType.UNANI_TEMPERAMENT, label: 'temperament' },
+      { file: 'degrees.jsonld', nodeType: NodeType.UNANI_DEGREE, label: 'degree' },
+      { file: 'elements.jsonld', nodeType: NodeType.UNANI_ELEMENT, label: 'element' },
+    ])
+  }
 
-    const speciesDir = path.join(this.options.dataRoot, 'entities', 'botanical', 'species')
-    if (!fs.existsSync(speciesDir)) {
-      this.addWarning('data', speciesDir, 'Species directory not found')
-      return
-    }
+  /**
+   * Load the Western herbal actions, organs and body systems
+   * (systems/western/reference). Organs are narrower than their body system.
+   */
+  private async loadWesternVocabulary(): Promise<void> {
+    await this.loadReferenceVocabulary('western', [
+      { file: 'actions.jsonld', nodeType: NodeType.WESTERN_ACTION, label: 'action' },
+      { file: 'organs.jsonld', nodeType: NodeType.WESTERN_ORGAN, label: 'organ', broader: { property: 'bodySystem', type: 'system' } },
+      { file: 'systems.jsonld', nodeType: NodeType.WESTERN_BODY_SYSTEM, label: 'body system' },
+    ])
+  }
 
-    const slugs = fs.readdirSync(speciesDir).filter(name => {
-      const entityPath = path.join(speciesDir, name, 'entity.jsonld')
-      if (!fs.existsSync(entityPath)) {
-        return false
+  /**
+   * Load vocabulary files from systems/{system}/reference. The files list
+   * their terms under members and name them with a multilingual name or
+   * skos:prefLabel; broader names the property that links a term to its
+   * broader term. A term's slug is its value and its vocabularyType the
+   * type segment of its IRI (vocab/{system}/{type}/{value}).
+   */
+  private async loadReferenceVocabulary(
+    system: string,
+    files: Array<{
+      file: string
+      nodeType: NodeTypeValue
+      label: string
+      broader?: { property: string; type: string }
+    }>
+  ): Promise<void> {
+    const referenceDir = path.join(this.options.dataRoot, 'systems', system, 'reference')
+
+    for (const { file, nodeType, label, broader } of files) {
+      const filePath = path.join(referenceDir, file)
+      if (!fs.existsSync(filePath)) continue
+
+      const data = this.openSource(await this.readSourceFile(filePath))
+      const terms = data ? data.members || data['@graph'] || [data] : []
+
+      for (const term of terms) {
+        try {
+          const value = this.extractValueFromIRI(term['@id'])
+          const builder = new VocabularyNodeBuilder()
+            .iri(generateIRI(nodeType, value))
+            .slug(value)
+            .vocabularyType(nodeType.slice(system.length + 1))
+            .value(value)
+            .prefLabel(term.prefLabel || term['skos:prefLabel'] || term.name || {})
+            .description(term.description || term['skos:definition'])
+
+          const broaderIRI = broader && this.resolveVocabRef(term[broader.property], system, broader.type)
+          if (broaderIRI) builder.broader(broaderIRI)
+
+          this.registerNode(builder.build(), nodeType, term['@id'])
+        } catch (error) {
+          this.addError('transform', filePath, `Failed to transform ${label}: ${error}`)
+        }
       }
+    }
+  }
 
-      // Filter by @type: only load actual botanical species
-      try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const types = Array.isArray(data['@type']) ? data['@type'] : [data['@type']]
-
-        // Check if this is a Species/BotanicalSource node (not Chemical, Source, etc.)
-        const isSpecies = types.some(t =>
-          t === 'botany:PlantSpecies' ||
-          t === 'herbapedia:BotanicalSource' ||
-          t === 'phycology:AlgalSpecies' ||
-          t === 'mycology:FungalSpecies' ||
-          t === 'herbapedia:Species' ||
-          t === 'Species' ||
-          t.includes('PlantSpecies') ||
-          t === 'schema:Plant'
-        )
-
-        // Skip if it is a Chemical or other non-species type
-        // Note: We specifically list exclusions - don't use includes('Source') because
-        // herbapedia:BotanicalSource is a valid species type
-        const isNonSpecies = types.some(t =>
-          t === 'herbapedia:Chemical' ||
-          t === 'Chemical' ||
-          t.includes('Chemical') ||
-          t === 'herbapedia:ZoologicalSource' ||
-          t === 'herbapedia:MineralSource' ||
-          t === 'herbapedia:FungalSource' // Fungi have their own loader
-        )
-
-        return isSpecies && !isNonSpecies
-      } catch {
-        // If we can't parse, skip it
-        return false
+  /**
+   * Link the vocabulary terms of different systems with skos:exactMatch and
+   * skos:closeMatch (systems/vocabulary-mappings.jsonld). The terms of a
+   * member are linked pairwise across systems: exactMatch when both are
+   * listed under exactMatch, closeMatch otherwise. The links live on nodes
+   * of other source files, so the file is read in every build and replaces
+   * the links of restored nodes.
+   */
+  private async loadVocabularyMappings(): Promise<void> {
+    const mappingsPath = path.join(this.options.dataRoot, 'systems', 'vocabulary-mappings.jsonld')
+    if (!fs.existsSync(mappingsPath)) return
+
+    const data = this.openSource(await this.readSourceFile(mappingsPath, true))
+    this.currentSource = undefined
+    const vocabBase = `${GRAPH_BASE}vocab/`
+    const links = new Map<string, { exactMatch: string[]; closeMatch: string[] }>()
+
+    const toTerms = (refs: unknown): string[] => {
+      const terms: string[] = []
+      for (const ref of this.toArray(refs)) {
+        const id = this.extractIdFromRef(ref)
+        const iri = id ? this.registry.resolveIRI(id) : undefined
+        if (iri?.startsWith(vocabBase)) {
+          terms.push(iri)
+        } else {
+          this.addWarning('data', mappingsPath, `Mapping term ${id ?? JSON.stringify(ref)} is not a vocabulary IRI`)
+        }
       }
-    })
+      return terms
+    }
 
-    for (const slug of slugs) {
-      const entityPath = path.join(speciesDir, slug, 'entity.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const node = this.transformSpecies(data, slug)
+    for (const member of this.toArray(data?.members) as Array<Record<string, unknown>>) {
+      const exact = toTerms(member.exactMatch)
+      const terms = [...exact, ...toTerms(member.closeMatch)]
+      const systemOf = (iri: string) => iri.slice(vocabBase.length).split('/')[0]
 
-        if (node) {
-          this.registry.registerNode(node, NodeType.SPECIES)
+      for (const from of terms) {
+        for (const to of terms) {
+          if (systemOf(from) === systemOf(to)) continue
+          const entry = links.get(from) ?? { exactMatch: [], closeMatch: [] }
+          const list = exact.includes(from) && exact.includes(to) ? entry.exactMatch : entry.closeMatch
+          if (!list.includes(to)) list.push(to)
+          links.set(from, entry)
         }
-      } catch (error) {
-        this.addError('load', entityPath, `Failed to load species: ${error}`)
+      }
+    }
+
+    for (const { '@id': iri } of this.registry.getAllNodes()) {
+      if (!iri.startsWith(vocabBase)) continue
+
+      // getAllNodes() returns copies; the links go on the registered node
+      const vocab = this.registry.getNode(iri) as unknown as Record<string, unknown>
+      const before = JSON.stringify([vocab.exactMatch, vocab.closeMatch])
+      const entry = links.get(iri)
+      vocab.exactMatch = entry?.exactMatch.length ? entry.exactMatch.map(id => ({ '@id': id })) : undefined
+      vocab.closeMatch = entry?.closeMatch.length ? entry.closeMatch.map(id => ({ '@id': id })) : undefined
+      if (JSON.stringify([vocab.exactMatch, vocab.closeMatch]) !== before) {
+        this.changedIRIs.add(iri)
       }
     }
   }
 
+  // =========================================================================
+  // Species Loading
+  // =========================================================================
+
   private transformSpecies(data: Record<string, unknown>, slug: string): GraphNode | null {
     try {
       const builder = new SpeciesNodeBuilder()
@@ -486,9 +965,9 @@ export class GraphBuilder {
       // Extract parts
       if (data.hasPart && Array.isArray(data.hasPart)) {
         for (const part of data.hasPart) {
-          const partSlug = this.extractSlugFromRef(part)
-          if (partSlug) {
-            builder.addPart(generateIRI(NodeType.PART, partSlug))
+          const partIRI = this.resolveRef(part, NodeType.PART)
+          if (partIRI) {
+            builder.addPart(partIRI)
           }
         }
       }
@@ -496,9 +975,9 @@ export class GraphBuilder {
       // Extract chemicals
       if (data.containsChemical && Array.isArray(data.containsChemical)) {
         for (const chem of data.containsChemical) {
-          const chemSlug = this.extractSlugFromRef(chem)
-          if (chemSlug) {
-            builder.addChemical(generateIRI(NodeType.CHEMICAL, chemSlug))
+          const chemIRI = this.resolveRef(chem, NodeType.CHEMICAL)
+          if (chemIRI) {
+            builder.addChemical(chemIRI)
           }
         }
       }
@@ -524,34 +1003,6 @@ export class GraphBuilder {
   // Parts Loading
   // =========================================================================
 
-  private async loadParts(): Promise<void> {
-    if (this.options.verbose) console.log('\n🌿 Loading parts...')
-
-    const partsDir = path.join(this.options.dataRoot, 'entities', 'botanical', 'parts')
-    if (!fs.existsSync(partsDir)) {
-      return
-    }
-
-    const slugs = fs.readdirSync(partsDir).filter(name => {
-      const entityPath = path.join(partsDir, name, 'entity.jsonld')
-      return fs.existsSync(entityPath)
-    })
-
-    for (const slug of slugs) {
-      const entityPath = path.join(partsDir, slug, 'entity.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const node = this.transformPart(data, slug)
-
-        if (node) {
-          this.registry.registerNode(node, NodeType.PART)
-        }
-      } catch (error) {
-        this.addError('load', entityPath, `Failed to load part: ${error}`)
-      }
-    }
-  }
-
   private transformPart(data: Record<string, unknown>, slug: string): GraphNode | null {
     try {
       const builder = new PartNodeBuilder()
@@ -560,10 +1011,14 @@ export class GraphBuilder {
         .slug(slug)
         .name((data.name as Record<string, string>) || {})
 
+      if (typeof data.partType === 'string') {
+        builder.partType(data.partType)
+      }
+
       if (data.partOf) {
-        const speciesSlug = this.extractSlugFromRef(data.partOf)
-        if (speciesSlug) {
-          builder.partOf(generateIRI(NodeType.SPECIES, speciesSlug))
+        const speciesIRI = this.resolveRef(data.partOf, NodeType.SPECIES)
+        if (speciesIRI) {
+          builder.partOf(speciesIRI)
         }
       }
 
@@ -578,142 +1033,190 @@ export class GraphBuilder {
   // Chemicals Loading
   // =========================================================================
 
-  private async loadChemicals(): Promise<void> {
-    if (this.options.verbose) console.log('\n⚗️ Loading chemicals...')
-
-    const chemicalsDir = path.join(this.options.dataRoot, 'entities', 'botanical', 'chemicals')
-    if (!fs.existsSync(chemicalsDir)) {
-      return
-    }
-
-    const slugs = fs.readdirSync(chemicalsDir).filter(name => {
-      const entityPath = path.join(chemicalsDir, name, 'entity.jsonld')
-      return fs.existsSync(entityPath)
-    })
-
-    for (const slug of slugs) {
-      const entityPath = path.join(chemicalsDir, slug, 'entity.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const node = this.transformChemical(data, slug)
-
-        if (node) {
-          this.registry.registerNode(node, NodeType.CHEMICAL)
-        }
-      } catch (error) {
-        this.addError('load', entityPath, `Failed to load chemical: ${error}`)
-      }
-    }
-  }
-
   private transformChemical(data: Record<string, unknown>, slug: string): GraphNode | null {
     try {
-      const builder = new ChemicalNodeBuilder()
-
-      builder
-        .slug(slug)
-        .name((data.name as Record<string, string>) || {})
-
-      if (data.formula) builder.formula(data.formula as string)
-      if (data.inChI) builder.inchi(data.inChI as string)
-      if (data.inChIKey) builder.inchiKey(data.inChIKey as string)
-      if (data.casNumber) builder.casNumber(data.casNumber as string)
-
-      return builder.build()
+      return this.buildChemical(data, slug, (data.name as Record<string, string>) || {})
     } catch (error) {
       this.addError('transform', slug, `Failed to transform chemical: ${error}`)
       return null
     }
   }
 
-  // =========================================================================
-  // Barcodes Loading
-  // =========================================================================
-
-  private async loadBarcodes(): Promise<void> {
-    if (this.options.verbose) console.log('\n🧬 Loading barcodes...')
-
-    const barcodesDir = path.join(this.options.dataRoot, 'entities', 'botanical', 'barcodes')
-    if (!fs.existsSync(barcodesDir)) {
-      return
-    }
+  /**
+   * Transform the reference compound list (reference/chemicals/compounds.jsonld).
+   * Identifiers of compounds that already have a chemical entity are merged
+   * into its node where the entity lacks them; other compounds become
+   * chemical nodes of their own. Compound classes (alkaloids, tannins) have
+   * no structure and are skipped.
+   */
+  private transformReferenceCompounds(data: Record<string, unknown>, _slug: string, context: LoaderContext): GraphNode[] {
+    const nodes: GraphNode[] = []
 
-    const slugs = fs.readdirSync(barcodesDir).filter(name => {
-      const entityPath = path.join(barcodesDir, name, 'entity.jsonld')
-      return fs.existsSync(entityPath)
-    })
+    for (const compound of this.toArray(data['@graph']) as Array<Record<string, unknown>>) {
+      if (typeof compound?.['@id'] !== 'string') continue
+      if (!this.toArray(compound['@type']).includes('herbapedia:ChemicalCompound')) continue
+      const slug = this.extractValueFromIRI(compound['@id'])
 
-    for (const slug of slugs) {
-      const entityPath = path.join(barcodesDir, slug, 'entity.jsonld')
+      let chemical: ChemicalNode
       try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const node = this.transformBarcode(data, slug)
-
-        if (node) {
-          this.registry.registerNode(node, NodeType.BARCODE)
-        }
+        chemical = this.buildChemical(compound, slug, (compound.prefLabel ?? compound.name ?? {}) as Record<string, string>)
       } catch (error) {
-        this.addError('load', entityPath, `Failed to load barcode: ${error}`)
+        context.warn(`Skipping reference compound ${slug}: ${error}`)
+        continue
+      }
+
+      const existing = this.registry.chemicals.getBySlug(slug) as unknown as Record<string, unknown> | undefined
+      if (!existing) {
+        nodes.push(chemical)
+        continue
+      }
+      for (const [key, value] of Object.entries(chemical)) {
+        if (!key.startsWith('@') && value !== undefined && existing[key] === undefined) existing[key] = value
       }
     }
+
+    return nodes
   }
 
-  private transformBarcode(data: Record<string, unknown>, slug: string): GraphNode | null {
-    const iri = generateIRI(NodeType.BARCODE, slug)
-    const node: GraphNode = {
+  /**
+   * Build a chemical node from an entity or reference compound, reading the
+   * identifier spellings used in the source data
+   */
+  private buildChemical(data: Record<string, unknown>, slug: string, name: Record<string, string>): ChemicalNode {
+    const builder = new ChemicalNodeBuilder()
+
+    builder
+      .slug(slug)
+      .name(name)
+
+    const formula = data.molecularFormula ?? data.formula
+    const inchi = data.inchi ?? data.inChI
+    const inchiKey = data.inchiKey ?? data.inChIKey
+    const pubchemId = data.pubchemCID ?? data.pubchemId
+
+    if (formula) builder.formula(formula as string)
+    if (data.molecularWeight !== undefined) builder.molecularWeight(Number(data.molecularWeight))
+    if (inchi) builder.inchi(inchi as string)
+    if (inchiKey) builder.inchiKey(inchiKey as string)
+    if (data.smiles) builder.smiles(data.smiles as string)
+    if (data.casNumber) builder.casNumber(data.casNumber as string)
+    if (pubchemId) builder.pubchemId(String(pubchemId))
+
+    return builder.build()
+  }
+
+  // =========================================================================
+  // Barcodes Loading
+  // =========================================================================
+
+  private transformBarcode(data: Record<string, unknown>, slug: string, context: LoaderContext): GraphNode | null {
+    const source = path.relative(this.options.dataRoot, context.filePath)
+    const node: BarcodeNode = {
       '@context': 'https://www.herbapedia.org/schema/context/core.jsonld',
-      '@id': iri,
-      '@type': data['@type'] || ['botany:DNABarcode'],
+      '@id': generateIRI(NodeType.BARCODE, slug),
+      '@type': (data['@type'] as string[]) || ['botany:DNABarcode'],
       slug,
       name: (data.name as Record<string, string>) || {},
+      sequence: [],
     }
 
     if (data.barcodes) {
-      const speciesSlug = this.extractSlugFromRef(data.barcodes)
-      if (speciesSlug) {
-        node.barcodes = { '@id': generateIRI(NodeType.SPECIES, speciesSlug) }
+      const speciesIRI = this.resolveRef(data.barcodes, NodeType.SPECIES)
+      if (speciesIRI) {
+        node.barcodes = { '@id': speciesIRI }
       }
     }
 
-    if (data.sequence) {
-      node.sequence = data.sequence
+    for (const entry of this.toArray(data.sequence) as Array<Record<string, unknown>>) {
+      if (typeof entry?.region !== 'string' || typeof entry.sequence !== 'string') continue
+
+      const sequence: BarcodeSequence = { ...entry, region: entry.region, sequence: entry.sequence, source }
+      if (entry.length !== undefined) sequence.length = Number(entry.length)
+      node.sequence.push(sequence)
     }
 
     return node
   }
 
-  // =========================================================================
-  // Preparations Loading
-  // =========================================================================
-
-  private async loadPreparations(): Promise<void> {
-    if (this.options.verbose) console.log('\n🫙 Loading preparations...')
-
-    const prepDir = path.join(this.options.dataRoot, 'entities', 'preparations')
-    if (!fs.existsSync(prepDir)) {
-      return
+  /**
+   * Transform an extracted DNA reference dataset (media/extracted/dna).
+   * Its loci are merged into the barcode node of the matching species when
+   * one exists; otherwise the dataset becomes a barcode node of its own.
+   */
+  private transformBarcodeDataset(data: Record<string, unknown>, slug: string, context: LoaderContext): GraphNode | null {
+    const source = path.relative(this.options.dataRoot, context.filePath)
+    const datasetSlug = this.extractValueFromIRI(String(data['@id'] ?? slug)).replace(/^dna-/, '')
+    const sourceDocument = (data.sourceDocument ?? data.documentReference) as string | undefined
+
+    // scientificName is either a string or { full, genus, species, author }
+    const rawName = data.scientificName as string | Record<string, string> | undefined
+    const scientificName = typeof rawName === 'string' ? rawName : rawName?.full
+    const displayName = typeof rawName === 'string' || !rawName?.genus
+      ? scientificName
+      : `${rawName.genus} ${rawName.species}`
+    const species = scientificName ? this.findSpeciesByScientificNames([scientificName]) : []
+
+    const sequences: BarcodeSequence[] = []
+    for (const locus of this.toArray(data.loci) as Array<Record<string, unknown>>) {
+      if (typeof locus?.name !== 'string') continue
+
+      const specimenSequences = (this.toArray(locus.sequences) as Array<Record<string, unknown>>)
+        .filter(s => typeof s?.sequence === 'string')
+      const consensus = typeof locus.consensusSequence === 'string'
+        ? locus.consensusSequence
+        : mostCommon(specimenSequences.map(s => s.sequence as string))
+      if (!consensus) continue
+
+      const sequence: BarcodeSequence = { region: locus.name, sequence: consensus, source }
+      sequence.length = typeof locus.sequenceLength === 'number' ? locus.sequenceLength : consensus.length
+      const specimens = locus.specimens ?? specimenSequences.map(s => s.specimenId)
+      if (Array.isArray(specimens) && specimens.length > 0) sequence.specimens = specimens as string[]
+      sequence.specimenCount = typeof locus.specimenCount === 'number' ? locus.specimenCount : sequence.specimens?.length
+      if (sourceDocument) sequence.sourceDocument = sourceDocument
+      sequences.push(sequence)
+    }
+
+    const gcmtiCode = (data.specimen as Record<string, unknown> | undefined)?.gcmtiCode as string | undefined
+
+    // Merge into the barcode node of a matching species
+    const existing = this.registry.barcodes.getAll().find(barcode => {
+      const linked = this.toArray((barcode as unknown as BarcodeNode).barcodes) as IRIReference[]
+      return linked.some(ref => species.includes(ref['@id']))
+    }) as unknown as BarcodeNode | undefined
+
+    if (existing) {
+      const linked = this.toArray(existing.barcodes) as IRIReference[]
+      for (const iri of species) {
+        if (!linked.some(ref => ref['@id'] === iri)) linked.push({ '@id': iri })
+      }
+      existing.barcodes = linked.length === 1 ? linked[0] : linked
+      existing.sequence = [...(existing.sequence ?? []), ...sequences]
+      if (gcmtiCode && !existing.gcmtiCode) existing.gcmtiCode = gcmtiCode
+      return null
     }
 
-    const slugs = fs.readdirSync(prepDir).filter(name => {
-      const entityPath = path.join(prepDir, name, 'entity.jsonld')
-      return fs.existsSync(entityPath)
-    })
-
-    for (const slug of slugs) {
-      const entityPath = path.join(prepDir, slug, 'entity.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const node = this.transformPreparation(data, slug)
+    const node: BarcodeNode = {
+      '@context': 'https://www.herbapedia.org/schema/context/core.jsonld',
+      '@id': generateIRI(NodeType.BARCODE, datasetSlug),
+      '@type': ['botany:DNABarcode', 'schema:Dataset'],
+      slug: datasetSlug,
+      name: scientificName ? { en: `${displayName} DNA Barcode` } : {},
+      sequence: sequences,
+    }
 
-        if (node) {
-          this.registry.registerNode(node, NodeType.PREPARATION)
-        }
-      } catch (error) {
-        this.addError('load', entityPath, `Failed to load preparation: ${error}`)
-      }
+    if (species.length > 0) {
+      node.barcodes = species.length === 1 ? { '@id': species[0] } : species.map(iri => ({ '@id': iri }))
     }
+    if (scientificName) node.scientificName = scientificName
+    if (gcmtiCode) node.gcmtiCode = gcmtiCode
+
+    return node
   }
 
+  // =========================================================================
+  // Preparations Loading
+  // =========================================================================
+
   private transformPreparation(data: Record<string, unknown>, slug: string): GraphNode | null {
     const iri = generateIRI(NodeType.PREPARATION, slug)
     const node: GraphNode = {
@@ -727,8 +1230,7 @@ export class GraphBuilder {
     if (data.derivedFrom) {
       const refs = Array.isArray(data.derivedFrom) ? data.derivedFrom : [data.derivedFrom]
       node.derivedFrom = refs.map((r: Record<string, string>) => {
-        const speciesSlug = this.extractSlugFromRef(r)
-        return { '@id': generateIRI(NodeType.SPECIES, speciesSlug) }
+        return { '@id': this.resolveRef(r, NodeType.SPECIES) }
       })[0]
     }
 
@@ -736,6 +1238,10 @@ export class GraphBuilder {
       node.preparationMethod = data.preparationMethod as string
     }
 
+    if (data.safetyInfo) {
+      (node as PreparationNode).safetyInfo = data.safetyInfo as PreparationNode['safetyInfo']
+    }
+
     return node
   }
 
@@ -743,34 +1249,6 @@ export class GraphBuilder {
   // Formulas Loading
   // =========================================================================
 
-  private async loadFormulas(): Promise<void> {
-    if (this.options.verbose) console.log('\n📜 Loading formulas...')
-
-    const formulaDir = path.join(this.options.dataRoot, 'entities', 'formulas')
-    if (!fs.existsSync(formulaDir)) {
-      return
-    }
-
-    const slugs = fs.readdirSync(formulaDir).filter(name => {
-      const entityPath = path.join(formulaDir, name, 'entity.jsonld')
-      return fs.existsSync(entityPath)
-    })
-
-    for (const slug of slugs) {
-      const entityPath = path.join(formulaDir, slug, 'entity.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(entityPath, 'utf-8'))
-        const node = this.transformFormula(data, slug)
-
-        if (node) {
-          this.registry.registerNode(node, NodeType.FORMULA)
-        }
-      } catch (error) {
-        this.addError('load', entityPath, `Failed to load formula: ${error}`)
-      }
-    }
-  }
-
   private transformFormula(data: Record<string, unknown>, slug: string): GraphNode | null {
     const iri = generateIRI(NodeType.FORMULA, slug)
     const node: GraphNode = {
@@ -789,11 +1267,14 @@ export class GraphBuilder {
       node.description = data.description as Record<string, string>
     }
 
-    if (data.hasIngredient) {
-      const refs = Array.isArray(data.hasIngredient) ? data.hasIngredient : [data.hasIngredient]
-      node.hasIngredient = refs.map((r: Record<string, string>) => {
-        const ingredientSlug = this.extractSlugFromRef(r)
-        return { '@id': generateIRI(NodeType.PREPARATION, ingredientSlug) }
+    // hasIngredients entries wrap the reference with its proportion and role
+    const refs = [
+      ...this.toArray(data.hasIngredient),
+      ...this.toArray(data.hasIngredients).map(entry => (entry as { ingredient?: unknown }).ingredient),
+    ].filter(Boolean)
+    if (refs.length > 0) {
+      node.hasIngredient = refs.map(r => {
+        return { '@id': this.resolveRef(r, NodeType.PREPARATION) }
       })
     }
 
@@ -801,104 +1282,237 @@ export class GraphBuilder {
   }
 
   // =========================================================================
-  // Profile Loading
+  // Analytical Methods Loading
   // =========================================================================
 
-  private async loadTCMProfiles(): Promise<void> {
-    if (this.options.verbose) console.log('\n🩺 Loading TCM profiles...')
+  /**
+   * Transform an extracted chemical-analysis dataset. Datasets covering
+   * several herbs (a `herbs` array) produce one node per herb.
+   */
+  private transformAnalyticalMethods(data: Record<string, unknown>, slug: string): GraphNode[] {
+    const datasetSlug = this.extractValueFromIRI(String(data['@id'] ?? slug)).replace(/^chem-/, '')
 
-    // Load from systems/tcm/herbs/
-    const tcmHerbsDir = path.join(this.options.dataRoot, 'systems', 'tcm', 'herbs')
-    if (fs.existsSync(tcmHerbsDir)) {
-      const slugs = fs.readdirSync(tcmHerbsDir).filter(name => {
-        const profilePath = path.join(tcmHerbsDir, name, 'profile.jsonld')
-        return fs.existsSync(profilePath)
-      })
+    if (!Array.isArray(data.herbs)) {
+      const node = this.transformAnalyticalMethod(data, datasetSlug)
+      return node ? [node] : []
+    }
 
-      for (const slug of slugs) {
-        const profilePath = path.join(tcmHerbsDir, slug, 'profile.jsonld')
-        try {
-          const data = JSON.parse(fs.readFileSync(profilePath, 'utf-8'))
-          const node = this.transformTCMProfile(data, slug)
+    return (data.herbs as Array<Record<string, unknown>>).flatMap((herb, index) => {
+      const herbSlug = typeof herb.latinName === 'string'
+        ? herb.latinName.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+        : `${datasetSlug}-${index + 1}`
+      const node = this.transformAnalyticalMethod({ sourceDocument: data.sourceDocument, ...herb }, herbSlug)
+      return node ? [node] : []
+    })
+  }
 
-          if (node) {
-            this.registry.registerNode(node, NodeType.TCM_PROFILE)
-          }
-        } catch (error) {
-          this.addError('load', profilePath, `Failed to load TCM profile: ${error}`)
-        }
+  private transformAnalyticalMethod(data: Record<string, unknown>, slug: string): GraphNode | null {
+    try {
+      const name: Record<string, string> = {}
+      const english = data.englishName ?? data.latinName ?? data.pinyinName
+      if (typeof english === 'string') name.en = english
+      if (typeof data.chineseName === 'string') name['zh-Hant'] = data.chineseName
+
+      const technique = this.toArray(data.identificationMethod).length > 0
+        ? this.toArray(data.identificationMethod) as string[]
+        : Object.keys(ANALYSIS_SECTIONS).filter(key => data[key]).map(key => ANALYSIS_SECTIONS[key])
+
+      const node: AnalyticalMethodNode = {
+        '@context': 'https://www.herbapedia.org/schema/context/core.jsonld',
+        '@id': generateIRI(NodeType.ANALYTICAL_METHOD, slug),
+        '@type': ['herbapedia:AnalyticalMethod', 'schema:Dataset'],
+        slug,
+        name,
+        technique,
       }
-    }
 
-    // Also load from profiles/tcm/
-    const profilesDir = path.join(this.options.dataRoot, 'profiles', 'tcm')
-    if (fs.existsSync(profilesDir)) {
-      const slugs = fs.readdirSync(profilesDir).filter(name => {
-        const profilePath = path.join(profilesDir, name, 'profile.jsonld')
-        return fs.existsSync(profilePath)
-      })
+      if (data.scientificName) node.scientificName = data.scientificName as string
+      if (data.sourceDocument) node.sourceDocument = data.sourceDocument as string
 
-      for (const slug of slugs) {
-        // Skip if already loaded
-        const iri = generateIRI(NodeType.TCM_PROFILE, slug)
-        if (this.registry.hasNode(iri)) continue
+      const species = this.findSpeciesByScientificNames([
+        data.scientificName,
+        data.alternateScientificName,
+        ...this.toArray(data.sourceSpecies).map(s => (s as Record<string, unknown> | null)?.scientificName),
+      ].filter((n): n is string => typeof n === 'string'))
+      if (species.length > 0) {
+        node.analyzesSpecies = species.map(iri => ({ '@id': iri }))
+      }
 
-        const profilePath = path.join(profilesDir, slug, 'profile.jsonld')
-        try {
-          const data = JSON.parse(fs.readFileSync(profilePath, 'utf-8'))
-          const node = this.transformTCMProfile(data, slug)
+      const compounds = new Set<string>()
+      const chemicalFor = (compound: unknown): IRIReference | undefined => {
+        const iri = typeof compound === 'string' ? this.findChemicalByName(compound) : undefined
+        if (!iri) return undefined
+        compounds.add(iri)
+        return { '@id': iri }
+      }
 
-          if (node) {
-            this.registry.registerNode(node, NodeType.TCM_PROFILE)
-          }
-        } catch (error) {
-          this.addError('load', profilePath, `Failed to load TCM profile: ${error}`)
-        }
+      const referenceCompounds = this.toArray(data.referenceCompounds)
+        .filter((ref): ref is Record<string, unknown> => typeof ref === 'object' && ref !== null && typeof (ref as Record<string, unknown>).name === 'string')
+      if (referenceCompounds.length > 0) {
+        node.referenceCompound = referenceCompounds.map(ref => {
+          const compound: ReferenceCompound = { name: ref.name as string }
+          if (ref.chineseName) compound.chineseName = ref.chineseName as string
+          if (ref.formula) compound.formula = ref.formula as string
+          if (ref.purpose) compound.purpose = this.toArray(ref.purpose) as string[]
+          const chemical = chemicalFor(ref.name)
+          if (chemical) compound.chemical = chemical
+          return compound
+        })
       }
-    }
-  }
 
-  private transformTCMProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
-    try {
-      const builder = new TcmProfileNodeBuilder()
+      const assayLimits = this.transformAssayLimits(data.assayLimits, chemicalFor)
+      if (assayLimits.length > 0) node.assayLimit = assayLimits
 
-      builder
-        .slug(slug)
-        .name((data.name as Record<string, string>) || {})
+      if (compounds.size > 0) {
+        node.analyzesCompound = Array.from(compounds).map(iri => ({ '@id': iri }))
+      }
+
+      if (data.tlcMethod) node.tlcMethod = data.tlcMethod as Record<string, unknown>
+      if (data.hplcFingerprint) node.hplcFingerprint = data.hplcFingerprint as Record<string, unknown>
+      if (data.hplcAssay) node.hplcAssay = data.hplcAssay as Record<string, unknown>
+      if (data.rrtValues) node.rrtValues = data.rrtValues as Array<Record<string, unknown>>
+
+      return node
+    } catch (error) {
+      this.addError('transform', slug, `Failed to transform analytical method: ${error}`)
+      return null
+    }
+  }
+
+  /**
+   * Convert the assayLimits map of a dataset. Free-text notes are skipped;
+   * limits without a percentage keep their text as `requirement`.
+   */
+  private transformAssayLimits(
+    limits: unknown,
+    chemicalFor: (compound: unknown) => IRIReference | undefined
+  ): AssayLimit[] {
+    if (typeof limits !== 'object' || limits === null) return []
+
+    const result: AssayLimit[] = []
+    for (const [key, value] of Object.entries(limits as Record<string, unknown>)) {
+      if (typeof value !== 'object' || value === null) continue
+      const limit = value as Record<string, unknown>
+      const entry: AssayLimit = { key }
+
+      if (typeof limit.compound === 'string') entry.compound = limit.compound
+      if (Array.isArray(limit.compounds)) entry.compounds = limit.compounds as string[]
+      const formula = limit.formula ?? limit.formulas
+      if (formula) entry.formula = Array.isArray(formula) ? formula.join(' + ') : String(formula)
+
+      const minimum = parsePercent(limit.minimumContent)
+      const maximum = parsePercent(limit.maximumContent)
+      if (minimum !== undefined) entry.minimumContent = minimum
+      if (maximum !== undefined) entry.maximumContent = maximum
+      if (typeof limit.basis === 'string') entry.basis = limit.basis
+
+      const requirement = limit.requirement
+        ?? (minimum === undefined ? limit.minimumContent : undefined)
+        ?? (maximum === undefined ? limit.maximumContent : undefined)
+        ?? limit.description
+      if (typeof requirement === 'string' && minimum === undefined && maximum === undefined) {
+        entry.requirement = requirement
+      }
+
+      const chemical = chemicalFor(limit.compound)
+      if (chemical) entry.chemical = chemical
+
+      result.push(entry)
+    }
+    return result
+  }
+
+  /**
+   * Species matching scientific names by binomial. A name may list several
+   * species ("Rheum palmatum L., Rheum tanguticum ...").
+   */
+  private findSpeciesByScientificNames(names: string[]): string[] {
+    if (!this.speciesByBinomial) {
+      this.speciesByBinomial = new Map()
+      for (const species of this.registry.species.getAllAsGraphNodes()) {
+        const { scientificName } = species as { scientificName?: string }
+        const binomial = scientificName ? toBinomial(scientificName) : null
+        if (!binomial) continue
+        const iris = this.speciesByBinomial.get(binomial) ?? []
+        iris.push(species['@id'])
+        this.speciesByBinomial.set(binomial, iris)
+      }
+    }
+
+    const iris = new Set<string>()
+    for (const name of names.flatMap(n => n.split(/[/,;]/))) {
+      const binomial = toBinomial(name)
+      for (const iri of (binomial && this.speciesByBinomial.get(binomial)) || []) {
+        iris.add(iri)
+      }
+    }
+    return Array.from(iris)
+  }
+
+  /**
+   * Chemical node for a compound name, matched against chemical names and slugs
+   */
+  private findChemicalByName(compound: string): string | undefined {
+    if (!this.chemicalsByName) {
+      this.chemicalsByName = new Map()
+      for (const chemical of this.registry.chemicals.getAllAsGraphNodes()) {
+        const { slug, name } = chemical as { slug?: string; name?: Record<string, string> }
+        const names = [slug, ...Object.values(name || {})]
+        for (const name of names) {
+          if (typeof name === 'string' && !this.chemicalsByName.has(normalizeCompoundName(name))) {
+            this.chemicalsByName.set(normalizeCompoundName(name), chemical['@id'])
+          }
+        }
+      }
+    }
+    return this.chemicalsByName.get(normalizeCompoundName(compound))
+  }
+
+  // =========================================================================
+  // Profile Loading
+  // =========================================================================
+
+  private transformTCMProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
+    try {
+      const builder = new TcmProfileNodeBuilder()
+
+      builder
+        .slug(slug)
+        .name((data.name as Record<string, string>) || {})
 
       if (data.pinyin) builder.pinyin(data.pinyin as string)
       if (data.chineseName) builder.chineseName(data.chineseName as Record<string, string>)
 
       // Derivation
       if (data.derivedFromPlant) {
-        const speciesSlug = this.extractSlugFromRef(data.derivedFromPlant)
-        if (speciesSlug) {
-          builder.derivedFrom(generateIRI(NodeType.SPECIES, speciesSlug))
+        const speciesIRI = this.resolveRef(data.derivedFromPlant, NodeType.SPECIES)
+        if (speciesIRI) {
+          builder.derivedFrom(speciesIRI)
         }
       }
 
       // Category
       if (data.hasCategory) {
-        const catValue = this.extractValueFromRef(data.hasCategory)
-        if (catValue) {
-          builder.hasCategory(generateIRI(NodeType.TCM_CATEGORY, catValue))
+        const catIRI = this.resolveRef(data.hasCategory, NodeType.TCM_CATEGORY)
+        if (catIRI) {
+          builder.hasCategory(catIRI)
         }
       }
 
       // Nature
       if (data.hasNature) {
-        const natureValue = this.extractValueFromRef(data.hasNature)
-        if (natureValue) {
-          builder.hasNature(generateIRI(NodeType.TCM_NATURE, natureValue))
+        const natureIRI = this.resolveRef(data.hasNature, NodeType.TCM_NATURE)
+        if (natureIRI) {
+          builder.hasNature(natureIRI)
         }
       }
 
       // Flavors
       if (data.hasFlavor && Array.isArray(data.hasFlavor)) {
         for (const flavor of data.hasFlavor) {
-          const flavorValue = this.extractValueFromRef(flavor)
-          if (flavorValue) {
-            builder.addFlavor(generateIRI(NodeType.TCM_FLAVOR, flavorValue))
+          const flavorIRI = this.resolveRef(flavor, NodeType.TCM_FLAVOR)
+          if (flavorIRI) {
+            builder.addFlavor(flavorIRI)
           }
         }
       }
@@ -906,9 +1520,9 @@ export class GraphBuilder {
       // Meridians
       if (data.entersMeridian && Array.isArray(data.entersMeridian)) {
         for (const meridian of data.entersMeridian) {
-          const meridianValue = this.extractValueFromRef(meridian)
-          if (meridianValue) {
-            builder.addMeridian(generateIRI(NodeType.TCM_MERIDIAN, meridianValue))
+          const meridianIRI = this.resolveRef(meridian, NodeType.TCM_MERIDIAN)
+          if (meridianIRI) {
+            builder.addMeridian(meridianIRI)
           }
         }
       }
@@ -919,6 +1533,10 @@ export class GraphBuilder {
       if (data.tcmModernResearch) builder.tcmModernResearch(data.tcmModernResearch as Record<string, string>)
       if (data.dosage) builder.dosage(data.dosage as Record<string, string>)
       if (data.contraindications) builder.contraindications(data.contraindications as Record<string, string>)
+      // systems/tcm records cautions as tcmSafetyConsideration
+      const cautions = data.cautions || data.tcmSafetyConsideration
+      if (cautions) builder.cautions(cautions as Record<string, string>)
+      if (data.incompatibilities) builder.incompatibilities(data.incompatibilities as Record<string, string>)
 
       // SameAs
       if (data.sameAs && Array.isArray(data.sameAs)) {
@@ -937,34 +1555,6 @@ export class GraphBuilder {
     }
   }
 
-  private async loadAyurvedaProfiles(): Promise<void> {
-    if (this.options.verbose) console.log('\n🕉️ Loading Ayurveda profiles...')
-
-    const ayurvedaDir = path.join(this.options.dataRoot, 'systems', 'ayurveda', 'dravyas')
-    if (!fs.existsSync(ayurvedaDir)) {
-      return
-    }
-
-    const slugs = fs.readdirSync(ayurvedaDir).filter(name => {
-      const profilePath = path.join(ayurvedaDir, name, 'profile.jsonld')
-      return fs.existsSync(profilePath)
-    })
-
-    for (const slug of slugs) {
-      const profilePath = path.join(ayurvedaDir, slug, 'profile.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(profilePath, 'utf-8'))
-        const node = this.transformAyurvedaProfile(data, slug)
-
-        if (node) {
-          this.registry.registerNode(node, NodeType.AYURVEDA_PROFILE)
-        }
-      } catch (error) {
-        this.addError('load', profilePath, `Failed to load Ayurveda profile: ${error}`)
-      }
-    }
-  }
-
   private transformAyurvedaProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
     const iri = generateIRI(NodeType.AYURVEDA_PROFILE, slug)
     const node: GraphNode = {
@@ -979,80 +1569,103 @@ export class GraphBuilder {
       node.sanskritName = data.sanskritName as Record<string, string>
     }
 
-    if (data.derivedFromPlant) {
-      const speciesSlug = this.extractSlugFromRef(data.derivedFromPlant)
-      if (speciesSlug) {
-        node.derivedFrom = { '@id': generateIRI(NodeType.SPECIES, speciesSlug) }
+    // Dravyas name their plant with derivedFrom, profiles/ with derivedFromPlant
+    const plant = data.derivedFromPlant ?? data.derivedFrom
+    if (plant) {
+      const speciesIRI = this.resolveRef(plant, NodeType.SPECIES)
+      if (speciesIRI) {
+        node.derivedFrom = { '@id': speciesIRI }
       }
     }
 
     if (data.hasRasa) {
       const refs = Array.isArray(data.hasRasa) ? data.hasRasa : [data.hasRasa]
       node.hasRasa = refs.map((r: Record<string, string>) => {
-        const value = this.extractSlugFromRef(r)
-        return { '@id': generateIRI(NodeType.AYURVEDA_RASA, value) }
+        return { '@id': this.resolveRef(r, NodeType.AYURVEDA_RASA) }
       })
     }
 
     if (data.hasGuna) {
       const refs = Array.isArray(data.hasGuna) ? data.hasGuna : [data.hasGuna]
       node.hasGuna = refs.map((r: Record<string, string>) => {
-        const value = this.extractSlugFromRef(r)
-        return { '@id': generateIRI(NodeType.AYURVEDA_GUNA, value) }
+        return { '@id': this.resolveRef(r, NodeType.AYURVEDA_GUNA) }
       })
     }
 
     if (data.hasVirya) {
-      const value = this.extractSlugFromRef(data.hasVirya)
-      node.hasVirya = { '@id': generateIRI(NodeType.AYURVEDA_VIRYA, value) }
+      node.hasVirya = { '@id': this.resolveRef(data.hasVirya, NodeType.AYURVEDA_VIRYA) }
     }
 
     if (data.hasVipaka) {
-      const value = this.extractSlugFromRef(data.hasVipaka)
-      node.hasVipaka = { '@id': generateIRI(NodeType.AYURVEDA_VIPAKA, value) }
+      node.hasVipaka = { '@id': this.resolveRef(data.hasVipaka, NodeType.AYURVEDA_VIPAKA) }
     }
 
-    if (data.balancesDosha) {
-      const refs = Array.isArray(data.balancesDosha) ? data.balancesDosha : [data.balancesDosha]
-      node.affectsDosha = refs.map((r: Record<string, string>) => {
-        const value = this.extractSlugFromRef(r)
-        return { '@id': generateIRI(NodeType.AYURVEDA_DOSHA, value) }
-      })
+    const prabhavaIRI = this.resolveVocabRef(data.hasPrabhava, 'ayurveda', 'prabhava')
+    if (prabhavaIRI) {
+      (node as AyurvedaProfileNode).hasPrabhava = { '@id': prabhavaIRI }
     }
 
-    if (data.ayurvedaTraditionalUsage) {
-      node.ayurvedaTraditionalUsage = data.ayurvedaTraditionalUsage as Record<string, string>
+    const categoryIRI = this.resolveVocabRef(data.ayurvedaCategory, 'ayurveda', 'category')
+    if (categoryIRI) {
+      (node as AyurvedaProfileNode).ayurvedaCategory = { '@id': categoryIRI }
     }
 
-    return node
-  }
-
-  private async loadWesternProfiles(): Promise<void> {
-    if (this.options.verbose) console.log('\n💊 Loading Western profiles...')
+    const mahabhutaIRIs = this.toArray(data.mahabhuta)
+      .map(ref => this.resolveVocabRef(ref, 'ayurveda', 'mahabhuta'))
+      .filter((mahabhutaIRI): mahabhutaIRI is string => mahabhutaIRI !== null)
+    if (mahabhutaIRIs.length > 0) {
+      (node as AyurvedaProfileNode).hasMahabhuta = mahabhutaIRIs.map(mahabhutaIRI => ({ '@id': mahabhutaIRI }))
+    }
 
-    const westernDir = path.join(this.options.dataRoot, 'systems', 'western', 'herbs')
-    if (!fs.existsSync(westernDir)) {
-      return
+    // Karma: references to the karma vocabulary, or free text that
+    // KarmaNormalizer matches to it. The text is kept as recorded.
+    const karma: string[] = []
+    const karmaIRIs = new Set<string>()
+    for (const entry of this.toArray(data.karma)) {
+      if (typeof entry === 'string') {
+        karma.push(entry)
+        for (const karmaIRI of this.karmaNormalizer.normalize(entry).karmas) karmaIRIs.add(karmaIRI)
+      } else {
+        const karmaIRI = this.resolveVocabRef(entry, 'ayurveda', 'karma')
+        if (karmaIRI) karmaIRIs.add(karmaIRI)
+      }
+    }
+    if (karma.length > 0) {
+      (node as AyurvedaProfileNode).karma = karma
+    }
+    if (karmaIRIs.size > 0) {
+      (node as AyurvedaProfileNode).hasKarma = Array.from(karmaIRIs, karmaIRI => ({ '@id': karmaIRI }))
     }
 
-    const slugs = fs.readdirSync(westernDir).filter(name => {
-      const profilePath = path.join(westernDir, name, 'profile.jsonld')
-      return fs.existsSync(profilePath)
-    })
+    // Dosha effects: { vata: { effect: 'decreases' }, ... }, or lists of the
+    // doshas a dravya balances (balancesDosha) and aggravates (increasesDosha)
+    const affectsDosha: Record<string, AyurvedaDoshaEffect> = {}
+    if (data.affectsDosha && typeof data.affectsDosha === 'object' && !Array.isArray(data.affectsDosha)) {
+      for (const [dosha, value] of Object.entries(data.affectsDosha as Record<string, unknown>)) {
+        const { effect, notes } = (value ?? {}) as { effect?: unknown; notes?: unknown }
+        if (effect !== 'increases' && effect !== 'decreases' && effect !== 'balances') continue
+        affectsDosha[dosha] = typeof notes === 'string' ? { effect, notes } : { effect }
+      }
+    }
+    for (const [property, effect] of [['balancesDosha', 'balances'], ['increasesDosha', 'increases']] as const) {
+      for (const ref of this.toArray(data[property])) {
+        const doshaIRI = this.resolveRef(ref, NodeType.AYURVEDA_DOSHA)
+        if (doshaIRI) affectsDosha[doshaIRI.split('/').pop()!] = { effect }
+      }
+    }
+    if (Object.keys(affectsDosha).length > 0) {
+      (node as AyurvedaProfileNode).affectsDosha = affectsDosha
+    }
 
-    for (const slug of slugs) {
-      const profilePath = path.join(westernDir, slug, 'profile.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(profilePath, 'utf-8'))
-        const node = this.transformWesternProfile(data, slug)
+    if (data.ayurvedaTraditionalUsage) {
+      node.ayurvedaTraditionalUsage = data.ayurvedaTraditionalUsage as Record<string, string>
+    }
 
-        if (node) {
-          this.registry.registerNode(node, NodeType.WESTERN_PROFILE)
-        }
-      } catch (error) {
-        this.addError('load', profilePath, `Failed to load Western profile: ${error}`)
-      }
+    if (data.contraindications) {
+      (node as AyurvedaProfileNode).contraindications = data.contraindications as Record<string, string>
     }
+
+    return node
   }
 
   private transformWesternProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
@@ -1066,9 +1679,9 @@ export class GraphBuilder {
     }
 
     if (data.derivedFromPlant) {
-      const speciesSlug = this.extractSlugFromRef(data.derivedFromPlant)
-      if (speciesSlug) {
-        node.derivedFrom = { '@id': generateIRI(NodeType.SPECIES, speciesSlug) }
+      const speciesIRI = this.resolveRef(data.derivedFromPlant, NodeType.SPECIES)
+      if (speciesIRI) {
+        node.derivedFrom = { '@id': speciesIRI }
       }
     }
 
@@ -1080,119 +1693,431 @@ export class GraphBuilder {
       node.westernHistory = data.westernHistory as Record<string, string>
     }
 
-    if (data.hasAction) {
-      const refs = Array.isArray(data.hasAction) ? data.hasAction : [data.hasAction]
-      node.hasAction = refs.map((r: Record<string, string>) => ({
-        '@id': `https://www.herbapedia.org/vocab/western/action/${this.extractSlugFromRef(r)}`
-      }))
+    const actions = this.toArray(data.hasAction)
+      .map(r => this.resolveVocabRef(r, 'western', 'action'))
+      .filter((iri): iri is string => iri !== null)
+    if (actions.length > 0) {
+      node.hasAction = actions.map(iri => ({ '@id': iri }))
     }
 
-    if (data.hasOrganAffinity) {
-      const refs = Array.isArray(data.hasOrganAffinity) ? data.hasOrganAffinity : [data.hasOrganAffinity]
-      node.hasOrganAffinity = refs.map((r: Record<string, string>) => ({
-        '@id': `https://www.herbapedia.org/vocab/western/organ/${this.extractSlugFromRef(r)}`
-      }))
+    const organs = this.toArray(data.hasOrganAffinity)
+      .map(r => this.resolveVocabRef(r, 'western', 'organ'))
+      .filter((iri): iri is string => iri !== null)
+    if (organs.length > 0) {
+      node.hasOrganAffinity = organs.map(iri => ({ '@id': iri }))
+    }
+
+    const primaryBodySystem = this.resolveVocabRef(data.primaryBodySystem, 'western', 'system')
+    if (primaryBodySystem) {
+      (node as WesternProfileNode).primaryBodySystem = { '@id': primaryBodySystem }
+    }
+
+    const secondaryBodySystems = this.toArray(data.secondaryBodySystems)
+      .map(r => this.resolveVocabRef(r, 'western', 'system'))
+      .filter((iri): iri is string => iri !== null)
+    if (secondaryBodySystems.length > 0) {
+      (node as WesternProfileNode).secondaryBodySystems = secondaryBodySystems.map(iri => ({ '@id': iri }))
+    }
+
+    if (data.contraindications) {
+      (node as WesternProfileNode).contraindications = data.contraindications as Record<string, string>
+    }
+
+    const interactions = this.toArray(data.drugInteractions)
+      .map(toWesternDrugInteraction)
+      .filter((interaction): interaction is WesternDrugInteraction => interaction !== undefined)
+    if (interactions.length > 0) {
+      (node as WesternProfileNode).drugInteractions = interactions
     }
 
     return node
   }
 
-  private async loadUnaniProfiles(): Promise<void> {
-    if (this.options.verbose) console.log('\n📜 Loading Unani profiles...')
+  private transformUnaniProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
+    try {
+      const builder = new UnaniProfileNodeBuilder()
 
-    const unaniDir = path.join(this.options.dataRoot, 'systems', 'unani')
-    if (!fs.existsSync(unaniDir)) {
-      return
-    }
+      builder
+        .slug(slug)
+        .name((data.name as Record<string, string>) || {})
 
-    // Check for herbs or profiles subdirectory
-    const herbsDir = path.join(unaniDir, 'herbs')
-    const profilesDir = path.join(unaniDir, 'profiles')
+      if (data.unaniName) builder.unaniName(data.unaniName as string)
+      if (data.unaniTransliteration) builder.unaniTransliteration(data.unaniTransliteration as string)
+      if (data.arabicName) builder.arabicName(data.arabicName as string)
 
-    const dataDir = fs.existsSync(herbsDir) ? herbsDir : (fs.existsSync(profilesDir) ? profilesDir : null)
-    if (!dataDir) {
-      return
+      // Derivation
+      if (data.derivedFromPlant) {
+        const speciesIRI = this.resolveRef(data.derivedFromPlant, NodeType.SPECIES)
+        if (speciesIRI) {
+          builder.derivedFrom(speciesIRI)
+        }
+      }
+
+      // Temperament (mizaj) and its degree
+      if (data.hasTemperament) {
+        const temperamentIRI = this.resolveVocabRef(data.hasTemperament, 'unani', 'temperament')
+        if (temperamentIRI) builder.hasTemperament(temperamentIRI)
+      }
+      if (typeof data.temperamentDegree === 'number') {
+        builder.temperamentDegree(data.temperamentDegree)
+      }
+
+      // Elements
+      for (const element of this.toArray(data.hasElement)) {
+        const elementIRI = this.resolveVocabRef(element, 'unani', 'element')
+        if (elementIRI) builder.addElement(elementIRI)
+      }
+
+      for (const action of this.toArray(data.actions)) {
+        if (typeof action === 'string') builder.addAction(action)
+      }
+      for (const indication of this.toArray(data.indications)) {
+        if (typeof indication === 'string') builder.addIndication(indication)
+      }
+
+      // Correctives (musleh) and substitutes (badal)
+      for (const corrective of this.toArray(data.corrective)) {
+        if (typeof corrective === 'string') builder.addCorrective(corrective)
+      }
+      for (const substitute of this.toArray(data.substitute)) {
+        if (typeof substitute === 'string') builder.addSubstitute(substitute)
+      }
+
+      // Text content
+      if (data.unaniFunctions) builder.unaniFunctions(data.unaniFunctions as Record<string, string>)
+      if (data.contraindications) builder.contraindications(data.contraindications as Record<string, string>)
+      if (data.adverseEffects) builder.adverseEffects(data.adverseEffects as Record<string, string>)
+      if (data.dosage) builder.dosage(data.dosage as Record<string, string>)
+      if (data.modernResearch) builder.modernResearch(data.modernResearch as Record<string, string>)
+
+      return builder.build()
+    } catch (error) {
+      this.addError('transform', slug, `Failed to transform Unani profile: ${error}`)
+      return null
     }
+  }
 
-    const slugs = fs.readdirSync(dataDir).filter(name => {
-      const profilePath = path.join(dataDir, name, 'profile.jsonld')
-      return fs.existsSync(profilePath)
-    })
+  private transformMongolianProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
+    try {
+      const builder = new MongolianProfileNodeBuilder()
 
-    for (const slug of slugs) {
-      const profilePath = path.join(dataDir, slug, 'profile.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(profilePath, 'utf-8'))
-        const node = this.transformGenericProfile(data, slug, NodeType.UNANI_PROFILE)
+      builder
+        .slug(slug)
+        .name((data.name as Record<string, string>) || {})
+
+      if (data.mongolianName) builder.mongolianName(data.mongolianName as string)
+      if (data.tibetanName) builder.tibetanName(data.tibetanName as string)
+      if (data.tibetanWylie) builder.tibetanWylie(data.tibetanWylie as string)
 
-        if (node) {
-          this.registry.registerNode(node, NodeType.UNANI_PROFILE)
+      // Derivation
+      if (data.derivedFromPlant) {
+        const speciesIRI = this.resolveRef(data.derivedFromPlant, NodeType.SPECIES)
+        if (speciesIRI) {
+          builder.derivedFrom(speciesIRI)
         }
-      } catch (error) {
-        this.addError('load', profilePath, `Failed to load Unani profile: ${error}`)
       }
+
+      // Elements, tastes and potencies
+      for (const element of this.toArray(data.hasElement)) {
+        const elementIRI = this.resolveVocabRef(element, 'mongolian', 'element')
+        if (elementIRI) builder.addElement(elementIRI)
+      }
+      for (const taste of this.toArray(data.hasTaste)) {
+        const tasteIRI = this.resolveVocabRef(taste, 'mongolian', 'taste')
+        if (tasteIRI) builder.addTaste(tasteIRI)
+      }
+      for (const potency of this.toArray(data.hasPotency)) {
+        const potencyIRI = this.resolveVocabRef(potency, 'mongolian', 'potency')
+        if (potencyIRI) builder.addPotency(potencyIRI)
+      }
+
+      // Three roots: { heyi: { effect: 'decreases' }, ... }
+      if (data.affectsRoots && typeof data.affectsRoots === 'object') {
+        for (const [root, value] of Object.entries(data.affectsRoots as Record<string, unknown>)) {
+          const effect = (value as { effect?: unknown })?.effect
+          if (typeof effect === 'string') builder.affectsRoot(root, effect)
+        }
+      }
+
+      if (data.therapeuticClass) builder.therapeuticClass(data.therapeuticClass as string)
+      for (const indication of this.toArray(data.indications)) {
+        if (typeof indication === 'string') builder.addIndication(indication)
+      }
+
+      // Text content (source data spells it contraIndications)
+      const contraindications = data.contraindications || data.contraIndications
+      if (data.mongolianFunctions) builder.mongolianFunctions(data.mongolianFunctions as Record<string, string>)
+      if (contraindications) builder.contraindications(contraindications as Record<string, string>)
+      if (data.dosage) builder.dosage(data.dosage as Record<string, string>)
+      if (data.modernResearch) builder.modernResearch(data.modernResearch as Record<string, string>)
+
+      return builder.build()
+    } catch (error) {
+      this.addError('transform', slug, `Failed to transform Mongolian profile: ${error}`)
+      return null
     }
   }
 
-  private async loadMongolianProfiles(): Promise<void> {
-    if (this.options.verbose) console.log('\n🏔️ Loading Mongolian profiles...')
+  private transformModernProfile(data: Record<string, unknown>, slug: string): GraphNode | null {
+    try {
+      const builder = new ModernProfileNodeBuilder()
 
-    const mongolianDir = path.join(this.options.dataRoot, 'systems', 'mongolian')
-    if (!fs.existsSync(mongolianDir)) {
-      return
+      builder
+        .slug(slug)
+        .name((data.name as Record<string, string>) || {})
+
+      if (data.inn) builder.inn(data.inn as Record<string, string>)
+
+      // Source material (entity/botanical/species/<slug>)
+      if (data.derivedFromSource) {
+        const sourceIRI = this.resolveRef(data.derivedFromSource, NodeType.SPECIES)
+        if (sourceIRI) {
+          builder.derivedFromSource(sourceIRI)
+        }
+      }
+
+      // Identification
+      if (data.casNumber) builder.casNumber(data.casNumber as string)
+      if (data.unii) builder.unii(data.unii as string)
+      if (data.drugBankId) builder.drugBankId(data.drugBankId as string)
+      if (data.pubChemId) builder.pubChemId(String(data.pubChemId))
+
+      // Regulatory status
+      if (data.fdaStatus) builder.fdaStatus(data.fdaStatus as string)
+      for (const category of this.toArray(data.regulatoryCategory)) {
+        if (typeof category === 'string') builder.addRegulatoryCategory(category)
+      }
+      if (typeof data.classification === 'string') builder.classification(data.classification)
+
+      // Evidence
+      if (data.clinicalEvidence) builder.clinicalEvidence(data.clinicalEvidence as Record<string, string>)
+      if (data.efficacyRating) builder.efficacyRating(data.efficacyRating as string)
+      if (data.evidenceLevel) builder.evidenceLevel(data.evidenceLevel as string)
+
+      // Dosing
+      if (data.rda) builder.rda(data.rda as Record<string, unknown>)
+      if (data.ul) builder.ul(data.ul as Record<string, unknown>)
+      if (data.dosageRange) builder.dosageRange(data.dosageRange as Record<string, string>)
+
+      // Safety
+      for (const interaction of this.toArray(data.drugInteraction)) {
+        if (typeof interaction === 'object' && interaction !== null && 'drug' in interaction) {
+          builder.addDrugInteraction(interaction as ModernDrugInteraction)
+        }
+      }
+      if (data.contraindication) builder.contraindication(data.contraindication as Record<string, string>)
+      if (data.adverseEffect) builder.adverseEffect(data.adverseEffect as Record<string, string>)
+      if (data.pregnancyCategory) builder.pregnancyCategory(data.pregnancyCategory as string)
+      if (data.lactationSafety) builder.lactationSafety(data.lactationSafety as string)
+      if (data.toxicity) builder.toxicity(data.toxicity as Record<string, string>)
+      if (data.mechanismOfAction) builder.mechanismOfAction(data.mechanismOfAction as Record<string, string>)
+
+      for (const indication of this.toArray(data.indication)) {
+        if (typeof indication === 'string') builder.addIndication(indication)
+      }
+      for (const dietarySource of this.toArray(data.dietarySources)) {
+        if (typeof dietarySource === 'string') builder.addDietarySource(dietarySource)
+      }
+      for (const form of this.toArray(data.supplementForms)) {
+        if (typeof form === 'string') builder.addSupplementForm(form)
+      }
+
+      // Provenance: either flat fields or a { source, sourceUrl } record
+      const source = data.source as string | { source?: string; sourceUrl?: string } | undefined
+      if (typeof source === 'string') {
+        builder.source(source)
+      } else if (source?.source) {
+        builder.source(source.source)
+      }
+      const sourceUrl = (data.sourceUrl as string | undefined)
+        ?? (typeof source === 'object' ? source.sourceUrl : undefined)
+      if (sourceUrl) builder.sourceUrl(sourceUrl)
+
+      return builder.build()
+    } catch (error) {
+      this.addError('transform', slug, `Failed to transform modern profile: ${error}`)
+      return null
     }
+  }
 
-    // Check for herbs or profiles subdirectory
-    const herbsDir = path.join(mongolianDir, 'herbs')
-    const profilesDir = path.join(mongolianDir, 'profiles')
+  // =========================================================================
+  // Source Files & Incremental Builds
+  // =========================================================================
 
-    const dataDir = fs.existsSync(herbsDir) ? herbsDir : (fs.existsSync(profilesDir) ? profilesDir : null)
-    if (!dataDir) {
-      return
+  private isIncremental(): boolean {
+    return !!this.options.previousManifest && (this.options.sinceTimestamp ?? 0) > 0
+  }
+
+  /**
+   * Read source files through the limiter of the build, which keeps at
+   * most `concurrency` reads in flight across all loaders, then hand them
+   * to `handle` one by one in the given order.
+   *
+   * Loaders run concurrently, but each waits for the loaders started before
+   * it to finish registering, so nodes always register in the same order.
+   */
+  private async loadSources(
+    filePaths: string[],
+    limit: Limiter,
+    handle: (source: SourceFile, index: number) => void,
+    reload = false
+  ): Promise<void> {
+    const previousTurn = this.registrationTurn
+    let release!: () => void
+    this.registrationTurn = new Promise(resolve => { release = resolve })
+
+    try {
+      const sources = await this.readSources(filePaths, limit, reload)
+      await previousTurn
+      sources.forEach(handle)
+    } finally {
+      release()
     }
+  }
 
-    const slugs = fs.readdirSync(dataDir).filter(name => {
-      const profilePath = path.join(dataDir, name, 'profile.jsonld')
-      return fs.existsSync(profilePath)
-    })
+  private readSources(filePaths: string[], limit: Limiter, reload: boolean): Promise<SourceFile[]> {
+    return Promise.all(filePaths.map(filePath => limit(() => this.readSourceFile(filePath, reload))))
+  }
 
-    for (const slug of slugs) {
-      const profilePath = path.join(dataDir, slug, 'profile.jsonld')
-      try {
-        const data = JSON.parse(fs.readFileSync(profilePath, 'utf-8'))
-        const node = this.transformGenericProfile(data, slug, NodeType.MONGOLIAN_PROFILE)
+  /**
+   * Read a source file without parsing it.
+   * In incremental builds a file not modified since the cutoff is not read at all,
+   * unless it must be reloaded. Read errors are kept on the result and thrown
+   * by openSource().
+   */
+  private async readSourceFile(filePath: string, reload = false): Promise<SourceFile> {
+    const relPath = path.relative(this.options.dataRoot, filePath)
+    const previous = this.isIncremental() ? this.options.previousManifest!.getFile(relPath) : undefined
 
-        if (node) {
-          this.registry.registerNode(node, NodeType.MONGOLIAN_PROFILE)
-        }
-      } catch (error) {
-        this.addError('load', profilePath, `Failed to load Mongolian profile: ${error}`)
+    try {
+      const { mtimeMs: mtime } = await statFile(filePath)
+      if (previous && !reload && mtime <= this.options.sinceTimestamp!) {
+        return { filePath, relPath, mtime, previous }
       }
+
+      const content = await readFile(filePath, 'utf-8')
+      return { filePath, relPath, mtime, previous, content, hash: hashContent(content), reload }
+    } catch (error) {
+      return { filePath, relPath, mtime: 0, error }
     }
   }
 
-  private transformGenericProfile(data: Record<string, unknown>, slug: string, nodeType: NodeTypeValue): GraphNode | null {
-    const iri = generateIRI(nodeType, slug)
-    const node: GraphNode = {
-      '@context': 'https://www.herbapedia.org/schema/context/core.jsonld',
-      '@id': iri,
-      '@type': data['@type'] || ['herbapedia:HerbProfile'],
-      slug,
-      name: (data.name as Record<string, string>) || {},
+  /**
+   * Parse a source file and record it in the build manifest.
+   * In incremental builds an unchanged file is not transformed again:
+   * its nodes are restored from the previous manifest and null is returned.
+   * Reloaded files are transformed again but only count as changed if
+   * their content changed.
+   */
+  private openSource(source: SourceFile): any | null {
+    const { relPath, mtime, previous, content, hash } = source
+    if (source.error) throw source.error
+
+    // Not modified since the cutoff, or touched with identical content
+    if (previous && !source.reload && (content === undefined || previous.hash === hash)) {
+      this.restoreSource(relPath, previous, mtime)
+      return null
     }
 
-    if (data.derivedFromPlant) {
-      const speciesSlug = this.extractSlugFromRef(data.derivedFromPlant)
-      if (speciesSlug) {
-        node.derivedFrom = { '@id': generateIRI(NodeType.SPECIES, speciesSlug) }
+    const data = JSON.parse(content!)
+    this.validateSource(relPath, data)
+
+    if (previous) {
+      for (const iri of previous.nodes) this.changedIRIs.add(iri)
+    }
+    if (previous?.hash !== hash) {
+      this.changedFiles.push(relPath)
+    }
+    this.currentSource = relPath
+    this.manifest.setFile(relPath, { mtime, hash: hash!, nodes: [] })
+    return data
+  }
+
+  /**
+   * Register the nodes a source file produced in the previous build
+   */
+  private restoreSource(relPath: string, entry: ManifestFileEntry, mtime: number): void {
+    const previous = this.options.previousManifest!
+    this.currentSource = undefined
+    this.manifest.setFile(relPath, { ...entry, mtime, nodes: [...entry.nodes] })
+    this.reusedFiles++
+
+    for (const iri of entry.nodes) {
+      const cached = previous.getNode(iri)
+      if (!cached) continue
+
+      this.registry.registerNode(cached.data, cached.nodeType, cached.sourceIRI)
+      this.nodeSources.set(iri, { nodeType: cached.nodeType, sourceIRI: cached.sourceIRI })
+      this.restoredRefs.set(iri, cached.refs)
+    }
+  }
+
+  /**
+   * Register a node produced from the current source file
+   */
+  private registerNode(node: GraphNode, nodeType: NodeTypeValue, sourceIRI?: string): void {
+    if (!this.registry.registerNode(node, nodeType, sourceIRI)) return
+
+    const iri = node['@id']
+    this.nodeSources.set(iri, { nodeType, sourceIRI })
+    if (this.currentSource) {
+      this.manifest.getFile(this.currentSource)?.nodes.push(iri)
+      this.changedIRIs.add(iri)
+    }
+  }
+
+  /**
+   * Compare against the previous manifest: find deleted source files and
+   * the nodes that disappeared with them or with changed files.
+   */
+  private collectIncrementalChanges(): IncrementalBuildSummary {
+    const previous = this.options.previousManifest!
+    const removedFiles: string[] = []
+    const candidates: string[] = []
+
+    for (const relPath of previous.listFiles()) {
+      const entry = previous.getFile(relPath)!
+      if (!this.manifest.getFile(relPath)) {
+        removedFiles.push(relPath)
+        candidates.push(...entry.nodes)
+      } else if (this.changedFiles.includes(relPath)) {
+        candidates.push(...entry.nodes)
       }
     }
 
-    if (data.description) {
-      node.description = data.description as Record<string, string>
+    const removedNodes = candidates.filter(iri => !this.registry.hasNode(iri))
+    for (const iri of removedNodes) this.changedIRIs.add(iri)
+
+    return {
+      changedFiles: [...this.changedFiles],
+      removedFiles,
+      reusedFiles: this.reusedFiles,
+      removedNodes,
     }
+  }
 
-    return node
+  /**
+   * Store every node with its resolved references in the new manifest.
+   * Files that failed to load are left out so the next build retries them.
+   */
+  private recordManifestNodes(): void {
+    for (const relPath of this.failedSources) {
+      this.manifest.removeFile(relPath)
+    }
+
+    for (const relPath of this.manifest.listFiles()) {
+      for (const iri of this.manifest.getFile(relPath)!.nodes) {
+        const source = this.nodeSources.get(iri)
+        const data = this.registry.getNode(iri)
+        if (!source || !data) continue
+
+        const refs = this.registry.resolver.getOutgoingReferences(iri).map(ref => ({
+          iri: ref,
+          resolved: this.registry.hasNode(ref),
+        }))
+        this.manifest.setNode(iri, { ...source, data, refs })
+      }
+    }
   }
 
   // =========================================================================
@@ -1202,10 +2127,23 @@ export class GraphBuilder {
   private resolveReferences(): void {
     if (this.options.verbose) console.log('\n🔗 Resolving references...')
 
-    // Register all references from all nodes
+    // Register all references from all nodes. Nodes restored by an
+    // incremental build reuse their cached references unless one of them
+    // points at a node that was added, changed or removed.
     const allNodes = this.registry.getAllNodes()
     for (const node of allNodes) {
-      this.registry.registerReferences(node)
+      const iri = node['@id']
+      const cachedRefs = this.restoredRefs.get(iri)
+      const affected = !cachedRefs
+        || cachedRefs.some(ref => this.changedIRIs.has(this.registry.resolveIRI(ref.iri)))
+
+      if (affected) {
+        this.registry.registerReferences(node)
+      } else {
+        for (const ref of cachedRefs) {
+          this.registry.resolver.addReference(iri, ref.iri, ref.resolved)
+        }
+      }
     }
 
     // Check for unresolved references
@@ -1226,34 +2164,134 @@ export class GraphBuilder {
   private validateGraph(): void {
     if (this.options.verbose) console.log('\n✅ Validating graph...')
 
-    // Validate each node type
-    // This will be expanded with SHACL validation
-  }
+    const chemicals = new ChemicalValidator(this.registry).validate()
+    this.addValidationIssues('chemical', chemicals.issues)
+    if (this.options.verbose) {
+      console.log(`  Checked identifiers of ${chemicals.totalNodes} chemicals`)
+    }
 
-  // =========================================================================
-  // Helper Methods
-  // =========================================================================
+    const safetyFile = path.join(this.options.dataRoot, 'systems', 'tcm', 'reference', 'formula-safety.jsonld')
+    if (fs.existsSync(safetyFile)) {
+      try {
+        const formulas = new TcmFormulaValidator(this.registry, safetyFile).validate()
+        this.addValidationIssues('tcm-formula', formulas.issues)
+        if (this.options.verbose) {
+          console.log(`  Checked ingredients of ${formulas.totalNodes} formulas`)
+        }
+      } catch (error) {
+        this.addError('validate', safetyFile, `Failed to load TCM formula safety data: ${error}`)
+      }
+    }
 
-  private extractSlugFromRef(ref: unknown): string | null {
-    if (typeof ref === 'string') {
-      return ref.split('/').pop() || null
+    const ayurvedaReferenceDir = path.join(this.options.dataRoot, 'systems', 'ayurveda', 'reference')
+    if (fs.existsSync(path.join(ayurvedaReferenceDir, 'rasas.jsonld'))) {
+      try {
+        const dravyas = new DoshaValidator(this.registry, ayurvedaReferenceDir).validate()
+        this.addValidationIssues('dosha', dravyas.issues)
+        if (this.options.verbose) {
+          console.log(`  Checked dosha effects of ${dravyas.totalNodes} dravyas`)
+        }
+      } catch (error) {
+        this.addError('validate', ayurvedaReferenceDir, `Failed to load Ayurveda dosha rules: ${error}`)
+      }
     }
-    if (typeof ref === 'object' && ref !== null && '@id' in ref) {
-      const id = (ref as { '@id': string })['@id']
-      return id.split('/').pop() || null
+
+    const shapesDir = path.join(this.options.dataRoot, 'schema', 'shapes')
+    if (!fs.existsSync(shapesDir)) {
+      this.addWarning('shacl', shapesDir, 'Shapes directory not found')
+      return
+    }
+
+    let validator: ShaclValidator
+    try {
+      validator = new ShaclValidator(this.registry, shapesDir)
+    } catch (error) {
+      this.addError('validate', shapesDir, `Failed to load SHACL shapes: ${error}`)
+      return
+    }
+
+    const result = validator.validate()
+    const issues = this.options.lenient
+      ? result.issues.map(issue => (
+        issue.type === 'shacl-min-count' && issue.severity === 'error' ? { ...issue, severity: 'warning' as const } : issue
+      ))
+      : result.issues
+    this.addValidationIssues('shacl', issues)
+
+    if (this.options.verbose) {
+      console.log(`  Checked ${result.totalNodes} nodes against ${validator.listShapes().length} shapes`)
     }
-    return null
   }
 
-  private extractValueFromRef(ref: unknown): string | null {
-    if (typeof ref === 'string') {
-      return ref.split('/').pop() || null
+  /**
+   * Load the JSON Schemas that source documents are checked against
+   */
+  private loadSourceSchemas(): SchemaValidator | undefined {
+    const jsonSchemaDir = path.join(this.options.dataRoot, 'schema', 'json-schema')
+    if (!fs.existsSync(jsonSchemaDir)) return undefined
+
+    try {
+      const validator = new SchemaValidator(this.registry, undefined, jsonSchemaDir)
+      return validator.hasJsonSchemas() ? validator : undefined
+    } catch (error) {
+      this.addError('validate', jsonSchemaDir, `Failed to load JSON Schemas: ${error}`)
+      return undefined
     }
-    if (typeof ref === 'object' && ref !== null && '@id' in ref) {
-      const id = (ref as { '@id': string })['@id']
-      return id.split('/').pop() || null
+  }
+
+  /**
+   * Check a parsed source document, and the members of its @graph or
+   * members list, against the JSON Schemas before it is transformed.
+   * Documents are identified by their source @id, or else by their path.
+   */
+  private validateSource(relPath: string, data: unknown): void {
+    if (!this.sourceSchemas || !data || typeof data !== 'object') return
+
+    const document = data as Record<string, unknown>
+    const members = document['@graph'] ?? document.members
+    for (const entry of [document, ...(Array.isArray(members) ? members : [])]) {
+      if (!entry || typeof entry !== 'object') continue
+      const id = typeof entry['@id'] === 'string' ? entry['@id'] : relPath
+      this.addValidationIssues('json-schema', this.sourceSchemas.validateDocument(entry, id).issues)
     }
-    return null
+  }
+
+  private addValidationIssues(type: ValidationWarningType, issues: ValidationIssue[]): void {
+    for (const issue of issues) {
+      const origin = issue.context?.shape ?? (issue.context?.schema && path.basename(String(issue.context.schema)))
+      const message = origin ? `${issue.message} [${origin}]` : issue.message
+      if (issue.severity === 'error') {
+        this.addError('validate', issue.nodeIri, message, issue)
+      } else if (issue.severity === 'warning') {
+        this.addWarning(type, issue.nodeIri, message)
+      }
+    }
+  }
+
+  // =========================================================================
+  // Helper Methods
+  // =========================================================================
+
+  /**
+   * Resolve a reference to its canonical graph IRI.
+   * Source IRIs are mapped by namespace, so an entity/botanical/part reference
+   * stays a part even where a species is expected. Bare slugs and unknown
+   * namespaces fall back to the expected node type.
+   */
+  private resolveRef(ref: unknown, nodeType: NodeTypeValue): string | null {
+    const id = this.extractIdFromRef(ref)
+    if (!id) return null
+    return this.registry.iris.resolve(id)?.iri ?? generateIRI(nodeType, this.extractValueFromIRI(id))
+  }
+
+  /**
+   * Resolve a reference to a vocabulary term that has no graph node type yet
+   */
+  private resolveVocabRef(ref: unknown, system: string, vocabType: string): string | null {
+    const id = this.extractIdFromRef(ref)
+    if (!id) return null
+    return this.registry.iris.resolve(id)?.iri
+      ?? `${GRAPH_BASE}vocab/${system}/${vocabType}/${this.extractValueFromIRI(id)}`
   }
 
   private extractIdFromRef(ref: unknown): string | null {
@@ -1266,12 +2304,20 @@ export class GraphBuilder {
     return null
   }
 
+  private toArray(value: unknown): unknown[] {
+    if (value === undefined || value === null) return []
+    return Array.isArray(value) ? value : [value]
+  }
+
   private extractValueFromIRI(iri: string): string {
     return iri.split('/').pop() || iri
   }
 
   private addError(type: BuildError['type'], source: string, message: string, details?: unknown): void {
     this.errors.push({ type, source, message, details })
+    if (this.currentSource && (type === 'load' || type === 'transform')) {
+      this.failedSources.add(this.currentSource)
+    }
     if (this.options.verbose) {
       console.error(`  ❌ [${type}] ${source}: ${message}`)
     }
@@ -0,0 +1,435 @@
+/**
+ * BarcodeMatcher - Offline DNA barcode identification
+ *
+ * Matches an unknown sequence (an rbcL, matK, ITS2, ... read) against the
+ * sequences of every barcode node and ranks the candidate species:
+ * - A k-mer prefilter picks the reference sequences sharing the most k-mers
+ * - Each candidate is aligned with Smith-Waterman (affine gaps, both strands)
+ * - Hits are grouped per species and ranked by alignment score
+ * - A confidence flag reflects how far the top hit is ahead of the second
+ *
+ * @example
+ * ```typescript
+ * const matcher = new BarcodeMatcher(registry)
+ * const result = matcher.identify(read, { region: 'ITS2' })
+ *
+ * console.log(result.confidence) // 'high' | 'ambiguous' | 'low' | 'none'
+ * console.log(result.matches[0].scientificName, result.matches[0].identity)
+ * ```
+ */
+
+import type {
+  BarcodeNode,
+  BarcodeSequence,
+  IRIReference,
+  LanguageMap,
+} from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+
+/**
+ * Alignment scoring (defaults are the blastn defaults)
+ */
+export interface AlignmentScoring {
+  match: number
+  mismatch: number
+  gapOpen: number
+  gapExtend: number
+}
+
+/**
+ * Options for identify()
+ */
+export interface IdentifyOptions {
+  /** Only compare against sequences of this region (case-insensitive) */
+  region?: string
+  /** Maximum number of ranked species (default 10) */
+  limit?: number
+  /** Number of prefiltered reference sequences to align (default 25) */
+  candidates?: number
+  /** Minimum percent identity for a 'high' confidence result (default 97) */
+  minIdentity?: number
+  /** Minimum percent query coverage for a 'high' confidence result (default 80) */
+  minCoverage?: number
+  /** Minimum identity lead of the top species over the second (default 1) */
+  minGap?: number
+}
+
+/**
+ * Confidence of an identification:
+ * - high: the top hit is close enough and clearly ahead of the second
+ * - ambiguous: the top two species are within minGap of each other
+ * - low: the top hit is below minIdentity or minCoverage
+ * - none: no reference sequence matched
+ */
+export type IdentificationConfidence = 'high' | 'ambiguous' | 'low' | 'none'
+
+/**
+ * Best alignment of the query against one species
+ */
+export interface BarcodeMatch {
+  /** Barcode node the matching sequence belongs to */
+  barcode: string
+  /** Species identified by the barcode node (may be empty for unlinked datasets) */
+  species: IRIReference[]
+  scientificName?: string
+  name: LanguageMap
+  region: string
+  /** Percent identity over the aligned columns */
+  identity: number
+  /** Percent of the query covered by the alignment */
+  coverage: number
+  /** Smith-Waterman score */
+  score: number
+  alignmentLength: number
+  /** Whether the query matched as its reverse complement */
+  reverseComplement: boolean
+  genbankAccession?: string
+  /** Source file of the matching sequence */
+  source: string
+}
+
+/**
+ * Result of identify()
+ */
+export interface IdentificationResult {
+  /** Species ranked by alignment score */
+  matches: BarcodeMatch[]
+  confidence: IdentificationConfidence
+  /** Identity lead of the top species over the second, in percentage points */
+  gap: number
+}
+
+/**
+ * A sequence from a FASTA file
+ */
+export interface FastaRecord {
+  id: string
+  description: string
+  sequence: string
+}
+
+interface Alignment {
+  score: number
+  matches: number
+  length: number
+  queryStart: number
+  queryEnd: number
+}
+
+interface Reference {
+  barcode: BarcodeNode
+  sequence: BarcodeSequence
+  /** Normalized sequence */
+  bases: string
+  kmers: Set<string>
+}
+
+const DEFAULT_SCORING: AlignmentScoring = { match: 2, mismatch: -3, gapOpen: 5, gapExtend: 2 }
+const KMER_SIZE = 8
+const NEG = -1e9
+const N = 'N'.charCodeAt(0)
+
+// Traceback flags: bits 0-1 hold the source of H, bits 2-3 whether E/F extended a gap
+const FROM_STOP = 0
+const FROM_DIAGONAL = 1
+const FROM_E = 2
+const FROM_F = 3
+const E_EXTENDED = 4
+const F_EXTENDED = 8
+
+const COMPLEMENT: Record<string, string> = { A: 'T', T: 'A', C: 'G', G: 'C' }
+
+/**
+ * Matches DNA sequences against the barcode nodes of a registry
+ */
+export class BarcodeMatcher {
+  private registry: GraphRegistry
+  private scoring: AlignmentScoring
+  private references: Reference[] | null = null
+
+  constructor(registry: GraphRegistry, scoring: Partial<AlignmentScoring> = {}) {
+    this.registry = registry
+    this.scoring = { ...DEFAULT_SCORING, ...scoring }
+  }
+
+  /**
+   * Identify the species of a sequence
+   */
+  identify(query: string, options: IdentifyOptions = {}): IdentificationResult {
+    const {
+      region,
+      limit = 10,
+      candidates = 25,
+      minIdentity = 97,
+      minCoverage = 80,
+      minGap = 1,
+    } = options
+
+    const forward = normalizeSequence(query)
+    const reverse = reverseComplement(forward)
+    if (forward.length < KMER_SIZE) {
+      return { matches: [], confidence: 'none', gap: 0 }
+    }
+
+    const wanted = region?.toLowerCase()
+    const references = this.getReferences()
+      .filter(ref => !wanted || ref.sequence.region.toLowerCase() === wanted)
+
+    // Prefilter: reference sequences sharing the most k-mers with either strand
+    const forwardKmers = kmerSet(forward)
+    const reverseKmers = kmerSet(reverse)
+    const shortlist = references
+      .map(ref => ({ ref, shared: Math.max(countShared(forwardKmers, ref.kmers), countShared(reverseKmers, ref.kmers)) }))
+      .filter(entry => entry.shared > 0)
+      .sort((a, b) => b.shared - a.shared)
+      .slice(0, candidates)
+
+    // Align, keeping the best hit per species
+    const best = new Map<string, BarcodeMatch>()
+    for (const { ref } of shortlist) {
+      const forwardHit = this.align(forward, ref.bases)
+      const reverseHit = this.align(reverse, ref.bases)
+      const isReverse = reverseHit.score > forwardHit.score
+      const hit = isReverse ? reverseHit : forwardHit
+      if (hit.length === 0) continue
+
+      const match: BarcodeMatch = {
+        barcode: ref.barcode['@id'],
+        species: toReferences(ref.barcode.barcodes),
+        name: ref.barcode.name ?? {},
+        region: ref.sequence.region,
+        identity: round(100 * hit.matches / hit.length),
+        coverage: round(100 * (hit.queryEnd - hit.queryStart) / forward.length),
+        score: hit.score,
+        alignmentLength: hit.length,
+        reverseComplement: isReverse,
+        source: ref.sequence.source,
+      }
+      if (ref.barcode.scientificName) match.scientificName = ref.barcode.scientificName
+      if (ref.sequence.genbankAccession) match.genbankAccession = ref.sequence.genbankAccession
+
+      const key = match.species.length > 0 ? match.species.map(s => s['@id']).sort().join(' ') : match.barcode
+      const current = best.get(key)
+      if (!current || match.score > current.score) {
+        best.set(key, match)
+      }
+    }
+
+    const matches = Array.from(best.values())
+      .sort((a, b) => b.score - a.score || b.identity - a.identity)
+
+    if (matches.length === 0) {
+      return { matches: [], confidence: 'none', gap: 0 }
+    }
+
+    const [top, second] = matches
+    const gap = round(top.identity - (second?.identity ?? 0))
+    const confidence: IdentificationConfidence =
+      top.identity < minIdentity || top.coverage < minCoverage ? 'low'
+        : gap < minGap ? 'ambiguous'
+          : 'high'
+
+    return { matches: matches.slice(0, limit), confidence, gap }
+  }
+
+  /**
+   * Local alignment (Smith-Waterman with affine gaps) of a query against a reference
+   */
+  align(query: string, reference: string): Alignment {
+    const { match, mismatch, gapOpen, gapExtend } = this.scoring
+    const n = query.length
+    const m = reference.length
+    const cols = m + 1
+    const openCost = gapOpen + gapExtend
+
+    const traceback = new Uint8Array((n + 1) * cols)
+    let prevH = new Int32Array(cols)
+    let currH = new Int32Array(cols)
+    const prevF = new Int32Array(cols).fill(NEG)
+    let bestScore = 0
+    let bestI = 0
+    let bestJ = 0
+
+    for (let i = 1; i <= n; i++) {
+      const q = query.charCodeAt(i - 1)
+      let e: number = NEG
+      currH[0] = 0
+
+      for (let j = 1; j <= m; j++) {
+        let flags = 0
+
+        // E: gap in the query (consumes the reference)
+        const eOpen = currH[j - 1] - openCost
+        const eExtend = e - gapExtend
+        if (eExtend > eOpen) {
+          e = eExtend
+          flags |= E_EXTENDED
+        } else {
+          e = eOpen
+        }
+
+        // F: gap in the reference (consumes the query)
+        const fOpen = prevH[j] - openCost
+        const fExtend = prevF[j] - gapExtend
+        let f: number
+        if (fExtend > fOpen) {
+          f = fExtend
+          flags |= F_EXTENDED
+        } else {
+          f = fOpen
+        }
+        prevF[j] = f
+
+        const r = reference.charCodeAt(j - 1)
+        const diagonal = prevH[j - 1] + (q === r && q !== N ? match : mismatch)
+
+        let h = 0
+        let from = FROM_STOP
+        if (diagonal > h) { h = diagonal; from = FROM_DIAGONAL }
+        if (e > h) { h = e; from = FROM_E }
+        if (f > h) { h = f; from = FROM_F }
+
+        currH[j] = h
+        traceback[i * cols + j] = flags | from
+
+        if (h > bestScore) {
+          bestScore = h
+          bestI = i
+          bestJ = j
+        }
+      }
+
+      const swap = prevH
+      prevH = currH
+      currH = swap
+    }
+
+    // Trace back from the best cell to count matches and aligned columns
+    let i = bestI
+    let j = bestJ
+    let state = FROM_DIAGONAL
+    let matches = 0
+    let length = 0
+
+    while (i > 0 && j > 0) {
+      const flags = traceback[i * cols + j]
+
+      if (state === FROM_E) {
+        length++
+        j--
+        if (!(flags & E_EXTENDED)) state = FROM_DIAGONAL
+        continue
+      }
+      if (state === FROM_F) {
+        length++
+        i--
+        if (!(flags & F_EXTENDED)) state = FROM_DIAGONAL
+        continue
+      }
+
+      const from = flags & 3
+      if (from === FROM_STOP) break
+      if (from === FROM_DIAGONAL) {
+        if (query.charCodeAt(i - 1) === reference.charCodeAt(j - 1) && query[i - 1] !== 'N') matches++
+        length++
+        i--
+        j--
+      } else {
+        state = from
+      }
+    }
+
+    return { score: bestScore, matches, length, queryStart: i, queryEnd: bestI }
+  }
+
+  /**
+   * Normalized reference sequences with their k-mers, built on first use
+   */
+  private getReferences(): Reference[] {
+    if (!this.references) {
+      this.references = []
+      for (const barcode of this.registry.barcodes.getAll() as unknown as BarcodeNode[]) {
+        for (const sequence of barcode.sequence ?? []) {
+          const bases = normalizeSequence(sequence.sequence)
+          if (bases.length < KMER_SIZE) continue
+          this.references.push({ barcode, sequence, bases, kmers: kmerSet(bases) })
+        }
+      }
+    }
+    return this.references
+  }
+}
+
+/**
+ * Parse FASTA text. Text without a header line is read as a single sequence.
+ */
+export function parseFasta(text: string): FastaRecord[] {
+  const records: FastaRecord[] = []
+  let current: FastaRecord | null = null
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim()
+    if (!line || line.startsWith(';')) continue
+
+    if (line.startsWith('>')) {
+      const header = line.slice(1).trim()
+      const [id = '', ...rest] = header.split(/\s+/)
+      current = { id, description: rest.join(' '), sequence: '' }
+      records.push(current)
+      continue
+    }
+
+    if (!current) {
+      current = { id: 'query', description: '', sequence: '' }
+      records.push(current)
+    }
+    current.sequence += line
+  }
+
+  return records.map(record => ({ ...record, sequence: normalizeSequence(record.sequence) }))
+}
+
+/**
+ * Upper-case a sequence, map U to T and any other non-ACGT letter to N
+ */
+function normalizeSequence(sequence: string): string {
+  return sequence
+    .toUpperCase()
+    .replace(/[^A-Z]/g, '')
+    .replace(/U/g, 'T')
+    .replace(/[^ACGT]/g, 'N')
+}
+
+function reverseComplement(sequence: string): string {
+  let result = ''
+  for (let i = sequence.length - 1; i >= 0; i--) {
+    result += COMPLEMENT[sequence[i]] ?? 'N'
+  }
+  return result
+}
+
+function kmerSet(sequence: string): Set<string> {
+  const kmers = new Set<string>()
+  for (let i = 0; i + KMER_SIZE <= sequence.length; i++) {
+    const kmer = sequence.slice(i, i + KMER_SIZE)
+    if (!kmer.includes('N')) kmers.add(kmer)
+  }
+  return kmers
+}
+
+function countShared(query: Set<string>, reference: Set<string>): number {
+  let shared = 0
+  for (const kmer of query) {
+    if (reference.has(kmer)) shared++
+  }
+  return shared
+}
+
+function toReferences(value: IRIReference | IRIReference[] | undefined): IRIReference[] {
+  if (!value) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function round(value: number): number {
+  return Math.round(value * 10) / 10
+}
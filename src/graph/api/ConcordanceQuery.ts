@@ -0,0 +1,330 @@
+/**
+ * ConcordanceQuery - Cross-system view of the profiles of one plant
+ *
+ * Aligns the TCM, Ayurveda, Unani and Mongolian profiles of a species on
+ * shared concepts:
+ * - Thermal nature: TCM nature ↔ Ayurveda virya ↔ Unani temperament ↔
+ *   Mongolian potency
+ * - Taste: TCM flavor ↔ Ayurveda rasa ↔ Mongolian taste
+ *
+ * The correspondences come from a curated crosswalk (systems/crosswalk.jsonld).
+ * Thermal values of opposite degree (TCM "cool" against a heating virya) are
+ * flagged as disagreements; values the crosswalk does not know are reported
+ * as unmapped.
+ *
+ * @example
+ * ```typescript
+ * const concordance = new ConcordanceQuery(registry, path.join(dataRoot, 'systems/crosswalk.jsonld'))
+ * const ginger = concordance.compare('ginger')
+ *
+ * ginger.axes.thermal.rows     // [{ concept: 'heating', systems: { tcm: ['hot'], unani: ['hot-dry'], ... } }]
+ * ginger.axes.thermal.agreement // 'agree'
+ * ginger.disagreements         // []
+ * ```
+ */
+
+import fs from 'fs'
+import type { GraphNode, IRIReference, LanguageMap, MedicalSystemValue } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import { GraphQuery } from './GraphQuery.js'
+
+/**
+ * A dimension on which systems are compared (thermal nature, taste)
+ */
+export interface CrosswalkAxis {
+  axis: string
+  name: LanguageMap
+  /** A profile has a single value on the axis, so concepts of opposite degree disagree */
+  exclusive: boolean
+  /** Profile property holding the axis values, by system */
+  properties: Partial<Record<MedicalSystemValue, string>>
+  /** Systems whose property also holds values of other kinds; their unmatched values are ignored */
+  mixedProperties: MedicalSystemValue[]
+}
+
+/**
+ * A shared concept and the values of each system that it stands for
+ */
+export interface CrosswalkConcept {
+  '@id': string
+  axis: string
+  value: string
+  name: LanguageMap
+  /** Position on an exclusive axis (heating 1, neutral 0, cooling -1) */
+  degree?: number
+  matches: Partial<Record<MedicalSystemValue, string[]>>
+}
+
+/**
+ * A profile value on an axis, with the concept it maps to
+ */
+export interface ConcordanceValue {
+  system: MedicalSystemValue
+  /** Profile IRI */
+  profile: string
+  /** Vocabulary value, the last segment of the referenced IRI */
+  value: string
+  /** Crosswalk concept value, undefined if unmapped */
+  concept?: string
+}
+
+/**
+ * One concept of an axis, with the values of each system mapped to it
+ */
+export interface ConcordanceRow {
+  concept: string
+  name: LanguageMap
+  degree?: number
+  systems: Partial<Record<MedicalSystemValue, string[]>>
+}
+
+/**
+ * How well the systems agree on an axis:
+ * - agree: all systems map to the same concepts
+ * - partial: some concepts differ (neutral against heating, or tastes
+ *   listed by only some systems)
+ * - disagree: opposite thermal degrees
+ * - insufficient: fewer than two systems have mapped values
+ */
+export type ConcordanceAgreement = 'agree' | 'partial' | 'disagree' | 'insufficient'
+
+/**
+ * Aligned view of one axis
+ */
+export interface ConcordanceAxis {
+  axis: string
+  name: LanguageMap
+  rows: ConcordanceRow[]
+  /** Systems with at least one mapped value */
+  systems: MedicalSystemValue[]
+  unmapped: ConcordanceValue[]
+  agreement: ConcordanceAgreement
+}
+
+/**
+ * Two values of different systems that contradict each other
+ */
+export interface ConcordanceDisagreement {
+  axis: string
+  values: [ConcordanceValue, ConcordanceValue]
+  /** e.g. "tcm cool (cooling) vs ayurveda ushna (heating)" */
+  message: string
+}
+
+/**
+ * Cross-system concordance of a species
+ */
+export interface Concordance {
+  species: string
+  /** IRIs of the compared profiles */
+  profiles: string[]
+  axes: Record<string, ConcordanceAxis>
+  disagreements: ConcordanceDisagreement[]
+}
+
+/**
+ * Query API for comparing the profiles of a species across medical systems
+ */
+export class ConcordanceQuery {
+  private registry: GraphRegistry
+  private query: GraphQuery
+  private axes: CrosswalkAxis[] = []
+  private concepts: CrosswalkConcept[] = []
+
+  constructor(registry: GraphRegistry, crosswalkFile?: string) {
+    this.registry = registry
+    this.query = new GraphQuery(registry)
+    if (crosswalkFile) {
+      this.loadCrosswalkFile(crosswalkFile)
+    }
+  }
+
+  /**
+   * Load the crosswalk from a JSON-LD file
+   */
+  loadCrosswalkFile(crosswalkFile: string): void {
+    this.loadCrosswalk(JSON.parse(fs.readFileSync(crosswalkFile, 'utf-8')) as Record<string, unknown>)
+  }
+
+  /**
+   * Load the crosswalk from parsed JSON-LD, replacing any loaded before
+   *
+   * @throws Error if an axis or concept lacks its axis name, or a concept
+   *   refers to an unknown axis
+   */
+  loadCrosswalk(data: Record<string, unknown>): void {
+    const axes = toArray(data.axes).map(entry => {
+      const axis = entry as Record<string, unknown>
+      if (typeof axis.axis !== 'string') {
+        throw new Error(`Crosswalk axis without an "axis" name: ${JSON.stringify(axis['@id'] ?? axis)}`)
+      }
+      return {
+        axis: axis.axis,
+        name: (axis.name as LanguageMap) ?? {},
+        exclusive: axis.exclusive === true,
+        properties: (axis.properties as CrosswalkAxis['properties']) ?? {},
+        mixedProperties: toArray(axis.mixedProperties) as MedicalSystemValue[],
+      }
+    })
+
+    const concepts = toArray(data.members).map(entry => {
+      const concept = entry as Record<string, unknown>
+      if (typeof concept.value !== 'string' || !axes.some(axis => axis.axis === concept.axis)) {
+        throw new Error(`Crosswalk concept ${String(concept['@id'])} needs a value and a known axis`)
+      }
+      return {
+        '@id': String(concept['@id']),
+        axis: concept.axis as string,
+        value: concept.value,
+        name: (concept.name as LanguageMap) ?? {},
+        degree: typeof concept.degree === 'number' ? concept.degree : undefined,
+        matches: (concept.matches as CrosswalkConcept['matches']) ?? {},
+      }
+    })
+
+    this.axes = axes
+    this.concepts = concepts
+  }
+
+  /**
+   * The loaded axes
+   */
+  getAxes(): CrosswalkAxis[] {
+    return this.axes
+  }
+
+  /**
+   * The crosswalk concept of a system's value on an axis. Values are compared
+   * case-insensitively and without diacritics ("kaṭu" matches "katu").
+   */
+  mapValue(axis: string, system: MedicalSystemValue, value: string): CrosswalkConcept | undefined {
+    const wanted = normalizeValue(value)
+    return this.concepts.find(concept =>
+      concept.axis === axis && (concept.matches[system] ?? []).some(match => normalizeValue(match) === wanted)
+    )
+  }
+
+  /**
+   * Compare the profiles of a species across systems
+   *
+   * @throws Error if no crosswalk is loaded
+   */
+  compare(speciesSlug: string): Concordance {
+    if (this.axes.length === 0) {
+      throw new Error('No crosswalk loaded')
+    }
+
+    const profiles = this.query.findProfilesForSpecies(speciesSlug)
+    const concordance: Concordance = {
+      species: speciesSlug,
+      profiles: profiles.map(profile => profile['@id']),
+      axes: {},
+      disagreements: [],
+    }
+
+    for (const axis of this.axes) {
+      const values = this.collectValues(axis, profiles)
+      const mapped = values.filter(value => value.concept !== undefined)
+      const systems = [...new Set(mapped.map(value => value.system))]
+
+      const rows: ConcordanceRow[] = []
+      for (const concept of this.concepts.filter(c => c.axis === axis.axis)) {
+        const matching = mapped.filter(value => value.concept === concept.value)
+        if (matching.length === 0) continue
+
+        const row: ConcordanceRow = { concept: concept.value, name: concept.name, systems: {} }
+        if (concept.degree !== undefined) row.degree = concept.degree
+        for (const value of matching) {
+          const list = row.systems[value.system] ?? (row.systems[value.system] = [])
+          if (!list.includes(value.value)) list.push(value.value)
+        }
+        rows.push(row)
+      }
+
+      const disagreements = axis.exclusive ? this.findDisagreements(axis.axis, mapped) : []
+      concordance.disagreements.push(...disagreements)
+      concordance.axes[axis.axis] = {
+        axis: axis.axis,
+        name: axis.name,
+        rows,
+        systems,
+        unmapped: values.filter(value => value.concept === undefined),
+        agreement: agreementOf(rows, systems, disagreements.length > 0),
+      }
+    }
+
+    return concordance
+  }
+
+  /**
+   * Values of the axis property of each profile, mapped to concepts
+   */
+  private collectValues(axis: CrosswalkAxis, profiles: GraphNode[]): ConcordanceValue[] {
+    const values: ConcordanceValue[] = []
+
+    for (const profile of profiles) {
+      const system = this.systemOf(profile['@id'])
+      const property = system ? axis.properties[system] : undefined
+      if (!system || !property) continue
+
+      for (const ref of toArray((profile as unknown as Record<string, unknown>)[property])) {
+        const iri = typeof ref === 'string' ? ref : (ref as IRIReference)?.['@id']
+        if (typeof iri !== 'string') continue
+
+        const value = iri.split('/').pop() || iri
+        const concept = this.mapValue(axis.axis, system, value)
+        if (!concept && axis.mixedProperties.includes(system)) continue
+        values.push({ system, profile: profile['@id'], value, concept: concept?.value })
+      }
+    }
+
+    return values
+  }
+
+  /**
+   * Pairs of values from different systems with thermal degrees of opposite sign
+   */
+  private findDisagreements(axis: string, values: ConcordanceValue[]): ConcordanceDisagreement[] {
+    const degreeOf = (value: ConcordanceValue) =>
+      this.concepts.find(concept => concept.axis === axis && concept.value === value.concept)?.degree ?? 0
+
+    const disagreements: ConcordanceDisagreement[] = []
+    values.forEach((a, i) => {
+      for (const b of values.slice(i + 1)) {
+        if (a.system === b.system || degreeOf(a) * degreeOf(b) >= 0) continue
+        disagreements.push({
+          axis,
+          values: [a, b],
+          message: `${a.system} ${a.value} (${a.concept}) vs ${b.system} ${b.value} (${b.concept})`,
+        })
+      }
+    })
+    return disagreements
+  }
+
+  /**
+   * The medical system of a profile IRI
+   */
+  private systemOf(iri: string): MedicalSystemValue | undefined {
+    const systems = Object.keys(this.registry.profiles) as MedicalSystemValue[]
+    return systems.find(system => this.registry.profiles[system].has(iri))
+  }
+}
+
+/**
+ * Agreement of an axis from its rows and the systems with mapped values
+ */
+function agreementOf(rows: ConcordanceRow[], systems: MedicalSystemValue[], disagree: boolean): ConcordanceAgreement {
+  if (systems.length < 2) return 'insufficient'
+  if (disagree) return 'disagree'
+  return rows.every(row => systems.every(system => row.systems[system])) ? 'agree' : 'partial'
+}
+
+function normalizeValue(value: string): string {
+  return value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase()
+}
+
+function toArray(value: unknown): unknown[] {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
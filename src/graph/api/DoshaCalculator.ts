@@ -0,0 +1,383 @@
+/**
+ * DoshaCalculator - Dosha effects of dravyas and their combinations
+ *
+ * Predicts how a dravya moves vata, pitta and kapha from its rasas, gunas,
+ * virya and vipaka, using the effectOnDoshas rules of the reference data
+ * (systems/ayurveda/reference/{rasas,gunas,viryas,vipakas}.jsonld). Each
+ * property votes increases (+1) or decreases (-1) for every dosha, weighted
+ * by RULE_WEIGHTS: virya counts double and each guna half. The score is the
+ * weighted mean, from -1 to 1.
+ *
+ * The prediction is compared with the effects stored on the profile
+ * (affectsDosha); a stored effect opposite to the prediction is a
+ * disagreement. DoshaValidator reports disagreements as warnings.
+ *
+ * @example
+ * ```typescript
+ * const calculator = new DoshaCalculator(registry, path.join(dataRoot, 'systems/ayurveda/reference'))
+ * const report = calculator.calculate('ashwagandha')
+ *
+ * report.doshas.vata        // { score: -0.17, predicted: 'decreases', stored: 'decreases' }
+ * calculator.calculateCombination(['pippali', 'maricha', 'shunthi']).doshas.kapha.effect // 'decreases'
+ * ```
+ */
+
+import fs from 'fs'
+import path from 'path'
+import type { GraphNode, IRIReference } from '../types.js'
+import type { AyurvedaDoshaEffect } from '../nodes/ProfileNodes.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+
+export type DoshaName = 'vata' | 'pitta' | 'kapha'
+
+export type DoshaDirection = 'increases' | 'decreases'
+
+/**
+ * Property of a dravya that the rules cover
+ */
+export type DoshaRuleKind = 'rasa' | 'guna' | 'virya' | 'vipaka'
+
+/**
+ * A reference value (a rasa, guna, virya or vipaka) and its effect on the doshas
+ */
+export interface DoshaRule {
+  '@id': string
+  kind: DoshaRuleKind
+  /** Value of the reference data, the last segment of its IRI */
+  value: string
+  effects: Record<DoshaName, DoshaDirection>
+}
+
+/**
+ * A property of a dravya matched to its rule
+ */
+export interface DoshaContribution {
+  kind: DoshaRuleKind
+  /** Value as referenced by the profile (katu, ushna) */
+  value: string
+  /** Matched reference value (pungent, heating) */
+  rule: string
+  weight: number
+  effects: Record<DoshaName, DoshaDirection>
+}
+
+/**
+ * Predicted and stored effect of a dravya on one dosha
+ */
+export interface DoshaEstimate {
+  /** Weighted rule score from -1 (decreases) to 1 (increases), 0 without rules */
+  score: number
+  /** Direction of the score, undefined if it is 0 */
+  predicted?: DoshaDirection
+  /** Effect stored on the profile (affectsDosha) */
+  stored?: AyurvedaDoshaEffect['effect']
+}
+
+/**
+ * A stored effect opposite to the predicted one
+ */
+export interface DoshaDisagreement {
+  dosha: DoshaName
+  stored: AyurvedaDoshaEffect['effect']
+  predicted: DoshaDirection
+  score: number
+  message: string
+}
+
+/**
+ * Dosha effects of a single dravya
+ */
+export interface DravyaDoshaReport {
+  /** Profile slug */
+  dravya: string
+  /** Profile IRI */
+  profile: string
+  doshas: Record<DoshaName, DoshaEstimate>
+  contributions: DoshaContribution[]
+  /** Referenced values without a rule, as kind/value (guna/sara) */
+  unmatched: string[]
+  disagreements: DoshaDisagreement[]
+}
+
+/**
+ * A dravya of a combination and its share
+ */
+export interface DravyaPortion {
+  dravya: string
+  /** Relative amount, 1 if omitted */
+  proportion?: number
+}
+
+/**
+ * Summed dosha effects of a combination of dravyas
+ */
+export interface CombinationDoshaReport {
+  dravyas: DravyaDoshaReport[]
+  /**
+   * Proportion-weighted sum of the dravya effects, with proportions
+   * normalized to fractions. A dravya counts with its stored effect (±1)
+   * where recorded, else with its rule score.
+   */
+  doshas: Record<DoshaName, { score: number; effect?: DoshaDirection }>
+  /** Dravya slugs without an Ayurveda profile */
+  unresolved: string[]
+}
+
+export const DOSHAS: DoshaName[] = ['vata', 'pitta', 'kapha']
+
+/**
+ * Weight of one value of each property in the score
+ */
+export const RULE_WEIGHTS: Record<DoshaRuleKind, number> = { rasa: 1, guna: 0.5, virya: 2, vipaka: 1 }
+
+/** Reference files of each rule kind */
+const RULE_FILES: Record<DoshaRuleKind, string> = {
+  rasa: 'rasas.jsonld',
+  guna: 'gunas.jsonld',
+  virya: 'viryas.jsonld',
+  vipaka: 'vipakas.jsonld',
+}
+
+/** Profile property holding each kind */
+const RULE_PROPERTIES: Record<DoshaRuleKind, string> = {
+  rasa: 'hasRasa',
+  guna: 'hasGuna',
+  virya: 'hasVirya',
+  vipaka: 'hasVipaka',
+}
+
+/**
+ * Calculator for the dosha effects of Ayurveda profiles
+ */
+export class DoshaCalculator {
+  private registry: GraphRegistry
+  /** Kind -> normalized English or Sanskrit name -> rule */
+  private rules = new Map<DoshaRuleKind, Map<string, DoshaRule>>()
+
+  constructor(registry: GraphRegistry, referenceDir?: string) {
+    this.registry = registry
+    if (referenceDir) {
+      this.loadReferenceDirectory(referenceDir)
+    }
+  }
+
+  /**
+   * Whether any rules are loaded
+   */
+  hasRules(): boolean {
+    return this.rules.size > 0
+  }
+
+  /**
+   * Load the rules of all kinds from the reference directory
+   * (systems/ayurveda/reference)
+   */
+  loadReferenceDirectory(referenceDir: string): void {
+    for (const [kind, file] of Object.entries(RULE_FILES) as Array<[DoshaRuleKind, string]>) {
+      const data = JSON.parse(fs.readFileSync(path.join(referenceDir, file), 'utf-8')) as Record<string, unknown>
+      this.loadRules(kind, data)
+    }
+  }
+
+  /**
+   * Load the rules of one kind from parsed JSON-LD, replacing any loaded
+   * before for that kind
+   *
+   * @throws Error if a member lacks effectOnDoshas or names an unknown
+   *   dosha or effect
+   */
+  loadRules(kind: DoshaRuleKind, data: Record<string, unknown>): void {
+    const rules = new Map<string, DoshaRule>()
+
+    for (const entry of toArray(data.members)) {
+      const member = entry as Record<string, unknown>
+      const id = String(member['@id'])
+      const effectOnDoshas = member.effectOnDoshas as Record<string, unknown> | undefined
+      if (!effectOnDoshas || typeof effectOnDoshas !== 'object') {
+        throw new Error(`${kind} ${id} has no effectOnDoshas`)
+      }
+
+      const effects = {} as Record<DoshaName, DoshaDirection>
+      for (const [dosha, effect] of Object.entries(effectOnDoshas)) {
+        if (!DOSHAS.includes(dosha as DoshaName)) {
+          throw new Error(`Unknown dosha ${dosha} in ${kind} ${id}`)
+        }
+        if (effect !== 'increases' && effect !== 'decreases') {
+          throw new Error(`Unknown dosha effect ${String(effect)} for ${dosha} in ${kind} ${id}`)
+        }
+        effects[dosha as DoshaName] = effect
+      }
+
+      const rule: DoshaRule = { '@id': id, kind, value: lastSegment(id), effects }
+      for (const name of [rule.value, member.englishName, member.sanskritTransliteration]) {
+        const key = typeof name === 'string' ? normalizeTerm(name) : ''
+        if (key) rules.set(key, rule)
+      }
+    }
+
+    this.rules.set(kind, rules)
+  }
+
+  /**
+   * The rule of a rasa, guna, virya or vipaka, by English or transliterated
+   * Sanskrit name (pungent, katu, Kaṭu)
+   */
+  resolveRule(kind: DoshaRuleKind, value: string): DoshaRule | undefined {
+    return this.rules.get(kind)?.get(normalizeTerm(value))
+  }
+
+  /**
+   * Dosha effects of an Ayurveda profile
+   *
+   * @throws Error if the profile does not exist
+   */
+  calculate(dravyaSlug: string): DravyaDoshaReport {
+    const profile = this.registry.profiles.ayurveda.getBySlug(dravyaSlug)
+    if (!profile) {
+      throw new Error(`Ayurveda profile ${dravyaSlug} not found`)
+    }
+    return this.calculateProfile(profile as GraphNode)
+  }
+
+  /**
+   * Summed dosha effects of a combination. Dravyas are slugs, or slugs with
+   * their proportion.
+   */
+  calculateCombination(dravyas: Array<string | DravyaPortion>): CombinationDoshaReport {
+    const report: CombinationDoshaReport = {
+      dravyas: [],
+      doshas: { vata: { score: 0 }, pitta: { score: 0 }, kapha: { score: 0 } },
+      unresolved: [],
+    }
+
+    const portions: Array<{ report: DravyaDoshaReport; proportion: number }> = []
+    for (const entry of dravyas) {
+      const { dravya, proportion = 1 } = typeof entry === 'string' ? { dravya: entry } : entry
+      const profile = this.registry.profiles.ayurveda.getBySlug(dravya)
+      if (!profile) {
+        report.unresolved.push(dravya)
+        continue
+      }
+      const dravyaReport = this.calculateProfile(profile as GraphNode)
+      report.dravyas.push(dravyaReport)
+      portions.push({ report: dravyaReport, proportion })
+    }
+
+    const total = portions.reduce((sum, portion) => sum + portion.proportion, 0)
+    if (total <= 0) return report
+
+    for (const dosha of DOSHAS) {
+      const score = round(portions.reduce((sum, { report: dravya, proportion }) =>
+        sum + (proportion / total) * effectiveValue(dravya.doshas[dosha]), 0))
+      report.doshas[dosha] = directionOf(score) ? { score, effect: directionOf(score) } : { score }
+    }
+    return report
+  }
+
+  /**
+   * Dosha effects of an Ayurveda profile node
+   */
+  calculateProfile(profile: GraphNode): DravyaDoshaReport {
+    const data = profile as unknown as Record<string, unknown>
+    const slug = String(data.slug ?? lastSegment(profile['@id']))
+    const report: DravyaDoshaReport = {
+      dravya: slug,
+      profile: profile['@id'],
+      doshas: { vata: { score: 0 }, pitta: { score: 0 }, kapha: { score: 0 } },
+      contributions: [],
+      unmatched: [],
+      disagreements: [],
+    }
+
+    for (const kind of Object.keys(RULE_PROPERTIES) as DoshaRuleKind[]) {
+      for (const ref of toArray(data[RULE_PROPERTIES[kind]])) {
+        const iri = typeof ref === 'string' ? ref : (ref as IRIReference)?.['@id']
+        if (typeof iri !== 'string') continue
+        const value = lastSegment(iri)
+        const rule = this.resolveRule(kind, value)
+        if (!rule) {
+          report.unmatched.push(`${kind}/${value}`)
+          continue
+        }
+        report.contributions.push({ kind, value, rule: rule.value, weight: RULE_WEIGHTS[kind], effects: rule.effects })
+      }
+    }
+
+    const stored = (data.affectsDosha ?? {}) as Record<string, AyurvedaDoshaEffect | undefined>
+    for (const dosha of DOSHAS) {
+      let sum = 0
+      let weights = 0
+      for (const contribution of report.contributions) {
+        const effect = contribution.effects[dosha]
+        if (!effect) continue
+        sum += contribution.weight * (effect === 'increases' ? 1 : -1)
+        weights += contribution.weight
+      }
+
+      const estimate: DoshaEstimate = { score: weights > 0 ? round(sum / weights) : 0 }
+      const predicted = directionOf(estimate.score)
+      if (predicted) estimate.predicted = predicted
+      const storedEffect = stored[dosha]?.effect
+      if (storedEffect) estimate.stored = storedEffect
+      report.doshas[dosha] = estimate
+
+      if (predicted && storedEffect && directionOf(storedValue(storedEffect)) !== predicted) {
+        report.disagreements.push({
+          dosha,
+          stored: storedEffect,
+          predicted,
+          score: estimate.score,
+          message: `${slug}: affectsDosha says it ${storedEffect} ${dosha}, ` +
+            `its rasa, guna, virya and vipaka predict it ${predicted} ${dosha} (score ${estimate.score})`,
+        })
+      }
+    }
+
+    return report
+  }
+}
+
+/**
+ * Value of a stored effect: 'balances' pacifies the dosha like 'decreases'
+ */
+function storedValue(effect: AyurvedaDoshaEffect['effect']): number {
+  return effect === 'increases' ? 1 : -1
+}
+
+/**
+ * Value of a dravya in a combination: its stored effect, else its score
+ */
+function effectiveValue(estimate: DoshaEstimate): number {
+  return estimate.stored ? storedValue(estimate.stored) : estimate.score
+}
+
+function directionOf(score: number): DoshaDirection | undefined {
+  if (score > 0) return 'increases'
+  if (score < 0) return 'decreases'
+  return undefined
+}
+
+function round(value: number): number {
+  return Math.round(value * 100) / 100
+}
+
+function lastSegment(iri: string): string {
+  return iri.split(/[/#]/).pop() ?? iri
+}
+
+/**
+ * Lower case ASCII, with ś and ṣ spelled sh (Śīta → shita, Tīkṣṇa → tikshna)
+ */
+function normalizeTerm(value: string): string {
+  return value
+    .replace(/[śṣŚṢ]/g, 'sh')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+}
+
+function toArray(value: unknown): unknown[] {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
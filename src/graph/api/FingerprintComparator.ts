@@ -0,0 +1,538 @@
+/**
+ * FingerprintComparator - HPLC fingerprint comparison against monograph peaks
+ *
+ * Compares the peak list of a sample chromatogram with the characteristic
+ * peaks (`rrtValues`) of an analytical method node:
+ * - Each marker peak is located in the sample (by label, a given retention
+ *   time, or the candidate that explains the most characteristic peaks)
+ * - The other peaks are aligned to their marker's RRT within the monograph's
+ *   acceptable range
+ * - With a reference chromatogram run alongside, the similarity is the
+ *   congruence coefficient (cosine) of the aligned peak areas of sample and
+ *   reference. Monographs give no peak areas, so there is no similarity
+ *   without a reference.
+ * - The result passes when enough characteristic peaks are found and, with a
+ *   reference, the similarity reaches the threshold and the marker retention
+ *   times agree with the reference
+ *
+ * @example
+ * ```typescript
+ * const comparator = new FingerprintComparator(registry)
+ * const sample = parsePeakTable(fs.readFileSync('sample.csv', 'utf-8'))
+ * const reference = parsePeakTable(fs.readFileSync('reference.csv', 'utf-8'))
+ * const result = comparator.compare(sample, 'radix-ginseng', { reference })
+ *
+ * console.log(result.passed, result.similarity, result.missing.map(p => p.compound))
+ * ```
+ */
+
+import type { AnalyticalMethodNode } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+
+/**
+ * A peak of a measured chromatogram
+ */
+export interface ChromatogramPeak {
+  /** Retention time (minutes) */
+  rt: number
+  area: number
+  /** Peak name, if the integration software assigned one */
+  label?: string
+}
+
+/**
+ * A characteristic peak of a monograph fingerprint
+ */
+export interface CharacteristicPeak {
+  peakNumber: number
+  compound?: string
+  /** Relative retention time to the marker peak */
+  rrt: number
+  /** Acceptable RRT deviation (absolute) */
+  tolerance: number
+  /** Whether this is a marker peak (RRT 1.0) */
+  marker: boolean
+  /** Marker compound the RRT is relative to */
+  referenceTo: string
+}
+
+/**
+ * Identification criteria of a fingerprint
+ */
+export interface FingerprintCriteria {
+  /** Number of characteristic peaks the sample must show */
+  requiredPeaks: number
+  /** Maximum marker retention time difference to the reference, in percent */
+  retentionTimeTolerance?: number
+  /** Minimum similarity */
+  minSimilarity: number
+}
+
+/**
+ * A characteristic peak found in the sample
+ */
+export interface PeakMatch {
+  peakNumber: number
+  compound?: string
+  marker: boolean
+  expectedRrt: number
+  rt: number
+  rrt: number
+  area: number
+  /** Observed minus expected RRT */
+  deviation: number
+}
+
+/**
+ * Options for compare()
+ */
+export interface FingerprintOptions {
+  /** Peak set of monographs with several (e.g. per-species) fingerprints; default: best match */
+  variant?: string
+  /** Reference chromatogram run with the sample; needed for the similarity and marker RT checks */
+  reference?: ChromatogramPeak[]
+  /** Sample retention times of marker compounds, by compound name */
+  markers?: Record<string, number>
+  /** Minimum similarity for a pass (default 0.9) */
+  minSimilarity?: number
+  /** RRT tolerance for peaks without an acceptable range (default 0.03) */
+  rrtTolerance?: number
+}
+
+/**
+ * Result of compare()
+ */
+export interface FingerprintComparison {
+  /** Analytical method IRI */
+  method: string
+  variant?: string
+  matched: PeakMatch[]
+  missing: CharacteristicPeak[]
+  /** Congruence coefficient of the peak areas of sample and reference (0-1), if a reference was given */
+  similarity?: number
+  criteria: FingerprintCriteria
+  passed: boolean
+  /** Why the comparison failed */
+  failures: string[]
+}
+
+interface Alignment {
+  matched: PeakMatch[]
+  missing: CharacteristicPeak[]
+  /** Sample retention time of each located marker, by normalized name */
+  markerRts: Map<string, number>
+}
+
+const DEFAULT_MIN_SIMILARITY = 0.9
+const DEFAULT_RRT_TOLERANCE = 0.03
+
+/**
+ * Compares sample chromatograms with the fingerprints of analytical method nodes
+ */
+export class FingerprintComparator {
+  private registry: GraphRegistry
+
+  constructor(registry: GraphRegistry) {
+    this.registry = registry
+  }
+
+  /**
+   * Compare a sample peak list with the fingerprint of an analytical method
+   *
+   * @param method - Analytical method node or slug
+   */
+  compare(
+    sample: ChromatogramPeak[],
+    method: AnalyticalMethodNode | string,
+    options: FingerprintOptions = {}
+  ): FingerprintComparison {
+    const node = this.resolveMethod(method)
+    const variants = this.getVariants(node, options)
+
+    const results = variants.map(([variant, peaks]) => this.compareVariant(sample, node, variant, peaks, options))
+    const [best] = results.sort((a, b) =>
+      Number(b.passed) - Number(a.passed) ||
+      b.matched.length - a.matched.length ||
+      (b.similarity ?? 0) - (a.similarity ?? 0)
+    )
+    return best
+  }
+
+  /**
+   * Characteristic peaks of an analytical method
+   *
+   * @param variant - Peak set of monographs with several fingerprints (e.g. "paeoniaLactiflora")
+   */
+  getCharacteristicPeaks(
+    method: AnalyticalMethodNode | string,
+    variant?: string,
+    rrtTolerance = DEFAULT_RRT_TOLERANCE
+  ): CharacteristicPeak[] {
+    const node = this.resolveMethod(method)
+    const found = this.getVariants(node, { variant, rrtTolerance })
+    return found[0]?.[1] ?? []
+  }
+
+  /**
+   * Identification criteria of an analytical method's fingerprint
+   */
+  getCriteria(method: AnalyticalMethodNode | string, peakCount: number, minSimilarity = DEFAULT_MIN_SIMILARITY): FingerprintCriteria {
+    const node = this.resolveMethod(method)
+    const criteria = (node.hplcFingerprint?.identificationCriteria ?? {}) as Record<string, unknown>
+
+    const required = firstNumber(criteria.characteristicPeaks) ?? firstNumber(criteria.criteria)
+    const result: FingerprintCriteria = {
+      requiredPeaks: required !== undefined ? Math.min(required, peakCount) : peakCount,
+      minSimilarity,
+    }
+    const tolerance = firstNumber(criteria.retentionTimeTolerance)
+    if (tolerance !== undefined) result.retentionTimeTolerance = tolerance
+    return result
+  }
+
+  private compareVariant(
+    sample: ChromatogramPeak[],
+    node: AnalyticalMethodNode,
+    variant: string | undefined,
+    peaks: CharacteristicPeak[],
+    options: FingerprintOptions
+  ): FingerprintComparison {
+    const criteria = this.getCriteria(node, peaks.length, options.minSimilarity)
+    const alignment = this.align(sample, peaks, options.markers)
+    const failures: string[] = []
+
+    let similarity: number | undefined
+    if (options.reference) {
+      const reference = this.align(options.reference, peaks)
+      const sampleAreas = new Map(alignment.matched.map(m => [m.peakNumber, m.area]))
+      const referenceAreas = new Map(reference.matched.map(m => [m.peakNumber, m.area]))
+      similarity = round(congruence(
+        peaks.map(p => referenceAreas.get(p.peakNumber) ?? 0),
+        peaks.map(p => sampleAreas.get(p.peakNumber) ?? 0)
+      ), 4)
+
+      if (criteria.retentionTimeTolerance !== undefined) {
+        for (const [marker, referenceRt] of reference.markerRts) {
+          const sampleRt = alignment.markerRts.get(marker)
+          if (sampleRt === undefined) continue
+          const difference = 100 * Math.abs(sampleRt - referenceRt) / referenceRt
+          if (difference > criteria.retentionTimeTolerance) {
+            failures.push(
+              `Retention time of ${markerName(peaks, marker)} differs from the reference by ${round(difference, 1)}% ` +
+              `(maximum ${criteria.retentionTimeTolerance}%)`
+            )
+          }
+        }
+      }
+    }
+
+    if (alignment.matched.length < criteria.requiredPeaks) {
+      failures.unshift(`Found ${alignment.matched.length} of ${criteria.requiredPeaks} required characteristic peaks`)
+    }
+    if (similarity !== undefined && similarity < criteria.minSimilarity) {
+      failures.push(`Similarity ${similarity} is below ${criteria.minSimilarity}`)
+    }
+
+    const result: FingerprintComparison = {
+      method: node['@id'],
+      matched: alignment.matched,
+      missing: alignment.missing,
+      criteria,
+      passed: failures.length === 0,
+      failures,
+    }
+    if (similarity !== undefined) result.similarity = similarity
+    if (variant) result.variant = variant
+    return result
+  }
+
+  /**
+   * Locate the marker peaks in a chromatogram and align the other
+   * characteristic peaks to them
+   */
+  private align(
+    chromatogram: ChromatogramPeak[],
+    peaks: CharacteristicPeak[],
+    markerRts: Record<string, number> = {}
+  ): Alignment {
+    const sample = chromatogram
+      .filter(peak => Number.isFinite(peak.rt) && peak.rt > 0)
+      .sort((a, b) => a.rt - b.rt)
+    const given = new Map(Object.entries(markerRts).map(([name, rt]) => [normalizeName(name), rt]))
+    const used = new Set<ChromatogramPeak>()
+    const matched: PeakMatch[] = []
+    const located = new Map<string, number>()
+
+    // Peaks grouped by marker, largest groups first
+    const groups = new Map<string, CharacteristicPeak[]>()
+    for (const peak of peaks) {
+      const key = normalizeName(peak.referenceTo)
+      groups.set(key, [...(groups.get(key) ?? []), peak])
+    }
+    const ordered = Array.from(groups.entries()).sort((a, b) => b[1].length - a[1].length)
+
+    for (const [key, group] of ordered) {
+      const markerPeak = group.find(p => p.marker)
+      const others = group.filter(p => !p.marker)
+      const available = sample.filter(peak => !used.has(peak))
+
+      let candidates = available.filter(peak => peak.label && normalizeName(peak.label) === key)
+      if (candidates.length === 0 && given.has(key)) {
+        const rt = given.get(key)!
+        const closest = available.reduce<ChromatogramPeak | undefined>(
+          (best, peak) => !best || Math.abs(peak.rt - rt) < Math.abs(best.rt - rt) ? peak : best,
+          undefined
+        )
+        candidates = closest ? [closest] : []
+      }
+      if (candidates.length === 0) candidates = available
+
+      // The marker candidate that explains the most peaks, then the largest, then the closest fit
+      let best: { marker: ChromatogramPeak; hits: Array<[PeakMatch, ChromatogramPeak]>; error: number } | undefined
+      for (const marker of candidates) {
+        const hits = assignPeaks(others, available.filter(peak => peak !== marker), marker.rt)
+        const error = hits.reduce((sum, [hit]) => sum + Math.abs(hit.deviation), 0)
+        if (
+          !best ||
+          hits.length > best.hits.length ||
+          (hits.length === best.hits.length && (marker.area > best.marker.area ||
+            (marker.area === best.marker.area && error < best.error)))
+        ) {
+          best = { marker, hits, error }
+        }
+      }
+      if (!best) continue
+
+      located.set(key, best.marker.rt)
+      used.add(best.marker)
+      if (markerPeak) {
+        const match: PeakMatch = {
+          peakNumber: markerPeak.peakNumber,
+          marker: true,
+          expectedRrt: markerPeak.rrt,
+          rt: best.marker.rt,
+          rrt: 1,
+          area: best.marker.area,
+          deviation: round(1 - markerPeak.rrt, 3),
+        }
+        if (markerPeak.compound) match.compound = markerPeak.compound
+        matched.push(match)
+      }
+      for (const [hit, peak] of best.hits) {
+        used.add(peak)
+        matched.push(hit)
+      }
+    }
+
+    const found = new Set(matched.map(m => m.peakNumber))
+    return {
+      matched: matched.sort((a, b) => a.peakNumber - b.peakNumber),
+      missing: peaks.filter(peak => !found.has(peak.peakNumber)),
+      markerRts: located,
+    }
+  }
+
+  private resolveMethod(method: AnalyticalMethodNode | string): AnalyticalMethodNode {
+    if (typeof method !== 'string') return method
+    const node = (this.registry.analyticalMethods.getBySlug(method) ??
+      this.registry.analyticalMethods.getByIRI(method)) as unknown as AnalyticalMethodNode | undefined
+    if (!node) {
+      throw new Error(`Unknown analytical method: ${method}`)
+    }
+    return node
+  }
+
+  /**
+   * Peak sets of a method. `rrtValues` is either a list of peaks or a map of
+   * peak lists for monographs that cover several species.
+   */
+  private getVariants(node: AnalyticalMethodNode, options: FingerprintOptions): Array<[string | undefined, CharacteristicPeak[]]> {
+    const tolerance = options.rrtTolerance ?? DEFAULT_RRT_TOLERANCE
+    const rrtValues = node.rrtValues as unknown
+    let variants: Array<[string | undefined, unknown]>
+
+    if (Array.isArray(rrtValues)) {
+      variants = [[undefined, rrtValues]]
+    } else if (typeof rrtValues === 'object' && rrtValues !== null) {
+      variants = Object.entries(rrtValues as Record<string, unknown>)
+      if (options.variant) {
+        variants = variants.filter(([name]) => name === options.variant)
+        if (variants.length === 0) {
+          throw new Error(`Analytical method ${node.slug} has no fingerprint variant: ${options.variant}`)
+        }
+      }
+    } else {
+      variants = []
+    }
+
+    const result = variants
+      .map(([name, values]): [string | undefined, CharacteristicPeak[]] => [name, toCharacteristicPeaks(values, tolerance)])
+      .filter(([, peaks]) => peaks.length > 0)
+    if (result.length === 0) {
+      throw new Error(`Analytical method ${node.slug} has no fingerprint peaks`)
+    }
+    return result
+  }
+}
+
+/**
+ * Parse a peak table (CSV, TSV or semicolon-separated). Columns are found by
+ * header name (RT / retention time, area, name / compound); without a header
+ * the columns are retention time, area and an optional name.
+ */
+export function parsePeakTable(text: string): ChromatogramPeak[] {
+  const rows = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => splitRow(line))
+
+  let rtColumn = 0
+  let areaColumn = 1
+  let labelColumn: number | undefined = 2
+
+  if (rows.length > 0 && !rows[0].some(cell => isNumber(cell))) {
+    const header = rows.shift()!.map(cell => cell.toLowerCase())
+    const find = (pattern: RegExp) => header.findIndex(cell => pattern.test(cell))
+    const rt = find(/^(rt|ret\.?\s*time|retention\s*time|time)\b/)
+    const area = find(/^area\b/)
+    const label = find(/^(name|label|compound|peak\s*name|component)\b/)
+    if (rt >= 0) rtColumn = rt
+    if (area >= 0) areaColumn = area
+    labelColumn = label >= 0 ? label : undefined
+  }
+
+  const peaks: ChromatogramPeak[] = []
+  for (const row of rows) {
+    const rt = parseFloat(row[rtColumn])
+    const area = parseFloat(row[areaColumn])
+    if (!Number.isFinite(rt) || !Number.isFinite(area)) continue
+
+    const peak: ChromatogramPeak = { rt, area }
+    const label = labelColumn !== undefined ? row[labelColumn] : undefined
+    if (label && !isNumber(label)) peak.label = label
+    peaks.push(peak)
+  }
+  return peaks
+}
+
+/**
+ * Convert the rrtValues entries of a monograph
+ */
+function toCharacteristicPeaks(values: unknown, defaultTolerance: number): CharacteristicPeak[] {
+  if (!Array.isArray(values)) return []
+
+  const entries = values.filter((value): value is Record<string, unknown> =>
+    typeof value === 'object' && value !== null && typeof (value as Record<string, unknown>).rrt === 'number')
+  const markers = entries
+    .filter(entry => entry.referenceMarker === true || entry.referenceTo === 'self')
+    .map(entry => entry.compound as string)
+
+  return entries.map((entry, index) => {
+    const marker = entry.referenceMarker === true || entry.referenceTo === 'self'
+    const compound = typeof entry.compound === 'string' && entry.compound !== 'unidentified' ? entry.compound : undefined
+    const referenceTo = marker
+      ? (entry.compound as string)
+      : typeof entry.referenceTo === 'string' ? entry.referenceTo : markers[0] ?? 'marker'
+
+    const peak: CharacteristicPeak = {
+      peakNumber: typeof entry.peakNumber === 'number' ? entry.peakNumber : index + 1,
+      rrt: entry.rrt as number,
+      tolerance: firstNumber(entry.acceptableRange) ?? defaultTolerance,
+      marker,
+      referenceTo,
+    }
+    if (compound) peak.compound = compound
+    return peak
+  })
+}
+
+/**
+ * Assign characteristic peaks to the closest sample peaks within tolerance,
+ * closest pairs first
+ */
+function assignPeaks(
+  peaks: CharacteristicPeak[],
+  sample: ChromatogramPeak[],
+  markerRt: number
+): Array<[PeakMatch, ChromatogramPeak]> {
+  const pairs: Array<{ peak: CharacteristicPeak; candidate: ChromatogramPeak; deviation: number }> = []
+  for (const peak of peaks) {
+    for (const candidate of sample) {
+      const deviation = candidate.rt / markerRt - peak.rrt
+      if (Math.abs(deviation) <= peak.tolerance + 1e-9) {
+        pairs.push({ peak, candidate, deviation })
+      }
+    }
+  }
+  pairs.sort((a, b) => Math.abs(a.deviation) - Math.abs(b.deviation))
+
+  const assignedPeaks = new Set<CharacteristicPeak>()
+  const assignedSample = new Set<ChromatogramPeak>()
+  const hits: Array<[PeakMatch, ChromatogramPeak]> = []
+  for (const { peak, candidate, deviation } of pairs) {
+    if (assignedPeaks.has(peak) || assignedSample.has(candidate)) continue
+    assignedPeaks.add(peak)
+    assignedSample.add(candidate)
+
+    const hit: PeakMatch = {
+      peakNumber: peak.peakNumber,
+      marker: false,
+      expectedRrt: peak.rrt,
+      rt: candidate.rt,
+      rrt: round(candidate.rt / markerRt, 3),
+      area: candidate.area,
+      deviation: round(deviation, 3),
+    }
+    if (peak.compound) hit.compound = peak.compound
+    hits.push([hit, candidate])
+  }
+  return hits
+}
+
+/**
+ * Congruence coefficient (uncentered correlation / cosine) of two vectors
+ */
+function congruence(x: number[], y: number[]): number {
+  let xy = 0
+  let xx = 0
+  let yy = 0
+  for (let i = 0; i < x.length; i++) {
+    xy += x[i] * y[i]
+    xx += x[i] * x[i]
+    yy += y[i] * y[i]
+  }
+  return xx > 0 && yy > 0 ? xy / Math.sqrt(xx * yy) : 0
+}
+
+function markerName(peaks: CharacteristicPeak[], key: string): string {
+  return peaks.find(peak => normalizeName(peak.referenceTo) === key)?.referenceTo ?? key
+}
+
+function normalizeName(name: string): string {
+  return name.normalize('NFKC').trim().toLowerCase()
+}
+
+/**
+ * First number in a value such as 4, "3 peaks required", "± 0.03" or "≤ 2.0% difference"
+ */
+function firstNumber(value: unknown): number | undefined {
+  if (typeof value === 'number') return value
+  if (typeof value !== 'string') return undefined
+  const match = value.match(/\d+(?:\.\d+)?/)
+  return match ? parseFloat(match[0]) : undefined
+}
+
+function splitRow(line: string): string[] {
+  const delimiter = line.includes('\t') ? '\t' : line.includes(';') ? ';' : ','
+  return line.split(delimiter).map(cell => cell.trim().replace(/^"(.*)"$/, '$1'))
+}
+
+function isNumber(cell: string): boolean {
+  return cell !== '' && Number.isFinite(Number(cell))
+}
+
+function round(value: number, digits: number): number {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
@@ -5,6 +5,7 @@
  * - List all nodes of a specific type
  * - Full-text search across all nodes
  * - Search by specific fields
+ * - Search chemicals by structure similarity and substructure
  * - Get graph statistics
  *
  * @example
@@ -24,12 +25,20 @@
 
 import lunr from 'lunr'
 import type {
+  ChemicalNode,
   GraphNode,
   GraphStats,
   MedicalSystemValue,
 } from '../types.js'
 import { GraphRegistry } from '../registry/GraphRegistry.js'
 import { extractSearchableFields } from '../utils/search.js'
+import {
+  type Molecule,
+  parseSmiles,
+  morganFingerprint,
+  tanimoto,
+  hasSubstructure,
+} from '../utils/smiles.js'
 
 /**
  * Search result with relevance score
@@ -40,6 +49,14 @@ export interface SearchResult {
   matchCount: number
 }
 
+/**
+ * Chemical with its Tanimoto similarity to a query structure
+ */
+export interface SimilarityResult {
+  node: ChemicalNode
+  similarity: number
+}
+
 /**
  * Index API for listing and searching nodes in the knowledge graph
  */
@@ -47,6 +64,7 @@ export class GraphIndex {
   private registry: GraphRegistry
   private searchIndex: lunr.Index | null = null
   private nodeMap: Map<string, GraphNode> = new Map()
+  private chemicalStructures: Array<{ node: ChemicalNode; molecule: Molecule; fingerprint: Set<number> }> | null = null
 
   constructor(registry: GraphRegistry) {
     this.registry = registry
@@ -152,6 +170,45 @@ export class GraphIndex {
       return allVocab
     }
 
+    if (system === 'mongolian') {
+      if (type) {
+        const registry = this.getMongolianVocabularyRegistry(type)
+        return registry ? registry.getAllAsGraphNodes() : []
+      }
+      // Return all Mongolian vocabulary
+      const allVocab: GraphNode[] = []
+      for (const reg of Object.values(this.registry.vocabulary.mongolian)) {
+        allVocab.push(...reg.getAllAsGraphNodes())
+      }
+      return allVocab
+    }
+
+    if (system === 'unani') {
+      if (type) {
+        const registry = this.getUnaniVocabularyRegistry(type)
+        return registry ? registry.getAllAsGraphNodes() : []
+      }
+      // Return all Unani vocabulary
+      const allVocab: GraphNode[] = []
+      for (const reg of Object.values(this.registry.vocabulary.unani)) {
+        allVocab.push(...reg.getAllAsGraphNodes())
+      }
+      return allVocab
+    }
+
+    if (system === 'western') {
+      if (type) {
+        const registry = this.getWesternVocabularyRegistry(type)
+        return registry ? registry.getAllAsGraphNodes() : []
+      }
+      // Return all Western vocabulary
+      const allVocab: GraphNode[] = []
+      for (const reg of Object.values(this.registry.vocabulary.western)) {
+        allVocab.push(...reg.getAllAsGraphNodes())
+      }
+      return allVocab
+    }
+
     return []
   }
 
@@ -308,6 +365,52 @@ export class GraphIndex {
     return results
   }
 
+  // ===========================================================================
+  // Chemical Structure Search
+  // ===========================================================================
+
+  /**
+   * Find chemicals similar to a structure, by the Tanimoto similarity of
+   * Morgan fingerprints (radius 2), most similar first. Only chemicals with
+   * a parseable `smiles` are compared.
+   *
+   * @example
+   * ```typescript
+   * // Compounds similar to curcumin
+   * index.searchChemicalsBySimilarity('COc1cc(/C=C/C(=O)CC(=O)/C=C/c2ccc(O)c(OC)c2)ccc1O', 0.5)
+   * ```
+   *
+   * @throws SmilesParseError if the query SMILES cannot be parsed
+   */
+  searchChemicalsBySimilarity(smiles: string, threshold = 0.7): SimilarityResult[] {
+    const query = morganFingerprint(parseSmiles(smiles))
+
+    return this.getChemicalStructures()
+      .map(({ node, fingerprint }) => ({ node, similarity: Math.round(tanimoto(query, fingerprint) * 1000) / 1000 }))
+      .filter(result => result.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+  }
+
+  /**
+   * Find chemicals that contain a substructure pattern, written as SMILES
+   * with SMARTS-like matching (see hasSubstructure)
+   *
+   * @example
+   * ```typescript
+   * index.searchChemicalsBySubstructure('c([OH])c[OH]') // catechols
+   * index.searchChemicalsBySubstructure('O=C1CCO1')     // β-lactones
+   * ```
+   *
+   * @throws SmilesParseError if the pattern cannot be parsed
+   */
+  searchChemicalsBySubstructure(pattern: string): ChemicalNode[] {
+    const query = parseSmiles(pattern)
+
+    return this.getChemicalStructures()
+      .filter(({ molecule }) => hasSubstructure(molecule, query))
+      .map(({ node }) => node)
+  }
+
   // ===========================================================================
   // Statistics
   // ===========================================================================
@@ -416,6 +519,26 @@ export class GraphIndex {
     return results.slice(0, limit)
   }
 
+  /**
+   * Parsed structures and fingerprints of chemicals with a parseable SMILES,
+   * computed on first use
+   */
+  private getChemicalStructures(): Array<{ node: ChemicalNode; molecule: Molecule; fingerprint: Set<number> }> {
+    if (!this.chemicalStructures) {
+      const chemicals = this.registry.chemicals.getAllAsGraphNodes() as ChemicalNode[]
+      this.chemicalStructures = chemicals.flatMap(node => {
+        if (!node.smiles) return []
+        try {
+          const molecule = parseSmiles(node.smiles)
+          return [{ node, molecule, fingerprint: morganFingerprint(molecule) }]
+        } catch {
+          return []
+        }
+      })
+    }
+    return this.chemicalStructures
+  }
+
   /**
    * Get profile registry for a system
    */
@@ -471,6 +594,64 @@ export class GraphIndex {
         return this.registry.vocabulary.ayurveda.viryas
       case 'vipaka':
         return this.registry.vocabulary.ayurveda.vipakas
+      case 'karma':
+        return this.registry.vocabulary.ayurveda.karmas
+      case 'mahabhuta':
+        return this.registry.vocabulary.ayurveda.mahabhutas
+      case 'prabhava':
+        return this.registry.vocabulary.ayurveda.prabhavas
+      case 'category':
+        return this.registry.vocabulary.ayurveda.categories
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * Get Mongolian vocabulary registry by type
+   */
+  private getMongolianVocabularyRegistry(type: string) {
+    switch (type) {
+      case 'root':
+        return this.registry.vocabulary.mongolian.roots
+      case 'taste':
+        return this.registry.vocabulary.mongolian.tastes
+      case 'potency':
+        return this.registry.vocabulary.mongolian.potencies
+      case 'element':
+        return this.registry.vocabulary.mongolian.elements
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * Get Unani vocabulary registry by type
+   */
+  private getUnaniVocabularyRegistry(type: string) {
+    switch (type) {
+      case 'temperament':
+        return this.registry.vocabulary.unani.temperaments
+      case 'degree':
+        return this.registry.vocabulary.unani.degrees
+      case 'element':
+        return this.registry.vocabulary.unani.elements
+      default:
+        return undefined
+    }
+  }
+
+  /**
+   * Get Western vocabulary registry by type
+   */
+  private getWesternVocabularyRegistry(type: string) {
+    switch (type) {
+      case 'action':
+        return this.registry.vocabulary.western.actions
+      case 'organ':
+        return this.registry.vocabulary.western.organs
+      case 'system':
+        return this.registry.vocabulary.western.bodySystems
       default:
         return undefined
     }
@@ -23,12 +23,100 @@
  */
 
 import type {
+  AnalyticalMethodNode,
+  BarcodeNode,
+  BarcodeSequence,
+  ChemicalNode,
   GraphNode,
   MedicalSystemValue,
+  MongolianProfileNode,
   NodeTypeValue,
+  UnaniProfileNode,
+  VocabularyNode,
+  WesternProfileNode,
 } from '../types.js'
 import { NodeType, generateIRI } from '../types.js'
 import { GraphRegistry } from '../registry/GraphRegistry.js'
+import {
+  type ElementCounts,
+  parseFormula,
+  molecularWeight,
+  monoisotopicMass,
+  sameFormula,
+} from '../utils/chemistry.js'
+
+/**
+ * Element filter for chemical searches. Elements are symbols ("N", "Cl").
+ */
+export interface ElementFilter {
+  /** Every one of these elements must be present */
+  contains?: string[]
+  /** None of these elements may be present */
+  excludes?: string[]
+  /** No elements other than these may be present (e.g. ['C', 'H', 'O']) */
+  only?: string[]
+}
+
+/**
+ * Options for findChemicalsByMassRange
+ */
+export interface MassRangeOptions extends ElementFilter {
+  /** Widen the range by this many parts per million on each side (default 0) */
+  tolerancePpm?: number
+  /** Monoisotopic mass for mass spectrometry, or average molecular weight (default 'monoisotopic') */
+  mass?: 'monoisotopic' | 'average'
+}
+
+/**
+ * Degree (darja, 1-4) bounds for findUnaniDrugsByTemperament. Drugs without
+ * a recorded degree never pass a bound.
+ */
+export interface TemperamentOptions {
+  minDegree?: number
+  maxDegree?: number
+}
+
+/**
+ * A Unani drug whose temperament counters that of another drug
+ */
+export interface UnaniCorrective {
+  drug: UnaniProfileNode
+  /** Temperament value of the corrective (e.g. 'cold-wet') */
+  temperament: string
+  degree?: number
+  /** Qualities in which the corrective is opposite to the drug */
+  opposes: Array<'heat' | 'moisture'>
+}
+
+/**
+ * Corrective (musleh) pairings suggested for a Unani drug
+ */
+export interface MuslehSuggestion {
+  drug: UnaniProfileNode
+  temperament?: string
+  degree?: number
+  /** Correctives recorded in the drug's own profile (free text) */
+  recorded: string[]
+  /** Drugs of opposite temperament, closest match first */
+  correctives: UnaniCorrective[]
+}
+
+/**
+ * Options for findWesternHerbsByBodySystem
+ */
+export interface BodySystemOptions {
+  /** Only match the herb's primaryBodySystem (default false) */
+  primaryOnly?: boolean
+}
+
+/**
+ * Profiles and preparations a herb slug stands for, see findSourcesForHerb
+ */
+export interface HerbSources {
+  sources: GraphNode[]
+  /** IRI of the species, if the herb belongs to one */
+  species?: string
+}
 
 /**
  * Query API for retrieving nodes from the knowledge graph
@@ -87,6 +175,109 @@ export class GraphQuery {
     })
   }
 
+  /**
+   * Find chemicals with a molecular formula. Formulas are compared by
+   * element counts, so "C₂₁H₂₀O₆" and "H20C21O6" both find curcumin.
+   *
+   * @throws FormulaParseError if the formula cannot be parsed
+   */
+  findChemicalsByFormula(formula: string): ChemicalNode[] {
+    const wanted = parseFormula(formula)
+    return this.parsedChemicals()
+      .filter(({ counts }) => sameFormula(counts, wanted))
+      .map(({ chemical }) => chemical)
+  }
+
+  /**
+   * Find chemicals whose mass lies within [min, max], sorted by mass.
+   *
+   * Uses the monoisotopic mass unless `mass: 'average'` is given, so that
+   * mass-spectrometry hits can be annotated; tolerancePpm widens the range
+   * by the instrument's mass accuracy. Element filters narrow the results.
+   *
+   * @example
+   * ```typescript
+   * // Alkaloid candidates for an ion at m/z 336.1230 ([M]+) within 5 ppm
+   * query.findChemicalsByMassRange(336.1230, 336.1230, { tolerancePpm: 5, contains: ['N'] })
+   * ```
+   */
+  findChemicalsByMassRange(min: number, max: number, options: MassRangeOptions = {}): ChemicalNode[] {
+    const tolerance = (options.tolerancePpm ?? 0) / 1e6
+    const low = min - min * tolerance
+    const high = max + max * tolerance
+    const massOf = options.mass === 'average' ? molecularWeight : monoisotopicMass
+
+    return this.parsedChemicals()
+      .filter(({ counts }) => matchesElements(counts, options))
+      .map(({ chemical, counts }) => ({ chemical, mass: massOf(counts) }))
+      .filter((entry): entry is { chemical: ChemicalNode; mass: number } =>
+        entry.mass !== undefined && entry.mass >= low && entry.mass <= high)
+      .sort((a, b) => a.mass - b.mass)
+      .map(({ chemical }) => chemical)
+  }
+
+  /**
+   * Find chemicals by the elements of their formula
+   *
+   * @example
+   * ```typescript
+   * // Nitrogen-containing constituents (alkaloids and amines)
+   * query.findChemicalsByElements({ contains: ['N'] })
+   * ```
+   */
+  findChemicalsByElements(filter: ElementFilter): ChemicalNode[] {
+    return this.parsedChemicals()
+      .filter(({ counts }) => matchesElements(counts, filter))
+      .map(({ chemical }) => chemical)
+  }
+
+  /**
+   * Chemical nodes with their parsed formulas. Chemicals without a formula,
+   * or whose formula cannot be parsed, are left out.
+   */
+  private parsedChemicals(): Array<{ chemical: ChemicalNode; counts: ElementCounts }> {
+    const chemicals = this.registry.chemicals.getAllAsGraphNodes() as ChemicalNode[]
+    return chemicals.flatMap(chemical => {
+      if (!chemical.formula) return []
+      try {
+        return [{ chemical, counts: parseFormula(chemical.formula) }]
+      } catch {
+        return []
+      }
+    })
+  }
+
+  /**
+   * Get a barcode node by its slug
+   */
+  getBarcode(slug: string): BarcodeNode | undefined {
+    return this.registry.barcodes.getBySlug(slug) as unknown as BarcodeNode | undefined
+  }
+
+  /**
+   * Find all barcode nodes that identify a species
+   */
+  getBarcodesForSpecies(speciesSlug: string): BarcodeNode[] {
+    const speciesIRI = generateIRI(NodeType.SPECIES, speciesSlug)
+    const barcodes = this.registry.barcodes.getAll() as unknown as BarcodeNode[]
+
+    return barcodes.filter(barcode => {
+      const linked = Array.isArray(barcode.barcodes) ? barcode.barcodes : barcode.barcodes ? [barcode.barcodes] : []
+      return linked.some(ref => ref['@id'] === speciesIRI)
+    })
+  }
+
+  /**
+   * Get the sequences of one barcode region (e.g. "ITS2") for a species,
+   * from all of its barcode nodes. Each sequence records its source file.
+   */
+  getBarcodeRegion(speciesSlug: string, region: string): BarcodeSequence[] {
+    const wanted = region.toLowerCase()
+    return this.getBarcodesForSpecies(speciesSlug)
+      .flatMap(barcode => barcode.sequence ?? [])
+      .filter(sequence => sequence.region.toLowerCase() === wanted)
+  }
+
   // ===========================================================================
   // Preparation Node Queries
   // ===========================================================================
@@ -105,6 +296,69 @@ export class GraphQuery {
     return this.registry.formulas.getBySlug(slug) as unknown as GraphNode | undefined
   }
 
+  // ===========================================================================
+  // Quality Control Queries
+  // ===========================================================================
+
+  /**
+   * Get an analytical method node by its slug
+   */
+  getAnalyticalMethod(slug: string): AnalyticalMethodNode | undefined {
+    return this.registry.analyticalMethods.getBySlug(slug) as unknown as AnalyticalMethodNode | undefined
+  }
+
+  /**
+   * Find analytical methods by technique, compound and assay limit.
+   *
+   * A compound matches reference compounds and assay limits by name
+   * (case-insensitive). With minimumContent, the method must have an assay
+   * limit (for the compound, if given) whose minimum is at least that
+   * percentage.
+   *
+   * @example
+   * ```typescript
+   * // Herbs with an HPLC assay for quercitrin with a ≥1.0% minimum
+   * query.findAnalyticalMethods({ technique: 'HPLC-Assay', compound: 'quercitrin', minimumContent: 1.0 })
+   *   .flatMap(method => method.analyzesSpecies ?? [])
+   * ```
+   */
+  findAnalyticalMethods(criteria: {
+    technique?: string
+    compound?: string
+    minimumContent?: number
+  } = {}): AnalyticalMethodNode[] {
+    const normalize = (name: string) => name.normalize('NFKC').trim().toLowerCase()
+    const technique = criteria.technique?.toLowerCase()
+    const compound = criteria.compound ? normalize(criteria.compound) : undefined
+    const { minimumContent } = criteria
+
+    const methods = this.registry.analyticalMethods.getAll() as unknown as AnalyticalMethodNode[]
+    return methods.filter(method => {
+      if (technique && !method.technique.some(t => t.toLowerCase() === technique)) return false
+
+      const limits = (method.assayLimit ?? []).filter(limit =>
+        !compound || [limit.compound, ...(limit.compounds ?? [])].some(name => name && normalize(name) === compound)
+      )
+
+      if (minimumContent !== undefined) {
+        return limits.some(limit => limit.minimumContent !== undefined && limit.minimumContent >= minimumContent)
+      }
+      if (compound) {
+        return limits.length > 0 || (method.referenceCompound ?? []).some(ref => normalize(ref.name) === compound)
+      }
+      return true
+    })
+  }
+
+  /**
+   * Find all analytical methods for a species
+   */
+  findAnalyticalMethodsForSpecies(speciesSlug: string): AnalyticalMethodNode[] {
+    const speciesIRI = generateIRI(NodeType.SPECIES, speciesSlug)
+    const methods = this.registry.analyticalMethods.getAll() as unknown as AnalyticalMethodNode[]
+    return methods.filter(method => method.analyzesSpecies?.some(ref => ref['@id'] === speciesIRI))
+  }
+
   // ===========================================================================
   // Profile Node Queries
   // ===========================================================================
@@ -129,6 +383,131 @@ export class GraphQuery {
     })
   }
 
+  /**
+   * Find Mongolian drugs by their effect on one of the three roots
+   * (heyi, xila, badagan), e.g. findMongolianDrugsAffecting('xila', 'decreases').
+   * Without an effect, every drug that records an effect on the root matches.
+   */
+  findMongolianDrugsAffecting(root: string, effect?: string): MongolianProfileNode[] {
+    const rootKey = root.toLowerCase()
+    const effectKey = effect?.toLowerCase()
+
+    return (this.registry.profiles.mongolian.getAllAsGraphNodes() as MongolianProfileNode[]).filter(drug => {
+      const rootEffect = Object.entries(drug.affectsRoots ?? {})
+        .find(([key]) => key.toLowerCase() === rootKey)?.[1]
+      return rootEffect !== undefined && (effectKey === undefined || rootEffect.effect.toLowerCase() === effectKey)
+    })
+  }
+
+  /**
+   * Find Unani drugs by temperament (mizaj). The temperament is a quality
+   * ('hot', 'cold', 'dry', 'wet') or a full temperament ('hot-dry'), e.g.
+   * findUnaniDrugsByTemperament('hot', { minDegree: 2 }).
+   */
+  findUnaniDrugsByTemperament(temperament: string, options: TemperamentOptions = {}): UnaniProfileNode[] {
+    const wanted = parseTemperament(temperament)
+    if (!wanted) throw new Error(`Unknown Unani temperament ${temperament}`)
+    const { minDegree, maxDegree } = options
+
+    return this.unaniDrugs().filter(drug => {
+      const mizaj = drugTemperament(drug)
+      if (!mizaj) return false
+      if (wanted.heat && mizaj.heat !== wanted.heat) return false
+      if (wanted.moisture && mizaj.moisture !== wanted.moisture) return false
+
+      const degree = drug.temperamentDegree
+      if (minDegree !== undefined && (degree === undefined || degree < minDegree)) return false
+      if (maxDegree !== undefined && (degree === undefined || degree > maxDegree)) return false
+      return true
+    })
+  }
+
+  /**
+   * Suggest correctives (musleh) for a Unani drug: drugs whose temperament
+   * is opposite in heat, moisture or both. Drugs opposite in both qualities
+   * come first, then those closest in degree to the drug.
+   */
+  suggestUnaniCorrectives(slug: string): MuslehSuggestion | undefined {
+    const drug = this.registry.profiles.unani.getBySlug(slug) as UnaniProfileNode | undefined
+    if (!drug) return undefined
+
+    const mizaj = drugTemperament(drug)
+    const suggestion: MuslehSuggestion = {
+      drug,
+      temperament: mizaj?.value,
+      degree: drug.temperamentDegree,
+      recorded: drug.corrective ?? [],
+      correctives: [],
+    }
+    if (!mizaj) return suggestion
+
+    for (const candidate of this.unaniDrugs()) {
+      const candidateMizaj = drugTemperament(candidate)
+      if (candidate['@id'] === drug['@id'] || !candidateMizaj) continue
+
+      const opposes: UnaniCorrective['opposes'] = []
+      if (mizaj.heat && candidateMizaj.heat && mizaj.heat !== candidateMizaj.heat) opposes.push('heat')
+      if (mizaj.moisture && candidateMizaj.moisture && mizaj.moisture !== candidateMizaj.moisture) opposes.push('moisture')
+      if (opposes.length === 0) continue
+
+      suggestion.correctives.push({
+        drug: candidate,
+        temperament: candidateMizaj.value,
+        degree: candidate.temperamentDegree,
+        opposes,
+      })
+    }
+
+    const degreeGap = (corrective: UnaniCorrective) =>
+      corrective.degree === undefined || drug.temperamentDegree === undefined
+        ? Infinity
+        : Math.abs(corrective.degree - drug.temperamentDegree)
+    suggestion.correctives.sort((a, b) =>
+      b.opposes.length - a.opposes.length ||
+      degreeGap(a) - degreeGap(b) ||
+      a.drug.slug.localeCompare(b.drug.slug)
+    )
+
+    return suggestion
+  }
+
+  /**
+   * Find Western herbs by herbal action, e.g. findWesternHerbsByAction('nervine')
+   */
+  findWesternHerbsByAction(action: string): WesternProfileNode[] {
+    const value = action.toLowerCase()
+    return this.westernHerbs().filter(herb => herb.hasAction?.some(ref => vocabValue(ref) === value))
+  }
+
+  /**
+   * Find Western herbs with an affinity for an organ, e.g. findWesternHerbsByOrgan('liver')
+   */
+  findWesternHerbsByOrgan(organ: string): WesternProfileNode[] {
+    const value = organ.toLowerCase()
+    return this.westernHerbs().filter(herb => herb.hasOrganAffinity?.some(ref => vocabValue(ref) === value))
+  }
+
+  /**
+   * Find Western herbs acting on a body system ('digestive', 'nervous').
+   * A herb matches through its primary or secondary body systems, or through
+   * an organ affinity whose organ belongs to the system; with primaryOnly,
+   * only the primary body system counts.
+   */
+  findWesternHerbsByBodySystem(system: string, options: BodySystemOptions = {}): WesternProfileNode[] {
+    const value = system.toLowerCase()
+
+    return this.westernHerbs().filter(herb => {
+      if (herb.primaryBodySystem && vocabValue(herb.primaryBodySystem) === value) return true
+      if (options.primaryOnly) return false
+      if (herb.secondaryBodySystems?.some(ref => vocabValue(ref) === value)) return true
+
+      return (herb.hasOrganAffinity ?? []).some(ref => {
+        const organ = this.registry.vocabulary.western.organs.getByIRI(ref['@id']) as VocabularyNode | undefined
+        return organ?.broader !== undefined && vocabValue(organ.broader) === value
+      })
+    })
+  }
+
   /**
    * Get all profiles for a given medical system
    */
@@ -139,7 +518,7 @@ export class GraphQuery {
   }
 
   /**
-   * Find all profiles that reference a species
+   * Find all profiles that reference a species or one of its parts
    */
   findProfilesForSpecies(speciesSlug: string): GraphNode[] {
     const speciesIRI = generateIRI(NodeType.SPECIES, speciesSlug)
@@ -151,8 +530,14 @@ export class GraphQuery {
       const nodes = registry.getAllAsGraphNodes()
 
       for (const profile of nodes) {
-        const profileData = profile as { derivedFrom?: { '@id': string } }
-        if (profileData.derivedFrom?.['@id'] === speciesIRI) {
+        // Modern profiles link their source material via derivedFromSource
+        const profileData = profile as {
+          derivedFrom?: { '@id': string }
+          derivedFromSource?: { '@id': string }
+        }
+        const sourceIRI = profileData.derivedFrom?.['@id'] ?? profileData.derivedFromSource?.['@id']
+        // Part profiles point at a fragment of the species (species/ginger#rhizome)
+        if (sourceIRI === speciesIRI || sourceIRI?.startsWith(`${speciesIRI}#`)) {
           profiles.push(profile)
         }
       }
@@ -179,6 +564,30 @@ export class GraphQuery {
     return preparations
   }
 
+  /**
+   * Profiles and preparations of the species a herb slug stands for. The
+   * slug may name a species, a preparation or a profile; a preparation or
+   * profile stands for the species it is derived from, or for itself if it
+   * belongs to no species.
+   *
+   * @returns undefined if the slug names none of these
+   */
+  findSourcesForHerb(herbSlug: string): HerbSources | undefined {
+    const own = this.registry.preparations.getBySlug(herbSlug) ?? this.findProfileBySlug(herbSlug)
+    const ownData = own as { derivedFrom?: { '@id': string }; derivedFromSource?: { '@id': string } } | undefined
+    const speciesIRI = this.registry.species.getBySlug(herbSlug)?.['@id']
+      ?? (ownData?.derivedFrom ?? ownData?.derivedFromSource)?.['@id']?.split('#')[0]
+    const species = speciesIRI ? this.registry.species.getByIRI(speciesIRI) as { slug?: string } | undefined : undefined
+
+    if (species?.slug) {
+      return {
+        sources: [...this.findProfilesForSpecies(species.slug), ...this.findPreparationsForSpecies(species.slug)],
+        species: speciesIRI,
+      }
+    }
+    return own ? { sources: [own as GraphNode] } : undefined
+  }
+
   /**
    * Find all formulas containing a species or preparation
    */
@@ -205,7 +614,7 @@ export class GraphQuery {
    * Get a vocabulary term by system, type, and value
    */
   getVocabulary(
-    system: 'tcm' | 'ayurveda',
+    system: 'tcm' | 'ayurveda' | 'mongolian' | 'unani' | 'western',
     type: string,
     value: string
   ): GraphNode | undefined {
@@ -223,7 +632,7 @@ export class GraphQuery {
   /**
    * Get all vocabulary terms for a system and type
    */
-  getVocabularyByType(system: 'tcm' | 'ayurveda', type: string): GraphNode[] {
+  getVocabularyByType(system: 'tcm' | 'ayurveda' | 'mongolian' | 'unani' | 'western', type: string): GraphNode[] {
     const registry = this.getVocabularyRegistry(system, type)
     if (!registry) return []
     return registry.getAllAsGraphNodes()
@@ -234,7 +643,9 @@ export class GraphQuery {
   // ===========================================================================
 
   /**
-   * Get any node by its full IRI
+   * Get any node by its full IRI.
+   * Accepts canonical graph IRIs as well as source IRIs
+   * (e.g. https://www.herbapedia.org/entity/botanical/species/{slug}).
    */
   getByIRI(iri: string): GraphNode | undefined {
     return this.registry.getNode(iri)
@@ -293,10 +704,35 @@ export class GraphQuery {
     }
   }
 
+  /**
+   * A profile of any medical system by slug
+   */
+  private findProfileBySlug(slug: string): { '@id': string } | undefined {
+    for (const registry of Object.values(this.registry.profiles)) {
+      const profile = registry.getBySlug(slug)
+      if (profile) return profile
+    }
+    return undefined
+  }
+
+  /**
+   * All Western herb profiles
+   */
+  private westernHerbs(): WesternProfileNode[] {
+    return this.registry.profiles.western.getAllAsGraphNodes() as WesternProfileNode[]
+  }
+
+  /**
+   * All Unani drug profiles
+   */
+  private unaniDrugs(): UnaniProfileNode[] {
+    return this.registry.profiles.unani.getAllAsGraphNodes() as UnaniProfileNode[]
+  }
+
   /**
    * Get the vocabulary registry for a system and type
    */
-  private getVocabularyRegistry(system: 'tcm' | 'ayurveda', type: string) {
+  private getVocabularyRegistry(system: 'tcm' | 'ayurveda' | 'mongolian' | 'unani' | 'western', type: string) {
     if (system === 'tcm') {
       switch (type) {
         case 'flavor':
@@ -322,6 +758,49 @@ export class GraphQuery {
           return this.registry.vocabulary.ayurveda.viryas
         case 'vipaka':
           return this.registry.vocabulary.ayurveda.vipakas
+        case 'karma':
+          return this.registry.vocabulary.ayurveda.karmas
+        case 'mahabhuta':
+          return this.registry.vocabulary.ayurveda.mahabhutas
+        case 'prabhava':
+          return this.registry.vocabulary.ayurveda.prabhavas
+        case 'category':
+          return this.registry.vocabulary.ayurveda.categories
+        default:
+          return undefined
+      }
+    } else if (system === 'mongolian') {
+      switch (type) {
+        case 'root':
+          return this.registry.vocabulary.mongolian.roots
+        case 'taste':
+          return this.registry.vocabulary.mongolian.tastes
+        case 'potency':
+          return this.registry.vocabulary.mongolian.potencies
+        case 'element':
+          return this.registry.vocabulary.mongolian.elements
+        default:
+          return undefined
+      }
+    } else if (system === 'unani') {
+      switch (type) {
+        case 'temperament':
+          return this.registry.vocabulary.unani.temperaments
+        case 'degree':
+          return this.registry.vocabulary.unani.degrees
+        case 'element':
+          return this.registry.vocabulary.unani.elements
+        default:
+          return undefined
+      }
+    } else if (system === 'western') {
+      switch (type) {
+        case 'action':
+          return this.registry.vocabulary.western.actions
+        case 'organ':
+          return this.registry.vocabulary.western.organs
+        case 'system':
+          return this.registry.vocabulary.western.bodySystems
         default:
           return undefined
       }
@@ -329,3 +808,41 @@ export class GraphQuery {
     return undefined
   }
 }
+
+/**
+ * Read a temperament value ('hot-dry', 'cold', 'wet') into its qualities
+ */
+function parseTemperament(value: string): { value: string; heat?: string; moisture?: string } | undefined {
+  const temperament: { value: string; heat?: string; moisture?: string } = { value: value.toLowerCase() }
+  for (const quality of temperament.value.split('-')) {
+    if ((quality === 'hot' || quality === 'cold') && !temperament.heat) temperament.heat = quality
+    else if ((quality === 'dry' || quality === 'wet') && !temperament.moisture) temperament.moisture = quality
+    else return undefined
+  }
+  return temperament
+}
+
+/**
+ * Value of a vocabulary reference: the last segment of its IRI
+ */
+function vocabValue(ref: { '@id': string }): string {
+  return ref['@id'].split('/').pop()!.toLowerCase()
+}
+
+/**
+ * Temperament of a Unani drug, from the value of its hasTemperament IRI
+ */
+function drugTemperament(drug: UnaniProfileNode) {
+  return drug.hasTemperament ? parseTemperament(vocabValue(drug.hasTemperament)) : undefined
+}
+
+/**
+ * Whether element counts pass an element filter
+ */
+function matchesElements(counts: ElementCounts, filter: ElementFilter): boolean {
+  const present = (element: string) => (counts[element] ?? 0) > 0
+  if (filter.contains && !filter.contains.every(present)) return false
+  if (filter.excludes?.some(present)) return false
+  if (filter.only && !Object.keys(counts).filter(present).every(element => filter.only!.includes(element))) return false
+  return true
+}
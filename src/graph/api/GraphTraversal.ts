@@ -6,6 +6,7 @@
  * - Follow outgoing references (nodes this node references)
  * - Traverse specific relationship types
  * - Get ancestors and descendants
+ * - Follow SKOS mappings between the vocabularies of medical systems
  *
  * @example
  * ```typescript
@@ -46,6 +47,14 @@ export interface TraversalOptions {
   nodeTypeFilter?: string[]
 }
 
+/**
+ * Options for following vocabulary mappings
+ */
+export interface ConceptMatchOptions {
+  /** Also follow closeMatch links (default: exactMatch only) */
+  closeMatch?: boolean
+}
+
 /**
  * Traversal API for navigating relationships in the knowledge graph
  */
@@ -243,6 +252,37 @@ export class GraphTraversal {
     return descendants
   }
 
+  // ===========================================================================
+  // Vocabulary Mappings
+  // ===========================================================================
+
+  /**
+   * Get the concepts of other systems that a vocabulary concept maps to.
+   * exactMatch links are followed transitively; closeMatch links, when
+   * included, only one step from the concept or one of its exact matches.
+   * Concepts without a node in the graph are left out.
+   */
+  getMatchingConcepts(conceptId: string, options?: ConceptMatchOptions): GraphNode[] {
+    const iris = this.getMatchingConceptIRIs(conceptId, options).filter(iri => iri !== conceptId)
+    return this.resolveIRIs(iris)
+  }
+
+  /**
+   * Get the profiles of every system that refer to a concept or one of its
+   * matches, e.g. all pungent herbs from TCM acrid (tcm/flavor/acrid)
+   */
+  getProfilesForConcept(conceptId: string, options?: ConceptMatchOptions): GraphNode[] {
+    const profiles = new Set<string>()
+    for (const iri of this.getMatchingConceptIRIs(conceptId, options)) {
+      for (const ref of this.registry.resolver.getIncomingReferences(iri)) {
+        if (Object.values(this.registry.profiles).some(registry => registry.has(ref))) {
+          profiles.add(ref)
+        }
+      }
+    }
+    return this.resolveIRIs(Array.from(profiles))
+  }
+
   // ===========================================================================
   // Domain-Specific Traversals
   // ===========================================================================
@@ -394,6 +434,42 @@ export class GraphTraversal {
   // Helper Methods
   // ===========================================================================
 
+  /**
+   * IRIs of a concept and its matches, including matches that have no node
+   * yet (their references are still recorded)
+   */
+  private getMatchingConceptIRIs(conceptId: string, options?: ConceptMatchOptions): string[] {
+    const exact = new Set<string>([conceptId])
+    const queue = [conceptId]
+
+    while (queue.length > 0) {
+      for (const iri of this.getMappingIRIs(queue.shift()!, RelationshipType.EXACT_MATCH)) {
+        if (!exact.has(iri)) {
+          exact.add(iri)
+          queue.push(iri)
+        }
+      }
+    }
+
+    const matches = new Set(exact)
+    if (options?.closeMatch) {
+      for (const iri of exact) {
+        for (const close of this.getMappingIRIs(iri, RelationshipType.CLOSE_MATCH)) matches.add(close)
+      }
+    }
+    return Array.from(matches)
+  }
+
+  /**
+   * IRIs a node links to through a mapping property
+   */
+  private getMappingIRIs(nodeId: string, relationship: RelationshipTypeValue): string[] {
+    const node = this.registry.getNode(nodeId) as unknown as Record<string, unknown> | undefined
+    const value = node?.[relationship]
+    const refs = Array.isArray(value) ? value : value ? [value] : []
+    return refs.filter(ref => this.isIRIReference(ref)).map(ref => (ref as IRIReference)['@id'])
+  }
+
   /**
    * Resolve an array of IRIs to GraphNodes
    */
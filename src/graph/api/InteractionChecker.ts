@@ -0,0 +1,348 @@
+/**
+ * InteractionChecker - Herb–drug interaction lookup
+ *
+ * Gathers the interaction statements recorded for a herb across the graph:
+ * - Modern profiles: drugInteraction (severity major/moderate/minor)
+ * - Western profiles: drugInteractions (severity high/moderate/low)
+ * - Preparations: safetyInfo.drugInteractions (drug names, no severity)
+ * - TCM profiles: incompatibilities (free text)
+ *
+ * Drug names on both sides are matched through a local synonym table
+ * (reference/drugs/synonyms.jsonld), so "Coumadin" finds statements about
+ * warfarin and about anticoagulants. Names the table does not know are
+ * matched as plain words in the statement text.
+ *
+ * @example
+ * ```typescript
+ * const checker = new InteractionChecker(registry, path.join(dataRoot, 'reference/drugs/synonyms.jsonld'))
+ * const report = checker.check(['ginseng', 'ginger'], ['Coumadin', 'phenelzine'])
+ *
+ * report.findings[0]   // { herb: 'ginseng', drug: 'phenelzine', severity: 'major', statement: 'MAO inhibitors', ... }
+ * report.unrecognizedDrugs // []
+ * ```
+ */
+
+import fs from 'fs'
+import type { GraphNode, LanguageMap, WesternDrugInteraction } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import { GraphQuery } from './GraphQuery.js'
+
+/**
+ * Severity of an interaction, normalized across sources. Statements without
+ * a rating (preparation drug lists, TCM incompatibilities) are 'unknown'.
+ */
+export type InteractionSeverity = 'major' | 'moderate' | 'minor' | 'unknown'
+
+/**
+ * A drug or drug class of the synonym table
+ */
+export interface DrugConcept {
+  '@id': string
+  /** Canonical name, also the key other entries use in memberOf */
+  drug: string
+  name: LanguageMap
+  synonyms: string[]
+  /** Canonical names of the classes the drug belongs to */
+  memberOf: string[]
+}
+
+/**
+ * One interaction statement of a profile or preparation
+ */
+export interface InteractionStatement {
+  /** Drug or substance as written by the source */
+  statement: string
+  severity: InteractionSeverity
+  description?: string
+  management?: string
+  /** Profile or preparation IRI */
+  source: string
+  /** Property of the source holding the statement */
+  property: 'drugInteraction' | 'drugInteractions' | 'safetyInfo.drugInteractions' | 'incompatibilities'
+}
+
+/**
+ * A statement that concerns one of the checked herbs and drugs
+ */
+export interface InteractionFinding extends InteractionStatement {
+  /** Herb slug as given */
+  herb: string
+  /** Drug name as given */
+  drug: string
+  /** Synonym table entry the statement matched on, undefined for a plain word match */
+  matchedOn?: string
+}
+
+/**
+ * Result of checking herbs against drugs
+ */
+export interface InteractionReport {
+  /** Findings ordered by severity (major first), then by herb and drug order */
+  findings: InteractionFinding[]
+  /** Herb slugs that are neither a species, a preparation nor a profile */
+  unresolvedHerbs: string[]
+  /** Drug names missing from the synonym table, matched as plain words */
+  unrecognizedDrugs: string[]
+}
+
+const SEVERITY_RANK: Record<InteractionSeverity, number> = { major: 0, moderate: 1, minor: 2, unknown: 3 }
+
+const SEVERITY_ALIASES: Record<string, InteractionSeverity> = {
+  major: 'major',
+  high: 'major',
+  severe: 'major',
+  moderate: 'moderate',
+  medium: 'moderate',
+  minor: 'minor',
+  low: 'minor',
+  mild: 'minor',
+}
+
+/**
+ * Query API for checking herbs against the drugs a patient takes
+ */
+export class InteractionChecker {
+  private query: GraphQuery
+  private concepts = new Map<string, DrugConcept>()
+  /** Normalized name or synonym -> canonical name */
+  private terms = new Map<string, string>()
+
+  constructor(registry: GraphRegistry, synonymsFile?: string) {
+    this.query = new GraphQuery(registry)
+    if (synonymsFile) {
+      this.loadSynonymsFile(synonymsFile)
+    }
+  }
+
+  /**
+   * Load the synonym table from a JSON-LD file
+   */
+  loadSynonymsFile(synonymsFile: string): void {
+    this.loadSynonyms(JSON.parse(fs.readFileSync(synonymsFile, 'utf-8')) as Record<string, unknown>)
+  }
+
+  /**
+   * Load the synonym table from parsed JSON-LD, replacing any loaded before
+   *
+   * @throws Error if an entry lacks its drug name or belongs to a class the
+   *   table does not define
+   */
+  loadSynonyms(data: Record<string, unknown>): void {
+    const concepts = new Map<string, DrugConcept>()
+    for (const entry of toArray(data.members)) {
+      const concept = entry as Record<string, unknown>
+      if (typeof concept.drug !== 'string' || !concept.drug.trim()) {
+        throw new Error(`Drug synonym entry ${String(concept['@id'])} needs a drug name`)
+      }
+      const drug = normalizeName(concept.drug)
+      concepts.set(drug, {
+        '@id': String(concept['@id']),
+        drug,
+        name: (concept.name as LanguageMap) ?? {},
+        synonyms: toArray(concept.synonyms).map(String),
+        memberOf: toArray(concept.memberOf).map(name => normalizeName(String(name))),
+      })
+    }
+
+    const terms = new Map<string, string>()
+    for (const concept of concepts.values()) {
+      for (const parent of concept.memberOf) {
+        if (!concepts.has(parent)) {
+          throw new Error(`Drug ${concept.drug} is a member of unknown class ${parent}`)
+        }
+      }
+      for (const term of [concept.drug, ...concept.synonyms]) {
+        terms.set(normalizeName(term), concept.drug)
+      }
+    }
+
+    this.concepts = concepts
+    this.terms = terms
+  }
+
+  /**
+   * The synonym table entry of a drug name, brand name or class name
+   */
+  resolveDrug(name: string): DrugConcept | undefined {
+    const drug = this.terms.get(normalizeName(name))
+    return drug ? this.concepts.get(drug) : undefined
+  }
+
+  /**
+   * All interaction statements recorded for a herb. The slug may name a
+   * species, a preparation or a profile; a preparation or profile stands for
+   * the species it is derived from.
+   */
+  getStatements(herbSlug: string): InteractionStatement[] {
+    return (this.query.findSourcesForHerb(herbSlug)?.sources ?? []).flatMap(source => statementsOf(source))
+  }
+
+  /**
+   * Check herbs against drugs
+   */
+  check(herbSlugs: string[], drugNames: string[]): InteractionReport {
+    const report: InteractionReport = { findings: [], unresolvedHerbs: [], unrecognizedDrugs: [] }
+
+    const drugs = drugNames.map(name => {
+      const concept = this.resolveDrug(name)
+      if (!concept) report.unrecognizedDrugs.push(name)
+      return { name, keys: concept ? this.relatedDrugs(concept.drug) : undefined }
+    })
+
+    for (const herb of herbSlugs) {
+      const resolved = this.query.findSourcesForHerb(herb)
+      if (!resolved) {
+        report.unresolvedHerbs.push(herb)
+        continue
+      }
+
+      const statements = resolved.sources.flatMap(source => statementsOf(source))
+      for (const drug of drugs) {
+        for (const statement of statements) {
+          const match = this.matchStatement(statement.statement, drug.name, drug.keys)
+          if (!match) continue
+          const finding: InteractionFinding = { herb, drug: drug.name, ...statement }
+          if (match.matchedOn) finding.matchedOn = match.matchedOn
+          report.findings.push(finding)
+        }
+      }
+    }
+
+    // Array.prototype.sort is stable, so herb and drug order is kept within a severity
+    report.findings.sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity])
+    return report
+  }
+
+  /**
+   * A drug with the classes it belongs to and, for a class, its members
+   */
+  private relatedDrugs(drug: string): Set<string> {
+    const related = new Set([drug])
+    const addParents = (name: string) => {
+      for (const parent of this.concepts.get(name)?.memberOf ?? []) {
+        if (!related.has(parent)) {
+          related.add(parent)
+          addParents(parent)
+        }
+      }
+    }
+    addParents(drug)
+
+    const members = new Set([drug])
+    let added = true
+    while (added) {
+      added = false
+      for (const concept of this.concepts.values()) {
+        if (!members.has(concept.drug) && concept.memberOf.some(parent => members.has(parent))) {
+          members.add(concept.drug)
+          added = true
+        }
+      }
+    }
+
+    members.forEach(member => related.add(member))
+    return related
+  }
+
+  /**
+   * Whether a statement concerns a drug: through the synonym table if the
+   * drug is known, else by its name appearing as whole words
+   */
+  private matchStatement(
+    statement: string,
+    drugName: string,
+    keys: Set<string> | undefined
+  ): { matchedOn?: string } | undefined {
+    const text = ` ${normalizeName(statement)} `
+    if (!keys) {
+      const name = normalizeName(drugName)
+      return name && text.includes(` ${name} `) ? {} : undefined
+    }
+
+    for (const [term, drug] of this.terms) {
+      if (keys.has(drug) && text.includes(` ${term} `)) {
+        return { matchedOn: drug }
+      }
+    }
+    return undefined
+  }
+}
+
+/**
+ * Interaction statements of a profile or preparation node
+ */
+function statementsOf(node: GraphNode): InteractionStatement[] {
+  const data = node as unknown as Record<string, unknown>
+  const source = node['@id']
+  const statements: InteractionStatement[] = []
+
+  for (const entry of toArray(data.drugInteraction)) {
+    const interaction = entry as { drug?: string; type?: string; description?: string; management?: string }
+    if (typeof interaction.drug !== 'string') continue
+    statements.push(compactStatement({
+      statement: interaction.drug,
+      severity: severityOf(interaction.type),
+      description: interaction.description,
+      management: interaction.management,
+      source,
+      property: 'drugInteraction',
+    }))
+  }
+
+  for (const entry of toArray(data.drugInteractions)) {
+    const interaction = entry as WesternDrugInteraction
+    if (typeof interaction.drug !== 'string') continue
+    statements.push(compactStatement({
+      statement: interaction.drug,
+      severity: severityOf(interaction.severity),
+      description: interaction.interaction,
+      source,
+      property: 'drugInteractions',
+    }))
+  }
+
+  const safetyInfo = data.safetyInfo as { drugInteractions?: unknown } | undefined
+  for (const drug of toArray(safetyInfo?.drugInteractions)) {
+    if (typeof drug !== 'string') continue
+    statements.push({ statement: drug, severity: 'unknown', source, property: 'safetyInfo.drugInteractions' })
+  }
+
+  const incompatibilities = data.incompatibilities as LanguageMap | undefined
+  const text = incompatibilities && (incompatibilities.en ?? Object.values(incompatibilities)[0])
+  if (text) {
+    statements.push({ statement: text, severity: 'unknown', source, property: 'incompatibilities' })
+  }
+
+  return statements
+}
+
+/**
+ * Drop the optional fields a source leaves empty
+ */
+function compactStatement(statement: InteractionStatement): InteractionStatement {
+  if (!statement.description) delete statement.description
+  if (!statement.management) delete statement.management
+  return statement
+}
+
+function severityOf(value: string | undefined): InteractionSeverity {
+  return (value && SEVERITY_ALIASES[value.trim().toLowerCase()]) || 'unknown'
+}
+
+/**
+ * Lower case, without diacritics, with runs of punctuation and spaces
+ * collapsed to one space
+ */
+function normalizeName(value: string): string {
+  return value
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+function toArray(value: unknown): unknown[] {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
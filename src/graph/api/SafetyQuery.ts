@@ -0,0 +1,329 @@
+/**
+ * SafetyQuery - Pregnancy and lactation safety of a herb across systems
+ *
+ * Safety data is recorded differently by each source:
+ * - Preparations: safetyInfo.pregnancySafety, generalContraindications, warnings
+ * - Modern profiles: pregnancyCategory (FDA A/B/C/D/X/N), lactationSafety
+ *   (Safe/LikelySafe/Caution/Unsafe/InsufficientInformation), contraindication
+ * - TCM profiles: contraindications, cautions
+ * - Ayurveda, Western, Unani and Mongolian profiles: contraindications
+ *
+ * The summary of a herb merges these into one record. Codes map directly to
+ * a category; free text is read sentence by sentence, and only sentences
+ * that mention pregnancy (or lactation) count outside the dedicated fields.
+ * Every statement keeps its original text, system and source IRI.
+ *
+ * @example
+ * ```typescript
+ * const safety = new SafetyQuery(registry)
+ * const ginseng = safety.getSafetySummary('ginseng')
+ *
+ * ginseng.pregnancy.category   // 'unsafe'
+ * ginseng.pregnancy.bySystem   // { western: 'unsafe', preparation: 'unsafe' }
+ * safety.findHerbsUnsafeInPregnancy().map(s => s.herb) // ['ginseng', ...]
+ * ```
+ */
+
+import type { GraphNode, LanguageMap, MedicalSystemValue } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import { GraphQuery } from './GraphQuery.js'
+
+/**
+ * Normalized safety category, from most to least severe
+ */
+export type SafetyCategory = 'unsafe' | 'caution' | 'safe' | 'unknown'
+
+/**
+ * Stage of life a category applies to
+ */
+export type SafetyAspect = 'pregnancy' | 'lactation'
+
+/**
+ * Where a statement comes from: a medical system profile or a preparation
+ */
+export type SafetySystem = MedicalSystemValue | 'preparation'
+
+/**
+ * A contraindication or caution text of a profile or preparation
+ */
+export interface SafetyNote {
+  /** Original text, English if available */
+  text: string
+  system: SafetySystem
+  /** Profile or preparation IRI */
+  source: string
+  /** Property of the source holding the text */
+  property: string
+}
+
+/**
+ * A statement about pregnancy or lactation with its normalized category
+ */
+export interface SafetyStatement extends SafetyNote {
+  category: SafetyCategory
+}
+
+/**
+ * The statements of all sources on one aspect
+ */
+export interface SafetyAssessment {
+  /** Most severe category of the statements, 'unknown' without statements */
+  category: SafetyCategory
+  /** Most severe category by system */
+  bySystem: Partial<Record<SafetySystem, SafetyCategory>>
+  statements: SafetyStatement[]
+}
+
+/**
+ * Merged safety record of a herb
+ */
+export interface SafetySummary {
+  /** Slug as given, or the species slug in list queries */
+  herb: string
+  /** Species IRI the profiles and preparations were gathered for */
+  species?: string
+  pregnancy: SafetyAssessment
+  lactation: SafetyAssessment
+  /** All contraindication, caution and warning texts */
+  contraindications: SafetyNote[]
+  /** Systems with at least one profile or preparation */
+  systems: SafetySystem[]
+}
+
+const CATEGORY_RANK: Record<SafetyCategory, number> = { unsafe: 3, caution: 2, safe: 1, unknown: 0 }
+
+/** FDA pregnancy categories */
+const PREGNANCY_CATEGORIES: Record<string, SafetyCategory> = {
+  A: 'safe',
+  B: 'safe',
+  C: 'caution',
+  D: 'unsafe',
+  X: 'unsafe',
+  N: 'unknown',
+}
+
+const LACTATION_CATEGORIES: Record<string, SafetyCategory> = {
+  safe: 'safe',
+  likelysafe: 'safe',
+  caution: 'caution',
+  unsafe: 'unsafe',
+  insufficientinformation: 'unknown',
+}
+
+const ASPECT_TERMS: Record<SafetyAspect, RegExp> = {
+  pregnancy: /pregnan|gestation|trimester|孕|妊娠/i,
+  lactation: /lactat|breast-?feed|nursing|哺乳/i,
+}
+
+/** Qualifiers that soften an avoidance to a caution (dose limits, "use with caution") */
+const CAUTION_TERMS = /caution|careful|therapeutic dose|high dose|large dose|excessive|prolonged|慎/i
+const UNSAFE_TERMS = /contraindicat|avoid|not recommended|do not use|should not|unsafe|forbidden|prohibited|忌|禁/i
+const SAFE_TERMS = /\bsafe\b|安全/i
+
+/**
+ * Free-text properties and the category of a sentence that mentions an
+ * aspect without any of the terms above
+ */
+const TEXT_PROPERTIES: Array<{ property: string; path: string[]; fallback: SafetyCategory }> = [
+  { property: 'safetyInfo.generalContraindications', path: ['safetyInfo', 'generalContraindications'], fallback: 'unsafe' },
+  { property: 'safetyInfo.warnings', path: ['safetyInfo', 'warnings'], fallback: 'caution' },
+  { property: 'contraindications', path: ['contraindications'], fallback: 'unsafe' },
+  { property: 'contraindication', path: ['contraindication'], fallback: 'unsafe' },
+  { property: 'cautions', path: ['cautions'], fallback: 'caution' },
+]
+
+/**
+ * Query API for the pregnancy and lactation safety of herbs
+ */
+export class SafetyQuery {
+  private registry: GraphRegistry
+  private query: GraphQuery
+
+  constructor(registry: GraphRegistry) {
+    this.registry = registry
+    this.query = new GraphQuery(registry)
+  }
+
+  /**
+   * Merged safety record of a herb. The slug may name a species, a
+   * preparation or a profile; a preparation or profile stands for the
+   * species it is derived from.
+   *
+   * @returns undefined if the slug names none of these
+   */
+  getSafetySummary(herbSlug: string): SafetySummary | undefined {
+    const resolved = this.query.findSourcesForHerb(herbSlug)
+    return resolved && this.summarize(herbSlug, resolved.sources, resolved.species)
+  }
+
+  /**
+   * Herbs whose merged category on an aspect is the given one, by species
+   * slug. Profiles and preparations without a species are listed by their
+   * own slug.
+   */
+  findHerbsBySafety(aspect: SafetyAspect, category: SafetyCategory): SafetySummary[] {
+    return this.summarizeAll().filter(summary => summary[aspect].category === category)
+  }
+
+  /**
+   * Herbs flagged unsafe in pregnancy by at least one system
+   */
+  findHerbsUnsafeInPregnancy(): SafetySummary[] {
+    return this.findHerbsBySafety('pregnancy', 'unsafe')
+  }
+
+  /**
+   * Herbs flagged unsafe during lactation by at least one system
+   */
+  findHerbsUnsafeInLactation(): SafetySummary[] {
+    return this.findHerbsBySafety('lactation', 'unsafe')
+  }
+
+  private summarize(herb: string, sources: GraphNode[], species?: string): SafetySummary {
+    const summary: SafetySummary = {
+      herb,
+      pregnancy: { category: 'unknown', bySystem: {}, statements: [] },
+      lactation: { category: 'unknown', bySystem: {}, statements: [] },
+      contraindications: [],
+      systems: [],
+    }
+    if (species) summary.species = species
+
+    for (const node of sources) {
+      const system = this.systemOf(node['@id'])
+      if (!system) continue
+      if (!summary.systems.includes(system)) summary.systems.push(system)
+
+      const data = node as unknown as Record<string, unknown>
+      const note = (property: string, text: string): SafetyNote => ({ text, system, source: node['@id'], property })
+
+      const safetyInfo = data.safetyInfo as { pregnancySafety?: LanguageMap } | undefined
+      const pregnancySafety = textOf(safetyInfo?.pregnancySafety)
+      if (pregnancySafety) {
+        addStatement(summary.pregnancy, {
+          ...note('safetyInfo.pregnancySafety', pregnancySafety),
+          category: classifyText(pregnancySafety, 'unknown'),
+        })
+      }
+
+      if (typeof data.pregnancyCategory === 'string') {
+        addStatement(summary.pregnancy, {
+          ...note('pregnancyCategory', data.pregnancyCategory),
+          category: PREGNANCY_CATEGORIES[data.pregnancyCategory.trim().toUpperCase()] ?? 'unknown',
+        })
+      }
+      if (typeof data.lactationSafety === 'string') {
+        addStatement(summary.lactation, {
+          ...note('lactationSafety', data.lactationSafety),
+          category: LACTATION_CATEGORIES[data.lactationSafety.replace(/\s+/g, '').toLowerCase()] ?? 'unknown',
+        })
+      }
+
+      for (const { property, path, fallback } of TEXT_PROPERTIES) {
+        for (const value of toArray(valueAt(data, path))) {
+          const text = textOf(value as LanguageMap)
+          if (!text) continue
+          summary.contraindications.push(note(property, text))
+
+          for (const aspect of ['pregnancy', 'lactation'] as const) {
+            const sentences = splitSentences(text).filter(sentence => ASPECT_TERMS[aspect].test(sentence))
+            if (sentences.length === 0) continue
+            addStatement(summary[aspect], {
+              ...note(property, text),
+              category: classifyText(sentences.join(' '), fallback),
+            })
+          }
+        }
+      }
+    }
+
+    return summary
+  }
+
+  /**
+   * Summaries of every species with profiles or preparations, and of the
+   * profiles and preparations that belong to no species
+   */
+  private summarizeAll(): SafetySummary[] {
+    const summaries: SafetySummary[] = []
+    const covered = new Set<string>()
+
+    for (const species of this.registry.species.getAllAsGraphNodes()) {
+      const slug = (species as { slug?: string }).slug
+      if (!slug) continue
+      const sources = this.query.findSourcesForHerb(slug)?.sources ?? []
+      if (sources.length === 0) continue
+      sources.forEach(source => covered.add(source['@id']))
+      summaries.push(this.summarize(slug, sources, species['@id']))
+    }
+
+    const registries = [...Object.values(this.registry.profiles), this.registry.preparations]
+    for (const registry of registries) {
+      for (const node of registry.getAllAsGraphNodes()) {
+        const slug = (node as { slug?: string }).slug
+        if (!slug || covered.has(node['@id'])) continue
+        summaries.push(this.summarize(slug, [node]))
+      }
+    }
+
+    return summaries.sort((a, b) => a.herb.localeCompare(b.herb))
+  }
+
+  /**
+   * The medical system of a profile IRI, 'preparation' for a preparation
+   */
+  private systemOf(iri: string): SafetySystem | undefined {
+    if (this.registry.preparations.has(iri)) return 'preparation'
+    const systems = Object.keys(this.registry.profiles) as MedicalSystemValue[]
+    return systems.find(system => this.registry.profiles[system].has(iri))
+  }
+}
+
+/**
+ * Add a statement and raise the overall and per-system categories
+ */
+function addStatement(assessment: SafetyAssessment, statement: SafetyStatement): void {
+  assessment.statements.push(statement)
+  assessment.category = moreSevere(assessment.category, statement.category)
+  assessment.bySystem[statement.system] = moreSevere(assessment.bySystem[statement.system] ?? 'unknown', statement.category)
+}
+
+function moreSevere(a: SafetyCategory, b: SafetyCategory): SafetyCategory {
+  return CATEGORY_RANK[b] > CATEGORY_RANK[a] ? b : a
+}
+
+/**
+ * Category of a text: the most severe of its sentences. Within a sentence a
+ * caution qualifier wins over an avoidance ("avoid in pregnancy in high
+ * doses"), and a sentence without any safety terms gets the fallback.
+ */
+function classifyText(text: string, fallback: SafetyCategory): SafetyCategory {
+  return splitSentences(text).reduce<SafetyCategory>((category, sentence) => {
+    const sentenceCategory = CAUTION_TERMS.test(sentence) ? 'caution'
+      : UNSAFE_TERMS.test(sentence) ? 'unsafe'
+        : SAFE_TERMS.test(sentence) ? 'safe'
+          : fallback
+    return moreSevere(category, sentenceCategory)
+  }, 'unknown')
+}
+
+function splitSentences(text: string): string[] {
+  return text.split(/(?<=[.;!?。；])\s*/).map(sentence => sentence.trim()).filter(Boolean)
+}
+
+/**
+ * English text of a language map, else its first value
+ */
+function textOf(value: LanguageMap | undefined): string | undefined {
+  if (!value || typeof value !== 'object') return undefined
+  return value.en ?? Object.values(value)[0]
+}
+
+function valueAt(data: Record<string, unknown>, path: string[]): unknown {
+  return path.reduce<unknown>((value, key) => (value as Record<string, unknown> | undefined)?.[key], data)
+}
+
+function toArray(value: unknown): unknown[] {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
@@ -0,0 +1,410 @@
+/**
+ * TcmFormulaChecker - Safety check of the ingredients of a TCM formula
+ *
+ * Scans a formula, or an ad-hoc list of ingredients, for:
+ * - the eighteen incompatibilities (十八反) and nineteen antagonisms (十九畏):
+ *   pairs of herbs that must not be combined (errors)
+ * - herbs forbidden (禁用) or to be used with caution (慎用) in pregnancy
+ *   (warnings and info)
+ * - toxic herbs (大毒, 有毒, 小毒) (warnings and info)
+ *
+ * The pairs and lists come from systems/tcm/reference/formula-safety.jsonld.
+ * Ingredients are matched on the pinyin, Chinese and English names and the
+ * aliases of its herbs. An ingredient that is a preparation or a profile in
+ * the graph is also matched on the names of the TCM profiles of its species.
+ *
+ * TcmFormulaValidator runs the check on every formula node of the graph.
+ *
+ * @example
+ * ```typescript
+ * const checker = new TcmFormulaChecker(registry, path.join(dataRoot, 'systems/tcm/reference/formula-safety.jsonld'))
+ * const report = checker.checkIngredients(['liquorice-root', 'Gān Suì', '附子'])
+ *
+ * report.issues[0].message // '甘草 Gān Cǎo and 甘遂 Gān Suì must not be combined (十八反, eighteen incompatibilities)'
+ * ```
+ */
+
+import fs from 'fs'
+import type { GraphNode, IRIReference, LanguageMap } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import type { ValidationSeverity } from '../validators/ValidationResult.js'
+
+/**
+ * A herb of the reference data. A group herb (烏頭) stands for the herbs it
+ * includes (川烏, 草烏, 附子).
+ */
+export interface TcmSafetyHerb {
+  '@id': string
+  herb: string
+  pinyin?: string
+  name: LanguageMap
+  aliases: string[]
+  includes: string[]
+}
+
+export type TcmIncompatibilityKind = 'eighteen-incompatibilities' | 'nineteen-antagonisms'
+
+/**
+ * Two herbs that must not be combined
+ */
+export interface TcmIncompatibility {
+  '@id': string
+  kind: TcmIncompatibilityKind
+  herbs: [string, string]
+}
+
+export type PregnancyLevel = 'forbidden' | 'caution'
+
+export type ToxicityLevel = 'highly-toxic' | 'toxic' | 'slightly-toxic'
+
+/**
+ * A formula ingredient and the reference herbs it was matched to
+ */
+export interface IngredientMatch {
+  /** Ingredient as given (name, slug or IRI) */
+  ingredient: string
+  /** IRI of the preparation or profile the ingredient names, if any */
+  node?: string
+  /** Matched herbs, with the groups that include them */
+  herbs: string[]
+}
+
+/**
+ * A safety finding of a formula
+ */
+export interface FormulaSafetyIssue {
+  type: TcmIncompatibilityKind | 'pregnancy' | 'toxicity'
+  /** Pregnancy or toxicity level */
+  level?: PregnancyLevel | ToxicityLevel
+  severity: ValidationSeverity
+  /** The herb, or the two herbs of a pair */
+  herbs: string[]
+  /** Ingredients that matched them */
+  ingredients: string[]
+  message: string
+}
+
+/**
+ * Result of checking the ingredients of a formula
+ */
+export interface FormulaSafetyReport {
+  /** Formula IRI, when a formula node was checked */
+  formula?: string
+  ingredients: IngredientMatch[]
+  /** Ingredients that match no reference herb */
+  unmatched: string[]
+  issues: FormulaSafetyIssue[]
+}
+
+const KIND_LABELS: Record<TcmIncompatibilityKind, string> = {
+  'eighteen-incompatibilities': '十八反, eighteen incompatibilities',
+  'nineteen-antagonisms': '十九畏, nineteen antagonisms',
+}
+
+const PREGNANCY: Record<PregnancyLevel, { severity: ValidationSeverity; text: string }> = {
+  forbidden: { severity: 'warning', text: 'is forbidden in pregnancy (妊娠禁用)' },
+  caution: { severity: 'info', text: 'is to be used with caution in pregnancy (妊娠慎用)' },
+}
+
+const TOXICITY: Record<ToxicityLevel, { severity: ValidationSeverity; text: string }> = {
+  'highly-toxic': { severity: 'warning', text: 'is highly toxic (大毒)' },
+  toxic: { severity: 'warning', text: 'is toxic (有毒)' },
+  'slightly-toxic': { severity: 'info', text: 'is slightly toxic (小毒)' },
+}
+
+/**
+ * Safety checker for TCM formulas
+ */
+export class TcmFormulaChecker {
+  private registry: GraphRegistry
+  private herbs = new Map<string, TcmSafetyHerb>()
+  private incompatibilities: TcmIncompatibility[] = []
+  private pregnancy = new Map<string, PregnancyLevel>()
+  private toxicity = new Map<string, ToxicityLevel>()
+  /** Normalized name or alias -> herbs */
+  private names = new Map<string, string[]>()
+
+  constructor(registry: GraphRegistry, safetyFile?: string) {
+    this.registry = registry
+    if (safetyFile) {
+      this.loadSafetyFile(safetyFile)
+    }
+  }
+
+  /**
+   * Whether reference data is loaded
+   */
+  hasSafetyData(): boolean {
+    return this.herbs.size > 0
+  }
+
+  /**
+   * Load the reference data from a JSON-LD file
+   */
+  loadSafetyFile(safetyFile: string): void {
+    this.loadSafety(JSON.parse(fs.readFileSync(safetyFile, 'utf-8')) as Record<string, unknown>)
+  }
+
+  /**
+   * Load the reference data from parsed JSON-LD, replacing any loaded before
+   *
+   * @throws Error if a herb lacks its id, or a group, pair or list entry
+   *   refers to a herb that is not defined
+   */
+  loadSafety(data: Record<string, unknown>): void {
+    const herbs = new Map<string, TcmSafetyHerb>()
+    for (const entry of toArray(data.herbs)) {
+      const herb = entry as Record<string, unknown>
+      if (typeof herb.herb !== 'string') {
+        throw new Error(`TCM safety herb without a "herb" id: ${JSON.stringify(herb['@id'] ?? herb)}`)
+      }
+      herbs.set(herb.herb, {
+        '@id': String(herb['@id']),
+        herb: herb.herb,
+        pinyin: typeof herb.pinyin === 'string' ? herb.pinyin : undefined,
+        name: (herb.name as LanguageMap) ?? {},
+        aliases: toArray(herb.aliases).map(String),
+        includes: toArray(herb.includes).map(String),
+      })
+    }
+
+    const known = (id: unknown, where: string): string => {
+      if (typeof id !== 'string' || !herbs.has(id)) {
+        throw new Error(`Unknown herb ${String(id)} in ${where}`)
+      }
+      return id
+    }
+
+    for (const herb of herbs.values()) {
+      herb.includes.forEach(id => known(id, `the group ${herb.herb}`))
+    }
+
+    const incompatibilities = toArray(data.incompatibilities).map(entry => {
+      const pair = entry as Record<string, unknown>
+      const ids = toArray(pair.herbs)
+      if (ids.length !== 2 || !(pair.kind === 'eighteen-incompatibilities' || pair.kind === 'nineteen-antagonisms')) {
+        throw new Error(`Incompatibility ${String(pair['@id'])} needs a kind and two herbs`)
+      }
+      const where = `incompatibility ${String(pair['@id'])}`
+      return {
+        '@id': String(pair['@id']),
+        kind: pair.kind as TcmIncompatibilityKind,
+        herbs: [known(ids[0], where), known(ids[1], where)] as [string, string],
+      }
+    })
+
+    const levels = <T extends string>(list: unknown, allowed: Record<T, unknown>, where: string) => {
+      const map = new Map<string, T>()
+      for (const entry of toArray(list)) {
+        const { herb, level } = entry as { herb?: unknown; level?: unknown }
+        if (typeof level !== 'string' || !(level in allowed)) {
+          throw new Error(`Unknown ${where} level ${String(level)} for ${String(herb)}`)
+        }
+        map.set(known(herb, `the ${where} list`), level as T)
+      }
+      return map
+    }
+
+    const names = new Map<string, string[]>()
+    for (const herb of herbs.values()) {
+      for (const name of [herb.herb, herb.pinyin, ...Object.values(herb.name), ...herb.aliases]) {
+        const key = name ? normalizeName(name) : ''
+        if (!key) continue
+        const list = names.get(key) ?? []
+        if (!list.includes(herb.herb)) list.push(herb.herb)
+        names.set(key, list)
+      }
+    }
+
+    this.pregnancy = levels<PregnancyLevel>(data.pregnancy, PREGNANCY, 'pregnancy')
+    this.toxicity = levels<ToxicityLevel>(data.toxicity, TOXICITY, 'toxicity')
+    this.herbs = herbs
+    this.incompatibilities = incompatibilities
+    this.names = names
+  }
+
+  /**
+   * The reference herbs an ingredient stands for. The ingredient may be a
+   * name (pinyin, Chinese, English), or the slug or IRI of a preparation or
+   * TCM profile.
+   */
+  resolveIngredient(ingredient: string): IngredientMatch {
+    const node = this.findNode(ingredient)
+    const names = [ingredient, ...(node ? this.namesOf(node) : [])]
+
+    const herbs: string[] = []
+    for (const name of names) {
+      for (const herb of this.names.get(normalizeName(name)) ?? []) {
+        if (!herbs.includes(herb)) herbs.push(herb)
+      }
+    }
+
+    // Add the groups including a matched herb (附子 is one of the 烏頭)
+    for (let i = 0; i < herbs.length; i++) {
+      for (const group of this.herbs.values()) {
+        if (group.includes.includes(herbs[i]) && !herbs.includes(group.herb)) herbs.push(group.herb)
+      }
+    }
+
+    const match: IngredientMatch = { ingredient, herbs }
+    if (node) match.node = node['@id']
+    return match
+  }
+
+  /**
+   * Check an ad-hoc list of ingredients
+   *
+   * @throws Error if no reference data is loaded
+   */
+  checkIngredients(ingredients: string[]): FormulaSafetyReport {
+    if (this.herbs.size === 0) {
+      throw new Error('No TCM formula safety data loaded')
+    }
+
+    const matches = ingredients.map(ingredient => this.resolveIngredient(ingredient))
+    const report: FormulaSafetyReport = {
+      ingredients: matches,
+      unmatched: matches.filter(match => match.herbs.length === 0).map(match => match.ingredient),
+      issues: [],
+    }
+    const matching = (herb: string) => matches.filter(match => match.herbs.includes(herb))
+
+    for (const pair of this.incompatibilities) {
+      const [a, b] = pair.herbs.map(matching)
+      // The same ingredient cannot be incompatible with itself
+      const combined = a.some(x => b.some(y => x !== y))
+      if (!combined) continue
+      report.issues.push({
+        type: pair.kind,
+        severity: 'error',
+        herbs: [...pair.herbs],
+        ingredients: [...new Set([...a, ...b].map(match => match.ingredient))],
+        message: `${this.label(pair.herbs[0])} and ${this.label(pair.herbs[1])} must not be combined (${KIND_LABELS[pair.kind]})`,
+      })
+    }
+
+    for (const [herb, level] of this.pregnancy) {
+      const found = matching(herb)
+      if (found.length > 0) report.issues.push(this.levelIssue('pregnancy', herb, level, PREGNANCY[level], found))
+    }
+    for (const [herb, level] of this.toxicity) {
+      const found = matching(herb)
+      if (found.length > 0) report.issues.push(this.levelIssue('toxicity', herb, level, TOXICITY[level], found))
+    }
+
+    return report
+  }
+
+  /**
+   * Check the ingredients of a formula
+   *
+   * @throws Error if the formula does not exist or no reference data is loaded
+   */
+  checkFormula(formulaSlug: string): FormulaSafetyReport {
+    const formula = this.registry.formulas.getBySlug(formulaSlug)
+    if (!formula) {
+      throw new Error(`Formula ${formulaSlug} not found`)
+    }
+    return this.checkFormulaNode(formula as GraphNode)
+  }
+
+  /**
+   * Check the ingredients of a formula node (hasIngredient)
+   *
+   * @throws Error if no reference data is loaded
+   */
+  checkFormulaNode(formula: GraphNode): FormulaSafetyReport {
+    return { formula: formula['@id'], ...this.checkIngredients(ingredientsOf(formula)) }
+  }
+
+  /**
+   * A pregnancy or toxicity finding for one herb
+   */
+  private levelIssue(
+    type: 'pregnancy' | 'toxicity',
+    herb: string,
+    level: PregnancyLevel | ToxicityLevel,
+    { severity, text }: { severity: ValidationSeverity; text: string },
+    found: IngredientMatch[]
+  ): FormulaSafetyIssue {
+    return {
+      type,
+      level,
+      severity,
+      herbs: [herb],
+      ingredients: found.map(match => match.ingredient),
+      message: `${this.label(herb)} ${text}`,
+    }
+  }
+
+  /**
+   * The preparation or TCM profile an ingredient names by slug or IRI
+   */
+  private findNode(ingredient: string): GraphNode | undefined {
+    if (ingredient.includes('://')) {
+      const iri = this.registry.resolveIRI(ingredient)
+      return this.registry.preparations.has(iri) || this.registry.profiles.tcm.has(iri)
+        ? this.registry.getNode(iri)
+        : undefined
+    }
+    return (this.registry.preparations.getBySlug(ingredient) ?? this.registry.profiles.tcm.getBySlug(ingredient)) as
+      GraphNode | undefined
+  }
+
+  /**
+   * Names of a node, and of the TCM profiles of the species it comes from
+   */
+  private namesOf(node: GraphNode): string[] {
+    const nodes = [node]
+    const speciesIRI = sourceOf(node)?.split('#')[0]
+    if (speciesIRI && this.registry.species.has(speciesIRI)) {
+      // Part profiles point at a fragment of the species (species/ginger#rhizome)
+      nodes.push(...this.registry.profiles.tcm.getAllAsGraphNodes()
+        .filter(profile => sourceOf(profile)?.split('#')[0] === speciesIRI))
+    }
+
+    return nodes.flatMap(entry => {
+      const data = entry as { slug?: string; pinyin?: string; name?: LanguageMap; chineseName?: LanguageMap }
+      return [
+        data.slug,
+        data.pinyin,
+        ...Object.values(data.name ?? {}),
+        ...Object.values(data.chineseName ?? {}),
+      ].filter((name): name is string => typeof name === 'string')
+    })
+  }
+
+  /**
+   * "甘草 Gān Cǎo"
+   */
+  private label(herb: string): string {
+    const entry = this.herbs.get(herb)
+    const chinese = entry?.name['zh-Hant'] ?? entry?.name['zh-Hans']
+    return [chinese, entry?.pinyin ?? herb].filter(Boolean).join(' ')
+  }
+}
+
+/**
+ * Ingredient IRIs of a formula node (hasIngredient)
+ */
+function ingredientsOf(formula: GraphNode): string[] {
+  return toArray((formula as { hasIngredient?: unknown }).hasIngredient)
+    .map(ref => typeof ref === 'string' ? ref : (ref as IRIReference)?.['@id'])
+    .filter((iri): iri is string => typeof iri === 'string')
+}
+
+function sourceOf(node: GraphNode): string | undefined {
+  return (node as { derivedFrom?: IRIReference }).derivedFrom?.['@id']
+}
+
+/**
+ * Lower case, without tone marks, spaces or punctuation (Gān Cǎo → gancao)
+ */
+function normalizeName(value: string): string {
+  return value.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '')
+}
+
+function toArray(value: unknown): unknown[] {
+  if (value === undefined || value === null) return []
+  return Array.isArray(value) ? value : [value]
+}
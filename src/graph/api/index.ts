@@ -6,6 +6,13 @@
  * - **GraphQuery**: Retrieve nodes by various criteria (slug, IRI, system, type)
  * - **GraphTraversal**: Navigate relationships between nodes
  * - **GraphIndex**: List and search nodes with full-text capabilities
+ * - **BarcodeMatcher**: Identify species from DNA barcode sequences
+ * - **FingerprintComparator**: Compare HPLC peak tables with monograph fingerprints
+ * - **ConcordanceQuery**: Align the profiles of a species across medical systems
+ * - **InteractionChecker**: Find herb–drug interaction statements for a list of herbs and drugs
+ * - **TcmFormulaChecker**: Check TCM formulas for incompatible pairs, pregnancy cautions and toxic herbs
+ * - **SafetyQuery**: Merge the pregnancy and lactation safety statements of a herb across systems
+ * - **DoshaCalculator**: Predict the dosha effects of dravyas and combinations from rasa, guna, virya and vipaka
  *
  * @example
  * ```typescript
@@ -27,7 +34,16 @@
  */
 
 // Query API - retrieve nodes by various criteria
-export { GraphQuery } from './GraphQuery.js'
+export {
+  GraphQuery,
+  type ElementFilter,
+  type MassRangeOptions,
+  type TemperamentOptions,
+  type UnaniCorrective,
+  type MuslehSuggestion,
+  type BodySystemOptions,
+  type HerbSources,
+} from './GraphQuery.js'
 
 // Traversal API - navigate relationships between nodes
 export {
@@ -35,10 +51,101 @@ export {
   RelationshipType,
   type RelationshipTypeValue,
   type TraversalOptions,
+  type ConceptMatchOptions,
 } from './GraphTraversal.js'
 
 // Index API - list and search nodes
 export {
   GraphIndex,
   type SearchResult,
+  type SimilarityResult,
 } from './GraphIndex.js'
+
+// Barcode API - identify species from DNA sequences
+export {
+  BarcodeMatcher,
+  parseFasta,
+  type AlignmentScoring,
+  type IdentifyOptions,
+  type IdentificationConfidence,
+  type BarcodeMatch,
+  type IdentificationResult,
+  type FastaRecord,
+} from './BarcodeMatcher.js'
+
+// Fingerprint API - compare HPLC chromatograms with monograph fingerprints
+export {
+  FingerprintComparator,
+  parsePeakTable,
+  type ChromatogramPeak,
+  type CharacteristicPeak,
+  type FingerprintCriteria,
+  type PeakMatch,
+  type FingerprintOptions,
+  type FingerprintComparison,
+} from './FingerprintComparator.js'
+
+// Concordance API - align the profiles of a species across medical systems
+export {
+  ConcordanceQuery,
+  type CrosswalkAxis,
+  type CrosswalkConcept,
+  type ConcordanceValue,
+  type ConcordanceRow,
+  type ConcordanceAgreement,
+  type ConcordanceAxis,
+  type ConcordanceDisagreement,
+  type Concordance,
+} from './ConcordanceQuery.js'
+
+// Interaction API - herb–drug interaction statements
+export {
+  InteractionChecker,
+  type InteractionSeverity,
+  type DrugConcept,
+  type InteractionStatement,
+  type InteractionFinding,
+  type InteractionReport,
+} from './InteractionChecker.js'
+
+// TCM formula safety - 十八反/十九畏, pregnancy and toxicity
+export {
+  TcmFormulaChecker,
+  type TcmSafetyHerb,
+  type TcmIncompatibilityKind,
+  type TcmIncompatibility,
+  type PregnancyLevel,
+  type ToxicityLevel,
+  type IngredientMatch,
+  type FormulaSafetyIssue,
+  type FormulaSafetyReport,
+} from './TcmFormulaChecker.js'
+
+// Safety API - pregnancy and lactation across systems
+export {
+  SafetyQuery,
+  type SafetyCategory,
+  type SafetyAspect,
+  type SafetySystem,
+  type SafetyNote,
+  type SafetyStatement,
+  type SafetyAssessment,
+  type SafetySummary,
+} from './SafetyQuery.js'
+
+// Ayurveda dosha effects - rules of rasa, guna, virya and vipaka
+export {
+  DoshaCalculator,
+  DOSHAS,
+  RULE_WEIGHTS,
+  type DoshaName,
+  type DoshaDirection,
+  type DoshaRuleKind,
+  type DoshaRule,
+  type DoshaContribution,
+  type DoshaEstimate,
+  type DoshaDisagreement,
+  type DravyaDoshaReport,
+  type DravyaPortion,
+  type CombinationDoshaReport,
+} from './DoshaCalculator.js'
@@ -152,7 +152,7 @@ export class BrowserGraphQuery {
   }
 
   /**
-   * Find all profiles that reference a species
+   * Find all profiles that reference a species or one of its parts
    */
   findProfilesForSpecies(speciesSlug: string): GraphNode[] {
     const speciesIRI = generateIRI(NodeType.SPECIES, speciesSlug)
@@ -171,8 +171,14 @@ export class BrowserGraphQuery {
     for (const type of profileTypes) {
       const nodes = this.registry.getNodesByType(type)
       for (const profile of nodes) {
-        const profileData = profile as { derivedFrom?: { '@id': string } }
-        if (profileData.derivedFrom?.['@id'] === speciesIRI) {
+        // Modern profiles link their source material via derivedFromSource
+        const profileData = profile as {
+          derivedFrom?: { '@id': string }
+          derivedFromSource?: { '@id': string }
+        }
+        const sourceIRI = profileData.derivedFrom?.['@id'] ?? profileData.derivedFromSource?.['@id']
+        // Part profiles point at a fragment of the species (species/ginger#rhizome)
+        if (sourceIRI === speciesIRI || sourceIRI?.startsWith(`${speciesIRI}#`)) {
           profiles.push(profile)
         }
       }
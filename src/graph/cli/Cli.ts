@@ -8,11 +8,13 @@
  *   herbapedia-graph <command> [options]
  *
  * Commands:
- *   build     Build the knowledge graph from source data
- *   validate  Validate the knowledge graph
- *   query     Query nodes from the knowledge graph
- *   export    Export the knowledge graph to various formats
- *   stats     Show statistics about the knowledge graph
+ *   build        Build the knowledge graph from source data
+ *   validate     Validate the knowledge graph
+ *   query        Query nodes from the knowledge graph
+ *   export       Export the knowledge graph to various formats
+ *   stats        Show statistics about the knowledge graph
+ *   identify     Identify species from DNA barcode sequences
+ *   fingerprint  Compare an HPLC peak table with a monograph fingerprint
  *
  * @example
  * ```bash
@@ -27,6 +29,12 @@
  *
  * # Export to Turtle format
  * herbapedia-graph export --format turtle
+ *
+ * # Identify a species from an ITS2 read
+ * herbapedia-graph identify --region ITS2 sample.fasta
+ *
+ * # Check an HPLC fingerprint against the ginseng monograph
+ * herbapedia-graph fingerprint --reference reference.csv radix-ginseng peaks.csv
  * ```
  */
 
@@ -245,6 +253,12 @@ Examples:
 
   # Show statistics
   herbapedia-graph stats
+
+  # Identify a species from an ITS2 read
+  herbapedia-graph identify --region ITS2 sample.fasta
+
+  # Check an HPLC fingerprint against the ginseng monograph
+  herbapedia-graph fingerprint --reference reference.csv radix-ginseng peaks.csv
 `)
   }
 
@@ -0,0 +1,156 @@
+/**
+ * FingerprintCommand - Compare an HPLC peak table with a monograph fingerprint
+ *
+ * Usage:
+ *   herbapedia-graph fingerprint [options] --reference <reference.csv> <method> <peaks.csv>
+ *
+ * The similarity compares the sample's peak areas with those of the
+ * reference chromatogram (monographs list no areas), so --reference is
+ * required.
+ *
+ * Options:
+ *   --reference <csv>        Reference chromatogram run with the sample (required)
+ *   --variant <name>         Fingerprint variant of multi-species monographs
+ *   --min-similarity <n>     Minimum similarity for a pass (default: 0.9)
+ *   --data-root <path>       Root directory of source data
+ *   --json                   Output as JSON
+ *   --verbose, -v            Enable verbose logging
+ */
+
+import fs from 'fs'
+import path from 'path'
+import type { CliOptions, Command, CommandOption, Cli } from '../Cli.js'
+import { GraphBuilder, FingerprintComparator, parsePeakTable, type FingerprintComparison } from '../../index.js'
+
+interface FingerprintCommandOptions extends CliOptions {
+  dataRoot: string
+  reference: string
+  variant?: string
+  'min-similarity': string
+  json: boolean
+}
+
+export class FingerprintCommand implements Command {
+  name = 'fingerprint'
+  description = 'Compare an HPLC peak table (CSV) with a monograph fingerprint'
+
+  options: Record<string, CommandOption> = {
+    reference: {
+      description: 'Reference chromatogram (CSV) run with the sample (required)',
+      type: 'string',
+    },
+    variant: {
+      description: 'Fingerprint variant of multi-species monographs',
+      type: 'string',
+    },
+    'min-similarity': {
+      description: 'Minimum similarity for a pass',
+      type: 'string',
+      default: '0.9',
+    },
+    'data-root': {
+      description: 'Root directory of source data',
+      type: 'string',
+      default: '.',
+    },
+    json: {
+      description: 'Output as JSON',
+      type: 'boolean',
+      default: false,
+    },
+    verbose: {
+      alias: 'v',
+      description: 'Enable verbose logging',
+      type: 'boolean',
+      default: false,
+    },
+  }
+
+  async run(baseOptions: CliOptions, args: string[]): Promise<number> {
+    const options = baseOptions as FingerprintCommandOptions
+    const dataRoot = path.resolve(options.dataRoot || '.')
+    const [method, peaksPath] = args
+
+    if (!method || !peaksPath || !options.reference) {
+      console.error('Error: analytical method, peak table and reference chromatogram required')
+      console.error('Usage: herbapedia-graph fingerprint --reference <reference.csv> <method> <peaks.csv>')
+      return 1
+    }
+
+    const minSimilarity = parseFloat(options['min-similarity'])
+    if (!Number.isFinite(minSimilarity)) {
+      console.error(`Error: invalid minimum similarity: ${options['min-similarity']}`)
+      return 1
+    }
+
+    try {
+      const sample = parsePeakTable(fs.readFileSync(peaksPath, 'utf-8'))
+      if (sample.length === 0) {
+        console.error(`Error: no peaks in ${peaksPath}`)
+        return 1
+      }
+      const reference = parsePeakTable(fs.readFileSync(options.reference, 'utf-8'))
+      if (reference.length === 0) {
+        console.error(`Error: no peaks in ${options.reference}`)
+        return 1
+      }
+
+      if (options.verbose) {
+        console.log('Building knowledge graph from:', dataRoot)
+      }
+
+      const builder = new GraphBuilder({
+        dataRoot,
+        outputDir: '/tmp/herbapedia-fingerprint',
+        validate: false,
+        verbose: false,
+        contextUrl: 'https://www.herbapedia.org/schema/context/index.jsonld',
+      })
+
+      await builder.build()
+      const comparator = new FingerprintComparator(builder.getRegistry())
+      const result = comparator.compare(sample, method, { reference, variant: options.variant, minSimilarity })
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2))
+      } else {
+        this.printResult(method, result)
+      }
+
+      return result.passed ? 0 : 1
+    } catch (error) {
+      console.error('\n❌ Fingerprint comparison failed:', error instanceof Error ? error.message : error)
+      return 1
+    }
+  }
+
+  private printResult(method: string, result: FingerprintComparison): void {
+    const variant = result.variant ? ` (${result.variant})` : ''
+    console.log(`\n${method}${variant} — ${result.passed ? 'PASS' : 'FAIL'}`)
+    console.log(`  Similarity: ${result.similarity} (minimum ${result.criteria.minSimilarity})`)
+    console.log(`  Characteristic peaks: ${result.matched.length} found, ${result.criteria.requiredPeaks} required`)
+    console.log()
+    console.log('  Peak  Expected RRT  RT       RRT    Deviation  Compound')
+
+    const rows = [
+      ...result.matched.map(match => ({ peakNumber: match.peakNumber, expected: match.expectedRrt, compound: match.compound, match })),
+      ...result.missing.map(peak => ({ peakNumber: peak.peakNumber, expected: peak.rrt, compound: peak.compound, match: undefined })),
+    ].sort((a, b) => a.peakNumber - b.peakNumber)
+
+    for (const row of rows) {
+      const observed = row.match
+        ? `${String(row.match.rt).padEnd(7)}  ${row.match.rrt.toFixed(2).padEnd(5)}  ${row.match.deviation.toFixed(3).padStart(9)}`
+        : `${'missing'.padEnd(7)}  ${'-'.padEnd(5)}  ${'-'.padStart(9)}`
+      const compound = (row.compound ?? '') + (row.match?.marker ? ' (marker)' : '')
+      console.log(`  ${String(row.peakNumber).padEnd(4)}  ${row.expected.toFixed(2).padStart(12)}  ${observed}  ${compound}`)
+    }
+
+    for (const failure of result.failures) {
+      console.log(`  ✗ ${failure}`)
+    }
+  }
+}
+
+export function registerFingerprintCommand(cli: Cli): void {
+  cli.registerCommand(new FingerprintCommand())
+}
@@ -0,0 +1,142 @@
+/**
+ * IdentifyCommand - Identify the species of DNA sequences from a FASTA file
+ *
+ * Usage:
+ *   herbapedia-graph identify [options] <fasta>
+ *
+ * Options:
+ *   --region <region>    Barcode region to compare against (e.g. ITS2, rbcL, matK)
+ *   --limit <n>          Number of ranked species per sequence (default: 5)
+ *   --data-root <path>   Root directory of source data
+ *   --json               Output as JSON
+ *   --verbose, -v        Enable verbose logging
+ */
+
+import fs from 'fs'
+import path from 'path'
+import type { CliOptions, Command, CommandOption, Cli } from '../Cli.js'
+import { GraphBuilder, BarcodeMatcher, parseFasta, type IdentificationResult } from '../../index.js'
+
+interface IdentifyCommandOptions extends CliOptions {
+  dataRoot: string
+  region?: string
+  limit: number
+  json: boolean
+}
+
+export class IdentifyCommand implements Command {
+  name = 'identify'
+  description = 'Identify species from DNA barcode sequences (FASTA)'
+
+  options: Record<string, CommandOption> = {
+    region: {
+      alias: 'r',
+      description: 'Barcode region to compare against (e.g. ITS2, rbcL, matK)',
+      type: 'string',
+    },
+    limit: {
+      alias: 'n',
+      description: 'Number of ranked species per sequence',
+      type: 'number',
+      default: 5,
+    },
+    'data-root': {
+      description: 'Root directory of source data',
+      type: 'string',
+      default: '.',
+    },
+    json: {
+      description: 'Output as JSON',
+      type: 'boolean',
+      default: false,
+    },
+    verbose: {
+      alias: 'v',
+      description: 'Enable verbose logging',
+      type: 'boolean',
+      default: false,
+    },
+  }
+
+  async run(baseOptions: CliOptions, args: string[]): Promise<number> {
+    const options = baseOptions as IdentifyCommandOptions
+    const dataRoot = path.resolve(options.dataRoot || '.')
+    const fastaPath = args[0]
+
+    if (!fastaPath) {
+      console.error('Error: FASTA file required')
+      console.error('Usage: herbapedia-graph identify --region ITS2 <fasta>')
+      return 1
+    }
+
+    try {
+      const records = parseFasta(fs.readFileSync(fastaPath, 'utf-8'))
+      if (records.length === 0) {
+        console.error(`Error: no sequences in ${fastaPath}`)
+        return 1
+      }
+
+      if (options.verbose) {
+        console.log('Building knowledge graph from:', dataRoot)
+      }
+
+      const builder = new GraphBuilder({
+        dataRoot,
+        outputDir: '/tmp/herbapedia-identify',
+        validate: false,
+        verbose: false,
+        contextUrl: 'https://www.herbapedia.org/schema/context/index.jsonld',
+      })
+
+      await builder.build()
+      const matcher = new BarcodeMatcher(builder.getRegistry())
+
+      const results = records.map(record => ({
+        id: record.id,
+        length: record.sequence.length,
+        ...matcher.identify(record.sequence, { region: options.region, limit: options.limit }),
+      }))
+
+      if (options.json) {
+        console.log(JSON.stringify(results, null, 2))
+        return 0
+      }
+
+      for (const result of results) {
+        this.printResult(result.id, result.length, result)
+      }
+
+      return 0
+    } catch (error) {
+      console.error('\n❌ Identification failed:', error)
+      return 1
+    }
+  }
+
+  private printResult(id: string, length: number, result: IdentificationResult): void {
+    console.log(`\n${id} (${length} bp) — confidence: ${result.confidence}`)
+
+    if (result.matches.length === 0) {
+      console.log('  No matching barcode sequences.')
+      return
+    }
+
+    console.log(`  Lead over second hit: ${result.gap} percentage points`)
+    console.log()
+    console.log('  #  Identity  Coverage  Score  Region      Species')
+
+    result.matches.forEach((match, index) => {
+      const species = match.species.map(s => s['@id'].split('/').pop()).join(', ')
+        || match.scientificName
+        || match.barcode
+      console.log(
+        `  ${String(index + 1).padEnd(2)} ${`${match.identity}%`.padStart(8)}  ${`${match.coverage}%`.padStart(8)}  ` +
+        `${String(match.score).padStart(5)}  ${match.region.padEnd(10)}  ${species}`
+      )
+    })
+  }
+}
+
+export function registerIdentifyCommand(cli: Cli): void {
+  cli.registerCommand(new IdentifyCommand())
+}
@@ -9,10 +9,13 @@
  *   profile <system> <slug>  Get a profile by system and slug
  *   iri <iri>                Get a node by full IRI
  *   search <query>           Search for nodes
+ *   similar <smiles>         Find chemicals with a similar structure
+ *   substructure <pattern>   Find chemicals containing a substructure
  *
  * Options:
  *   --data-root <path>       Root directory of source data
  *   --format <format>        Output format: json, jsonld (default: json)
+ *   --threshold <value>      Minimum Tanimoto similarity for similar (default: 0.7)
  *   --verbose, -v            Enable verbose logging
  */
 
@@ -23,6 +26,7 @@ import { GraphBuilder, GraphQuery, GraphIndex, type GraphNode } from '../../inde
 interface QueryCommandOptions extends CliOptions {
   dataRoot: string
   format: string
+  threshold: string
 }
 
 export class QueryCommand implements Command {
@@ -41,6 +45,11 @@ export class QueryCommand implements Command {
       type: 'string',
       default: 'json',
     },
+    threshold: {
+      description: 'Minimum Tanimoto similarity for similar (0-1)',
+      type: 'string',
+      default: '0.7',
+    },
     verbose: {
       alias: 'v',
       description: 'Enable verbose logging',
@@ -128,6 +137,34 @@ export class QueryCommand implements Command {
           break
         }
 
+        case 'similar': {
+          const smiles = args[1]
+          if (!smiles) {
+            console.error('Error: SMILES required')
+            return 1
+          }
+          const threshold = parseFloat(options.threshold)
+          if (Number.isNaN(threshold)) {
+            console.error(`Error: invalid threshold: ${options.threshold}`)
+            return 1
+          }
+          result = index.searchChemicalsBySimilarity(smiles, threshold).map(r => ({
+            '@id': r.node['@id'],
+            similarity: r.similarity,
+          }))
+          break
+        }
+
+        case 'substructure': {
+          const pattern = args[1]
+          if (!pattern) {
+            console.error('Error: substructure pattern required')
+            return 1
+          }
+          result = index.searchChemicalsBySubstructure(pattern).map(n => n['@id'])
+          break
+        }
+
         case 'list': {
           const type = args[1]
           result = this.listNodes(index, type)
@@ -194,6 +231,8 @@ Query commands:
   profile <system> <slug>  Get a profile by system and slug
   iri <iri>                Get a node by full IRI
   search <query>           Search for nodes
+  similar <smiles>         Find chemicals with a similar structure (--threshold, default 0.7)
+  substructure <pattern>   Find chemicals containing a substructure (SMILES, SMARTS-like)
   list <type>              List all nodes of a type
 
 List types:
@@ -203,6 +242,8 @@ Examples:
   herbapedia-graph query species panax-ginseng
   herbapedia-graph query profile tcm ren-shen
   herbapedia-graph query search ginseng
+  herbapedia-graph query similar 'CC(=O)CCc1ccc(O)c(OC)c1' --threshold 0.5
+  herbapedia-graph query substructure 'c([OH])cO[CH3]'
   herbapedia-graph query list species
 `)
   }
@@ -1,6 +1,10 @@
 /**
  * ValidateCommand - Validate the knowledge graph
  *
+ * Checks the source files against the JSON Schemas (schema/json-schema)
+ * as they are loaded, then builds the graph and checks it against the SHACL
+ * shapes (schema/shapes).
+ *
  * Usage:
  *   herbapedia-graph validate [options]
  *
@@ -8,6 +12,7 @@
  *   --data-root <path>   Root directory of source data
  *   --verbose, -v        Enable verbose logging
  *   --strict             Treat warnings as errors
+ *   --lenient            Report shape violations of missing required properties as warnings
  */
 
 import path from 'path'
@@ -17,6 +22,7 @@ import { GraphBuilder } from '../../index.js'
 interface ValidateCommandOptions extends CliOptions {
   dataRoot: string
   strict: boolean
+  lenient: boolean
 }
 
 export class ValidateCommand implements Command {
@@ -34,6 +40,11 @@ export class ValidateCommand implements Command {
       type: 'boolean',
       default: false,
     },
+    lenient: {
+      description: 'Report shape violations of missing required properties as warnings',
+      type: 'boolean',
+      default: false,
+    },
     verbose: {
       alias: 'v',
       description: 'Enable verbose logging',
@@ -61,6 +72,7 @@ export class ValidateCommand implements Command {
         dataRoot,
         outputDir: '/tmp/herbapedia-validate', // Temporary output for validation
         validate: true,
+        lenient: options.lenient,
         verbose: options.verbose,
         contextUrl: 'https://www.herbapedia.org/schema/context/index.jsonld',
       })
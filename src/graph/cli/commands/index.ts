@@ -7,3 +7,5 @@ export { ValidateCommand, registerValidateCommand } from './ValidateCommand.js'
 export { QueryCommand, registerQueryCommand } from './QueryCommand.js'
 export { ExportCommand, registerExportCommand } from './ExportCommand.js'
 export { StatsCommand, registerStatsCommand } from './StatsCommand.js'
+export { IdentifyCommand, registerIdentifyCommand } from './IdentifyCommand.js'
+export { FingerprintCommand, registerFingerprintCommand } from './FingerprintCommand.js'
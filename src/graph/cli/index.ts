@@ -9,11 +9,15 @@ export {
   QueryCommand,
   ExportCommand,
   StatsCommand,
+  IdentifyCommand,
+  FingerprintCommand,
   registerBuildCommand,
   registerValidateCommand,
   registerQueryCommand,
   registerExportCommand,
   registerStatsCommand,
+  registerIdentifyCommand,
+  registerFingerprintCommand,
 } from './commands/index.js'
 
 /**
@@ -26,6 +30,8 @@ import {
   registerQueryCommand,
   registerExportCommand,
   registerStatsCommand,
+  registerIdentifyCommand,
+  registerFingerprintCommand,
 } from './commands/index.js'
 
 export function createCli(): CliClass {
@@ -35,5 +41,7 @@ export function createCli(): CliClass {
   registerQueryCommand(cli)
   registerExportCommand(cli)
   registerStatsCommand(cli)
+  registerIdentifyCommand(cli)
+  registerFingerprintCommand(cli)
   return cli
 }
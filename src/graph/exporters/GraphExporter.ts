@@ -11,6 +11,7 @@ import fs from 'fs'
 import path from 'path'
 import type { GraphNode, ExportOptions } from '../types.js'
 import { GraphRegistry } from '../registry/GraphRegistry.js'
+import { GRAPH_BASE } from '../registry/IRIResolver.js'
 
 /**
  * Base exporter class
@@ -80,12 +81,18 @@ export class JsonLdExporter extends GraphExporter {
     // Export chemicals
     await this.exportNodeType('node/chemical', this.registry.chemicals.getAllAsGraphNodes(), pretty, includeContext)
 
+    // Export barcodes
+    await this.exportNodeType('node/barcode', this.registry.barcodes.getAllAsGraphNodes(), pretty, includeContext)
+
     // Export preparations
     await this.exportNodeType('node/preparation', this.registry.preparations.getAllAsGraphNodes(), pretty, includeContext)
 
     // Export formulas
     await this.exportNodeType('node/formula', this.registry.formulas.getAllAsGraphNodes(), pretty, includeContext)
 
+    // Export analytical methods
+    await this.exportNodeType('node/analytical-method', this.registry.analyticalMethods.getAllAsGraphNodes(), pretty, includeContext)
+
     // Export profiles by system
     await this.exportNodeType('node/profile/tcm', this.registry.profiles.tcm.getAllAsGraphNodes(), pretty, includeContext)
     await this.exportNodeType('node/profile/ayurveda', this.registry.profiles.ayurveda.getAllAsGraphNodes(), pretty, includeContext)
@@ -104,10 +111,35 @@ export class JsonLdExporter extends GraphExporter {
     await this.exportNodeType('node/vocab/ayurveda/guna', this.registry.vocabulary.ayurveda.gunas.getAllAsGraphNodes(), pretty, includeContext)
     await this.exportNodeType('node/vocab/ayurveda/virya', this.registry.vocabulary.ayurveda.viryas.getAllAsGraphNodes(), pretty, includeContext)
     await this.exportNodeType('node/vocab/ayurveda/vipaka', this.registry.vocabulary.ayurveda.vipakas.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/ayurveda/karma', this.registry.vocabulary.ayurveda.karmas.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/ayurveda/mahabhuta', this.registry.vocabulary.ayurveda.mahabhutas.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/ayurveda/prabhava', this.registry.vocabulary.ayurveda.prabhavas.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/ayurveda/category', this.registry.vocabulary.ayurveda.categories.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/mongolian/root', this.registry.vocabulary.mongolian.roots.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/mongolian/taste', this.registry.vocabulary.mongolian.tastes.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/mongolian/potency', this.registry.vocabulary.mongolian.potencies.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/mongolian/element', this.registry.vocabulary.mongolian.elements.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/unani/temperament', this.registry.vocabulary.unani.temperaments.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/unani/degree', this.registry.vocabulary.unani.degrees.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/unani/element', this.registry.vocabulary.unani.elements.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/western/action', this.registry.vocabulary.western.actions.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/western/organ', this.registry.vocabulary.western.organs.getAllAsGraphNodes(), pretty, includeContext)
+    await this.exportNodeType('node/vocab/western/system', this.registry.vocabulary.western.bodySystems.getAllAsGraphNodes(), pretty, includeContext)
 
     // Export sources and images
     await this.exportNodeType('node/source', this.registry.sources.getAllAsGraphNodes(), pretty, includeContext)
     await this.exportNodeType('node/image', this.registry.images.getAllAsGraphNodes(), pretty, includeContext)
+
+    // Export node types added by loader plugins, laid out by IRI path
+    for (const registry of this.registry.extensions.values()) {
+      for (const node of registry.getAllAsGraphNodes()) {
+        const filePath = this.nodeFilePath(node['@id'])
+        if (!filePath) continue
+
+        this.ensureDir(path.dirname(filePath))
+        this.writeJsonFile(filePath, includeContext ? node : this.removeContext(node), pretty)
+      }
+    }
   }
 
   /**
@@ -134,6 +166,24 @@ export class JsonLdExporter extends GraphExporter {
     }
   }
 
+  /**
+   * Delete the node files of removed nodes (after an incremental build).
+   * Returns the number of files deleted.
+   */
+  removeNodes(iris: string[]): number {
+    let removed = 0
+
+    for (const iri of iris) {
+      const filePath = this.nodeFilePath(iri)
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+        removed++
+      }
+    }
+
+    return removed
+  }
+
   /**
    * Export aggregated files for each major type
    */
@@ -182,6 +232,16 @@ export class JsonLdExporter extends GraphExporter {
       pretty
     )
 
+    // Barcodes
+    this.writeJsonFile(
+      path.join(graphDir, 'barcodes.jsonld'),
+      {
+        '@context': 'https://www.herbapedia.org/schema/context/core.jsonld',
+        '@graph': this.registry.barcodes.getAllAsGraphNodes(),
+      },
+      pretty
+    )
+
     // Preparations
     this.writeJsonFile(
       path.join(graphDir, 'preparations.jsonld'),
@@ -202,6 +262,16 @@ export class JsonLdExporter extends GraphExporter {
       pretty
     )
 
+    // Analytical methods
+    this.writeJsonFile(
+      path.join(graphDir, 'analytical-methods.jsonld'),
+      {
+        '@context': 'https://www.herbapedia.org/schema/context/core.jsonld',
+        '@graph': this.registry.analyticalMethods.getAllAsGraphNodes(),
+      },
+      pretty
+    )
+
     // TCM profiles
     this.writeJsonFile(
       path.join(graphDir, 'tcm-profiles.jsonld'),
@@ -243,6 +313,20 @@ export class JsonLdExporter extends GraphExporter {
       ...this.registry.vocabulary.ayurveda.gunas.getAllAsGraphNodes(),
       ...this.registry.vocabulary.ayurveda.viryas.getAllAsGraphNodes(),
       ...this.registry.vocabulary.ayurveda.vipakas.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.ayurveda.karmas.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.ayurveda.mahabhutas.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.ayurveda.prabhavas.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.ayurveda.categories.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.mongolian.roots.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.mongolian.tastes.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.mongolian.potencies.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.mongolian.elements.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.unani.temperaments.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.unani.degrees.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.unani.elements.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.western.actions.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.western.organs.getAllAsGraphNodes(),
+      ...this.registry.vocabulary.western.bodySystems.getAllAsGraphNodes(),
     ]
     this.writeJsonFile(
       path.join(graphDir, 'vocabulary.jsonld'),
@@ -264,6 +348,12 @@ export class JsonLdExporter extends GraphExporter {
     // Parts index
     await this.exportIndex('node/part', this.registry.parts.getAllIRIs(), pretty)
 
+    // Barcodes index
+    await this.exportIndex('node/barcode', this.registry.barcodes.getAllIRIs(), pretty)
+
+    // Analytical methods index
+    await this.exportIndex('node/analytical-method', this.registry.analyticalMethods.getAllIRIs(), pretty)
+
     // TCM profiles index
     await this.exportIndex('node/profile/tcm', this.registry.profiles.tcm.getAllIRIs(), pretty)
 
@@ -384,6 +474,14 @@ export class JsonLdExporter extends GraphExporter {
     return iri.split('/').pop() || iri
   }
 
+  /**
+   * Get the node file of a graph IRI: graph/{path} -> node/{path}.jsonld
+   */
+  private nodeFilePath(iri: string): string | null {
+    if (!iri.startsWith(GRAPH_BASE)) return null
+    return path.join(this.outputDir, 'node', `${iri.slice(GRAPH_BASE.length)}.jsonld`)
+  }
+
   /**
    * Remove context from node (for embedding in aggregated files)
    */
@@ -55,6 +55,12 @@ export * from './types.js'
 
 // Registry
 export { GraphRegistry } from './registry/GraphRegistry.js'
+export {
+  IRIResolver,
+  HERBAPEDIA_BASE,
+  GRAPH_BASE,
+  type ResolvedIRI,
+} from './registry/IRIResolver.js'
 
 // Node classes
 export {
@@ -80,8 +86,17 @@ export {
   TcmProfileNodeBuilder,
   AyurvedaProfileNode,
   AyurvedaProfileNodeBuilder,
+  type AyurvedaDoshaEffect,
   WesternProfileNode,
   WesternProfileNodeBuilder,
+  UnaniProfileNode,
+  UnaniProfileNodeBuilder,
+  MongolianProfileNode,
+  MongolianProfileNodeBuilder,
+  type MongolianRootEffect,
+  ModernProfileNode,
+  ModernProfileNodeBuilder,
+  type ModernDrugInteraction,
   VocabularyNode,
   VocabularyNodeBuilder,
 } from './nodes/ProfileNodes.js'
@@ -93,8 +108,32 @@ export {
   type BuildResult,
   type BuildError,
   type BuildWarning,
+  type ValidationWarningType,
+  type IncrementalBuildSummary,
 } from './GraphBuilder.js'
 
+export {
+  BuildManifest,
+  MANIFEST_FILE,
+  MANIFEST_VERSION,
+  hashContent,
+  type BuildManifestData,
+  type ManifestFileEntry,
+  type ManifestNodeEntry,
+  type ManifestReference,
+} from './BuildManifest.js'
+
+// Loader plugins
+export {
+  NodeLoaderRegistry,
+  findLoaderSources,
+  matchesTypes,
+  type NodeLoader,
+  type LoaderContext,
+  type LoaderSourceFile,
+  type TypeMatcher,
+} from './loaders/NodeLoader.js'
+
 // Exporters
 export {
   GraphExporter,
@@ -107,12 +146,82 @@ export { BrowserExporter } from './exporters/BrowserExporter.js'
 // Knowledge-Centric API
 export {
   GraphQuery,
+  type ElementFilter,
+  type MassRangeOptions,
+  type TemperamentOptions,
+  type UnaniCorrective,
+  type MuslehSuggestion,
+  type BodySystemOptions,
+  type HerbSources,
   GraphTraversal,
   GraphIndex,
   RelationshipType,
   type RelationshipTypeValue,
   type TraversalOptions,
+  type ConceptMatchOptions,
   type SearchResult,
+  type SimilarityResult,
+  BarcodeMatcher,
+  parseFasta,
+  type AlignmentScoring,
+  type IdentifyOptions,
+  type IdentificationConfidence,
+  type BarcodeMatch,
+  type IdentificationResult,
+  type FastaRecord,
+  FingerprintComparator,
+  parsePeakTable,
+  type ChromatogramPeak,
+  type CharacteristicPeak,
+  type FingerprintCriteria,
+  type PeakMatch,
+  type FingerprintOptions,
+  type FingerprintComparison,
+  ConcordanceQuery,
+  type CrosswalkAxis,
+  type CrosswalkConcept,
+  type ConcordanceValue,
+  type ConcordanceRow,
+  type ConcordanceAgreement,
+  type ConcordanceAxis,
+  type ConcordanceDisagreement,
+  type Concordance,
+  InteractionChecker,
+  type InteractionSeverity,
+  type DrugConcept,
+  type InteractionStatement,
+  type InteractionFinding,
+  type InteractionReport,
+  TcmFormulaChecker,
+  type TcmSafetyHerb,
+  type TcmIncompatibilityKind,
+  type TcmIncompatibility,
+  type PregnancyLevel,
+  type ToxicityLevel,
+  type IngredientMatch,
+  type FormulaSafetyIssue,
+  type FormulaSafetyReport,
+  SafetyQuery,
+  type SafetyCategory,
+  type SafetyAspect,
+  type SafetySystem,
+  type SafetyNote,
+  type SafetyStatement,
+  type SafetyAssessment,
+  type SafetySummary,
+  DoshaCalculator,
+  DOSHAS,
+  RULE_WEIGHTS,
+  type DoshaName,
+  type DoshaDirection,
+  type DoshaRuleKind,
+  type DoshaRule,
+  type DoshaContribution,
+  type DoshaEstimate,
+  type DoshaDisagreement,
+  type DravyaDoshaReport,
+  type DravyaPortion,
+  type CombinationDoshaReport,
 } from './api/index.js'
 
 // CLI
@@ -127,6 +236,8 @@ export {
   QueryCommand,
   ExportCommand,
   StatsCommand,
+  IdentifyCommand,
+  FingerprintCommand,
 } from './cli/index.js'
 
 // Validators
@@ -138,8 +249,17 @@ export {
   type ValidationOptions,
   type Validator,
   ReferenceValidator,
+  type ShaclNodeShape,
+  type ShaclPropertyShape,
   SchemaValidator,
+  ShaclValidator,
+  ChemicalValidator,
+  type ChemicalValidatorOptions,
+  TcmFormulaValidator,
+  DoshaValidator,
   CompositeValidator,
+  parseTurtle,
+  TurtleParseError,
   createEmptyValidationResult,
   createNodeResult,
   createError,
@@ -150,9 +270,32 @@ export {
   finalizeResult,
 } from './validators/index.js'
 
-// Utilities
+// Utilities (RelationshipType is exported with the API above)
 export {
   extractSearchableFields,
-  RelationshipType,
-  type RelationshipTypeValue,
+  type ElementCounts,
+  FormulaParseError,
+  parseFormula,
+  toHillFormula,
+  normalizeFormula,
+  molecularWeight,
+  monoisotopicMass,
+  isValidCasNumber,
+  isValidInchiKey,
+  inchiFormula,
+  type Molecule,
+  SmilesParseError,
+  parseSmiles,
+  moleculeFormula,
+  morganFingerprint,
+  tanimoto,
+  hasSubstructure,
+  KarmaNormalizer,
+  LEGACY_IAST,
+  KARMA_SYNONYMS,
+  decodeLegacyIast,
+  karmaKey,
+  type KarmaMatch,
+  type UnmatchedKarma,
+  type KarmaReport,
 } from './utils/index.js'
@@ -0,0 +1,231 @@
+/**
+ * NodeLoader - Plugin interface for loading source files into the graph
+ *
+ * Each loader declares where its source files live, which @types it accepts,
+ * the node type and IRI pattern of the nodes it produces, and how to
+ * transform a parsed file into nodes. GraphBuilder runs the registered
+ * loaders in dependency order.
+ *
+ * @example
+ * ```typescript
+ * builder.registerLoader({
+ *   name: 'tibetan-profile',
+ *   nodeType: 'tibetan-profile',
+ *   iriPattern: slug => `https://www.herbapedia.org/graph/profile/tibetan/${slug}`,
+ *   sources: ['systems/tibetan/herbs/*\/profile.jsonld'],
+ *   dependsOn: ['species'],
+ *   transform: (data, ctx) => ({
+ *     '@context': 'https://www.herbapedia.org/schema/context/tibetan.jsonld',
+ *     '@id': ctx.iri(ctx.slug),
+ *     '@type': ['tibetan:Herb'],
+ *     name: data.name,
+ *     derivedFrom: { '@id': ctx.resolveRef(data.derivedFromPlant, 'species') },
+ *   }),
+ * })
+ * ```
+ */
+
+import fs from 'fs'
+import path from 'path'
+import type { GraphNode, NodeTypeValue } from '../types.js'
+
+/**
+ * Matches the @type of a source file: any listed type (exact string or
+ * pattern), or a predicate over all of the file's types
+ */
+export type TypeMatcher = Array<string | RegExp> | ((types: string[]) => boolean)
+
+/**
+ * Helpers available to a loader's transform function
+ */
+export interface LoaderContext {
+  /** Identifier of the source file (see NodeLoader.sources) */
+  slug: string
+  /** Absolute path of the source file */
+  filePath: string
+  /** Build the canonical IRI of this loader's node type */
+  iri(identifier: string): string
+  /** Resolve a reference ({ '@id' } or IRI string) to a canonical graph IRI */
+  resolveRef(ref: unknown, nodeType: NodeTypeValue | string): string | null
+  /** Resolve a reference to a vocabulary term of a medical system */
+  resolveVocabRef(ref: unknown, system: string, vocabType: string): string | null
+  /** Report a data warning for this source file */
+  warn(message: string): void
+}
+
+/**
+ * A loader plugin
+ */
+export interface NodeLoader {
+  /** Unique name, referenced by dependsOn */
+  name: string
+  /** Node type of the produced nodes; new types are registered with the IRI pattern */
+  nodeType: NodeTypeValue | string
+  /** Canonical IRI for an identifier of this node type */
+  iriPattern: (identifier: string) => string
+  /**
+   * Source file globs relative to the data root. `*` matches within one
+   * path segment. The segment matched by the last `*` (without .jsonld)
+   * is the file's slug; a slug found by an earlier glob wins.
+   */
+  sources: string[]
+  /** Only files whose @type matches are loaded; others are skipped silently */
+  types?: TypeMatcher
+  /** Loaders whose nodes must be registered first */
+  dependsOn?: string[]
+  /**
+   * Whether incremental builds may restore unchanged files from the previous
+   * manifest (default true). Set to false when nodes combine data from
+   * several source files, so every contribution is applied again.
+   */
+  incremental?: boolean
+  /** Transform a parsed source file into nodes */
+  transform(data: Record<string, unknown>, context: LoaderContext): GraphNode | GraphNode[] | null
+}
+
+/**
+ * A source file found by a loader's globs
+ */
+export interface LoaderSourceFile {
+  slug: string
+  filePath: string
+}
+
+/**
+ * Registry of loader plugins
+ */
+export class NodeLoaderRegistry {
+  private loaders: Map<string, NodeLoader> = new Map()
+
+  /**
+   * Register a loader. Throws if a loader with the same name exists.
+   */
+  register(loader: NodeLoader): void {
+    if (this.loaders.has(loader.name)) {
+      throw new Error(`Loader already registered: ${loader.name}`)
+    }
+    this.loaders.set(loader.name, loader)
+  }
+
+  /**
+   * Remove a loader by name
+   */
+  unregister(name: string): boolean {
+    return this.loaders.delete(name)
+  }
+
+  /**
+   * Get a loader by name
+   */
+  get(name: string): NodeLoader | undefined {
+    return this.loaders.get(name)
+  }
+
+  /**
+   * List loader names in registration order
+   */
+  list(): string[] {
+    return Array.from(this.loaders.keys())
+  }
+
+  /**
+   * Get loaders in dependency order.
+   * Loaders without an ordering constraint keep their registration order.
+   * Throws on unknown dependencies and dependency cycles.
+   */
+  ordered(): NodeLoader[] {
+    const pending = Array.from(this.loaders.values())
+    const done = new Set<string>()
+    const ordered: NodeLoader[] = []
+
+    for (const loader of pending) {
+      for (const dep of loader.dependsOn ?? []) {
+        if (!this.loaders.has(dep)) {
+          throw new Error(`Loader ${loader.name} depends on unknown loader: ${dep}`)
+        }
+      }
+    }
+
+    while (pending.length > 0) {
+      const index = pending.findIndex(loader => (loader.dependsOn ?? []).every(dep => done.has(dep)))
+      if (index === -1) {
+        throw new Error(`Loader dependency cycle: ${pending.map(l => l.name).join(', ')}`)
+      }
+
+      const [loader] = pending.splice(index, 1)
+      done.add(loader.name)
+      ordered.push(loader)
+    }
+
+    return ordered
+  }
+}
+
+/**
+ * Find the source files of a loader
+ */
+export function findLoaderSources(dataRoot: string, globs: string[]): LoaderSourceFile[] {
+  const files: LoaderSourceFile[] = []
+  const seen = new Set<string>()
+
+  for (const glob of globs) {
+    for (const file of expandGlob(dataRoot, glob)) {
+      if (seen.has(file.slug)) continue
+      seen.add(file.slug)
+      files.push(file)
+    }
+  }
+
+  return files
+}
+
+/**
+ * Check a source file's @type against a matcher
+ */
+export function matchesTypes(data: Record<string, unknown>, matcher: TypeMatcher): boolean {
+  const raw = data['@type']
+  const types = (Array.isArray(raw) ? raw : [raw]).filter((t): t is string => typeof t === 'string')
+
+  if (typeof matcher === 'function') return matcher(types)
+  return types.some(t => matcher.some(m => typeof m === 'string' ? m === t : m.test(t)))
+}
+
+function expandGlob(dataRoot: string, glob: string): LoaderSourceFile[] {
+  const segments = glob.split('/').filter(Boolean)
+  const lastWildcard = segments.map(s => s.includes('*')).lastIndexOf(true)
+  const results: LoaderSourceFile[] = []
+
+  const walk = (dir: string, index: number, slug: string): void => {
+    const segment = segments[index]
+    const isLast = index === segments.length - 1
+
+    let names: string[]
+    if (segment.includes('*')) {
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return
+      const pattern = new RegExp(`^${segment.split('*').map(escapeRegExp).join('[^/]*')}$`)
+      names = fs.readdirSync(dir).filter(name => pattern.test(name)).sort()
+    } else {
+      names = [segment]
+    }
+
+    for (const name of names) {
+      const entry = path.join(dir, name)
+      const entrySlug = index === lastWildcard ? name.replace(/\.jsonld$/, '') : slug
+
+      if (isLast) {
+        if (fs.existsSync(entry) && fs.statSync(entry).isFile()) {
+          results.push({ slug: entrySlug || name.replace(/\.jsonld$/, ''), filePath: entry })
+        }
+      } else {
+        walk(entry, index + 1, entrySlug)
+      }
+    }
+  }
+
+  if (segments.length > 0) walk(dataRoot, 0, '')
+  return results
+}
+
+function escapeRegExp(value: string): string {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
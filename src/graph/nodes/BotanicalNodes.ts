@@ -8,6 +8,7 @@
 
 import { GraphNodeBase, lang, ref, type LanguageMap, type IRIReference } from './GraphNodeBase.js'
 import { NodeType, generateIRI } from '../types.js'
+import { normalizeFormula } from '../utils/chemistry.js'
 
 // ============================================================================
 // Species Node
@@ -220,20 +221,30 @@ export class PartNode extends GraphNodeBase {
 // Chemical Node
 // ============================================================================
 
+/**
+ * Builder for ChemicalNode
+ *
+ * Formulas are normalized to ASCII Hill notation ("C₂₁H₂₀O₁₁" → "C21H20O11").
+ * Formulas that cannot be parsed are kept as given, for ChemicalValidator to report.
+ */
 export class ChemicalNodeBuilder {
   private _slug: string = ''
   private _name: LanguageMap = {}
   private _formula?: string
+  private _molecularWeight?: number
   private _inchi?: string
   private _inchiKey?: string
+  private _smiles?: string
   private _casNumber?: string
   private _pubchemId?: string
 
   slug(value: string): this { this._slug = value; return this }
   name(value: LanguageMap): this { this._name = value; return this }
-  formula(value: string): this { this._formula = value; return this }
+  formula(value: string): this { this._formula = toHill(value); return this }
+  molecularWeight(value: number): this { this._molecularWeight = value; return this }
   inchi(value: string): this { this._inchi = value; return this }
   inchiKey(value: string): this { this._inchiKey = value; return this }
+  smiles(value: string): this { this._smiles = value; return this }
   casNumber(value: string): this { this._casNumber = value; return this }
   pubchemId(value: string): this { this._pubchemId = value; return this }
 
@@ -243,20 +254,34 @@ export class ChemicalNodeBuilder {
       slug: this._slug,
       name: this._name,
       formula: this._formula,
+      molecularWeight: this._molecularWeight,
       inchi: this._inchi,
       inchiKey: this._inchiKey,
+      smiles: this._smiles,
       casNumber: this._casNumber,
       pubchemId: this._pubchemId,
     })
   }
 }
 
+function toHill(formula: string): string {
+  try {
+    return normalizeFormula(formula)
+  } catch {
+    return formula
+  }
+}
+
 export class ChemicalNode extends GraphNodeBase {
   readonly slug: string
   readonly name: LanguageMap
+  /** English name, or the first name given; the chemicalName of ChemicalShape */
+  readonly chemicalName?: string
   readonly formula?: string
+  readonly molecularWeight?: number
   readonly inchi?: string
   readonly inchiKey?: string
+  readonly smiles?: string
   readonly casNumber?: string
   readonly pubchemId?: string
 
@@ -264,22 +289,27 @@ export class ChemicalNode extends GraphNodeBase {
     slug: string
     name: LanguageMap
     formula?: string
+    molecularWeight?: number
     inchi?: string
     inchiKey?: string
+    smiles?: string
     casNumber?: string
     pubchemId?: string
   }) {
     super(
       'https://www.herbapedia.org/schema/context/core.jsonld',
       generateIRI(NodeType.CHEMICAL, data.slug),
-      ['herbapedia:ChemicalCompound']
+      ['herbapedia:Chemical', 'herbapedia:ChemicalCompound']
     )
 
     this.slug = data.slug
     this.name = data.name
+    this.chemicalName = data.name.en ?? Object.values(data.name)[0]
     this.formula = data.formula
+    this.molecularWeight = data.molecularWeight
     this.inchi = data.inchi
     this.inchiKey = data.inchiKey
+    this.smiles = data.smiles
     this.casNumber = data.casNumber
     this.pubchemId = data.pubchemId
   }
@@ -7,7 +7,7 @@
  */
 
 import { GraphNodeBase, ref, type LanguageMap, type IRIReference } from './GraphNodeBase.js'
-import { NodeType, MedicalSystem, generateIRI } from '../types.js'
+import { NodeType, MedicalSystem, generateIRI, type WesternDrugInteraction } from '../types.js'
 
 // ============================================================================
 // TCM Profile Node
@@ -164,6 +164,14 @@ export class TcmProfileNode extends GraphNodeBase {
 // Ayurveda Profile Node
 // ============================================================================
 
+/**
+ * Effect of a dravya on one of the three doshas (vata, pitta, kapha)
+ */
+export interface AyurvedaDoshaEffect {
+  effect: 'increases' | 'decreases' | 'balances'
+  notes?: string
+}
+
 export class AyurvedaProfileNodeBuilder {
   private _slug: string = ''
   private _name: LanguageMap = {}
@@ -173,9 +181,15 @@ export class AyurvedaProfileNodeBuilder {
   private _hasGunas: IRIReference[] = []
   private _hasVirya?: IRIReference
   private _hasVipaka?: IRIReference
-  private _affectsDoshas: IRIReference[] = []
+  private _hasPrabhava?: IRIReference
+  private _ayurvedaCategory?: IRIReference
+  private _hasMahabhutas: IRIReference[] = []
+  private _karma: string[] = []
+  private _hasKarmas: IRIReference[] = []
+  private _affectsDosha: Record<string, AyurvedaDoshaEffect> = {}
   private _ayurvedaTraditionalUsage?: LanguageMap
   private _ayurvedaModernResearch?: LanguageMap
+  private _contraindications?: LanguageMap
   private _source?: string
   private _sameAs: IRIReference[] = []
 
@@ -187,9 +201,18 @@ export class AyurvedaProfileNodeBuilder {
   addGuna(iri: string): this { this._hasGunas.push(ref(iri)); return this }
   hasVirya(iri: string): this { this._hasVirya = ref(iri); return this }
   hasVipaka(iri: string): this { this._hasVipaka = ref(iri); return this }
-  addDosha(iri: string): this { this._affectsDoshas.push(ref(iri)); return this }
+  hasPrabhava(iri: string): this { this._hasPrabhava = ref(iri); return this }
+  ayurvedaCategory(iri: string): this { this._ayurvedaCategory = ref(iri); return this }
+  addMahabhuta(iri: string): this { this._hasMahabhutas.push(ref(iri)); return this }
+  addKarma(text: string): this { this._karma.push(text); return this }
+  addHasKarma(iri: string): this { this._hasKarmas.push(ref(iri)); return this }
+  affectsDosha(dosha: string, effect: AyurvedaDoshaEffect['effect'], notes?: string): this {
+    this._affectsDosha[dosha] = notes ? { effect, notes } : { effect }
+    return this
+  }
   ayurvedaTraditionalUsage(value: LanguageMap): this { this._ayurvedaTraditionalUsage = value; return this }
   ayurvedaModernResearch(value: LanguageMap): this { this._ayurvedaModernResearch = value; return this }
+  contraindications(value: LanguageMap): this { this._contraindications = value; return this }
   source(value: string): this { this._source = value; return this }
   addSameAs(iri: string): this { this._sameAs.push(ref(iri)); return this }
 
@@ -204,9 +227,15 @@ export class AyurvedaProfileNodeBuilder {
       hasGuna: this._hasGunas.length > 0 ? this._hasGunas : undefined,
       hasVirya: this._hasVirya,
       hasVipaka: this._hasVipaka,
-      affectsDosha: this._affectsDoshas.length > 0 ? this._affectsDoshas : undefined,
+      hasPrabhava: this._hasPrabhava,
+      ayurvedaCategory: this._ayurvedaCategory,
+      hasMahabhuta: this._hasMahabhutas.length > 0 ? this._hasMahabhutas : undefined,
+      karma: this._karma.length > 0 ? this._karma : undefined,
+      hasKarma: this._hasKarmas.length > 0 ? this._hasKarmas : undefined,
+      affectsDosha: Object.keys(this._affectsDosha).length > 0 ? this._affectsDosha : undefined,
       ayurvedaTraditionalUsage: this._ayurvedaTraditionalUsage,
       ayurvedaModernResearch: this._ayurvedaModernResearch,
+      contraindications: this._contraindications,
       source: this._source,
       sameAs: this._sameAs.length > 0 ? this._sameAs : undefined,
     })
@@ -222,9 +251,17 @@ export class AyurvedaProfileNode extends GraphNodeBase {
   readonly hasGuna?: IRIReference[]
   readonly hasVirya?: IRIReference
   readonly hasVipaka?: IRIReference
-  readonly affectsDosha?: IRIReference[]
+  readonly hasPrabhava?: IRIReference
+  readonly ayurvedaCategory?: IRIReference
+  readonly hasMahabhuta?: IRIReference[]
+  /** Actions as recorded, free text */
+  readonly karma?: string[]
+  /** Karma vocabulary terms of the actions */
+  readonly hasKarma?: IRIReference[]
+  readonly affectsDosha?: Record<string, AyurvedaDoshaEffect>
   readonly ayurvedaTraditionalUsage?: LanguageMap
   readonly ayurvedaModernResearch?: LanguageMap
+  readonly contraindications?: LanguageMap
   readonly source?: string
   readonly sameAs?: IRIReference[]
 
@@ -237,9 +274,15 @@ export class AyurvedaProfileNode extends GraphNodeBase {
     hasGuna?: IRIReference[]
     hasVirya?: IRIReference
     hasVipaka?: IRIReference
-    affectsDosha?: IRIReference[]
+    hasPrabhava?: IRIReference
+    ayurvedaCategory?: IRIReference
+    hasMahabhuta?: IRIReference[]
+    karma?: string[]
+    hasKarma?: IRIReference[]
+    affectsDosha?: Record<string, AyurvedaDoshaEffect>
     ayurvedaTraditionalUsage?: LanguageMap
     ayurvedaModernResearch?: LanguageMap
+    contraindications?: LanguageMap
     source?: string
     sameAs?: IRIReference[]
   }) {
@@ -257,9 +300,15 @@ export class AyurvedaProfileNode extends GraphNodeBase {
     this.hasGuna = data.hasGuna
     this.hasVirya = data.hasVirya
     this.hasVipaka = data.hasVipaka
+    this.hasPrabhava = data.hasPrabhava
+    this.ayurvedaCategory = data.ayurvedaCategory
+    this.hasMahabhuta = data.hasMahabhuta
+    this.karma = data.karma
+    this.hasKarma = data.hasKarma
     this.affectsDosha = data.affectsDosha
     this.ayurvedaTraditionalUsage = data.ayurvedaTraditionalUsage
     this.ayurvedaModernResearch = data.ayurvedaModernResearch
+    this.contraindications = data.contraindications
     this.source = data.source
     this.sameAs = data.sameAs
   }
@@ -279,8 +328,12 @@ export class WesternProfileNodeBuilder {
   private _derivedFrom?: IRIReference
   private _hasActions: IRIReference[] = []
   private _hasOrganAffinities: IRIReference[] = []
+  private _primaryBodySystem?: IRIReference
+  private _secondaryBodySystems: IRIReference[] = []
   private _westernTraditionalUsage?: LanguageMap
   private _westernModernResearch?: LanguageMap
+  private _contraindications?: LanguageMap
+  private _drugInteractions: WesternDrugInteraction[] = []
   private _source?: string
   private _sameAs: IRIReference[] = []
 
@@ -289,8 +342,12 @@ export class WesternProfileNodeBuilder {
   derivedFrom(iri: string): this { this._derivedFrom = ref(iri); return this }
   addAction(iri: string): this { this._hasActions.push(ref(iri)); return this }
   addOrganAffinity(iri: string): this { this._hasOrganAffinities.push(ref(iri)); return this }
+  primaryBodySystem(iri: string): this { this._primaryBodySystem = ref(iri); return this }
+  addSecondaryBodySystem(iri: string): this { this._secondaryBodySystems.push(ref(iri)); return this }
   westernTraditionalUsage(value: LanguageMap): this { this._westernTraditionalUsage = value; return this }
   westernModernResearch(value: LanguageMap): this { this._westernModernResearch = value; return this }
+  contraindications(value: LanguageMap): this { this._contraindications = value; return this }
+  addDrugInteraction(value: WesternDrugInteraction): this { this._drugInteractions.push(value); return this }
   source(value: string): this { this._source = value; return this }
   addSameAs(iri: string): this { this._sameAs.push(ref(iri)); return this }
 
@@ -302,8 +359,12 @@ export class WesternProfileNodeBuilder {
       derivedFrom: this._derivedFrom,
       hasAction: this._hasActions.length > 0 ? this._hasActions : undefined,
       hasOrganAffinity: this._hasOrganAffinities.length > 0 ? this._hasOrganAffinities : undefined,
+      primaryBodySystem: this._primaryBodySystem,
+      secondaryBodySystems: this._secondaryBodySystems.length > 0 ? this._secondaryBodySystems : undefined,
       westernTraditionalUsage: this._westernTraditionalUsage,
       westernModernResearch: this._westernModernResearch,
+      contraindications: this._contraindications,
+      drugInteractions: this._drugInteractions.length > 0 ? this._drugInteractions : undefined,
       source: this._source,
       sameAs: this._sameAs.length > 0 ? this._sameAs : undefined,
     })
@@ -316,8 +377,12 @@ export class WesternProfileNode extends GraphNodeBase {
   readonly derivedFrom?: IRIReference
   readonly hasAction?: IRIReference[]
   readonly hasOrganAffinity?: IRIReference[]
+  readonly primaryBodySystem?: IRIReference
+  readonly secondaryBodySystems?: IRIReference[]
   readonly westernTraditionalUsage?: LanguageMap
   readonly westernModernResearch?: LanguageMap
+  readonly contraindications?: LanguageMap
+  readonly drugInteractions?: WesternDrugInteraction[]
   readonly source?: string
   readonly sameAs?: IRIReference[]
 
@@ -327,8 +392,12 @@ export class WesternProfileNode extends GraphNodeBase {
     derivedFrom?: IRIReference
     hasAction?: IRIReference[]
     hasOrganAffinity?: IRIReference[]
+    primaryBodySystem?: IRIReference
+    secondaryBodySystems?: IRIReference[]
     westernTraditionalUsage?: LanguageMap
     westernModernResearch?: LanguageMap
+    contraindications?: LanguageMap
+    drugInteractions?: WesternDrugInteraction[]
     source?: string
     sameAs?: IRIReference[]
   }) {
@@ -343,8 +412,12 @@ export class WesternProfileNode extends GraphNodeBase {
     this.derivedFrom = data.derivedFrom
     this.hasAction = data.hasAction
     this.hasOrganAffinity = data.hasOrganAffinity
+    this.primaryBodySystem = data.primaryBodySystem
+    this.secondaryBodySystems = data.secondaryBodySystems
     this.westernTraditionalUsage = data.westernTraditionalUsage
     this.westernModernResearch = data.westernModernResearch
+    this.contraindications = data.contraindications
+    this.drugInteractions = data.drugInteractions
     this.source = data.source
     this.sameAs = data.sameAs
   }
@@ -354,52 +427,587 @@ export class WesternProfileNode extends GraphNodeBase {
   }
 }
 
+// ============================================================================
+// Unani Profile Node
+// ============================================================================
+
+export class UnaniProfileNodeBuilder {
+  private _slug: string = ''
+  private _name: LanguageMap = {}
+  private _unaniName?: string
+  private _unaniTransliteration?: string
+  private _arabicName?: string
+  private _derivedFrom?: IRIReference
+  private _hasTemperament?: IRIReference
+  private _temperamentDegree?: number
+  private _hasElements: IRIReference[] = []
+  private _actions: string[] = []
+  private _unaniFunctions?: LanguageMap
+  private _indications: string[] = []
+  private _contraindications?: LanguageMap
+  private _adverseEffects?: LanguageMap
+  private _corrective: string[] = []
+  private _substitute: string[] = []
+  private _dosage?: LanguageMap
+  private _modernResearch?: LanguageMap
+  private _source?: string
+  private _sameAs: IRIReference[] = []
+
+  slug(value: string): this { this._slug = value; return this }
+  name(value: LanguageMap): this { this._name = value; return this }
+  unaniName(value: string): this { this._unaniName = value; return this }
+  unaniTransliteration(value: string): this { this._unaniTransliteration = value; return this }
+  arabicName(value: string): this { this._arabicName = value; return this }
+  derivedFrom(iri: string): this { this._derivedFrom = ref(iri); return this }
+  hasTemperament(iri: string): this { this._hasTemperament = ref(iri); return this }
+  temperamentDegree(value: number): this { this._temperamentDegree = value; return this }
+  addElement(iri: string): this { this._hasElements.push(ref(iri)); return this }
+  addAction(value: string): this { this._actions.push(value); return this }
+  unaniFunctions(value: LanguageMap): this { this._unaniFunctions = value; return this }
+  addIndication(value: string): this { this._indications.push(value); return this }
+  contraindications(value: LanguageMap): this { this._contraindications = value; return this }
+  adverseEffects(value: LanguageMap): this { this._adverseEffects = value; return this }
+  addCorrective(value: string): this { this._corrective.push(value); return this }
+  addSubstitute(value: string): this { this._substitute.push(value); return this }
+  dosage(value: LanguageMap): this { this._dosage = value; return this }
+  modernResearch(value: LanguageMap): this { this._modernResearch = value; return this }
+  source(value: string): this { this._source = value; return this }
+  addSameAs(iri: string): this { this._sameAs.push(ref(iri)); return this }
+
+  build(): UnaniProfileNode {
+    if (!this._slug) throw new Error('Unani profile slug is required')
+    return new UnaniProfileNode({
+      slug: this._slug,
+      name: this._name,
+      unaniName: this._unaniName,
+      unaniTransliteration: this._unaniTransliteration,
+      arabicName: this._arabicName,
+      derivedFrom: this._derivedFrom,
+      hasTemperament: this._hasTemperament,
+      temperamentDegree: this._temperamentDegree,
+      hasElement: this._hasElements.length > 0 ? this._hasElements : undefined,
+      actions: this._actions.length > 0 ? this._actions : undefined,
+      unaniFunctions: this._unaniFunctions,
+      indications: this._indications.length > 0 ? this._indications : undefined,
+      contraindications: this._contraindications,
+      adverseEffects: this._adverseEffects,
+      corrective: this._corrective.length > 0 ? this._corrective : undefined,
+      substitute: this._substitute.length > 0 ? this._substitute : undefined,
+      dosage: this._dosage,
+      modernResearch: this._modernResearch,
+      source: this._source,
+      sameAs: this._sameAs.length > 0 ? this._sameAs : undefined,
+    })
+  }
+}
+
+export class UnaniProfileNode extends GraphNodeBase {
+  readonly slug: string
+  readonly name: LanguageMap
+  readonly unaniName?: string
+  readonly unaniTransliteration?: string
+  readonly arabicName?: string
+  readonly derivedFrom?: IRIReference
+  readonly hasTemperament?: IRIReference
+  readonly temperamentDegree?: number
+  readonly hasElement?: IRIReference[]
+  readonly actions?: string[]
+  readonly unaniFunctions?: LanguageMap
+  readonly indications?: string[]
+  readonly contraindications?: LanguageMap
+  readonly adverseEffects?: LanguageMap
+  readonly corrective?: string[]
+  readonly substitute?: string[]
+  readonly dosage?: LanguageMap
+  readonly modernResearch?: LanguageMap
+  readonly source?: string
+  readonly sameAs?: IRIReference[]
+
+  constructor(data: {
+    slug: string
+    name: LanguageMap
+    unaniName?: string
+    unaniTransliteration?: string
+    arabicName?: string
+    derivedFrom?: IRIReference
+    hasTemperament?: IRIReference
+    temperamentDegree?: number
+    hasElement?: IRIReference[]
+    actions?: string[]
+    unaniFunctions?: LanguageMap
+    indications?: string[]
+    contraindications?: LanguageMap
+    adverseEffects?: LanguageMap
+    corrective?: string[]
+    substitute?: string[]
+    dosage?: LanguageMap
+    modernResearch?: LanguageMap
+    source?: string
+    sameAs?: IRIReference[]
+  }) {
+    super(
+      'https://www.herbapedia.org/schema/context/unani.jsonld',
+      generateIRI(NodeType.UNANI_PROFILE, data.slug),
+      ['unani:Drug', 'schema:DietarySupplement']
+    )
+
+    this.slug = data.slug
+    this.name = data.name
+    this.unaniName = data.unaniName
+    this.unaniTransliteration = data.unaniTransliteration
+    this.arabicName = data.arabicName
+    this.derivedFrom = data.derivedFrom
+    this.hasTemperament = data.hasTemperament
+    this.temperamentDegree = data.temperamentDegree
+    this.hasElement = data.hasElement
+    this.actions = data.actions
+    this.unaniFunctions = data.unaniFunctions
+    this.indications = data.indications
+    this.contraindications = data.contraindications
+    this.adverseEffects = data.adverseEffects
+    this.corrective = data.corrective
+    this.substitute = data.substitute
+    this.dosage = data.dosage
+    this.modernResearch = data.modernResearch
+    this.source = data.source
+    this.sameAs = data.sameAs
+  }
+
+  static builder(): UnaniProfileNodeBuilder {
+    return new UnaniProfileNodeBuilder()
+  }
+}
+
+// ============================================================================
+// Mongolian Profile Node
+// ============================================================================
+
+/**
+ * Effect of a drug on one of the three roots (heyi, xila, badagan)
+ */
+export interface MongolianRootEffect {
+  effect: string
+}
+
+export class MongolianProfileNodeBuilder {
+  private _slug: string = ''
+  private _name: LanguageMap = {}
+  private _mongolianName?: string
+  private _tibetanName?: string
+  private _tibetanWylie?: string
+  private _derivedFrom?: IRIReference
+  private _hasElements: IRIReference[] = []
+  private _affectsRoots: Record<string, MongolianRootEffect> = {}
+  private _hasTastes: IRIReference[] = []
+  private _hasPotencies: IRIReference[] = []
+  private _therapeuticClass?: string
+  private _mongolianFunctions?: LanguageMap
+  private _indications: string[] = []
+  private _contraindications?: LanguageMap
+  private _dosage?: LanguageMap
+  private _modernResearch?: LanguageMap
+  private _source?: string
+  private _sameAs: IRIReference[] = []
+
+  slug(value: string): this { this._slug = value; return this }
+  name(value: LanguageMap): this { this._name = value; return this }
+  mongolianName(value: string): this { this._mongolianName = value; return this }
+  tibetanName(value: string): this { this._tibetanName = value; return this }
+  tibetanWylie(value: string): this { this._tibetanWylie = value; return this }
+  derivedFrom(iri: string): this { this._derivedFrom = ref(iri); return this }
+  addElement(iri: string): this { this._hasElements.push(ref(iri)); return this }
+  affectsRoot(root: string, effect: string): this { this._affectsRoots[root] = { effect }; return this }
+  addTaste(iri: string): this { this._hasTastes.push(ref(iri)); return this }
+  addPotency(iri: string): this { this._hasPotencies.push(ref(iri)); return this }
+  therapeuticClass(value: string): this { this._therapeuticClass = value; return this }
+  mongolianFunctions(value: LanguageMap): this { this._mongolianFunctions = value; return this }
+  addIndication(value: string): this { this._indications.push(value); return this }
+  contraindications(value: LanguageMap): this { this._contraindications = value; return this }
+  dosage(value: LanguageMap): this { this._dosage = value; return this }
+  modernResearch(value: LanguageMap): this { this._modernResearch = value; return this }
+  source(value: string): this { this._source = value; return this }
+  addSameAs(iri: string): this { this._sameAs.push(ref(iri)); return this }
+
+  build(): MongolianProfileNode {
+    if (!this._slug) throw new Error('Mongolian profile slug is required')
+    return new MongolianProfileNode({
+      slug: this._slug,
+      name: this._name,
+      mongolianName: this._mongolianName,
+      tibetanName: this._tibetanName,
+      tibetanWylie: this._tibetanWylie,
+      derivedFrom: this._derivedFrom,
+      hasElement: this._hasElements.length > 0 ? this._hasElements : undefined,
+      affectsRoots: Object.keys(this._affectsRoots).length > 0 ? this._affectsRoots : undefined,
+      hasTaste: this._hasTastes.length > 0 ? this._hasTastes : undefined,
+      hasPotency: this._hasPotencies.length > 0 ? this._hasPotencies : undefined,
+      therapeuticClass: this._therapeuticClass,
+      mongolianFunctions: this._mongolianFunctions,
+      indications: this._indications.length > 0 ? this._indications : undefined,
+      contraindications: this._contraindications,
+      dosage: this._dosage,
+      modernResearch: this._modernResearch,
+      source: this._source,
+      sameAs: this._sameAs.length > 0 ? this._sameAs : undefined,
+    })
+  }
+}
+
+export class MongolianProfileNode extends GraphNodeBase {
+  readonly slug: string
+  readonly name: LanguageMap
+  readonly mongolianName?: string
+  readonly tibetanName?: string
+  readonly tibetanWylie?: string
+  readonly derivedFrom?: IRIReference
+  readonly hasElement?: IRIReference[]
+  readonly affectsRoots?: Record<string, MongolianRootEffect>
+  readonly hasTaste?: IRIReference[]
+  readonly hasPotency?: IRIReference[]
+  readonly therapeuticClass?: string
+  readonly mongolianFunctions?: LanguageMap
+  readonly indications?: string[]
+  readonly contraindications?: LanguageMap
+  readonly dosage?: LanguageMap
+  readonly modernResearch?: LanguageMap
+  readonly source?: string
+  readonly sameAs?: IRIReference[]
+
+  constructor(data: {
+    slug: string
+    name: LanguageMap
+    mongolianName?: string
+    tibetanName?: string
+    tibetanWylie?: string
+    derivedFrom?: IRIReference
+    hasElement?: IRIReference[]
+    affectsRoots?: Record<string, MongolianRootEffect>
+    hasTaste?: IRIReference[]
+    hasPotency?: IRIReference[]
+    therapeuticClass?: string
+    mongolianFunctions?: LanguageMap
+    indications?: string[]
+    contraindications?: LanguageMap
+    dosage?: LanguageMap
+    modernResearch?: LanguageMap
+    source?: string
+    sameAs?: IRIReference[]
+  }) {
+    super(
+      'https://www.herbapedia.org/schema/context/mongolian.jsonld',
+      generateIRI(NodeType.MONGOLIAN_PROFILE, data.slug),
+      ['mongolian:Drug', 'schema:DietarySupplement']
+    )
+
+    this.slug = data.slug
+    this.name = data.name
+    this.mongolianName = data.mongolianName
+    this.tibetanName = data.tibetanName
+    this.tibetanWylie = data.tibetanWylie
+    this.derivedFrom = data.derivedFrom
+    this.hasElement = data.hasElement
+    this.affectsRoots = data.affectsRoots
+    this.hasTaste = data.hasTaste
+    this.hasPotency = data.hasPotency
+    this.therapeuticClass = data.therapeuticClass
+    this.mongolianFunctions = data.mongolianFunctions
+    this.indications = data.indications
+    this.contraindications = data.contraindications
+    this.dosage = data.dosage
+    this.modernResearch = data.modernResearch
+    this.source = data.source
+    this.sameAs = data.sameAs
+  }
+
+  static builder(): MongolianProfileNodeBuilder {
+    return new MongolianProfileNodeBuilder()
+  }
+}
+
+// ============================================================================
+// Modern Medicine Profile Node
+// ============================================================================
+
+/**
+ * Drug interaction entry on a modern medicine profile
+ */
+export interface ModernDrugInteraction {
+  drug: string
+  type: 'major' | 'moderate' | 'minor'
+  description?: string
+  management?: string
+}
+
+export class ModernProfileNodeBuilder {
+  private _slug: string = ''
+  private _name: LanguageMap = {}
+  private _inn?: LanguageMap
+  private _derivedFromSource?: IRIReference
+  private _casNumber?: string
+  private _unii?: string
+  private _drugBankId?: string
+  private _pubChemId?: string
+  private _fdaStatus?: string
+  private _regulatoryCategories: string[] = []
+  private _classification?: string
+  private _clinicalEvidence?: LanguageMap
+  private _efficacyRating?: string
+  private _evidenceLevel?: string
+  private _rda?: Record<string, unknown>
+  private _ul?: Record<string, unknown>
+  private _dosageRange?: LanguageMap
+  private _drugInteractions: ModernDrugInteraction[] = []
+  private _contraindication?: LanguageMap
+  private _adverseEffect?: LanguageMap
+  private _pregnancyCategory?: string
+  private _lactationSafety?: string
+  private _toxicity?: LanguageMap
+  private _mechanismOfAction?: LanguageMap
+  private _indications: string[] = []
+  private _dietarySources: string[] = []
+  private _supplementForms: string[] = []
+  private _source?: string
+  private _sourceUrl?: string
+
+  slug(value: string): this { this._slug = value; return this }
+  name(value: LanguageMap): this { this._name = value; return this }
+  inn(value: LanguageMap): this { this._inn = value; return this }
+  derivedFromSource(iri: string): this { this._derivedFromSource = ref(iri); return this }
+  casNumber(value: string): this { this._casNumber = value; return this }
+  unii(value: string): this { this._unii = value; return this }
+  drugBankId(value: string): this { this._drugBankId = value; return this }
+  pubChemId(value: string): this { this._pubChemId = value; return this }
+  fdaStatus(value: string): this { this._fdaStatus = value; return this }
+  addRegulatoryCategory(value: string): this { this._regulatoryCategories.push(value); return this }
+  classification(value: string): this { this._classification = value; return this }
+  clinicalEvidence(value: LanguageMap): this { this._clinicalEvidence = value; return this }
+  efficacyRating(value: string): this { this._efficacyRating = value; return this }
+  evidenceLevel(value: string): this { this._evidenceLevel = value; return this }
+  rda(value: Record<string, unknown>): this { this._rda = value; return this }
+  ul(value: Record<string, unknown>): this { this._ul = value; return this }
+  dosageRange(value: LanguageMap): this { this._dosageRange = value; return this }
+  addDrugInteraction(value: ModernDrugInteraction): this { this._drugInteractions.push(value); return this }
+  contraindication(value: LanguageMap): this { this._contraindication = value; return this }
+  adverseEffect(value: LanguageMap): this { this._adverseEffect = value; return this }
+  pregnancyCategory(value: string): this { this._pregnancyCategory = value; return this }
+  lactationSafety(value: string): this { this._lactationSafety = value; return this }
+  toxicity(value: LanguageMap): this { this._toxicity = value; return this }
+  mechanismOfAction(value: LanguageMap): this { this._mechanismOfAction = value; return this }
+  addIndication(value: string): this { this._indications.push(value); return this }
+  addDietarySource(value: string): this { this._dietarySources.push(value); return this }
+  addSupplementForm(value: string): this { this._supplementForms.push(value); return this }
+  source(value: string): this { this._source = value; return this }
+  sourceUrl(value: string): this { this._sourceUrl = value; return this }
+
+  build(): ModernProfileNode {
+    if (!this._slug) throw new Error('Modern profile slug is required')
+    return new ModernProfileNode({
+      slug: this._slug,
+      name: this._name,
+      inn: this._inn,
+      derivedFromSource: this._derivedFromSource,
+      casNumber: this._casNumber,
+      unii: this._unii,
+      drugBankId: this._drugBankId,
+      pubChemId: this._pubChemId,
+      fdaStatus: this._fdaStatus,
+      regulatoryCategory: this._regulatoryCategories.length > 0 ? this._regulatoryCategories : undefined,
+      classification: this._classification,
+      clinicalEvidence: this._clinicalEvidence,
+      efficacyRating: this._efficacyRating,
+      evidenceLevel: this._evidenceLevel,
+      rda: this._rda,
+      ul: this._ul,
+      dosageRange: this._dosageRange,
+      drugInteraction: this._drugInteractions.length > 0 ? this._drugInteractions : undefined,
+      contraindication: this._contraindication,
+      adverseEffect: this._adverseEffect,
+      pregnancyCategory: this._pregnancyCategory,
+      lactationSafety: this._lactationSafety,
+      toxicity: this._toxicity,
+      mechanismOfAction: this._mechanismOfAction,
+      indication: this._indications.length > 0 ? this._indications : undefined,
+      dietarySources: this._dietarySources.length > 0 ? this._dietarySources : undefined,
+      supplementForms: this._supplementForms.length > 0 ? this._supplementForms : undefined,
+      source: this._source,
+      sourceUrl: this._sourceUrl,
+    })
+  }
+}
+
+export class ModernProfileNode extends GraphNodeBase {
+  readonly slug: string
+  readonly name: LanguageMap
+  readonly inn?: LanguageMap
+  readonly derivedFromSource?: IRIReference
+  readonly casNumber?: string
+  readonly unii?: string
+  readonly drugBankId?: string
+  readonly pubChemId?: string
+  readonly fdaStatus?: string
+  readonly regulatoryCategory?: string[]
+  readonly classification?: string
+  readonly clinicalEvidence?: LanguageMap
+  readonly efficacyRating?: string
+  readonly evidenceLevel?: string
+  readonly rda?: Record<string, unknown>
+  readonly ul?: Record<string, unknown>
+  readonly dosageRange?: LanguageMap
+  readonly drugInteraction?: ModernDrugInteraction[]
+  readonly contraindication?: LanguageMap
+  readonly adverseEffect?: LanguageMap
+  readonly pregnancyCategory?: string
+  readonly lactationSafety?: string
+  readonly toxicity?: LanguageMap
+  readonly mechanismOfAction?: LanguageMap
+  readonly indication?: string[]
+  readonly dietarySources?: string[]
+  readonly supplementForms?: string[]
+  readonly source?: string
+  readonly sourceUrl?: string
+
+  constructor(data: {
+    slug: string
+    name: LanguageMap
+    inn?: LanguageMap
+    derivedFromSource?: IRIReference
+    casNumber?: string
+    unii?: string
+    drugBankId?: string
+    pubChemId?: string
+    fdaStatus?: string
+    regulatoryCategory?: string[]
+    classification?: string
+    clinicalEvidence?: LanguageMap
+    efficacyRating?: string
+    evidenceLevel?: string
+    rda?: Record<string, unknown>
+    ul?: Record<string, unknown>
+    dosageRange?: LanguageMap
+    drugInteraction?: ModernDrugInteraction[]
+    contraindication?: LanguageMap
+    adverseEffect?: LanguageMap
+    pregnancyCategory?: string
+    lactationSafety?: string
+    toxicity?: LanguageMap
+    mechanismOfAction?: LanguageMap
+    indication?: string[]
+    dietarySources?: string[]
+    supplementForms?: string[]
+    source?: string
+    sourceUrl?: string
+  }) {
+    super(
+      'https://www.herbapedia.org/schema/context/modern-medicine.jsonld',
+      generateIRI(NodeType.MODERN_PROFILE, data.slug),
+      ['modern:Substance', 'schema:DietarySupplement']
+    )
+
+    this.slug = data.slug
+    this.name = data.name
+    this.inn = data.inn
+    this.derivedFromSource = data.derivedFromSource
+    this.casNumber = data.casNumber
+    this.unii = data.unii
+    this.drugBankId = data.drugBankId
+    this.pubChemId = data.pubChemId
+    this.fdaStatus = data.fdaStatus
+    this.regulatoryCategory = data.regulatoryCategory
+    this.classification = data.classification
+    this.clinicalEvidence = data.clinicalEvidence
+    this.efficacyRating = data.efficacyRating
+    this.evidenceLevel = data.evidenceLevel
+    this.rda = data.rda
+    this.ul = data.ul
+    this.dosageRange = data.dosageRange
+    this.drugInteraction = data.drugInteraction
+    this.contraindication = data.contraindication
+    this.adverseEffect = data.adverseEffect
+    this.pregnancyCategory = data.pregnancyCategory
+    this.lactationSafety = data.lactationSafety
+    this.toxicity = data.toxicity
+    this.mechanismOfAction = data.mechanismOfAction
+    this.indication = data.indication
+    this.dietarySources = data.dietarySources
+    this.supplementForms = data.supplementForms
+    this.source = data.source
+    this.sourceUrl = data.sourceUrl
+  }
+
+  static builder(): ModernProfileNodeBuilder {
+    return new ModernProfileNodeBuilder()
+  }
+}
+
 // ============================================================================
 // Vocabulary Node (generic)
 // ============================================================================
 
 export class VocabularyNodeBuilder {
   private _iri: string = ''
+  private _slug?: string
+  private _vocabularyType?: string
   private _value: string = ''
   private _prefLabel: LanguageMap = {}
   private _description?: LanguageMap
   private _broader?: IRIReference
   private _related: IRIReference[] = []
+  private _exactMatch: IRIReference[] = []
+  private _closeMatch: IRIReference[] = []
 
   iri(value: string): this { this._iri = value; return this }
+  slug(value: string): this { this._slug = value; return this }
+  vocabularyType(value: string): this { this._vocabularyType = value; return this }
   value(value: string): this { this._value = value; return this }
   prefLabel(value: LanguageMap): this { this._prefLabel = value; return this }
   description(value: LanguageMap): this { this._description = value; return this }
   broader(iri: string): this { this._broader = ref(iri); return this }
   addRelated(iri: string): this { this._related.push(ref(iri)); return this }
+  addExactMatch(iri: string): this { this._exactMatch.push(ref(iri)); return this }
+  addCloseMatch(iri: string): this { this._closeMatch.push(ref(iri)); return this }
 
   build(): VocabularyNode {
     if (!this._iri) throw new Error('Vocabulary IRI is required')
     return new VocabularyNode({
       iri: this._iri,
+      slug: this._slug,
+      vocabularyType: this._vocabularyType,
       value: this._value,
       prefLabel: this._prefLabel,
       description: this._description,
       broader: this._broader,
       related: this._related.length > 0 ? this._related : undefined,
+      exactMatch: this._exactMatch.length > 0 ? this._exactMatch : undefined,
+      closeMatch: this._closeMatch.length > 0 ? this._closeMatch : undefined,
     })
   }
 }
 
 export class VocabularyNode extends GraphNodeBase {
+  readonly slug?: string
+  /** Vocabulary the term belongs to (nature, rasa, temperament) */
+  readonly vocabularyType?: string
   readonly value: string
   readonly prefLabel: LanguageMap
   readonly description?: LanguageMap
   readonly broader?: IRIReference
   readonly related?: IRIReference[]
+  /** Concepts of other systems with the same meaning (skos:exactMatch) */
+  readonly exactMatch?: IRIReference[]
+  /** Concepts of other systems with a similar meaning (skos:closeMatch) */
+  readonly closeMatch?: IRIReference[]
 
   constructor(data: {
     iri: string
+    slug?: string
+    vocabularyType?: string
     value: string
     prefLabel: LanguageMap
     description?: LanguageMap
     broader?: IRIReference
     related?: IRIReference[]
+    exactMatch?: IRIReference[]
+    closeMatch?: IRIReference[]
   }) {
     super(
       'https://www.herbapedia.org/schema/context/core.jsonld',
@@ -407,11 +1015,15 @@ export class VocabularyNode extends GraphNodeBase {
       ['skos:Concept']
     )
 
+    this.slug = data.slug
+    this.vocabularyType = data.vocabularyType
     this.value = data.value
     this.prefLabel = data.prefLabel
     this.description = data.description
     this.broader = data.broader
     this.related = data.related
+    this.exactMatch = data.exactMatch
+    this.closeMatch = data.closeMatch
   }
 
   static builder(): VocabularyNodeBuilder {
@@ -14,7 +14,8 @@ import type {
   IRIReference,
   NodeTypeValue,
 } from '../types.js'
-import { NodeType, parseIRI } from '../types.js'
+import { NodeType, isCustomNodeType, parseIRI } from '../types.js'
+import { IRIResolver } from './IRIResolver.js'
 
 /**
  * Registry for a single node type
@@ -201,6 +202,8 @@ export class GraphRegistry {
   readonly chemicals = new NodeTypeRegistry<{ '@id': string }>()
   readonly preparations = new NodeTypeRegistry<{ '@id': string }>()
   readonly formulas = new NodeTypeRegistry<{ '@id': string }>()
+  readonly analyticalMethods = new NodeTypeRegistry<{ '@id': string }>()
+  readonly barcodes = new NodeTypeRegistry<{ '@id': string }>()
 
   // Profile registries by system
   readonly profiles = {
@@ -226,6 +229,26 @@ export class GraphRegistry {
       gunas: new NodeTypeRegistry<{ '@id': string }>(),
       viryas: new NodeTypeRegistry<{ '@id': string }>(),
       vipakas: new NodeTypeRegistry<{ '@id': string }>(),
+      karmas: new NodeTypeRegistry<{ '@id': string }>(),
+      mahabhutas: new NodeTypeRegistry<{ '@id': string }>(),
+      prabhavas: new NodeTypeRegistry<{ '@id': string }>(),
+      categories: new NodeTypeRegistry<{ '@id': string }>(),
+    },
+    mongolian: {
+      roots: new NodeTypeRegistry<{ '@id': string }>(),
+      tastes: new NodeTypeRegistry<{ '@id': string }>(),
+      potencies: new NodeTypeRegistry<{ '@id': string }>(),
+      elements: new NodeTypeRegistry<{ '@id': string }>(),
+    },
+    unani: {
+      temperaments: new NodeTypeRegistry<{ '@id': string }>(),
+      degrees: new NodeTypeRegistry<{ '@id': string }>(),
+      elements: new NodeTypeRegistry<{ '@id': string }>(),
+    },
+    western: {
+      actions: new NodeTypeRegistry<{ '@id': string }>(),
+      organs: new NodeTypeRegistry<{ '@id': string }>(),
+      bodySystems: new NodeTypeRegistry<{ '@id': string }>(),
     },
   }
 
@@ -233,20 +256,31 @@ export class GraphRegistry {
   readonly sources = new NodeTypeRegistry<{ '@id': string }>()
   readonly images = new NodeTypeRegistry<{ '@id': string }>()
 
+  // Registries of node types added by loader plugins
+  readonly extensions: Map<string, NodeTypeRegistry<{ '@id': string }>> = new Map()
+
   // Reference resolver
   readonly resolver = new ReferenceResolver()
 
+  // Source IRI -> canonical IRI resolver
+  readonly iris = new IRIResolver()
+
   // All IRIs index for fast lookup
   private allIRIs: Map<string, NodeTypeValue> = new Map()
 
   /**
    * Register a node in the appropriate registry
+   *
+   * @param sourceIRI - The @id the node had in its source file, kept as an alias
    */
-  registerNode(node: GraphNode, nodeType: NodeTypeValue): boolean {
+  registerNode(node: GraphNode, nodeType: NodeTypeValue, sourceIRI?: string): boolean {
     const iri = node['@id']
 
     // Track in all IRIs index
     this.allIRIs.set(iri, nodeType)
+    if (sourceIRI) {
+      this.iris.addAlias(sourceIRI, iri)
+    }
 
     // Register in appropriate registry
     switch (nodeType) {
@@ -256,10 +290,14 @@ export class GraphRegistry {
         return this.parts.add(node)
       case NodeType.CHEMICAL:
         return this.chemicals.add(node)
+      case NodeType.BARCODE:
+        return this.barcodes.add(node)
       case NodeType.PREPARATION:
         return this.preparations.add(node)
       case NodeType.FORMULA:
         return this.formulas.add(node)
+      case NodeType.ANALYTICAL_METHOD:
+        return this.analyticalMethods.add(node)
       case NodeType.TCM_PROFILE:
         return this.profiles.tcm.add(node)
       case NodeType.AYURVEDA_PROFILE:
@@ -290,27 +328,69 @@ export class GraphRegistry {
         return this.vocabulary.ayurveda.viryas.add(node)
       case NodeType.AYURVEDA_VIPAKA:
         return this.vocabulary.ayurveda.vipakas.add(node)
+      case NodeType.AYURVEDA_KARMA:
+        return this.vocabulary.ayurveda.karmas.add(node)
+      case NodeType.AYURVEDA_MAHABHUTA:
+        return this.vocabulary.ayurveda.mahabhutas.add(node)
+      case NodeType.AYURVEDA_PRABHAVA:
+        return this.vocabulary.ayurveda.prabhavas.add(node)
+      case NodeType.AYURVEDA_CATEGORY:
+        return this.vocabulary.ayurveda.categories.add(node)
+      case NodeType.MONGOLIAN_ROOT:
+        return this.vocabulary.mongolian.roots.add(node)
+      case NodeType.MONGOLIAN_TASTE:
+        return this.vocabulary.mongolian.tastes.add(node)
+      case NodeType.MONGOLIAN_POTENCY:
+        return this.vocabulary.mongolian.potencies.add(node)
+      case NodeType.MONGOLIAN_ELEMENT:
+        return this.vocabulary.mongolian.elements.add(node)
+      case NodeType.UNANI_TEMPERAMENT:
+        return this.vocabulary.unani.temperaments.add(node)
+      case NodeType.UNANI_DEGREE:
+        return this.vocabulary.unani.degrees.add(node)
+      case NodeType.UNANI_ELEMENT:
+        return this.vocabulary.unani.elements.add(node)
+      case NodeType.WESTERN_ACTION:
+        return this.vocabulary.western.actions.add(node)
+      case NodeType.WESTERN_ORGAN:
+        return this.vocabulary.western.organs.add(node)
+      case NodeType.WESTERN_BODY_SYSTEM:
+        return this.vocabulary.western.bodySystems.add(node)
       case NodeType.SOURCE:
         return this.sources.add(node)
       case NodeType.IMAGE:
         return this.images.add(node)
       default:
+        if (isCustomNodeType(nodeType)) {
+          if (!this.extensions.has(nodeType)) {
+            this.extensions.set(nodeType, new NodeTypeRegistry())
+          }
+          return this.extensions.get(nodeType)!.add(node)
+        }
         console.warn(`Unknown node type: ${nodeType}`)
         return false
     }
   }
 
   /**
-   * Check if a node exists by its IRI
+   * Get the canonical IRI for a canonical, source or alias IRI
+   */
+  resolveIRI(iri: string): string {
+    return this.allIRIs.has(iri) ? iri : this.iris.canonicalize(iri)
+  }
+
+  /**
+   * Check if a node exists by its IRI (canonical or source form)
    */
   hasNode(iri: string): boolean {
-    return this.allIRIs.has(iri)
+    return this.allIRIs.has(this.resolveIRI(iri))
   }
 
   /**
-   * Get a node by its IRI
+   * Get a node by its IRI (canonical or source form)
    */
   getNode(iri: string): GraphNode | undefined {
+    iri = this.resolveIRI(iri)
     const nodeType = this.allIRIs.get(iri)
     if (!nodeType) return undefined
 
@@ -322,10 +402,14 @@ export class GraphRegistry {
         return this.parts.getByIRI(iri) as unknown as GraphNode
       case NodeType.CHEMICAL:
         return this.chemicals.getByIRI(iri) as unknown as GraphNode
+      case NodeType.BARCODE:
+        return this.barcodes.getByIRI(iri) as unknown as GraphNode
       case NodeType.PREPARATION:
         return this.preparations.getByIRI(iri) as unknown as GraphNode
       case NodeType.FORMULA:
         return this.formulas.getByIRI(iri) as unknown as GraphNode
+      case NodeType.ANALYTICAL_METHOD:
+        return this.analyticalMethods.getByIRI(iri) as unknown as GraphNode
       case NodeType.TCM_PROFILE:
         return this.profiles.tcm.getByIRI(iri) as unknown as GraphNode
       case NodeType.AYURVEDA_PROFILE:
@@ -356,12 +440,40 @@ export class GraphRegistry {
         return this.vocabulary.ayurveda.viryas.getByIRI(iri) as unknown as GraphNode
       case NodeType.AYURVEDA_VIPAKA:
         return this.vocabulary.ayurveda.vipakas.getByIRI(iri) as unknown as GraphNode
+      case NodeType.AYURVEDA_KARMA:
+        return this.vocabulary.ayurveda.karmas.getByIRI(iri) as unknown as GraphNode
+      case NodeType.AYURVEDA_MAHABHUTA:
+        return this.vocabulary.ayurveda.mahabhutas.getByIRI(iri) as unknown as GraphNode
+      case NodeType.AYURVEDA_PRABHAVA:
+        return this.vocabulary.ayurveda.prabhavas.getByIRI(iri) as unknown as GraphNode
+      case NodeType.AYURVEDA_CATEGORY:
+        return this.vocabulary.ayurveda.categories.getByIRI(iri) as unknown as GraphNode
+      case NodeType.MONGOLIAN_ROOT:
+        return this.vocabulary.mongolian.roots.getByIRI(iri) as unknown as GraphNode
+      case NodeType.MONGOLIAN_TASTE:
+        return this.vocabulary.mongolian.tastes.getByIRI(iri) as unknown as GraphNode
+      case NodeType.MONGOLIAN_POTENCY:
+        return this.vocabulary.mongolian.potencies.getByIRI(iri) as unknown as GraphNode
+      case NodeType.MONGOLIAN_ELEMENT:
+        return this.vocabulary.mongolian.elements.getByIRI(iri) as unknown as GraphNode
+      case NodeType.UNANI_TEMPERAMENT:
+        return this.vocabulary.unani.temperaments.getByIRI(iri) as unknown as GraphNode
+      case NodeType.UNANI_DEGREE:
+        return this.vocabulary.unani.degrees.getByIRI(iri) as unknown as GraphNode
+      case NodeType.UNANI_ELEMENT:
+        return this.vocabulary.unani.elements.getByIRI(iri) as unknown as GraphNode
+      case NodeType.WESTERN_ACTION:
+        return this.vocabulary.western.actions.getByIRI(iri) as unknown as GraphNode
+      case NodeType.WESTERN_ORGAN:
+        return this.vocabulary.western.organs.getByIRI(iri) as unknown as GraphNode
+      case NodeType.WESTERN_BODY_SYSTEM:
+        return this.vocabulary.western.bodySystems.getByIRI(iri) as unknown as GraphNode
       case NodeType.SOURCE:
         return this.sources.getByIRI(iri) as unknown as GraphNode
       case NodeType.IMAGE:
         return this.images.getByIRI(iri) as unknown as GraphNode
       default:
-        return undefined
+        return this.extensions.get(nodeType)?.getByIRI(iri) as unknown as GraphNode | undefined
     }
   }
 
@@ -369,7 +481,7 @@ export class GraphRegistry {
    * Get node type for an IRI
    */
   getNodeType(iri: string): NodeTypeValue | undefined {
-    return this.allIRIs.get(iri)
+    return this.allIRIs.get(this.resolveIRI(iri))
   }
 
   /**
@@ -420,8 +532,10 @@ export class GraphRegistry {
     nodes.push(...this.species.getAllAsGraphNodes())
     nodes.push(...this.parts.getAllAsGraphNodes())
     nodes.push(...this.chemicals.getAllAsGraphNodes())
+    nodes.push(...this.barcodes.getAllAsGraphNodes())
     nodes.push(...this.preparations.getAllAsGraphNodes())
     nodes.push(...this.formulas.getAllAsGraphNodes())
+    nodes.push(...this.analyticalMethods.getAllAsGraphNodes())
 
     for (const registry of Object.values(this.profiles)) {
       nodes.push(...registry.getAllAsGraphNodes())
@@ -436,6 +550,10 @@ export class GraphRegistry {
     nodes.push(...this.sources.getAllAsGraphNodes())
     nodes.push(...this.images.getAllAsGraphNodes())
 
+    for (const registry of this.extensions.values()) {
+      nodes.push(...registry.getAllAsGraphNodes())
+    }
+
     return nodes
   }
 
@@ -447,8 +565,10 @@ export class GraphRegistry {
       species: this.species.count,
       parts: this.parts.count,
       chemicals: this.chemicals.count,
+      barcodes: this.barcodes.count,
       preparations: this.preparations.count,
       formulas: this.formulas.count,
+      analyticalMethods: this.analyticalMethods.count,
       'profiles:tcm': this.profiles.tcm.count,
       'profiles:ayurveda': this.profiles.ayurveda.count,
       'profiles:western': this.profiles.western.count,
@@ -464,10 +584,28 @@ export class GraphRegistry {
       'vocab:ayurveda:gunas': this.vocabulary.ayurveda.gunas.count,
       'vocab:ayurveda:viryas': this.vocabulary.ayurveda.viryas.count,
       'vocab:ayurveda:vipakas': this.vocabulary.ayurveda.vipakas.count,
+      'vocab:ayurveda:karmas': this.vocabulary.ayurveda.karmas.count,
+      'vocab:ayurveda:mahabhutas': this.vocabulary.ayurveda.mahabhutas.count,
+      'vocab:ayurveda:prabhavas': this.vocabulary.ayurveda.prabhavas.count,
+      'vocab:ayurveda:categories': this.vocabulary.ayurveda.categories.count,
+      'vocab:mongolian:roots': this.vocabulary.mongolian.roots.count,
+      'vocab:mongolian:tastes': this.vocabulary.mongolian.tastes.count,
+      'vocab:mongolian:potencies': this.vocabulary.mongolian.potencies.count,
+      'vocab:mongolian:elements': this.vocabulary.mongolian.elements.count,
+      'vocab:unani:temperaments': this.vocabulary.unani.temperaments.count,
+      'vocab:unani:degrees': this.vocabulary.unani.degrees.count,
+      'vocab:unani:elements': this.vocabulary.unani.elements.count,
+      'vocab:western:actions': this.vocabulary.western.actions.count,
+      'vocab:western:organs': this.vocabulary.western.organs.count,
+      'vocab:western:bodySystems': this.vocabulary.western.bodySystems.count,
       sources: this.sources.count,
       images: this.images.count,
     }
 
+    for (const [nodeType, registry] of this.extensions) {
+      byType[nodeType] = registry.count
+    }
+
     const totalNodes = Object.values(byType).reduce((a, b) => a + b, 0)
 
     return {
@@ -489,8 +627,10 @@ export class GraphRegistry {
     this.species.clear()
     this.parts.clear()
     this.chemicals.clear()
+    this.barcodes.clear()
     this.preparations.clear()
     this.formulas.clear()
+    this.analyticalMethods.clear()
 
     for (const registry of Object.values(this.profiles)) {
       registry.clear()
@@ -504,7 +644,9 @@ export class GraphRegistry {
 
     this.sources.clear()
     this.images.clear()
+    this.extensions.clear()
     this.resolver.clear()
+    this.iris.clear()
     this.allIRIs.clear()
   }
 }
@@ -0,0 +1,155 @@
+/**
+ * IRIResolver - Maps source IRIs to canonical graph IRIs
+ *
+ * Source files reference nodes through several IRI schemes:
+ * - https://www.herbapedia.org/entity/botanical/species/{slug}
+ * - https://www.herbapedia.org/entity/profile/{system}/{slug}
+ * - https://www.herbapedia.org/system/{system}/profile/{slug}
+ * - https://www.herbapedia.org/system/{system}/{vocabType}/{value}
+ * - https://www.herbapedia.org/system/{system}/profile/{vocabType}/{value}
+ * - https://www.herbapedia.org/reference/{system}/{vocabType}/{value}
+ *
+ * The graph uses a single scheme (https://www.herbapedia.org/graph/...).
+ * The resolver translates between them and remembers the original IRI of
+ * every registered node as an alias, so lookups accept either form.
+ */
+
+import type { NodeTypeValue } from '../types.js'
+import { isRegisteredNodeType, parseIRI } from '../types.js'
+
+/**
+ * Base IRI shared by all Herbapedia namespaces
+ */
+export const HERBAPEDIA_BASE = 'https://www.herbapedia.org/'
+
+/**
+ * Base IRI of the canonical graph namespace
+ */
+export const GRAPH_BASE = `${HERBAPEDIA_BASE}graph/`
+
+/**
+ * Result of resolving an IRI
+ */
+export interface ResolvedIRI {
+  /** Canonical graph IRI */
+  iri: string
+  /** Node type, when the graph has one for this namespace */
+  nodeType: NodeTypeValue | null
+  /** Slug or vocabulary value */
+  identifier: string
+}
+
+/**
+ * Namespace rewrite rules, applied to the path after HERBAPEDIA_BASE.
+ * The first matching rule wins; the result is a path under GRAPH_BASE.
+ */
+const NAMESPACE_RULES: Array<{ pattern: RegExp; rewrite: (...groups: string[]) => string }> = [
+  // Already canonical
+  { pattern: /^graph\/(.+)$/, rewrite: rest => rest },
+
+  // entity/botanical/{type}/{slug} -> {type}/{slug}
+  { pattern: /^entity\/botanical\/([a-z-]+)\/([^/]+)$/, rewrite: (type, slug) => `${type}/${slug}` },
+
+  // entity/profile/{system}/{slug} and system/{system}/profile/{slug} -> profile/{system}/{slug}
+  { pattern: /^entity\/profile\/([a-z]+)\/([^/]+)$/, rewrite: (system, slug) => `profile/${system}/${slug}` },
+  { pattern: /^system\/([a-z]+)\/profile\/([^/]+)$/, rewrite: (system, slug) => `profile/${system}/${slug}` },
+
+  // entity/preparation/{slug}, entity/formula/{slug}
+  { pattern: /^entity\/(preparation|formula)\/([^/]+)$/, rewrite: (type, slug) => `${type}/${slug}` },
+
+  // Ayurveda vocabulary published directly under entity/
+  {
+    pattern: /^entity\/(dosha|rasa|guna|virya|vipaka)\/([^/]+)$/,
+    rewrite: (type, value) => `vocab/ayurveda/${type}/${value}`,
+  },
+
+  // system/{system}/profile/{type}/{value} (vocabulary published beside profiles)
+  {
+    pattern: /^system\/([a-z]+)\/profile\/([a-z-]+)\/([^/]+)$/,
+    rewrite: (system, type, value) => `vocab/${system}/${type}/${value}`,
+  },
+
+  // {system,reference,vocab}/{system}/{type}/{value} -> vocab/{system}/{type}/{value}
+  {
+    pattern: /^(?:system|reference|vocab)\/([a-z]+)\/([a-z-]+)\/([^/]+)$/,
+    rewrite: (system, type, value) => `vocab/${system}/${type}/${value}`,
+  },
+]
+
+/**
+ * Resolver for source and canonical IRIs
+ */
+export class IRIResolver {
+  // Alias IRI -> canonical IRI
+  private aliases: Map<string, string> = new Map()
+  // Canonical IRI -> alias IRIs
+  private aliasesByCanonical: Map<string, Set<string>> = new Map()
+
+  /**
+   * Map an IRI from any known namespace to its canonical graph IRI.
+   * Relative IRIs (e.g. "botanical/species/x") are read against entity/.
+   * Returns null for IRIs outside the known namespaces.
+   */
+  resolve(iri: string): ResolvedIRI | null {
+    const absolute = iri.startsWith('http') ? iri : `${HERBAPEDIA_BASE}entity/${iri}`
+    if (!absolute.startsWith(HERBAPEDIA_BASE)) return null
+
+    const path = absolute.slice(HERBAPEDIA_BASE.length)
+    for (const rule of NAMESPACE_RULES) {
+      const match = rule.pattern.exec(path)
+      if (!match) continue
+
+      const canonical = GRAPH_BASE + rule.rewrite(...match.slice(1))
+      const parsed = parseIRI(canonical)
+      const nodeType = parsed.nodeType && isRegisteredNodeType(parsed.nodeType) ? parsed.nodeType : null
+      return { iri: canonical, nodeType, identifier: parsed.identifier }
+    }
+
+    return null
+  }
+
+  /**
+   * Get the canonical IRI for any IRI.
+   * Registered aliases take precedence over namespace rules;
+   * unknown IRIs are returned unchanged.
+   */
+  canonicalize(iri: string): string {
+    return this.aliases.get(iri) ?? this.resolve(iri)?.iri ?? iri
+  }
+
+  /**
+   * Record an alternate IRI for a canonical node IRI
+   */
+  addAlias(alias: string, canonical: string): void {
+    if (alias === canonical) return
+
+    this.aliases.set(alias, canonical)
+    if (!this.aliasesByCanonical.has(canonical)) {
+      this.aliasesByCanonical.set(canonical, new Set())
+    }
+    this.aliasesByCanonical.get(canonical)!.add(alias)
+  }
+
+  /**
+   * Get all registered aliases of a canonical IRI
+   */
+  getAliases(canonical: string): string[] {
+    const aliases = this.aliasesByCanonical.get(canonical)
+    return aliases ? Array.from(aliases) : []
+  }
+
+  /**
+   * Check if an IRI is a registered alias
+   */
+  isAlias(iri: string): boolean {
+    return this.aliases.has(iri)
+  }
+
+  /**
+   * Clear all aliases
+   */
+  clear(): void {
+    this.aliases.clear()
+    this.aliasesByCanonical.clear()
+  }
+}
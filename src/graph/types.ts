@@ -57,6 +57,9 @@ export const NodeType = {
   PREPARATION: 'preparation',
   FORMULA: 'formula',
 
+  // Quality control (pharmacopoeial identification and assay)
+  ANALYTICAL_METHOD: 'analytical-method',
+
   // Profiles (medical system interpretations)
   TCM_PROFILE: 'tcm-profile',
   AYURVEDA_PROFILE: 'ayurveda-profile',
@@ -75,6 +78,20 @@ export const NodeType = {
   AYURVEDA_GUNA: 'ayurveda-guna',
   AYURVEDA_VIRYA: 'ayurveda-virya',
   AYURVEDA_VIPAKA: 'ayurveda-vipaka',
+  AYURVEDA_KARMA: 'ayurveda-karma',
+  AYURVEDA_MAHABHUTA: 'ayurveda-mahabhuta',
+  AYURVEDA_PRABHAVA: 'ayurveda-prabhava',
+  AYURVEDA_CATEGORY: 'ayurveda-category',
+  MONGOLIAN_ROOT: 'mongolian-root',
+  MONGOLIAN_TASTE: 'mongolian-taste',
+  MONGOLIAN_POTENCY: 'mongolian-potency',
+  MONGOLIAN_ELEMENT: 'mongolian-element',
+  UNANI_TEMPERAMENT: 'unani-temperament',
+  UNANI_DEGREE: 'unani-degree',
+  UNANI_ELEMENT: 'unani-element',
+  WESTERN_ACTION: 'western-action',
+  WESTERN_ORGAN: 'western-organ',
+  WESTERN_BODY_SYSTEM: 'western-system',
 
   // Source & media
   SOURCE: 'source',
@@ -116,6 +133,9 @@ export const IRIPatterns = {
   preparation: (slug: string) => `https://www.herbapedia.org/graph/preparation/${slug}`,
   formula: (slug: string) => `https://www.herbapedia.org/graph/formula/${slug}`,
 
+  // Quality control
+  'analytical-method': (slug: string) => `https://www.herbapedia.org/graph/analytical-method/${slug}`,
+
   // Profiles
   'tcm-profile': (slug: string) => `https://www.herbapedia.org/graph/profile/tcm/${slug}`,
   'ayurveda-profile': (slug: string) => `https://www.herbapedia.org/graph/profile/ayurveda/${slug}`,
@@ -136,17 +156,66 @@ export const IRIPatterns = {
   'ayurveda-guna': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/guna/${value}`,
   'ayurveda-virya': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/virya/${value}`,
   'ayurveda-vipaka': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/vipaka/${value}`,
+  'ayurveda-karma': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/karma/${value}`,
+  'ayurveda-mahabhuta': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/mahabhuta/${value}`,
+  'ayurveda-prabhava': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/prabhava/${value}`,
+  'ayurveda-category': (value: string) => `https://www.herbapedia.org/graph/vocab/ayurveda/category/${value}`,
+
+  // Vocabulary - Mongolian
+  'mongolian-root': (value: string) => `https://www.herbapedia.org/graph/vocab/mongolian/root/${value}`,
+  'mongolian-taste': (value: string) => `https://www.herbapedia.org/graph/vocab/mongolian/taste/${value}`,
+  'mongolian-potency': (value: string) => `https://www.herbapedia.org/graph/vocab/mongolian/potency/${value}`,
+  'mongolian-element': (value: string) => `https://www.herbapedia.org/graph/vocab/mongolian/element/${value}`,
+
+  // Vocabulary - Unani
+  'unani-temperament': (value: string) => `https://www.herbapedia.org/graph/vocab/unani/temperament/${value}`,
+  'unani-degree': (value: string) => `https://www.herbapedia.org/graph/vocab/unani/degree/${value}`,
+  'unani-element': (value: string) => `https://www.herbapedia.org/graph/vocab/unani/element/${value}`,
+
+  // Vocabulary - Western
+  'western-action': (value: string) => `https://www.herbapedia.org/graph/vocab/western/action/${value}`,
+  'western-organ': (value: string) => `https://www.herbapedia.org/graph/vocab/western/organ/${value}`,
+  'western-system': (value: string) => `https://www.herbapedia.org/graph/vocab/western/system/${value}`,
 
   // Source & media
   source: (slug: string) => `https://www.herbapedia.org/graph/source/${slug}`,
   image: (slug: string) => `https://www.herbapedia.org/graph/image/${slug}`,
 } as const
 
+// IRI patterns of node types added by loader plugins
+const customIRIPatterns: Map<string, (identifier: string) => string> = new Map()
+
+/**
+ * Register the IRI pattern of a node type added by a loader plugin.
+ * Built-in node types cannot be redefined.
+ */
+export function registerNodeType(nodeType: string, pattern: (identifier: string) => string): void {
+  if (nodeType in IRIPatterns) {
+    throw new Error(`Cannot redefine built-in node type: ${nodeType}`)
+  }
+  customIRIPatterns.set(nodeType, pattern)
+}
+
+/**
+ * Check if a node type is built in or registered by a plugin
+ */
+export function isRegisteredNodeType(nodeType: string): boolean {
+  return nodeType in IRIPatterns || customIRIPatterns.has(nodeType)
+}
+
+/**
+ * Check if a node type was registered by a plugin
+ */
+export function isCustomNodeType(nodeType: string): boolean {
+  return customIRIPatterns.has(nodeType)
+}
+
 /**
  * Generate an IRI for a node
  */
 export function generateIRI(nodeType: NodeTypeValue, identifier: string): string {
-  const generator = IRIPatterns[nodeType]
+  const generator = (IRIPatterns as Record<string, (identifier: string) => string>)[nodeType]
+    ?? customIRIPatterns.get(nodeType)
   if (!generator) {
     throw new Error(`Unknown node type: ${nodeType}`)
   }
@@ -201,8 +270,10 @@ export interface GraphRegistry {
   species: Map<string, SpeciesNode>
   parts: Map<string, PartNode>
   chemicals: Map<string, ChemicalNode>
+  barcodes: Map<string, BarcodeNode>
   preparations: Map<string, PreparationNode>
   formulas: Map<string, FormulaNode>
+  analyticalMethods: Map<string, AnalyticalMethodNode>
   profiles: ProfileRegistry
   vocabulary: VocabularyRegistry
   sources: Map<string, SourceNode>
@@ -237,6 +308,26 @@ export interface VocabularyRegistry {
     gunas: Map<string, VocabularyNode>
     viryas: Map<string, VocabularyNode>
     vipakas: Map<string, VocabularyNode>
+    karmas: Map<string, VocabularyNode>
+    mahabhutas: Map<string, VocabularyNode>
+    prabhavas: Map<string, VocabularyNode>
+    categories: Map<string, VocabularyNode>
+  }
+  mongolian: {
+    roots: Map<string, VocabularyNode>
+    tastes: Map<string, VocabularyNode>
+    potencies: Map<string, VocabularyNode>
+    elements: Map<string, VocabularyNode>
+  }
+  unani: {
+    temperaments: Map<string, VocabularyNode>
+    degrees: Map<string, VocabularyNode>
+    elements: Map<string, VocabularyNode>
+  }
+  western: {
+    actions: Map<string, VocabularyNode>
+    organs: Map<string, VocabularyNode>
+    bodySystems: Map<string, VocabularyNode>
   }
 }
 
@@ -279,10 +370,52 @@ export interface PartNode extends GraphNode {
 export interface ChemicalNode extends GraphNode {
   slug: string
   name: LanguageMap
+  /** English name, or the first name given */
+  chemicalName?: string
+  /** Molecular formula in Hill notation */
   formula?: string
-  inChI?: string
-  inChIKey?: string
+  /** Average molecular weight in g/mol */
+  molecularWeight?: number
+  inchi?: string
+  inchiKey?: string
+  smiles?: string
   casNumber?: string
+  pubchemId?: string
+}
+
+/**
+ * A DNA sequence of one barcode region
+ */
+export interface BarcodeSequence {
+  /** Locus, e.g. "rbcL", "matK", "ITS2", "psbA-trnH" */
+  region: string
+  sequence: string
+  length?: number
+  genbankAccession?: string
+  /** Specimens the (consensus) sequence was derived from */
+  specimens?: string[]
+  specimenCount?: number
+  /** Source file the sequence was loaded from, relative to the data root */
+  source: string
+  /** Document the source file was extracted from, e.g. "GCMTI FS:2020-1" */
+  sourceDocument?: string
+}
+
+/**
+ * DNA barcode node - reference sequences for identifying a species.
+ * Curated barcodes and extracted specimen datasets for the same species
+ * are merged into one node.
+ */
+export interface BarcodeNode extends GraphNode {
+  '@type': string | string[]
+  slug: string
+  name: LanguageMap
+  /** Species identified by this barcode */
+  barcodes?: IRIReference | IRIReference[]
+  scientificName?: string
+  sequence: BarcodeSequence[]
+  /** Specimen code of an extracted reference dataset */
+  gcmtiCode?: string
 }
 
 /**
@@ -295,6 +428,13 @@ export interface PreparationNode extends GraphNode {
   derivedFrom: IRIReference
   hasProfile?: IRIReference[]
   preparationMethod?: string
+  safetyInfo?: {
+    allergens?: string[]
+    pregnancySafety?: LanguageMap
+    generalContraindications?: LanguageMap
+    drugInteractions?: string[]
+    warnings?: LanguageMap[]
+  }
 }
 
 /**
@@ -307,6 +447,64 @@ export interface FormulaNode extends GraphNode {
   hasIngredient: IRIReference[]
 }
 
+/**
+ * A marker compound used by an analytical method
+ */
+export interface ReferenceCompound {
+  name: string
+  chineseName?: string
+  /** Molecular formula as written in the monograph */
+  formula?: string
+  /** e.g. "TLC identification", "Assay quantification" */
+  purpose?: string[]
+  /** Matching chemical node, if the graph has one */
+  chemical?: IRIReference
+}
+
+/**
+ * A pharmacopoeial content limit
+ */
+export interface AssayLimit {
+  /** Key in the monograph, e.g. "quercitrin", "totalAsh" */
+  key: string
+  compound?: string
+  /** Compounds of a combined-total limit */
+  compounds?: string[]
+  formula?: string
+  /** Minimum content in percent */
+  minimumContent?: number
+  /** Maximum content in percent */
+  maximumContent?: number
+  /** e.g. "dried substance" */
+  basis?: string
+  /** Limit text that has no percentage */
+  requirement?: string
+  chemical?: IRIReference
+}
+
+/**
+ * Analytical method node - the identification and assay methods of a
+ * pharmacopoeial monograph (TLC, HPLC fingerprint, HPLC assay, ...)
+ */
+export interface AnalyticalMethodNode extends GraphNode {
+  '@type': ['herbapedia:AnalyticalMethod', 'schema:Dataset']
+  slug: string
+  name: LanguageMap
+  scientificName?: string
+  sourceDocument?: string
+  /** Techniques, e.g. "TLC", "HPLC-Fingerprint", "HPLC-Assay" */
+  technique: string[]
+  analyzesSpecies?: IRIReference[]
+  analyzesCompound?: IRIReference[]
+  referenceCompound?: ReferenceCompound[]
+  assayLimit?: AssayLimit[]
+  tlcMethod?: Record<string, unknown>
+  hplcFingerprint?: Record<string, unknown>
+  hplcAssay?: Record<string, unknown>
+  /** Relative retention times of the fingerprint peaks */
+  rrtValues?: Array<Record<string, unknown>>
+}
+
 /**
  * Base profile node (medical system interpretation)
  */
@@ -331,6 +529,8 @@ export interface TcmProfileNode extends ProfileNode {
   tcmModernResearch?: LanguageMap
   dosage?: LanguageMap
   contraindications?: LanguageMap
+  cautions?: LanguageMap
+  incompatibilities?: LanguageMap
 }
 
 /**
@@ -342,7 +542,24 @@ export interface AyurvedaProfileNode extends ProfileNode {
   hasGuna?: IRIReference[]
   hasVirya?: IRIReference
   hasVipaka?: IRIReference
-  affectsDosha?: IRIReference[]
+  hasPrabhava?: IRIReference
+  ayurvedaCategory?: IRIReference
+  hasMahabhuta?: IRIReference[]
+  /** Actions as recorded, free text */
+  karma?: string[]
+  /** Karma vocabulary matched from karma by KarmaNormalizer */
+  hasKarma?: IRIReference[]
+  affectsDosha?: Record<string, { effect: string; notes?: string }>
+  contraindications?: LanguageMap
+}
+
+/**
+ * Drug interaction entry on a Western herbal profile
+ */
+export interface WesternDrugInteraction {
+  drug: string
+  interaction?: string
+  severity?: 'high' | 'moderate' | 'low'
 }
 
 /**
@@ -351,6 +568,10 @@ export interface AyurvedaProfileNode extends ProfileNode {
 export interface WesternProfileNode extends ProfileNode {
   hasAction?: IRIReference[]
   hasOrganAffinity?: IRIReference[]
+  primaryBodySystem?: IRIReference
+  secondaryBodySystems?: IRIReference[]
+  contraindications?: LanguageMap
+  drugInteractions?: WesternDrugInteraction[]
 }
 
 /**
@@ -358,6 +579,13 @@ export interface WesternProfileNode extends ProfileNode {
  */
 export interface UnaniProfileNode extends ProfileNode {
   '@type': ['unani:Drug', 'schema:DietarySupplement']
+  unaniName?: string
+  arabicName?: string
+  hasTemperament?: IRIReference
+  temperamentDegree?: number
+  hasElement?: IRIReference[]
+  contraindications?: LanguageMap
+  corrective?: string[]
 }
 
 /**
@@ -365,6 +593,14 @@ export interface UnaniProfileNode extends ProfileNode {
  */
 export interface MongolianProfileNode extends ProfileNode {
   '@type': ['mongolian:Drug', 'schema:DietarySupplement']
+  mongolianName?: string
+  tibetanName?: string
+  tibetanWylie?: string
+  hasElement?: IRIReference[]
+  affectsRoots?: Record<string, { effect: string }>
+  hasTaste?: IRIReference[]
+  hasPotency?: IRIReference[]
+  contraindications?: LanguageMap
 }
 
 /**
@@ -372,6 +608,33 @@ export interface MongolianProfileNode extends ProfileNode {
  */
 export interface ModernProfileNode extends ProfileNode {
   '@type': ['modern:Substance', 'schema:DietarySupplement']
+  derivedFromSource?: IRIReference
+  inn?: LanguageMap
+  casNumber?: string
+  unii?: string
+  drugBankId?: string
+  pubChemId?: string
+  fdaStatus?: string
+  regulatoryCategory?: string[]
+  classification?: string
+  clinicalEvidence?: LanguageMap
+  efficacyRating?: string
+  evidenceLevel?: string
+  rda?: Record<string, unknown>
+  ul?: Record<string, unknown>
+  dosageRange?: LanguageMap
+  drugInteraction?: Array<{ drug: string; type: string; description?: string; management?: string }>
+  contraindication?: LanguageMap
+  adverseEffect?: LanguageMap
+  pregnancyCategory?: string
+  lactationSafety?: string
+  toxicity?: LanguageMap
+  mechanismOfAction?: LanguageMap
+  indication?: string[]
+  dietarySources?: string[]
+  supplementForms?: string[]
+  source?: string
+  sourceUrl?: string
 }
 
 /**
@@ -379,9 +642,17 @@ export interface ModernProfileNode extends ProfileNode {
  */
 export interface VocabularyNode extends GraphNode {
   slug: string
+  /** Vocabulary the term belongs to (nature, rasa, temperament) */
+  vocabularyType?: string
   value: string
   prefLabel: LanguageMap
   description?: LanguageMap
+  broader?: IRIReference
+  related?: IRIReference[]
+  /** Concepts of other systems with the same meaning (skos:exactMatch) */
+  exactMatch?: IRIReference[]
+  /** Concepts of other systems with a similar meaning (skos:closeMatch) */
+  closeMatch?: IRIReference[]
 }
 
 /**
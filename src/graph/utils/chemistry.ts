@@ -0,0 +1,242 @@
+/**
+ * Chemistry helpers for chemical identifiers
+ *
+ * Molecular formula parsing and Hill notation, average and monoisotopic
+ * masses, CAS Registry Number check digits and InChI / InChIKey checks. Used
+ * by ChemicalNodeBuilder to normalize formulas, by ChemicalValidator and by
+ * the chemical searches of GraphQuery.
+ */
+
+/**
+ * Element symbol to atom count
+ */
+export type ElementCounts = Record<string, number>
+
+/**
+ * Error thrown for formulas that cannot be parsed
+ */
+export class FormulaParseError extends Error {
+  constructor(message: string, readonly formula: string) {
+    super(message)
+    this.name = 'FormulaParseError'
+  }
+}
+
+/**
+ * Standard atomic weights (IUPAC, abridged to five significant figures)
+ */
+export const ATOMIC_WEIGHTS: Readonly<Record<string, number>> = {
+  H: 1.008, He: 4.0026, Li: 6.94, Be: 9.0122, B: 10.81, C: 12.011, N: 14.007, O: 15.999,
+  F: 18.998, Ne: 20.180, Na: 22.990, Mg: 24.305, Al: 26.982, Si: 28.085, P: 30.974, S: 32.06,
+  Cl: 35.45, Ar: 39.95, K: 39.098, Ca: 40.078, Sc: 44.956, Ti: 47.867, V: 50.942, Cr: 51.996,
+  Mn: 54.938, Fe: 55.845, Co: 58.933, Ni: 58.693, Cu: 63.546, Zn: 65.38, Ga: 69.723, Ge: 72.630,
+  As: 74.922, Se: 78.971, Br: 79.904, Kr: 83.798, Rb: 85.468, Sr: 87.62, Y: 88.906, Zr: 91.224,
+  Nb: 92.906, Mo: 95.95, Ru: 101.07, Rh: 102.91, Pd: 106.42, Ag: 107.87, Cd: 112.41, In: 114.82,
+  Sn: 118.71, Sb: 121.76, Te: 127.60, I: 126.90, Xe: 131.29, Cs: 132.91, Ba: 137.33, La: 138.91,
+  Ce: 140.12, Pr: 140.91, Nd: 144.24, Sm: 150.36, Eu: 151.96, Gd: 157.25, Tb: 158.93, Dy: 162.50,
+  Ho: 164.93, Er: 167.26, Tm: 168.93, Yb: 173.05, Lu: 174.97, Hf: 178.49, Ta: 180.95, W: 183.84,
+  Re: 186.21, Os: 190.23, Ir: 192.22, Pt: 195.08, Au: 196.97, Hg: 200.59, Tl: 204.38, Pb: 207.2,
+  Bi: 208.98, Th: 232.04, U: 238.03,
+}
+
+/**
+ * Masses of the most abundant isotope of each element, in Da, for the
+ * elements found in natural products, their salts and common contaminants
+ */
+export const MONOISOTOPIC_MASSES: Readonly<Record<string, number>> = {
+  H: 1.007825, Li: 7.016005, B: 11.009305, C: 12, N: 14.003074, O: 15.994915, F: 18.998403,
+  Na: 22.989769, Mg: 23.985042, Al: 26.981539, Si: 27.976927, P: 30.973762, S: 31.972071,
+  Cl: 34.968853, K: 38.963707, Ca: 39.962591, Ti: 47.947946, V: 50.943960, Cr: 51.940508,
+  Mn: 54.938045, Fe: 55.934938, Co: 58.933195, Ni: 57.935343, Cu: 62.929598, Zn: 63.929142,
+  Ge: 73.921178, As: 74.921597, Se: 79.916521, Br: 78.918337, Sr: 87.905612, Mo: 97.905408,
+  Ag: 106.905097, Cd: 113.903359, Sn: 119.902195, Sb: 120.903816, I: 126.904473, Ba: 137.905247,
+  Pt: 194.964791, Au: 196.966569, Hg: 201.970643, Pb: 207.976652, Bi: 208.980399,
+}
+
+const SUBSCRIPT_DIGITS: Record<string, string> = {
+  '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '₅': '5', '₆': '6', '₇': '7', '₈': '8', '₉': '9',
+}
+
+/**
+ * Parse a molecular formula into element counts.
+ *
+ * Accepts Unicode subscript digits ("C₂₁H₂₀O₁₁"), groups with multipliers
+ * ("Ca(OH)2", "[Fe(CN)6]"), hydrates and multi-component formulas separated
+ * by "·", "." or "*" with optional leading multipliers ("CuSO4·5H2O"), and
+ * ignores a trailing charge ("C5H5N+").
+ *
+ * @throws FormulaParseError for unknown elements or malformed formulas
+ */
+export function parseFormula(formula: string): ElementCounts {
+  const normalized = formula
+    .normalize('NFC')
+    .replace(/[₀-₉]/g, digit => SUBSCRIPT_DIGITS[digit])
+    .replace(/\s+/g, '')
+    .replace(/(\d*[+-]|[⁺⁻][⁰¹²³⁴⁵⁶⁷⁸⁹]*)$/, '')
+
+  if (!normalized) {
+    throw new FormulaParseError('Empty formula', formula)
+  }
+
+  const counts: ElementCounts = {}
+  for (const component of normalized.split(/[·.*•]/)) {
+    const match = component.match(/^(\d*)(.+)$/)
+    if (!match) {
+      throw new FormulaParseError(`Empty component in formula "${formula}"`, formula)
+    }
+    const multiplier = match[1] ? parseInt(match[1], 10) : 1
+    for (const [element, count] of Object.entries(parseGroup(match[2], formula))) {
+      counts[element] = (counts[element] ?? 0) + count * multiplier
+    }
+  }
+  return counts
+}
+
+/**
+ * Format element counts in Hill notation: C first, then H, then the other
+ * elements alphabetically. Without carbon, all elements are alphabetical.
+ */
+export function toHillFormula(counts: ElementCounts): string {
+  const elements = Object.keys(counts).filter(element => counts[element] > 0)
+  const ordered = 'C' in counts && counts.C > 0
+    ? ['C', ...(counts.H > 0 ? ['H'] : []), ...elements.filter(e => e !== 'C' && e !== 'H').sort()]
+    : elements.sort()
+  return ordered.map(element => counts[element] === 1 ? element : `${element}${counts[element]}`).join('')
+}
+
+/**
+ * Normalize a formula to ASCII Hill notation ("C₂₁H₂₀O₁₁" → "C21H20O11")
+ *
+ * @throws FormulaParseError for formulas that cannot be parsed
+ */
+export function normalizeFormula(formula: string): string {
+  return toHillFormula(parseFormula(formula))
+}
+
+/**
+ * Average molecular weight of a formula, in g/mol
+ *
+ * @throws FormulaParseError for formulas that cannot be parsed
+ */
+export function molecularWeight(formula: string | ElementCounts): number {
+  const counts = typeof formula === 'string' ? parseFormula(formula) : formula
+  let weight = 0
+  for (const [element, count] of Object.entries(counts)) {
+    weight += ATOMIC_WEIGHTS[element] * count
+  }
+  return Math.round(weight * 1000) / 1000
+}
+
+/**
+ * Monoisotopic mass of a formula, in Da: the mass of the molecule made of
+ * the most abundant isotope of each element, as measured by mass
+ * spectrometry. Undefined if the formula contains an element without an
+ * entry in MONOISOTOPIC_MASSES.
+ *
+ * @throws FormulaParseError for formulas that cannot be parsed
+ */
+export function monoisotopicMass(formula: string | ElementCounts): number | undefined {
+  const counts = typeof formula === 'string' ? parseFormula(formula) : formula
+  let mass = 0
+  for (const [element, count] of Object.entries(counts)) {
+    if (!(element in MONOISOTOPIC_MASSES)) return undefined
+    mass += MONOISOTOPIC_MASSES[element] * count
+  }
+  return Math.round(mass * 10000) / 10000
+}
+
+/**
+ * Whether two formulas have the same element counts
+ */
+export function sameFormula(a: ElementCounts, b: ElementCounts): boolean {
+  const elements = new Set([...Object.keys(a), ...Object.keys(b)])
+  for (const element of elements) {
+    if ((a[element] ?? 0) !== (b[element] ?? 0)) return false
+  }
+  return true
+}
+
+/**
+ * Whether a CAS Registry Number is well-formed and its check digit is correct.
+ *
+ * The check digit is the sum of the other digits, weighted 1, 2, 3, ... from
+ * the right, modulo 10.
+ */
+export function isValidCasNumber(cas: string): boolean {
+  const match = cas.trim().match(/^(\d{2,7})-(\d{2})-(\d)$/)
+  if (!match) return false
+
+  const digits = (match[1] + match[2]).split('').reverse()
+  const sum = digits.reduce((total, digit, index) => total + parseInt(digit, 10) * (index + 1), 0)
+  return sum % 10 === parseInt(match[3], 10)
+}
+
+/**
+ * Whether an InChIKey is well-formed: a 14-letter connectivity hash, an
+ * 8-letter stereo hash followed by the standard flag (S/N) and version letter,
+ * and the protonation letter ("LFLJHXIJSUQFPF-FQGREHNESA-N")
+ */
+export function isValidInchiKey(key: string): boolean {
+  return /^[A-Z]{14}-[A-Z]{8}[SN][A-Z]-[A-Z]$/.test(key)
+}
+
+/**
+ * The formula layer of an InChI ("InChI=1S/C21H20O6/c1-..." → "C21H20O6"),
+ * or undefined if the string is not an InChI
+ */
+export function inchiFormula(inchi: string): string | undefined {
+  const match = inchi.trim().match(/^InChI=1S?\/([^/]+)/)
+  return match ? match[1] : undefined
+}
+
+/**
+ * Parse a formula without separators, recursing into () and [] groups
+ */
+function parseGroup(text: string, formula: string): ElementCounts {
+  const stack: ElementCounts[] = [{}]
+  const closers: string[] = []
+  let i = 0
+
+  const add = (target: ElementCounts, counts: ElementCounts, multiplier: number) => {
+    for (const [element, count] of Object.entries(counts)) {
+      target[element] = (target[element] ?? 0) + count * multiplier
+    }
+  }
+  const readCount = (): number => {
+    const digits = text.slice(i).match(/^\d+/)?.[0]
+    if (!digits) return 1
+    i += digits.length
+    return parseInt(digits, 10)
+  }
+
+  while (i < text.length) {
+    const char = text[i]
+    if (char === '(' || char === '[') {
+      stack.push({})
+      closers.push(char === '(' ? ')' : ']')
+      i++
+    } else if (char === ')' || char === ']') {
+      if (closers.pop() !== char) {
+        throw new FormulaParseError(`Unbalanced "${char}" in formula "${formula}"`, formula)
+      }
+      i++
+      const group = stack.pop()!
+      add(stack[stack.length - 1], group, readCount())
+    } else {
+      const element = text.slice(i).match(/^[A-Z][a-z]?/)?.[0]
+      if (!element) {
+        throw new FormulaParseError(`Unexpected "${char}" in formula "${formula}"`, formula)
+      }
+      if (!(element in ATOMIC_WEIGHTS)) {
+        throw new FormulaParseError(`Unknown element "${element}" in formula "${formula}"`, formula)
+      }
+      i += element.length
+      add(stack[stack.length - 1], { [element]: readCount() }, 1)
+    }
+  }
+
+  if (closers.length > 0) {
+    throw new FormulaParseError(`Unclosed "${closers[closers.length - 1] === ')' ? '(' : '['}" in formula "${formula}"`, formula)
+  }
+  return stack[0]
+}
@@ -0,0 +1,76 @@
+/**
+ * Bounded concurrency helpers
+ *
+ * Used by GraphBuilder to read source files in parallel without opening
+ * thousands of files at once. All loaders of a build share one limiter.
+ */
+
+/**
+ * Map items through an async function with at most `concurrency` calls in flight.
+ *
+ * Results are returned in input order regardless of completion order.
+ * The first rejection rejects the returned promise; workers stop taking
+ * new items once it happens.
+ *
+ * @param items - Items to process
+ * @param concurrency - Maximum number of concurrent calls (at least 1)
+ * @param fn - Async function applied to each item
+ * @returns Results in the same order as `items`
+ */
+export async function mapConcurrent<T, R>(
+  items: readonly T[],
+  concurrency: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length)
+  let next = 0
+  let failed = false
+
+  const worker = async (): Promise<void> => {
+    while (!failed && next < items.length) {
+      const index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (error) {
+        failed = true
+        throw error
+      }
+    }
+  }
+
+  const workerCount = Math.min(Math.max(1, Math.floor(concurrency) || 1), items.length)
+  await Promise.all(Array.from({ length: workerCount }, worker))
+
+  return results
+}
+
+/**
+ * Runs async functions with at most a fixed number in flight
+ */
+export type Limiter = <R>(fn: () => Promise<R>) => Promise<R>
+
+/**
+ * Create a limiter shared by several callers, so that their calls together
+ * stay within `concurrency`. Calls start in the order they were made.
+ *
+ * @param concurrency - Maximum number of concurrent calls (at least 1)
+ */
+export function createLimiter(concurrency: number): Limiter {
+  const limit = Math.max(1, Math.floor(concurrency) || 1)
+  const queue: Array<() => void> = []
+  let active = 0
+
+  const release = () => {
+    active--
+    queue.shift()?.()
+  }
+
+  return <R>(fn: () => Promise<R>): Promise<R> => new Promise<R>((resolve, reject) => {
+    const run = () => {
+      active++
+      fn().then(resolve, reject).finally(release)
+    }
+    if (active < limit) run()
+    else queue.push(run)
+  })
+}
@@ -6,3 +6,40 @@
 
 export { extractSearchableFields } from './search.js'
 export { RelationshipType, type RelationshipTypeValue } from './relationships.js'
+export { mapConcurrent, createLimiter, type Limiter } from './concurrency.js'
+export {
+  type ElementCounts,
+  FormulaParseError,
+  ATOMIC_WEIGHTS,
+  MONOISOTOPIC_MASSES,
+  parseFormula,
+  toHillFormula,
+  normalizeFormula,
+  molecularWeight,
+  monoisotopicMass,
+  sameFormula,
+  isValidCasNumber,
+  isValidInchiKey,
+  inchiFormula,
+} from './chemistry.js'
+export {
+  type MoleculeAtom,
+  type MoleculeBond,
+  type Molecule,
+  SmilesParseError,
+  parseSmiles,
+  moleculeFormula,
+  morganFingerprint,
+  tanimoto,
+  hasSubstructure,
+} from './smiles.js'
+export {
+  type KarmaMatch,
+  type UnmatchedKarma,
+  type KarmaReport,
+  LEGACY_IAST,
+  KARMA_SYNONYMS,
+  decodeLegacyIast,
+  karmaKey,
+  KarmaNormalizer,
+} from './karma.js'
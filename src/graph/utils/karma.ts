@@ -0,0 +1,260 @@
+/**
+ * Karma vocabulary terms for free-text karma strings
+ *
+ * Dravyas list their actions (karma) as free text: "varnya (improves
+ * complexion)", "Dīpana", or IAST typed in a legacy 8-bit font encoding
+ * ("D¢pana", "ViÀaghna"). The normalizer decodes a string, folds it to a
+ * key and looks the key up among the values and labels of the karma
+ * vocabulary (registry.vocabulary.ayurveda.karmas) and KARMA_SYNONYMS.
+ *
+ * Folding drops diacritics, parentheticals and punctuation and spells
+ * sh/ch/ee/oo/aa as s/c/i/u/a. The endings for removing or pacifying
+ * (-hara, -ghna, -apaha, -jit, -nut, -hṛt, -nāśana, -nāśaka, -vināśī,
+ * -praśamana, -śamana, -śāmaka) fold to -hara, and a dosha compound
+ * ("Kaphavātahara", "Tridoṣaśāmaka") matches the karma of each dosha.
+ *
+ * @example
+ * ```typescript
+ * const normalizer = new KarmaNormalizer(registry)
+ *
+ * normalizer.normalize('Kaphav¡tahara').karmas
+ * // ['.../vocab/ayurveda/karma/shleshmahara', '.../vocab/ayurveda/karma/vatahara']
+ * normalizer.report().unmatched[0]   // { key: 'krmihara', count: 14, texts: ['Kṛmijit', 'Kṛmighna', ...], ... }
+ * ```
+ */
+
+import type { VocabularyNode } from '../types.js'
+import type { AyurvedaProfileNode } from '../nodes/ProfileNodes.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+
+/**
+ * A karma string and the vocabulary terms it matched
+ */
+export interface KarmaMatch {
+  /** String as recorded */
+  text: string
+  /** String with the legacy encoding decoded to IAST */
+  decoded: string
+  /** Folded form the lookup used */
+  key: string
+  /** Matched karma IRIs, empty if none */
+  karmas: string[]
+}
+
+/**
+ * Karma strings of one key that matched no vocabulary term
+ */
+export interface UnmatchedKarma {
+  key: string
+  /** Number of occurrences */
+  count: number
+  /** Decoded spellings */
+  texts: string[]
+  /** Slugs of the dravyas listing it */
+  dravyas: string[]
+}
+
+/**
+ * Karma strings of all dravyas and how many of them matched
+ */
+export interface KarmaReport {
+  /** Dravyas with karma strings */
+  dravyas: number
+  /** Karma strings */
+  total: number
+  /** Karma strings that matched at least one term */
+  matched: number
+  /** Unmatched keys, most frequent first */
+  unmatched: UnmatchedKarma[]
+}
+
+/**
+ * Characters of the legacy 8-bit IAST font encoding and their IAST letters
+ */
+export const LEGACY_IAST: Record<string, string> = {
+  '¡': 'ā', '¢': 'ī', '£': 'ū', '¤': 'ṛ',
+  '´': 'ṅ', 'µ': 'ñ', '¶': 'ṭ', '·': 'ḍ', '¸': 'ṇ',
+  '¿': 'ś', 'À': 'ṣ', 'à': 'ṣ', 'Æ': 'ṃ',
+  'Ë': 'Ā', 'Í': 'Ū', 'á': 'Ś',
+}
+
+/**
+ * Spellings of karma terms that folding does not join, by karma value
+ */
+export const KARMA_SYNONYMS: Record<string, string[]> = {
+  dipana: ['dīpanīya'],
+  hrudya: ['hṛdya', 'hṛdyam', 'hridya'],
+  ruchukara: ['rucya', 'rucikara', 'rucikāraka', 'rucikṛt', 'rocana'],
+  shleshmahara: ['kaphahara'],
+  // Kuṣṭha is often misspelt kuṣha
+  kusthaghna: ['kuṣhaghna'],
+  varnya: ['varṇavardhaka'],
+  vriddhahara: ['vṛddhihara'],
+  amapachana: ['āmapācana'],
+  vranaropana: ['vraṇaropaṇa'],
+}
+
+/**
+ * Doshas of the stems of a dosha compound
+ */
+const DOSHA_STEMS: Record<string, string[]> = {
+  vata: ['vata'],
+  pitta: ['pitta'],
+  kapha: ['kapha'],
+  slesma: ['kapha'],
+  balasa: ['kapha'],
+  tridosa: ['vata', 'pitta', 'kapha'],
+}
+
+const REMOVAL_SUFFIX = /^(.{3,}?)(hara|ghna|ghni|apaha|jit|nut|hrt|nasana|nasaka|vinasi|prasamana|samana|samaka)$/
+
+/**
+ * Decode the legacy 8-bit IAST characters of a string
+ */
+export function decodeLegacyIast(text: string): string {
+  return Array.from(text, char => LEGACY_IAST[char] ?? char).join('')
+}
+
+/**
+ * Fold a karma string to its lookup key
+ */
+export function karmaKey(text: string): string {
+  const key = decodeLegacyIast(text)
+    .replace(/\([^)]*\)/g, ' ')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '')
+    .replace(/sh/g, 's')
+    .replace(/ch/g, 'c')
+    .replace(/ee/g, 'i')
+    .replace(/oo/g, 'u')
+    .replace(/aa/g, 'a')
+
+  const removal = REMOVAL_SUFFIX.exec(key)
+  if (!removal) return key
+  // kapha + apaha joins to kaphāpaha
+  const stem = removal[2] === 'apaha' && !/[aeiou]$/.test(removal[1]) ? `${removal[1]}a` : removal[1]
+  return `${stem}hara`
+}
+
+export class KarmaNormalizer {
+  private keys?: Map<string, string>
+
+  constructor(private registry: GraphRegistry) {}
+
+  /**
+   * Match a karma string to karma vocabulary terms
+   */
+  normalize(text: string): KarmaMatch {
+    const keys = this.getKeys()
+    const key = karmaKey(text)
+    const match = { text, decoded: decodeLegacyIast(text), key }
+
+    const karma = keys.get(key)
+    if (karma) return { ...match, karmas: [karma] }
+
+    const doshas = key.endsWith('hara') ? splitDoshas(key.slice(0, -'hara'.length)) : undefined
+    if (!doshas) return { ...match, karmas: [] }
+
+    const karmas = new Set<string>()
+    for (const dosha of doshas) {
+      const doshaKarma = keys.get(`${dosha}hara`)
+      if (doshaKarma) karmas.add(doshaKarma)
+    }
+    return { ...match, karmas: Array.from(karmas) }
+  }
+
+  /**
+   * Match the karma strings of a dravya
+   */
+  normalizeDravya(slug: string): KarmaMatch[] {
+    const profile = this.registry.profiles.ayurveda.getBySlug(slug) as AyurvedaProfileNode | undefined
+    if (!profile) throw new Error(`Ayurveda profile ${slug} not found`)
+
+    return (profile.karma ?? []).map(text => this.normalize(text))
+  }
+
+  /**
+   * Match the karma strings of all dravyas and group the unmatched ones by key
+   */
+  report(): KarmaReport {
+    const report: KarmaReport = { dravyas: 0, total: 0, matched: 0, unmatched: [] }
+    const unmatched = new Map<string, { count: number; texts: Set<string>; dravyas: Set<string> }>()
+
+    for (const profile of this.registry.profiles.ayurveda.getAllAsGraphNodes() as AyurvedaProfileNode[]) {
+      if (!profile.karma?.length) continue
+      report.dravyas++
+
+      for (const text of profile.karma) {
+        const match = this.normalize(text)
+        report.total++
+        if (match.karmas.length > 0) {
+          report.matched++
+          continue
+        }
+
+        let entry = unmatched.get(match.key)
+        if (!entry) {
+          entry = { count: 0, texts: new Set(), dravyas: new Set() }
+          unmatched.set(match.key, entry)
+        }
+        entry.count++
+        entry.texts.add(match.decoded)
+        entry.dravyas.add(profile.slug)
+      }
+    }
+
+    report.unmatched = Array.from(unmatched, ([key, entry]) => ({
+      key,
+      count: entry.count,
+      texts: Array.from(entry.texts),
+      dravyas: Array.from(entry.dravyas),
+    })).sort((a, b) => b.count - a.count || a.key.localeCompare(b.key))
+
+    return report
+  }
+
+  /**
+   * Karma IRIs by key, from the values, labels and synonyms of the karma
+   * vocabulary. A key keeps the first term that claims it.
+   */
+  private getKeys(): Map<string, string> {
+    if (this.keys) return this.keys
+
+    const keys = new Map<string, string>()
+    const add = (text: string, iri: string) => {
+      const key = karmaKey(text)
+      if (key && !keys.has(key)) keys.set(key, iri)
+    }
+
+    const karmas = this.registry.vocabulary.ayurveda.karmas.getAllAsGraphNodes() as unknown as VocabularyNode[]
+    for (const karma of karmas) {
+      add(karma.value, karma['@id'])
+      for (const label of Object.values(karma.prefLabel ?? {})) add(label, karma['@id'])
+    }
+    for (const karma of karmas) {
+      for (const synonym of KARMA_SYNONYMS[karma.value] ?? []) add(synonym, karma['@id'])
+    }
+
+    // An empty vocabulary is not kept, the registry may not be loaded yet
+    if (karmas.length > 0) this.keys = keys
+    return keys
+  }
+}
+
+/**
+ * Doshas of a compound of dosha stems (kaphavata), undefined if the stem
+ * is not one
+ */
+function splitDoshas(stem: string): string[] | undefined {
+  if (!stem) return undefined
+  for (const [prefix, doshas] of Object.entries(DOSHA_STEMS)) {
+    if (!stem.startsWith(prefix)) continue
+    const rest = stem.slice(prefix.length)
+    if (!rest) return doshas
+    const others = splitDoshas(rest)
+    if (others) return [...doshas, ...others]
+  }
+  return undefined
+}
@@ -37,6 +37,8 @@ export const RelationshipType = {
   BROADER: 'broader',
   NARROWER: 'narrower',
   RELATED: 'related',
+  EXACT_MATCH: 'exactMatch',
+  CLOSE_MATCH: 'closeMatch',
 
   // General relationships
   SAME_AS: 'sameAs',
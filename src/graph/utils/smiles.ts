@@ -0,0 +1,494 @@
+/**
+ * SMILES parsing, circular fingerprints and substructure matching
+ *
+ * Parses SMILES into a molecular graph with implicit hydrogens and perceived
+ * aromaticity, computes Morgan-style circular fingerprints for Tanimoto
+ * similarity, and matches simple SMARTS-like substructure patterns. Used by
+ * the chemical structure searches of GraphIndex and by ChemicalValidator.
+ */
+
+import { ATOMIC_WEIGHTS, type ElementCounts } from './chemistry.js'
+
+/**
+ * Error thrown for SMILES that cannot be parsed
+ */
+export class SmilesParseError extends Error {
+  constructor(message: string, readonly smiles: string, readonly position: number) {
+    super(message)
+    this.name = 'SmilesParseError'
+  }
+}
+
+/**
+ * Atom of a molecular graph
+ */
+export interface MoleculeAtom {
+  /** Element symbol ("C", "Cl"), or "*" for any atom */
+  element: string
+  aromatic: boolean
+  charge: number
+  /** Attached hydrogens that are not atoms of the graph */
+  hydrogens: number
+  /** Written as a bracket atom ("[nH]"), so hydrogens and charge were given explicitly */
+  bracket: boolean
+}
+
+/**
+ * Bond of a molecular graph
+ */
+export interface MoleculeBond {
+  from: number
+  to: number
+  /** 1, 2, 3 or 4; aromatic bonds written in Kekulé form keep their order */
+  order: number
+  aromatic: boolean
+  /** Whether a bond symbol was written */
+  explicit: boolean
+}
+
+/**
+ * Molecular graph. Atom indices follow the order of the SMILES.
+ */
+export interface Molecule {
+  atoms: MoleculeAtom[]
+  bonds: MoleculeBond[]
+}
+
+interface Neighbor {
+  atom: number
+  bond: MoleculeBond
+}
+
+const ORGANIC_SUBSET = ['B', 'C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I']
+const AROMATIC_SUBSET = ['b', 'c', 'n', 'o', 'p', 's']
+const AROMATIC_BRACKET = ['b', 'c', 'n', 'o', 'p', 's', 'se', 'as', 'te']
+
+const DEFAULT_VALENCES: Record<string, number[]> = {
+  B: [3], C: [4], N: [3, 5], O: [2], P: [3, 5], S: [2, 4, 6], F: [1], Cl: [1], Br: [1], I: [1],
+}
+
+const BOND_ORDERS: Record<string, number> = { '-': 1, '/': 1, '\\': 1, '=': 2, '#': 3, '$': 4, ':': 1 }
+
+/** Largest ring searched for by aromaticity perception and ring membership */
+const MAX_RING_SIZE = 8
+
+/**
+ * Parse a SMILES string into a molecular graph.
+ *
+ * Supports the organic subset, bracket atoms with isotope, hydrogen count
+ * and charge ("[nH]", "[NH4+]", "[13CH3]"), branches, ring closures
+ * including "%nn", disconnected components (".") and "*" atoms.
+ * Stereochemistry ("@", "/", "\") is read but ignored. Rings written in
+ * Kekulé form ("C1=CC=CC=C1") are perceived as aromatic, so both spellings
+ * give the same graph.
+ *
+ * @throws SmilesParseError for malformed SMILES
+ */
+export function parseSmiles(smiles: string): Molecule {
+  const text = smiles.trim()
+  const atoms: MoleculeAtom[] = []
+  const bonds: MoleculeBond[] = []
+  const branches: number[] = []
+  const ringBonds = new Map<string, { atom: number; symbol?: string }>()
+  let previous = -1
+  let pendingBond: string | undefined
+  let i = 0
+
+  const fail = (message: string): never => {
+    throw new SmilesParseError(`${message} at position ${i} in SMILES "${smiles}"`, smiles, i)
+  }
+
+  const addBond = (from: number, to: number, symbol: string | undefined) => {
+    if (from === to || bonds.some(b => (b.from === from && b.to === to) || (b.from === to && b.to === from))) {
+      fail('Atom bonded twice to the same atom')
+    }
+    bonds.push({
+      from,
+      to,
+      order: symbol ? BOND_ORDERS[symbol] : 1,
+      aromatic: symbol === ':' || (symbol === undefined && atoms[from].aromatic && atoms[to].aromatic),
+      explicit: symbol !== undefined,
+    })
+  }
+
+  const addAtom = (atom: MoleculeAtom) => {
+    atoms.push(atom)
+    if (previous >= 0) {
+      addBond(previous, atoms.length - 1, pendingBond)
+    } else if (pendingBond) {
+      fail(`Bond "${pendingBond}" without a preceding atom`)
+    }
+    previous = atoms.length - 1
+    pendingBond = undefined
+  }
+
+  if (!text) fail('Empty SMILES')
+
+  while (i < text.length) {
+    const char = text[i]
+    const twoChars = text.slice(i, i + 2)
+
+    if (char === '(') {
+      if (previous < 0) fail('Branch without a preceding atom')
+      branches.push(previous)
+      i++
+    } else if (char === ')') {
+      if (branches.length === 0) fail('Unbalanced ")"')
+      if (pendingBond) fail(`Bond "${pendingBond}" at the end of a branch`)
+      previous = branches.pop()!
+      i++
+    } else if (char === '.') {
+      if (pendingBond) fail(`Bond "${pendingBond}" before "."`)
+      previous = -1
+      i++
+    } else if (char in BOND_ORDERS) {
+      if (pendingBond) fail('Two bond symbols in a row')
+      pendingBond = char
+      i++
+    } else if (char === '%' || /\d/.test(char)) {
+      if (previous < 0) fail('Ring closure without a preceding atom')
+      const label = char === '%' ? text.slice(i + 1, i + 3) : char
+      if (!/^\d+$/.test(label) || (char === '%' && label.length !== 2)) fail('Expected two digits after "%"')
+      i += char === '%' ? 3 : 1
+
+      const open = ringBonds.get(label)
+      if (open) {
+        if (open.symbol && pendingBond && open.symbol !== pendingBond) fail(`Conflicting bonds for ring closure ${label}`)
+        ringBonds.delete(label)
+        addBond(open.atom, previous, pendingBond ?? open.symbol)
+      } else {
+        ringBonds.set(label, { atom: previous, symbol: pendingBond })
+      }
+      pendingBond = undefined
+    } else if (char === '[') {
+      const end = text.indexOf(']', i)
+      if (end < 0) fail('Unclosed "["')
+      const atom = parseBracketAtom(text.slice(i + 1, end))
+      if (!atom) fail(`Invalid bracket atom "${text.slice(i, end + 1)}"`)
+      addAtom(atom!)
+      i = end + 1
+    } else if (char === '*') {
+      addAtom({ element: '*', aromatic: false, charge: 0, hydrogens: 0, bracket: false })
+      i++
+    } else if (twoChars === 'Cl' || twoChars === 'Br') {
+      addAtom({ element: twoChars, aromatic: false, charge: 0, hydrogens: 0, bracket: false })
+      i += 2
+    } else if (ORGANIC_SUBSET.includes(char)) {
+      addAtom({ element: char, aromatic: false, charge: 0, hydrogens: 0, bracket: false })
+      i++
+    } else if (AROMATIC_SUBSET.includes(char)) {
+      addAtom({ element: char.toUpperCase(), aromatic: true, charge: 0, hydrogens: 0, bracket: false })
+      i++
+    } else {
+      fail(`Unexpected "${char}"`)
+    }
+  }
+
+  if (pendingBond) fail(`Bond "${pendingBond}" at the end of the SMILES`)
+  if (branches.length > 0) fail('Unclosed "("')
+  if (ringBonds.size > 0) fail(`Unclosed ring ${[...ringBonds.keys()][0]}`)
+
+  const molecule: Molecule = { atoms, bonds }
+  assignImplicitHydrogens(molecule)
+  perceiveAromaticity(molecule)
+  return molecule
+}
+
+/**
+ * Element counts of a molecule, including implicit hydrogens
+ */
+export function moleculeFormula(molecule: Molecule): ElementCounts {
+  const counts: ElementCounts = {}
+  for (const atom of molecule.atoms) {
+    if (atom.element === '*') continue
+    counts[atom.element] = (counts[atom.element] ?? 0) + 1
+    if (atom.hydrogens > 0) counts.H = (counts.H ?? 0) + atom.hydrogens
+  }
+  return counts
+}
+
+/**
+ * Morgan-style circular fingerprint (comparable to ECFP4 at radius 2).
+ *
+ * Each atom starts from a hash of its element, heavy-atom degree, hydrogen
+ * count, charge, aromaticity and ring membership. Every iteration hashes an
+ * atom's identifier with those of its neighbours and the bond types to them.
+ * The fingerprint is the set of identifiers of all atoms at all radii.
+ */
+export function morganFingerprint(molecule: Molecule, radius = 2): Set<number> {
+  const neighbors = adjacency(molecule)
+  const ringAtoms = new Set(findRings(molecule).flat())
+
+  let identifiers = molecule.atoms.map((atom, index) => {
+    const degree = neighbors[index].filter(n => molecule.atoms[n.atom].element !== 'H').length
+    return hashString([
+      atom.element, degree, atom.hydrogens, atom.charge, atom.aromatic ? 1 : 0, ringAtoms.has(index) ? 1 : 0,
+    ].join('|'))
+  })
+  const features = new Set(identifiers)
+
+  for (let iteration = 0; iteration < radius; iteration++) {
+    identifiers = identifiers.map((identifier, index) => {
+      const environment = neighbors[index]
+        .map(n => `${n.bond.aromatic ? 'a' : n.bond.order}:${identifiers[n.atom]}`)
+        .sort()
+      return hashString(`${identifier}|${environment.join(',')}`)
+    })
+    for (const identifier of identifiers) features.add(identifier)
+  }
+
+  return features
+}
+
+/**
+ * Tanimoto similarity of two fingerprints: shared features over all
+ * features, from 0 (nothing shared) to 1 (identical)
+ */
+export function tanimoto(a: ReadonlySet<number>, b: ReadonlySet<number>): number {
+  let shared = 0
+  for (const feature of a) {
+    if (b.has(feature)) shared++
+  }
+  const union = a.size + b.size - shared
+  return union === 0 ? 0 : shared / union
+}
+
+/**
+ * Whether a molecule contains a substructure pattern.
+ *
+ * Patterns are SMILES read with SMARTS-like semantics:
+ * - "c" matches aromatic carbon only and "C" aliphatic carbon only
+ * - "*" matches any atom
+ * - bracket atoms fix the hydrogen count and charge ("[OH]" is a hydroxyl,
+ *   "[N+]" a cation); other atoms match any hydrogen count and charge
+ * - bonds without a symbol match single or aromatic bonds, "-" only single,
+ *   "=" double, "#" triple and ":" aromatic bonds
+ *
+ * @example
+ * ```typescript
+ * hasSubstructure(parseSmiles(caffeicAcid), 'c([OH])c[OH]') // catechol
+ * hasSubstructure(parseSmiles(hymeglusin), 'O=C1CCO1')       // β-lactone
+ * ```
+ *
+ * @throws SmilesParseError if the pattern cannot be parsed
+ */
+export function hasSubstructure(molecule: Molecule, pattern: string | Molecule): boolean {
+  const query = typeof pattern === 'string' ? parseSmiles(pattern) : pattern
+  const queryNeighbors = adjacency(query)
+  const targetNeighbors = adjacency(molecule)
+  const order = searchOrder(query, queryNeighbors)
+  const mapping = new Array<number>(query.atoms.length).fill(-1)
+  const used = new Set<number>()
+
+  const extend = (depth: number): boolean => {
+    if (depth === order.length) return true
+
+    const atom = order[depth]
+    const anchor = queryNeighbors[atom].find(n => mapping[n.atom] >= 0)
+    const candidates = anchor
+      ? targetNeighbors[mapping[anchor.atom]].map(n => n.atom)
+      : molecule.atoms.map((_, index) => index)
+
+    for (const candidate of candidates) {
+      if (used.has(candidate) || !atomMatches(query.atoms[atom], molecule.atoms[candidate])) continue
+
+      const bondsMatch = queryNeighbors[atom].every(({ atom: other, bond }) => {
+        if (mapping[other] < 0) return true
+        const target = targetNeighbors[candidate].find(n => n.atom === mapping[other])
+        return target !== undefined && bondMatches(bond, target.bond)
+      })
+      if (!bondsMatch) continue
+
+      mapping[atom] = candidate
+      used.add(candidate)
+      if (extend(depth + 1)) return true
+      mapping[atom] = -1
+      used.delete(candidate)
+    }
+    return false
+  }
+
+  return extend(0)
+}
+
+/**
+ * Parse the inside of a bracket atom ("13CH3", "nH", "O-", "NH4+")
+ */
+function parseBracketAtom(text: string): MoleculeAtom | undefined {
+  const match = text.match(/^(\d+)?(\*|[A-Z][a-z]?|se|as|te|[bcnops])(@@?(?:TH|AL|SP|TB|OH)?\d*)?(H\d*)?([+-]+\d*)?(:\d+)?$/)
+  if (!match) return undefined
+
+  const [, , symbol, , hydrogens, charge] = match
+  const aromatic = AROMATIC_BRACKET.includes(symbol)
+  const element = aromatic ? symbol[0].toUpperCase() + symbol.slice(1) : symbol
+  if (element !== '*' && !(element in ATOMIC_WEIGHTS)) return undefined
+
+  let chargeValue = 0
+  if (charge) {
+    const sign = charge[0] === '+' ? 1 : -1
+    const digits = charge.match(/\d+$/)?.[0]
+    chargeValue = digits ? sign * parseInt(digits, 10) : sign * charge.length
+  }
+
+  return {
+    element,
+    aromatic,
+    charge: chargeValue,
+    hydrogens: hydrogens ? (hydrogens.length > 1 ? parseInt(hydrogens.slice(1), 10) : 1) : 0,
+    bracket: true,
+  }
+}
+
+/**
+ * Fill in the hydrogens of organic-subset atoms from their default valences.
+ * Aromatic atoms use one valence for the delocalized bond.
+ */
+function assignImplicitHydrogens(molecule: Molecule): void {
+  const bondOrders = new Array<number>(molecule.atoms.length).fill(0)
+  for (const bond of molecule.bonds) {
+    bondOrders[bond.from] += bond.order
+    bondOrders[bond.to] += bond.order
+  }
+
+  molecule.atoms.forEach((atom, index) => {
+    const valences = DEFAULT_VALENCES[atom.element]
+    if (atom.bracket || !valences) return
+
+    const used = bondOrders[index] + (atom.aromatic ? 1 : 0)
+    const valence = valences.find(v => v >= used)
+    atom.hydrogens = valence === undefined ? 0 : valence - used
+  })
+}
+
+/**
+ * Mark rings of 5 to 7 atoms written in Kekulé form as aromatic when they
+ * are fully conjugated and have 4n+2 π electrons. An atom gives one
+ * electron for a double bond to a ring atom, and two for a lone pair
+ * (N, O or S without a double bond). Exocyclic double bonds to atoms
+ * outside any ring (C=O) and sp3 atoms break aromaticity.
+ */
+function perceiveAromaticity(molecule: Molecule): void {
+  const rings = findRings(molecule)
+  const ringAtoms = new Set(rings.flat())
+  const neighbors = adjacency(molecule)
+
+  const piElectrons = (index: number): number => {
+    const atom = molecule.atoms[index]
+    if (atom.aromatic) {
+      return atom.element === 'O' || atom.element === 'S' || (atom.element === 'N' && atom.hydrogens > 0) ? 2 : 1
+    }
+    const multiple = neighbors[index].filter(n => n.bond.order > 1)
+    if (multiple.length === 0) {
+      const lonePair = atom.element === 'O' || atom.element === 'S' ||
+        (atom.element === 'N' && atom.charge === 0 && neighbors[index].length + atom.hydrogens === 3)
+      return lonePair ? 2 : -1
+    }
+    if (multiple.length === 1 && multiple[0].bond.order === 2 && ringAtoms.has(multiple[0].atom)) return 1
+    return -1
+  }
+
+  for (const ring of rings) {
+    if (ring.length < 5 || ring.length > 7 || ring.every(index => molecule.atoms[index].aromatic)) continue
+
+    const electrons = ring.map(piElectrons)
+    if (electrons.some(e => e < 0)) continue
+    if (electrons.reduce((sum, e) => sum + e, 0) % 4 !== 2) continue
+
+    ring.forEach((index, position) => {
+      molecule.atoms[index].aromatic = true
+      const next = ring[(position + 1) % ring.length]
+      const bond = neighbors[index].find(n => n.atom === next)!.bond
+      bond.aromatic = true
+    })
+  }
+}
+
+/**
+ * All simple rings of up to MAX_RING_SIZE atoms, each as a path of atom
+ * indices starting from its lowest index
+ */
+function findRings(molecule: Molecule): number[][] {
+  const neighbors = adjacency(molecule)
+  const rings: number[][] = []
+  const seen = new Set<string>()
+
+  const visit = (path: number[]) => {
+    for (const { atom: next } of neighbors[path[path.length - 1]]) {
+      if (next === path[0] && path.length >= 3) {
+        const key = [...path].sort((a, b) => a - b).join(',')
+        if (!seen.has(key)) {
+          seen.add(key)
+          rings.push([...path])
+        }
+      } else if (next > path[0] && !path.includes(next) && path.length < MAX_RING_SIZE) {
+        visit([...path, next])
+      }
+    }
+  }
+
+  molecule.atoms.forEach((_, start) => visit([start]))
+  return rings
+}
+
+/**
+ * Neighbours of each atom, with the bond to them
+ */
+function adjacency(molecule: Molecule): Neighbor[][] {
+  const neighbors: Neighbor[][] = molecule.atoms.map(() => [])
+  for (const bond of molecule.bonds) {
+    neighbors[bond.from].push({ atom: bond.to, bond })
+    neighbors[bond.to].push({ atom: bond.from, bond })
+  }
+  return neighbors
+}
+
+/**
+ * Pattern atoms in breadth-first order, so that every atom after the first
+ * of its component has an already-mapped neighbour
+ */
+function searchOrder(query: Molecule, neighbors: Neighbor[][]): number[] {
+  const order: number[] = []
+  const visited = new Set<number>()
+
+  query.atoms.forEach((_, start) => {
+    if (visited.has(start)) return
+    visited.add(start)
+    const queue = [start]
+    while (queue.length > 0) {
+      const atom = queue.shift()!
+      order.push(atom)
+      for (const { atom: next } of neighbors[atom]) {
+        if (!visited.has(next)) {
+          visited.add(next)
+          queue.push(next)
+        }
+      }
+    }
+  })
+
+  return order
+}
+
+function atomMatches(query: MoleculeAtom, target: MoleculeAtom): boolean {
+  if (query.element !== '*' && (query.element !== target.element || query.aromatic !== target.aromatic)) return false
+  if (query.bracket && (query.hydrogens !== target.hydrogens || query.charge !== target.charge)) return false
+  return true
+}
+
+function bondMatches(query: MoleculeBond, target: MoleculeBond): boolean {
+  if (query.aromatic) return target.aromatic
+  if (!query.explicit) return target.aromatic || target.order === 1
+  return !target.aromatic && target.order === query.order
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hashString(text: string): number {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
@@ -0,0 +1,197 @@
+/**
+ * ChemicalValidator - Checks that the identifiers of chemical nodes agree
+ *
+ * For each chemical node:
+ * - casNumber must be well-formed and have a correct check digit
+ * - the molecular formula should parse (Unicode subscripts are accepted);
+ *   placeholders such as "Variable (polymer)" are kept by ChemicalNodeBuilder
+ *   and only warned about
+ * - molecularWeight must match the weight computed from the formula
+ * - inchiKey must be a well-formed InChIKey
+ * - the formula must match the formula layer of the InChI
+ * - smiles must parse, and the atoms it describes must match the formula
+ */
+
+import type { GraphNode } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import {
+  type ElementCounts,
+  parseFormula,
+  toHillFormula,
+  molecularWeight,
+  sameFormula,
+  isValidCasNumber,
+  isValidInchiKey,
+  inchiFormula,
+} from '../utils/chemistry.js'
+import { parseSmiles, moleculeFormula } from '../utils/smiles.js'
+import {
+  type ValidationOptions,
+  type ValidationResult,
+  type NodeValidationResult,
+  type ValidationIssue,
+  createEmptyValidationResult,
+  createNodeResult,
+  createError,
+  createWarning,
+  createInfo,
+  addNodeResult,
+  finalizeResult,
+  addIssueToNode,
+} from './ValidationResult.js'
+
+/**
+ * Options for ChemicalValidator
+ */
+export interface ChemicalValidatorOptions {
+  /** Maximum difference between stated and computed molecular weight, in g/mol (default 0.1) */
+  weightTolerance?: number
+}
+
+/**
+ * Validator for chemical identifiers
+ */
+export class ChemicalValidator {
+  private registry: GraphRegistry
+  private weightTolerance: number
+
+  constructor(registry: GraphRegistry, options: ChemicalValidatorOptions = {}) {
+    this.registry = registry
+    this.weightTolerance = options.weightTolerance ?? 0.1
+  }
+
+  /**
+   * Validate all chemical nodes in the graph
+   */
+  validate(options?: ValidationOptions): ValidationResult {
+    const result = createEmptyValidationResult()
+
+    for (const node of this.registry.chemicals.getAllAsGraphNodes()) {
+      addNodeResult(result, this.validateNode(node, options))
+    }
+
+    return finalizeResult(result)
+  }
+
+  /**
+   * Validate the chemical identifiers of a single node. Nodes without
+   * identifiers (all non-chemical nodes) have no issues.
+   *
+   * Reads `formula` or `molecularFormula`, so source entities can be
+   * checked as well as graph nodes.
+   */
+  validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
+    const result = createNodeResult(node['@id'])
+    const data = node as unknown as Record<string, unknown>
+    const iri = node['@id']
+
+    const report = (issue: ValidationIssue): boolean => {
+      addIssueToNode(result, issue)
+      return !!options?.failFast && !result.valid
+    }
+
+    const cas = data.casNumber
+    if (typeof cas === 'string' && !isValidCasNumber(cas)) {
+      const message = /^\d{2,7}-\d{2}-\d$/.test(cas.trim())
+        ? `CAS number ${cas} has an incorrect check digit`
+        : `CAS number ${cas} is not in the format NNNNNNN-NN-N`
+      const issue = createError('invalid-cas-number', message, iri, { property: 'casNumber', actual: cas })
+      if (report(issue)) return result
+    }
+
+    const formulaProperty = typeof data.formula === 'string' ? 'formula' : 'molecularFormula'
+    const formula = data[formulaProperty]
+    let counts: ElementCounts | undefined
+    if (typeof formula === 'string') {
+      try {
+        counts = parseFormula(formula)
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error)
+        report(createWarning('invalid-formula', message, iri, { property: formulaProperty, actual: formula }))
+      }
+
+      if (counts) {
+        const hill = toHillFormula(counts)
+        if (hill !== formula) {
+          report(createInfo('non-hill-formula', `Formula ${formula} is not in Hill notation`, iri, {
+            property: formulaProperty,
+            expected: hill,
+            actual: formula,
+          }))
+        }
+      }
+    }
+
+    const weight = typeof data.molecularWeight === 'string' ? parseFloat(data.molecularWeight) : data.molecularWeight
+    if (counts && typeof weight === 'number' && Number.isFinite(weight)) {
+      const computed = molecularWeight(counts)
+      if (Math.abs(computed - weight) > this.weightTolerance) {
+        const issue = createError(
+          'molecular-weight-mismatch',
+          `Molecular weight ${weight} does not match ${computed} computed from ${formula}`,
+          iri,
+          { property: 'molecularWeight', expected: String(computed), actual: String(weight) }
+        )
+        if (report(issue)) return result
+      }
+    }
+
+    const inchiKey = data.inchiKey
+    if (typeof inchiKey === 'string' && !isValidInchiKey(inchiKey)) {
+      const issue = createError('invalid-inchikey', `InChIKey ${inchiKey} is not well-formed`, iri, {
+        property: 'inchiKey',
+        expected: 'XXXXXXXXXXXXXX-XXXXXXXXSA-X',
+        actual: inchiKey,
+      })
+      if (report(issue)) return result
+    }
+
+    const inchi = data.inchi
+    if (typeof inchi === 'string') {
+      const layer = inchiFormula(inchi)
+      if (!layer) {
+        const issue = createError('invalid-inchi', 'InChI does not start with "InChI=1S/<formula>"', iri, {
+          property: 'inchi',
+          actual: inchi,
+        })
+        if (report(issue)) return result
+      } else if (counts) {
+        let inchiCounts: ElementCounts | undefined
+        try {
+          inchiCounts = parseFormula(layer)
+        } catch {
+          // Reported below as a mismatch
+        }
+        if (!inchiCounts || !sameFormula(counts, inchiCounts)) {
+          report(createError('formula-mismatch', `Formula ${formula} does not match InChI formula ${layer}`, iri, {
+            property: formulaProperty,
+            expected: layer,
+            actual: String(formula),
+          }))
+        }
+      }
+    }
+
+    const smiles = data.smiles
+    if (typeof smiles === 'string') {
+      let smilesCounts: ElementCounts | undefined
+      try {
+        smilesCounts = moleculeFormula(parseSmiles(smiles))
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error)
+        const issue = createError('invalid-smiles', message, iri, { property: 'smiles', actual: smiles })
+        if (report(issue)) return result
+      }
+      if (counts && smilesCounts && !sameFormula(counts, smilesCounts)) {
+        const smilesFormula = toHillFormula(smilesCounts)
+        report(createError('formula-mismatch', `Formula ${formula} does not match SMILES formula ${smilesFormula}`, iri, {
+          property: formulaProperty,
+          expected: smilesFormula,
+          actual: String(formula),
+        }))
+      }
+    }
+
+    return result
+  }
+}
@@ -9,6 +9,8 @@ import type { GraphNode } from '../types.js'
 import { GraphRegistry } from '../registry/GraphRegistry.js'
 import { ReferenceValidator } from './ReferenceValidator.js'
 import { SchemaValidator } from './SchemaValidator.js'
+import { ShaclValidator } from './ShaclValidator.js'
+import { ChemicalValidator } from './ChemicalValidator.js'
 import {
   type ValidationOptions,
   type ValidationResult,
@@ -36,9 +38,15 @@ export interface Validator {
 export class CompositeValidator {
   private registry: GraphRegistry
   private validators: Validator[] = []
+  private shapesDir?: string
 
-  constructor(registry: GraphRegistry) {
+  /**
+   * @param registry - Registry to validate
+   * @param shapesDir - Directory of *.shacl.ttl files; enables SHACL validation when given
+   */
+  constructor(registry: GraphRegistry, shapesDir?: string) {
     this.registry = registry
+    this.shapesDir = shapesDir
     this.registerDefaultValidators()
   }
 
@@ -51,6 +59,14 @@ export class CompositeValidator {
 
     // Schema validator - checks structure
     this.validators.push(new SchemaValidatorWrapper(this.registry))
+
+    // SHACL validator - checks shape constraints
+    if (this.shapesDir) {
+      this.validators.push(new ShaclValidatorWrapper(this.registry, this.shapesDir))
+    }
+
+    // Chemical validator - checks that chemical identifiers agree
+    this.validators.push(new ChemicalValidatorWrapper(this.registry))
   }
 
   /**
@@ -186,3 +202,43 @@ class SchemaValidatorWrapper implements Validator {
     return this.validator.validateNode(node, options)
   }
 }
+
+/**
+ * Wrapper for ShaclValidator to implement Validator interface
+ */
+class ShaclValidatorWrapper implements Validator {
+  name = 'shacl'
+  private validator: ShaclValidator
+
+  constructor(registry: GraphRegistry, shapesDir: string) {
+    this.validator = new ShaclValidator(registry, shapesDir)
+  }
+
+  validate(options?: ValidationOptions): ValidationResult {
+    return this.validator.validate(options)
+  }
+
+  validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
+    return this.validator.validateNode(node, options)
+  }
+}
+
+/**
+ * Wrapper for ChemicalValidator to implement Validator interface
+ */
+class ChemicalValidatorWrapper implements Validator {
+  name = 'chemical'
+  private validator: ChemicalValidator
+
+  constructor(registry: GraphRegistry) {
+    this.validator = new ChemicalValidator(registry)
+  }
+
+  validate(options?: ValidationOptions): ValidationResult {
+    return this.validator.validate(options)
+  }
+
+  validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
+    return this.validator.validateNode(node, options)
+  }
+}
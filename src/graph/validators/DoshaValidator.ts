@@ -0,0 +1,73 @@
+/**
+ * DoshaValidator - Checks the stored dosha effects of Ayurveda profiles
+ *
+ * Runs DoshaCalculator on every Ayurveda profile and reports a stored effect
+ * (affectsDosha) opposite to the effect its rasa, guna, virya and vipaka
+ * predict as a warning.
+ */
+
+import type { GraphNode } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import { DoshaCalculator } from '../api/DoshaCalculator.js'
+import {
+  type ValidationOptions,
+  type ValidationResult,
+  type NodeValidationResult,
+  createEmptyValidationResult,
+  createNodeResult,
+  createWarning,
+  addNodeResult,
+  finalizeResult,
+  addIssueToNode,
+} from './ValidationResult.js'
+
+/**
+ * Validator for the dosha effects of Ayurveda profiles
+ */
+export class DoshaValidator {
+  readonly name = 'dosha'
+
+  private registry: GraphRegistry
+  private calculator: DoshaCalculator
+
+  /**
+   * @param registry - Registry to validate
+   * @param referenceDir - systems/ayurveda/reference; without it nothing is checked
+   */
+  constructor(registry: GraphRegistry, referenceDir?: string) {
+    this.registry = registry
+    this.calculator = new DoshaCalculator(registry, referenceDir)
+  }
+
+  /**
+   * Check the stored dosha effects of all Ayurveda profiles
+   */
+  validate(options?: ValidationOptions): ValidationResult {
+    const result = createEmptyValidationResult()
+
+    for (const node of this.registry.profiles.ayurveda.getAllAsGraphNodes()) {
+      addNodeResult(result, this.validateNode(node, options))
+    }
+
+    return finalizeResult(result)
+  }
+
+  /**
+   * Check a single Ayurveda profile. Profiles without stored effects, and
+   * other nodes, have no issues.
+   */
+  validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
+    const result = createNodeResult(node['@id'])
+    if (!this.calculator.hasRules() || !this.registry.profiles.ayurveda.has(node['@id'])) return result
+
+    for (const disagreement of this.calculator.calculateProfile(node).disagreements) {
+      addIssueToNode(result, createWarning('dosha-disagreement', disagreement.message, node['@id'], {
+        property: 'affectsDosha',
+        context: { dosha: disagreement.dosha, stored: disagreement.stored, predicted: disagreement.predicted },
+      }))
+      if (options?.failFast && !result.valid) break
+    }
+
+    return result
+  }
+}
@@ -1,10 +1,21 @@
 /**
- * SchemaValidator - JSON Schema validation for graph nodes
+ * SchemaValidator - JSON Schema validation for graph nodes and source documents
  *
  * Validates nodes against JSON Schema definitions for each node type.
  * This provides structural validation independent of SHACL shapes.
+ *
+ * Two kinds of schemas are used:
+ * - Built-in: a hand-written property/type map per node type, for graph nodes
+ * - Repository: the JSON Schemas in schema/json-schema, run through Ajv on
+ *   source documents before the builder transforms them. A document is
+ *   checked against the schema whose `@type` constant (or enum) appears in
+ *   the document's @type; documents without one are not checked.
  */
 
+import fs from 'fs'
+import path from 'path'
+import Ajv2020 from 'ajv/dist/2020.js'
+import type { ErrorObject, ValidateFunction } from 'ajv'
 import type { GraphNode, NodeTypeValue } from '../types.js'
 import { NodeType, parseIRI } from '../types.js'
 import { GraphRegistry } from '../registry/GraphRegistry.js'
@@ -32,6 +43,11 @@ interface NodeSchema {
   propertyFormats?: Record<string, RegExp>
 }
 
+/**
+ * A JSON Schema document as loaded from schema/json-schema
+ */
+export type JsonSchemaDocument = Record<string, unknown> & { $id?: string }
+
 /**
  * Default schemas for each node type
  */
@@ -148,7 +164,7 @@ const DEFAULT_SCHEMAS: Record<string, NodeSchema> = {
       name: 'object',
       sanskritName: 'object',
       slug: 'string',
-      affectsDosha: 'array',
+      affectsDosha: 'object',
       hasRasa: 'array',
       hasGuna: 'array',
       hasVirya: 'object',
@@ -174,12 +190,13 @@ const DEFAULT_SCHEMAS: Record<string, NodeSchema> = {
   },
   'modern-profile': {
     required: ['@id', '@type'],
-    optional: ['name', 'description', 'slug', 'activeIngredient', 'mechanismOfAction', 'clinicalEvidence', 'modernTraditionalUsage', 'modernModernResearch'],
+    optional: ['name', 'description', 'slug', 'derivedFromSource', 'activeIngredient', 'mechanismOfAction', 'clinicalEvidence', 'modernTraditionalUsage', 'modernModernResearch'],
     propertyTypes: {
       '@id': 'string',
       '@type': 'array',
       name: 'object',
       slug: 'string',
+      derivedFromSource: 'object',
       activeIngredient: 'array',
       mechanismOfAction: 'object',
       clinicalEvidence: 'object',
@@ -236,10 +253,74 @@ const DEFAULT_SCHEMAS: Record<string, NodeSchema> = {
 export class SchemaValidator {
   private registry: GraphRegistry
   private schemas: Record<string, NodeSchema>
+  private ajv: Ajv2020 | null = null
+  /** JSON Schema $id by the @type constant the schema requires */
+  private jsonSchemasByType: Map<string, string> = new Map()
 
-  constructor(registry: GraphRegistry, schemas?: Record<string, NodeSchema>) {
+  /**
+   * @param registry - Registry to validate
+   * @param schemas - Built-in schemas to use instead of the defaults
+   * @param jsonSchemaDir - Directory of *.schema.json files to check source documents against
+   */
+  constructor(registry: GraphRegistry, schemas?: Record<string, NodeSchema>, jsonSchemaDir?: string) {
     this.registry = registry
     this.schemas = schemas || DEFAULT_SCHEMAS
+    if (jsonSchemaDir) {
+      this.loadJsonSchemas(jsonSchemaDir)
+    }
+  }
+
+  /**
+   * Load all *.schema.json files below a directory
+   *
+   * Every schema is registered under its $id so relative `$ref`s between
+   * files (language-map, iri-reference, provenance, ...) resolve.
+   */
+  loadJsonSchemas(jsonSchemaDir: string): void {
+    if (!fs.existsSync(jsonSchemaDir)) return
+
+    const files = findSchemaFiles(jsonSchemaDir)
+    for (const file of files) {
+      const schema = JSON.parse(fs.readFileSync(file, 'utf-8')) as JsonSchemaDocument
+      this.addJsonSchema(schema)
+    }
+  }
+
+  /**
+   * Register a single JSON Schema
+   */
+  addJsonSchema(schema: JsonSchemaDocument): void {
+    if (!schema.$id) {
+      throw new Error(`JSON Schema "${schema.title ?? 'untitled'}" has no $id`)
+    }
+
+    if (!this.ajv) {
+      this.ajv = new Ajv2020({ allErrors: true, strict: false, validateFormats: false })
+    }
+    this.ajv.addSchema(schema)
+
+    for (const type of getRequiredTypes(schema)) {
+      this.jsonSchemasByType.set(type, schema.$id)
+    }
+  }
+
+  /**
+   * Get the $id of the JSON Schema that applies to a source document, if any
+   */
+  getJsonSchemaId(document: Record<string, unknown>): string | undefined {
+    const types = Array.isArray(document['@type']) ? document['@type'] : [document['@type']]
+    for (const type of types) {
+      const schemaId = typeof type === 'string' ? this.jsonSchemasByType.get(type) : undefined
+      if (schemaId) return schemaId
+    }
+    return undefined
+  }
+
+  /**
+   * Whether any JSON Schemas are loaded
+   */
+  hasJsonSchemas(): boolean {
+    return this.ajv !== null
   }
 
   /**
@@ -258,7 +339,7 @@ export class SchemaValidator {
   }
 
   /**
-   * Validate a single node
+   * Validate a single node against the built-in schemas
    */
   validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
     const result = createNodeResult(node['@id'])
@@ -330,6 +411,108 @@ export class SchemaValidator {
     return result
   }
 
+  /**
+   * Validate a source document against the JSON Schema for its @type
+   *
+   * A failure that both the document's schema and a schema it extends
+   * report (the @id pattern of entity.schema.json and of the specific
+   * schema, say) is reported once, from the document's schema, as is a
+   * value that fails several keywords of one property.
+   *
+   * @param document - Parsed source document, or a member of its @graph
+   * @param documentId - Identifies the document in the issues; defaults to its @id
+   */
+  validateDocument(
+    document: Record<string, unknown>,
+    documentId = String(document['@id'] ?? ''),
+    options?: ValidationOptions
+  ): NodeValidationResult {
+    const result = createNodeResult(documentId)
+    const schemaId = this.getJsonSchemaId(document)
+    if (!schemaId) {
+      return result
+    }
+
+    const validate = this.ajv!.getSchema(schemaId) as ValidateFunction
+    if (validate(document)) {
+      return result
+    }
+
+    // Errors of the document's own schema have a local schema path
+    const errors = validate.errors || []
+    const ordered = [
+      ...errors.filter(error => error.schemaPath.startsWith('#')),
+      ...errors.filter(error => !error.schemaPath.startsWith('#')),
+    ]
+
+    const reported = new Set<string>()
+    for (const error of ordered) {
+      const missing = error.keyword === 'required'
+        ? `/${(error.params as { missingProperty: string }).missingProperty}`
+        : ''
+      const location = error.instancePath + missing
+      if (reported.has(location)) continue
+      reported.add(location)
+
+      addIssueToNode(result, this.createIssueFromAjvError(error, documentId, schemaId))
+
+      if (options?.failFast && !result.valid) {
+        break
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Convert an Ajv error into a validation issue
+   */
+  private createIssueFromAjvError(error: ErrorObject, nodeIri: string, schemaId: string): ValidationIssue {
+    const context = { schema: schemaId, keyword: error.keyword, schemaPath: error.schemaPath }
+    const property = pointerToPath(error.instancePath)
+
+    switch (error.keyword) {
+      case 'required': {
+        const missing = (error.params as { missingProperty: string }).missingProperty
+        const missingPath = property ? `${property}.${missing}` : missing
+        return createError(
+          'missing-required',
+          `Missing required property: ${missingPath}`,
+          nodeIri,
+          { property: missingPath, expected: 'present', source: schemaId, context }
+        )
+      }
+      case 'type':
+        return createError(
+          'type-mismatch',
+          `Property ${property || '(root)'} ${error.message}`,
+          nodeIri,
+          { property, expected: String((error.params as { type: string | string[] }).type), source: schemaId, context }
+        )
+      case 'pattern':
+      case 'format':
+        return createError(
+          'format-mismatch',
+          `Property ${property || '(root)'} ${error.message}`,
+          nodeIri,
+          {
+            property,
+            expected: String((error.params as { pattern?: string; format?: string }).pattern ??
+              (error.params as { format?: string }).format),
+            source: schemaId,
+            context,
+          }
+        )
+      default:
+        return createError(
+          'schema-violation',
+          `Property ${property || '(root)'} ${error.message}`,
+          nodeIri,
+          { property, source: schemaId, context }
+        )
+    }
+  }
+
   /**
    * Determine the schema type for a node
    */
@@ -369,6 +552,16 @@ export class SchemaValidator {
         case NodeType.AYURVEDA_GUNA:
         case NodeType.AYURVEDA_VIRYA:
         case NodeType.AYURVEDA_VIPAKA:
+        case NodeType.MONGOLIAN_ROOT:
+        case NodeType.MONGOLIAN_TASTE:
+        case NodeType.MONGOLIAN_POTENCY:
+        case NodeType.MONGOLIAN_ELEMENT:
+        case NodeType.UNANI_TEMPERAMENT:
+        case NodeType.UNANI_DEGREE:
+        case NodeType.UNANI_ELEMENT:
+        case NodeType.WESTERN_ACTION:
+        case NodeType.WESTERN_ORGAN:
+        case NodeType.WESTERN_BODY_SYSTEM:
           return 'vocabulary'
         case NodeType.SOURCE:
           return 'source'
@@ -391,3 +584,53 @@ export class SchemaValidator {
     return typeof value
   }
 }
+
+/**
+ * Recursively collect *.schema.json files, sorted for stable registration
+ */
+function findSchemaFiles(dir: string): string[] {
+  const files: string[] = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...findSchemaFiles(entryPath))
+    } else if (entry.name.endsWith('.schema.json')) {
+      files.push(entryPath)
+    }
+  }
+  return files.sort()
+}
+
+/**
+ * Get the @type values a schema requires via `contains` (or `items`) with a
+ * `const` or `enum`, or via a `const`/`enum` on @type itself
+ */
+function getRequiredTypes(schema: JsonSchemaDocument): string[] {
+  type TypeSchema = { const?: unknown; enum?: unknown[]; contains?: TypeSchema; items?: TypeSchema }
+  const properties = schema.properties as Record<string, TypeSchema> | undefined
+  const typeSchema = properties?.['@type']
+  if (!typeSchema) return []
+
+  for (const candidate of [typeSchema.contains, typeSchema.items, typeSchema]) {
+    if (!candidate) continue
+    const values = candidate.const !== undefined ? [candidate.const] : candidate.enum ?? []
+    const types = values.filter((value): value is string => typeof value === 'string')
+    if (types.length > 0) return types
+  }
+  return []
+}
+
+/**
+ * Convert a JSON Pointer (e.g. /hasFlavor/0/@id) to a property path (hasFlavor[0].@id)
+ */
+function pointerToPath(pointer: string): string {
+  if (!pointer) return ''
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((acc, segment) => {
+      if (/^\d+$/.test(segment)) return `${acc}[${segment}]`
+      return acc ? `${acc}.${segment}` : segment
+    }, '')
+}
@@ -0,0 +1,611 @@
+/**
+ * ShaclValidator - Validates graph nodes against SHACL shapes
+ *
+ * Loads the Turtle shape files in schema/shapes and checks registry nodes
+ * against the NodeShapes that target their classes. Supported constraints:
+ * - sh:pattern (on the node IRI or on property values)
+ * - sh:minCount / sh:maxCount
+ * - sh:datatype
+ * - sh:class (referenced node must carry the class)
+ * - sh:node (nested shape conformance)
+ *
+ * Shape property paths are mapped to JSON keys by their local name, so
+ * `dwc:scientificName` is read from `node.scientificName`. Target classes
+ * match a node `@type` either by full IRI or by the compact name used in
+ * the shape file (e.g. `tcm:Herb`).
+ */
+
+import fs from 'fs'
+import path from 'path'
+import type { GraphNode } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import {
+  type ValidationOptions,
+  type ValidationResult,
+  type NodeValidationResult,
+  type ValidationIssue,
+  type ValidationSeverity,
+  createEmptyValidationResult,
+  createNodeResult,
+  createIssue,
+  addNodeResult,
+  finalizeResult,
+  addIssueToNode,
+} from './ValidationResult.js'
+import {
+  type TurtleTerm,
+  type TurtleTriple,
+  RDF_NS,
+  XSD_NS,
+  parseTurtle,
+} from './TurtleParser.js'
+
+const SH_NS = 'http://www.w3.org/ns/shacl#'
+
+/**
+ * JSON keys tried when a node has no key matching the path's local name
+ */
+const PATH_KEY_ALIASES: Record<string, string> = {
+  id: '@id',
+  type: '@type',
+  hasPart: 'hasParts',
+  containsChemical: 'containsChemicals',
+  derivedFromPlant: 'derivedFrom',
+}
+
+/**
+ * A class or shape reference as written in a shape file
+ */
+export interface ShaclTermRef {
+  iri: string
+  curie?: string
+}
+
+/**
+ * Compiled SHACL property shape
+ */
+export interface ShaclPropertyShape {
+  /** Full IRI of the sh:path */
+  path: string
+  /** Compact form of the sh:path, if written as a prefixed name */
+  pathCurie?: string
+  /** Local name of the path, used as the JSON key */
+  key: string
+  minCount?: number
+  maxCount?: number
+  datatype?: string
+  pattern?: RegExp
+  classes: ShaclTermRef[]
+  nodes: string[]
+  severity?: ValidationSeverity
+  message?: string
+}
+
+/**
+ * Compiled SHACL node shape
+ */
+export interface ShaclNodeShape {
+  iri: string
+  curie?: string
+  targetClasses: ShaclTermRef[]
+  pattern?: RegExp
+  nodes: string[]
+  properties: ShaclPropertyShape[]
+  severity?: ValidationSeverity
+  message?: string
+  /** Shape file the shape was loaded from */
+  source?: string
+}
+
+/**
+ * Validator for SHACL node shapes
+ */
+export class ShaclValidator {
+  private registry: GraphRegistry
+  private shapes: Map<string, ShaclNodeShape> = new Map()
+
+  constructor(registry: GraphRegistry, shapesDir?: string) {
+    this.registry = registry
+    if (shapesDir) {
+      this.loadShapesFromDirectory(shapesDir)
+    }
+  }
+
+  /**
+   * Load all *.shacl.ttl files from a directory
+   */
+  loadShapesFromDirectory(shapesDir: string): void {
+    if (!fs.existsSync(shapesDir)) return
+
+    const files = fs.readdirSync(shapesDir)
+      .filter(f => f.endsWith('.shacl.ttl'))
+      .sort()
+
+    for (const file of files) {
+      const filePath = path.join(shapesDir, file)
+      this.loadShapes(fs.readFileSync(filePath, 'utf-8'), filePath)
+    }
+  }
+
+  /**
+   * Load shapes from Turtle text
+   */
+  loadShapes(turtle: string, source?: string): void {
+    const { triples } = parseTurtle(turtle, source)
+    const bySubject = groupBySubject(triples)
+
+    for (const subjectTriples of bySubject.values()) {
+      const isNodeShape = subjectTriples.some(t =>
+        t.predicate.value === `${RDF_NS}type` && t.object.value === `${SH_NS}NodeShape`
+      )
+      if (!isNodeShape) continue
+
+      const shape = this.compileNodeShape(subjectTriples[0].subject, subjectTriples, bySubject)
+      shape.source = source
+      this.shapes.set(shape.iri, shape)
+      if (shape.curie) {
+        this.shapes.set(shape.curie, shape)
+      }
+    }
+  }
+
+  /**
+   * Get a loaded shape by IRI or compact name
+   */
+  getShape(iri: string): ShaclNodeShape | undefined {
+    return this.shapes.get(iri)
+  }
+
+  /**
+   * List all loaded shapes
+   */
+  listShapes(): ShaclNodeShape[] {
+    return [...new Set(this.shapes.values())]
+  }
+
+  /**
+   * Validate all nodes in the graph
+   */
+  validate(options?: ValidationOptions): ValidationResult {
+    const result = createEmptyValidationResult()
+    const allNodes = this.registry.getAllNodes()
+
+    for (const node of allNodes) {
+      const nodeResult = this.validateNode(node, options)
+      addNodeResult(result, nodeResult)
+    }
+
+    return finalizeResult(result)
+  }
+
+  /**
+   * Validate a single node against every shape targeting its classes
+   */
+  validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
+    const result = createNodeResult(node['@id'])
+
+    for (const shape of this.getTargetShapes(node)) {
+      const issues = this.checkShape(node as unknown as Record<string, unknown>, node['@id'], shape, new Set())
+
+      for (const issue of issues) {
+        addIssueToNode(result, issue)
+      }
+
+      if (options?.failFast && !result.valid) {
+        break
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Get the shapes whose sh:targetClass matches the node's @type
+   */
+  getTargetShapes(node: GraphNode): ShaclNodeShape[] {
+    const types = toArray(node['@type'])
+    return this.listShapes().filter(shape =>
+      shape.targetClasses.some(cls => matchesClass(types, cls))
+    )
+  }
+
+  // ===========================================================================
+  // Constraint Checking
+  // ===========================================================================
+
+  /**
+   * Check a focus node against a node shape
+   */
+  private checkShape(
+    focus: Record<string, unknown>,
+    nodeIri: string,
+    shape: ShaclNodeShape,
+    visited: Set<string>
+  ): ValidationIssue[] {
+    if (visited.has(shape.iri)) return []
+    visited.add(shape.iri)
+
+    const issues: ValidationIssue[] = []
+    const focusIri = typeof focus['@id'] === 'string' ? focus['@id'] : undefined
+
+    if (shape.pattern && focusIri !== undefined && !shape.pattern.test(focusIri)) {
+      issues.push(this.createShapeIssue(
+        'shacl-pattern',
+        shape.message || `IRI does not match pattern ${shape.pattern.source}`,
+        nodeIri,
+        shape,
+        undefined,
+        { property: '@id', expected: shape.pattern.source, actual: focusIri, constraint: 'sh:pattern' }
+      ))
+    }
+
+    for (const nested of shape.nodes) {
+      const nestedShape = this.shapes.get(nested)
+      if (nestedShape) {
+        issues.push(...this.checkShape(focus, nodeIri, nestedShape, visited))
+      }
+    }
+
+    for (const property of shape.properties) {
+      issues.push(...this.checkProperty(focus, nodeIri, shape, property, visited))
+    }
+
+    return issues
+  }
+
+  /**
+   * Check a focus node against a property shape
+   */
+  private checkProperty(
+    focus: Record<string, unknown>,
+    nodeIri: string,
+    shape: ShaclNodeShape,
+    property: ShaclPropertyShape,
+    visited: Set<string>
+  ): ValidationIssue[] {
+    const issues: ValidationIssue[] = []
+    const key = resolveKey(focus, property.key)
+    const values = collectValues(focus[key])
+    const issue = (
+      type: string,
+      defaultMessage: string,
+      details: { expected?: string; actual?: string; constraint: string }
+    ) => this.createShapeIssue(
+      type,
+      property.message || defaultMessage,
+      nodeIri,
+      shape,
+      property,
+      { property: key, ...details }
+    )
+
+    if (property.minCount !== undefined && values.length < property.minCount) {
+      issues.push(issue(
+        'shacl-min-count',
+        `Expected at least ${property.minCount} value(s) for ${key}, found ${values.length}`,
+        { expected: String(property.minCount), actual: String(values.length), constraint: 'sh:minCount' }
+      ))
+    }
+
+    if (property.maxCount !== undefined && values.length > property.maxCount) {
+      issues.push(issue(
+        'shacl-max-count',
+        `Expected at most ${property.maxCount} value(s) for ${key}, found ${values.length}`,
+        { expected: String(property.maxCount), actual: String(values.length), constraint: 'sh:maxCount' }
+      ))
+    }
+
+    for (const value of values) {
+      if (property.datatype && !matchesDatatype(value, property.datatype)) {
+        issues.push(issue(
+          'shacl-datatype',
+          `Value of ${key} is not of datatype ${compactXsd(property.datatype)}`,
+          { expected: compactXsd(property.datatype), actual: describeValue(value), constraint: 'sh:datatype' }
+        ))
+      }
+
+      if (property.pattern) {
+        const strings = literalStrings(value)
+        const failing = strings.find(s => !property.pattern!.test(s))
+        if (failing !== undefined) {
+          issues.push(issue(
+            'shacl-pattern',
+            `Value of ${key} does not match pattern ${property.pattern.source}`,
+            { expected: property.pattern.source, actual: failing, constraint: 'sh:pattern' }
+          ))
+        }
+      }
+
+      if (property.classes.length > 0) {
+        const refIri = referenceIri(value)
+        const target = refIri ? this.registry.getNode(refIri) : undefined
+        // Unresolvable references are reported by the ReferenceValidator
+        if (target) {
+          const types = toArray(target['@type'])
+          const missing = property.classes.filter(cls => !matchesClass(types, cls))
+          if (missing.length > 0) {
+            issues.push(issue(
+              'shacl-class',
+              `Value of ${key} must be an instance of ${missing.map(describeClass).join(', ')}`,
+              { expected: missing.map(describeClass).join(', '), actual: refIri, constraint: 'sh:class' }
+            ))
+          }
+        }
+      }
+
+      for (const nested of property.nodes) {
+        const nestedShape = this.shapes.get(nested)
+        if (!nestedShape) continue
+
+        const focusValue = typeof value === 'object' && value !== null
+          ? value as Record<string, unknown>
+          : { '@value': value }
+        const nestedIssues = this.checkShape(focusValue, nodeIri, nestedShape, new Set(visited))
+        if (nestedIssues.some(i => i.severity === 'error')) {
+          issues.push(issue(
+            'shacl-node',
+            `Value of ${key} does not conform to ${nestedShape.curie || nestedShape.iri}`,
+            {
+              expected: nestedShape.curie || nestedShape.iri,
+              actual: describeValue(value),
+              constraint: 'sh:node',
+            }
+          ))
+        }
+      }
+    }
+
+    return issues
+  }
+
+  /**
+   * Create an issue carrying the failing shape and path
+   */
+  private createShapeIssue(
+    type: string,
+    message: string,
+    nodeIri: string,
+    shape: ShaclNodeShape,
+    property: ShaclPropertyShape | undefined,
+    details: { property: string; expected?: string; actual?: string; constraint: string }
+  ): ValidationIssue {
+    const severity = property?.severity || shape.severity || 'error'
+    return createIssue(severity, type, message, nodeIri, {
+      property: details.property,
+      expected: details.expected,
+      actual: details.actual,
+      source: shape.source,
+      context: {
+        shape: shape.curie || shape.iri,
+        path: property ? property.pathCurie || property.path : '@id',
+        constraint: details.constraint,
+      },
+    })
+  }
+
+  // ===========================================================================
+  // Shape Compilation
+  // ===========================================================================
+
+  /**
+   * Compile a NodeShape from its triples
+   */
+  private compileNodeShape(
+    subject: TurtleTerm,
+    subjectTriples: TurtleTriple[],
+    bySubject: Map<string, TurtleTriple[]>
+  ): ShaclNodeShape {
+    const shape: ShaclNodeShape = {
+      iri: subject.value,
+      curie: subject.curie,
+      targetClasses: [],
+      nodes: [],
+      properties: [],
+    }
+
+    for (const { predicate, object } of subjectTriples) {
+      switch (predicate.value) {
+        case `${SH_NS}targetClass`:
+          shape.targetClasses.push(toTermRef(object))
+          break
+        case `${SH_NS}pattern`:
+          shape.pattern = new RegExp(object.value)
+          break
+        case `${SH_NS}node`:
+          shape.nodes.push(object.value)
+          break
+        case `${SH_NS}severity`:
+          shape.severity = toSeverity(object.value)
+          break
+        case `${SH_NS}message`:
+          shape.message = object.value
+          break
+        case `${SH_NS}property`: {
+          const property = this.compilePropertyShape(bySubject.get(object.value) || [])
+          if (property) shape.properties.push(property)
+          break
+        }
+      }
+    }
+
+    return shape
+  }
+
+  /**
+   * Compile a property shape from its triples
+   */
+  private compilePropertyShape(propertyTriples: TurtleTriple[]): ShaclPropertyShape | null {
+    const pathTerm = propertyTriples.find(t => t.predicate.value === `${SH_NS}path`)?.object
+    // Only simple predicate paths are supported
+    if (!pathTerm || pathTerm.termType !== 'NamedNode') return null
+
+    const property: ShaclPropertyShape = {
+      path: pathTerm.value,
+      pathCurie: pathTerm.curie,
+      key: pathTerm.value.split(/[#/]/).pop() || pathTerm.value,
+      classes: [],
+      nodes: [],
+    }
+
+    for (const { predicate, object } of propertyTriples) {
+      switch (predicate.value) {
+        case `${SH_NS}minCount`:
+          property.minCount = Number(object.value)
+          break
+        case `${SH_NS}maxCount`:
+          property.maxCount = Number(object.value)
+          break
+        case `${SH_NS}datatype`:
+          property.datatype = object.value
+          break
+        case `${SH_NS}pattern`:
+          property.pattern = new RegExp(object.value)
+          break
+        case `${SH_NS}class`:
+          property.classes.push(toTermRef(object))
+          break
+        case `${SH_NS}node`:
+          property.nodes.push(object.value)
+          break
+        case `${SH_NS}severity`:
+          property.severity = toSeverity(object.value)
+          break
+        case `${SH_NS}message`:
+          property.message = object.value
+          break
+      }
+    }
+
+    return property
+  }
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+function groupBySubject(triples: TurtleTriple[]): Map<string, TurtleTriple[]> {
+  const map = new Map<string, TurtleTriple[]>()
+  for (const triple of triples) {
+    const key = triple.subject.value
+    if (!map.has(key)) map.set(key, [])
+    map.get(key)!.push(triple)
+  }
+  return map
+}
+
+function toTermRef(term: TurtleTerm): ShaclTermRef {
+  return term.curie ? { iri: term.value, curie: term.curie } : { iri: term.value }
+}
+
+function toArray<T>(value: T | T[] | undefined): T[] {
+  if (value === undefined) return []
+  return Array.isArray(value) ? value : [value]
+}
+
+function matchesClass(types: string[], cls: ShaclTermRef): boolean {
+  return types.some(t => t === cls.iri || t === cls.curie)
+}
+
+function describeClass(cls: ShaclTermRef): string {
+  return cls.curie || cls.iri
+}
+
+function toSeverity(iri: string): ValidationSeverity {
+  switch (iri) {
+    case `${SH_NS}Warning`:
+      return 'warning'
+    case `${SH_NS}Info`:
+      return 'info'
+    default:
+      return 'error'
+  }
+}
+
+/**
+ * Pick the JSON key holding a path's values, falling back to known aliases
+ */
+function resolveKey(focus: Record<string, unknown>, localName: string): string {
+  const alias = PATH_KEY_ALIASES[localName]
+  if (focus[localName] === undefined && alias && focus[alias] !== undefined) {
+    return alias
+  }
+  return localName
+}
+
+/**
+ * Collect the values of a property. A language map counts as one value.
+ */
+function collectValues(value: unknown): unknown[] {
+  if (value === undefined || value === null) return []
+  if (Array.isArray(value)) {
+    return value.filter(v => v !== undefined && v !== null)
+  }
+  if (typeof value === 'object' && Object.keys(value).length === 0) return []
+  return [value]
+}
+
+function isLanguageMap(value: unknown): value is Record<string, string> {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return false
+  const entries = Object.entries(value)
+  return entries.length > 0 &&
+    entries.every(([key, v]) => !key.startsWith('@') && typeof v === 'string')
+}
+
+function literalStrings(value: unknown): string[] {
+  if (typeof value === 'string') return [value]
+  if (typeof value === 'number' || typeof value === 'boolean') return [String(value)]
+  if (isLanguageMap(value)) return Object.values(value)
+  const iri = referenceIri(value)
+  return iri ? [iri] : []
+}
+
+function referenceIri(value: unknown): string | undefined {
+  if (typeof value === 'string') return value
+  if (typeof value === 'object' && value !== null && typeof (value as { '@id'?: unknown })['@id'] === 'string') {
+    return (value as { '@id': string })['@id']
+  }
+  return undefined
+}
+
+function matchesDatatype(value: unknown, datatype: string): boolean {
+  switch (datatype) {
+    case `${XSD_NS}string`:
+    case `${RDF_NS}langString`:
+      return typeof value === 'string' || isLanguageMap(value)
+    case `${XSD_NS}integer`:
+    case `${XSD_NS}int`:
+    case `${XSD_NS}long`:
+    case `${XSD_NS}nonNegativeInteger`:
+    case `${XSD_NS}positiveInteger`:
+      return typeof value === 'number' && Number.isInteger(value) &&
+        (datatype !== `${XSD_NS}nonNegativeInteger` || value >= 0) &&
+        (datatype !== `${XSD_NS}positiveInteger` || value > 0)
+    case `${XSD_NS}decimal`:
+    case `${XSD_NS}float`:
+    case `${XSD_NS}double`:
+      return typeof value === 'number' && Number.isFinite(value)
+    case `${XSD_NS}boolean`:
+      return typeof value === 'boolean'
+    case `${XSD_NS}dateTime`:
+      return typeof value === 'string' &&
+        /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/.test(value)
+    case `${XSD_NS}date`:
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    case `${XSD_NS}anyURI`:
+      return referenceIri(value) !== undefined
+    default:
+      // Unknown datatypes are not checked
+      return true
+  }
+}
+
+function compactXsd(datatype: string): string {
+  return datatype.startsWith(XSD_NS) ? `xsd:${datatype.slice(XSD_NS.length)}` : datatype
+}
+
+function describeValue(value: unknown): string {
+  const iri = referenceIri(value)
+  if (iri) return iri
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
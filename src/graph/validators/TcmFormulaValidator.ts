@@ -0,0 +1,72 @@
+/**
+ * TcmFormulaValidator - Checks the ingredients of TCM formula nodes
+ *
+ * Runs TcmFormulaChecker on every formula node: pairs of the eighteen
+ * incompatibilities (十八反) and nineteen antagonisms (十九畏) are errors,
+ * pregnancy and toxicity findings are warnings or info.
+ */
+
+import type { GraphNode } from '../types.js'
+import { GraphRegistry } from '../registry/GraphRegistry.js'
+import { TcmFormulaChecker } from '../api/TcmFormulaChecker.js'
+import {
+  type ValidationOptions,
+  type ValidationResult,
+  type NodeValidationResult,
+  createEmptyValidationResult,
+  createNodeResult,
+  createIssue,
+  addNodeResult,
+  finalizeResult,
+  addIssueToNode,
+} from './ValidationResult.js'
+
+/**
+ * Validator for the ingredients of TCM formulas
+ */
+export class TcmFormulaValidator {
+  readonly name = 'tcm-formula'
+
+  private registry: GraphRegistry
+  private checker: TcmFormulaChecker
+
+  /**
+   * @param registry - Registry to validate
+   * @param safetyFile - systems/tcm/reference/formula-safety.jsonld; without it nothing is checked
+   */
+  constructor(registry: GraphRegistry, safetyFile?: string) {
+    this.registry = registry
+    this.checker = new TcmFormulaChecker(registry, safetyFile)
+  }
+
+  /**
+   * Check all formula nodes in the graph
+   */
+  validate(options?: ValidationOptions): ValidationResult {
+    const result = createEmptyValidationResult()
+
+    for (const node of this.registry.formulas.getAllAsGraphNodes()) {
+      addNodeResult(result, this.validateNode(node, options))
+    }
+
+    return finalizeResult(result)
+  }
+
+  /**
+   * Check a single formula node. Other nodes have no issues.
+   */
+  validateNode(node: GraphNode, options?: ValidationOptions): NodeValidationResult {
+    const result = createNodeResult(node['@id'])
+    if (!this.checker.hasSafetyData() || !this.registry.formulas.has(node['@id'])) return result
+
+    for (const issue of this.checker.checkFormulaNode(node).issues) {
+      addIssueToNode(result, createIssue(issue.severity, issue.type, issue.message, node['@id'], {
+        property: 'hasIngredient',
+        context: { herbs: issue.herbs, ingredients: issue.ingredients },
+      }))
+      if (options?.failFast && !result.valid) break
+    }
+
+    return result
+  }
+}
@@ -0,0 +1,396 @@
+/**
+ * TurtleParser - Minimal Turtle reader for SHACL shape files
+ *
+ * Parses the subset of Turtle used by schema/shapes/*.shacl.ttl:
+ * - @prefix / PREFIX declarations
+ * - Prefixed names, <IRI> references and the `a` keyword
+ * - String literals with language tags or datatypes, numbers and booleans
+ * - Blank node property lists `[ ... ]` and collections `( ... )`
+ * - Predicate lists (`;`) and object lists (`,`)
+ *
+ * Prefixed names keep their compact form on the term so callers can match
+ * them against compact JSON-LD values such as `"@type": ["tcm:Herb"]`.
+ */
+
+/**
+ * An RDF term produced by the parser
+ */
+export interface TurtleTerm {
+  termType: 'NamedNode' | 'BlankNode' | 'Literal'
+  /** Full IRI, blank node label or lexical literal value */
+  value: string
+  /** Prefixed name as written in the source (NamedNode only) */
+  curie?: string
+  /** Datatype IRI (Literal only) */
+  datatype?: string
+  /** Language tag (Literal only) */
+  language?: string
+}
+
+/**
+ * A single parsed triple
+ */
+export interface TurtleTriple {
+  subject: TurtleTerm
+  predicate: TurtleTerm
+  object: TurtleTerm
+}
+
+/**
+ * Result of parsing a Turtle document
+ */
+export interface TurtleDocument {
+  prefixes: Record<string, string>
+  triples: TurtleTriple[]
+}
+
+export const RDF_NS = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#'
+export const XSD_NS = 'http://www.w3.org/2001/XMLSchema#'
+
+const RDF_TYPE = `${RDF_NS}type`
+const RDF_FIRST = `${RDF_NS}first`
+const RDF_REST = `${RDF_NS}rest`
+const RDF_NIL = `${RDF_NS}nil`
+
+/**
+ * Error raised for malformed Turtle input
+ */
+export class TurtleParseError extends Error {
+  constructor(message: string, readonly line: number, readonly source?: string) {
+    super(`${source ? `${source}:` : ''}${line}: ${message}`)
+    this.name = 'TurtleParseError'
+  }
+}
+
+/**
+ * Parse a Turtle document into prefixes and triples
+ */
+export function parseTurtle(text: string, source?: string): TurtleDocument {
+  return new TurtleReader(text, source).read()
+}
+
+/**
+ * Read the members of an RDF collection starting at `head`
+ */
+export function readList(triples: TurtleTriple[], head: TurtleTerm): TurtleTerm[] {
+  const items: TurtleTerm[] = []
+  const seen = new Set<string>()
+  let current: TurtleTerm | undefined = head
+
+  while (current && current.value !== RDF_NIL && !seen.has(current.value)) {
+    seen.add(current.value)
+    const node: TurtleTerm = current
+    const first = triples.find(t => t.subject.value === node.value && t.predicate.value === RDF_FIRST)
+    if (first) items.push(first.object)
+    current = triples.find(t => t.subject.value === node.value && t.predicate.value === RDF_REST)?.object
+  }
+
+  return items
+}
+
+/**
+ * Recursive-descent reader over the raw Turtle text
+ */
+class TurtleReader {
+  private pos = 0
+  private line = 1
+  private blankCounter = 0
+  private prefixes: Record<string, string> = {}
+  private triples: TurtleTriple[] = []
+
+  constructor(private text: string, private source?: string) {}
+
+  read(): TurtleDocument {
+    this.skipWhitespace()
+    while (this.pos < this.text.length) {
+      this.readStatement()
+      this.skipWhitespace()
+    }
+    return { prefixes: this.prefixes, triples: this.triples }
+  }
+
+  private readStatement(): void {
+    if (this.text.startsWith('@prefix', this.pos)) {
+      this.pos += '@prefix'.length
+      this.readPrefixDeclaration()
+      this.expect('.')
+      return
+    }
+
+    if (/^PREFIX\s/i.test(this.text.slice(this.pos, this.pos + 7))) {
+      this.pos += 'PREFIX'.length
+      this.readPrefixDeclaration()
+      return
+    }
+
+    const subject = this.peek() === '['
+      ? this.readBlankNodePropertyList()
+      : this.readIRIOrBlank()
+
+    this.skipWhitespace()
+    if (this.peek() !== '.') {
+      this.readPredicateObjectList(subject)
+    }
+    this.expect('.')
+  }
+
+  private readPrefixDeclaration(): void {
+    this.skipWhitespace()
+    const start = this.pos
+    while (this.pos < this.text.length && this.text[this.pos] !== ':') this.pos++
+    const prefix = this.text.slice(start, this.pos).trim()
+    this.expect(':')
+    this.skipWhitespace()
+    this.prefixes[prefix] = this.readIRIRef()
+  }
+
+  private readPredicateObjectList(subject: TurtleTerm): void {
+    for (;;) {
+      this.skipWhitespace()
+      const predicate = this.readPredicate()
+
+      for (;;) {
+        const object = this.readObject()
+        this.triples.push({ subject, predicate, object })
+        this.skipWhitespace()
+        if (this.peek() !== ',') break
+        this.pos++
+      }
+
+      this.skipWhitespace()
+      if (this.peek() !== ';') return
+      // Allow repeated or trailing semicolons
+      while (this.peek() === ';') {
+        this.pos++
+        this.skipWhitespace()
+      }
+      const next = this.peek()
+      if (next === '.' || next === ']' || next === '') return
+    }
+  }
+
+  private readPredicate(): TurtleTerm {
+    if (this.peek() === 'a' && /[\s<[("]/.test(this.text[this.pos + 1] ?? '')) {
+      this.pos++
+      return { termType: 'NamedNode', value: RDF_TYPE, curie: 'rdf:type' }
+    }
+    return this.readIRIOrBlank()
+  }
+
+  private readObject(): TurtleTerm {
+    this.skipWhitespace()
+    const ch = this.peek()
+
+    if (ch === '[') return this.readBlankNodePropertyList()
+    if (ch === '(') return this.readCollection()
+    if (ch === '"' || ch === "'") return this.readStringLiteral()
+    if (/[-+0-9.]/.test(ch)) return this.readNumericLiteral()
+    if (this.matchKeyword('true') || this.matchKeyword('false')) {
+      const value = this.matchKeyword('true') ? 'true' : 'false'
+      this.pos += value.length
+      return { termType: 'Literal', value, datatype: `${XSD_NS}boolean` }
+    }
+
+    return this.readIRIOrBlank()
+  }
+
+  private readBlankNodePropertyList(): TurtleTerm {
+    this.expect('[')
+    const node = this.newBlankNode()
+    this.skipWhitespace()
+    if (this.peek() !== ']') {
+      this.readPredicateObjectList(node)
+    }
+    this.expect(']')
+    return node
+  }
+
+  private readCollection(): TurtleTerm {
+    this.expect('(')
+    const items: TurtleTerm[] = []
+    this.skipWhitespace()
+    while (this.peek() !== ')') {
+      if (this.pos >= this.text.length) this.fail('Unterminated collection')
+      items.push(this.readObject())
+      this.skipWhitespace()
+    }
+    this.expect(')')
+
+    if (items.length === 0) {
+      return { termType: 'NamedNode', value: RDF_NIL, curie: 'rdf:nil' }
+    }
+
+    const head = this.newBlankNode()
+    let current = head
+    items.forEach((item, index) => {
+      this.triples.push({ subject: current, predicate: { termType: 'NamedNode', value: RDF_FIRST }, object: item })
+      const rest: TurtleTerm = index === items.length - 1
+        ? { termType: 'NamedNode', value: RDF_NIL }
+        : this.newBlankNode()
+      this.triples.push({ subject: current, predicate: { termType: 'NamedNode', value: RDF_REST }, object: rest })
+      current = rest
+    })
+    return head
+  }
+
+  private readStringLiteral(): TurtleTerm {
+    const quote = this.peek()
+    const long = this.text.startsWith(quote.repeat(3), this.pos)
+    const delimiter = long ? quote.repeat(3) : quote
+    this.pos += delimiter.length
+
+    let value = ''
+    for (;;) {
+      if (this.pos >= this.text.length) this.fail('Unterminated string literal')
+      if (this.text.startsWith(delimiter, this.pos)) {
+        this.pos += delimiter.length
+        break
+      }
+      const ch = this.text[this.pos]
+      if (ch === '\n') {
+        if (!long) this.fail('Newline in string literal')
+        this.line++
+      }
+      if (ch === '\\') {
+        value += this.readEscape()
+        continue
+      }
+      value += ch
+      this.pos++
+    }
+
+    const literal: TurtleTerm = { termType: 'Literal', value, datatype: `${XSD_NS}string` }
+    if (this.peek() === '@') {
+      this.pos++
+      const start = this.pos
+      while (/[a-zA-Z0-9-]/.test(this.text[this.pos] ?? '')) this.pos++
+      literal.language = this.text.slice(start, this.pos)
+      literal.datatype = `${RDF_NS}langString`
+    } else if (this.text.startsWith('^^', this.pos)) {
+      this.pos += 2
+      literal.datatype = this.readIRIOrBlank().value
+    }
+    return literal
+  }
+
+  private readEscape(): string {
+    const next = this.text[this.pos + 1]
+    this.pos += 2
+    switch (next) {
+      case 't': return '\t'
+      case 'n': return '\n'
+      case 'r': return '\r'
+      case 'b': return '\b'
+      case 'f': return '\f'
+      case 'u':
+      case 'U': {
+        const length = next === 'u' ? 4 : 8
+        const hex = this.text.slice(this.pos, this.pos + length)
+        this.pos += length
+        return String.fromCodePoint(parseInt(hex, 16))
+      }
+      default:
+        return next ?? ''
+    }
+  }
+
+  private readNumericLiteral(): TurtleTerm {
+    const match = /^[-+]?(\d+\.?\d*([eE][-+]?\d+)?|\.\d+([eE][-+]?\d+)?)/.exec(this.text.slice(this.pos))
+    if (!match) this.fail('Invalid numeric literal')
+    let lexical = match![0]
+    // A trailing dot terminates the statement rather than belonging to the number
+    if (lexical.endsWith('.') && !/\d\.\d/.test(lexical)) {
+      lexical = lexical.slice(0, -1)
+    }
+    this.pos += lexical.length
+
+    const datatype = /[eE]/.test(lexical) ? 'double' : lexical.includes('.') ? 'decimal' : 'integer'
+    return { termType: 'Literal', value: lexical, datatype: `${XSD_NS}${datatype}` }
+  }
+
+  private readIRIOrBlank(): TurtleTerm {
+    this.skipWhitespace()
+    if (this.peek() === '<') {
+      return { termType: 'NamedNode', value: this.readIRIRef() }
+    }
+    if (this.text.startsWith('_:', this.pos)) {
+      this.pos += 2
+      return { termType: 'BlankNode', value: `_:${this.readName()}` }
+    }
+
+    const start = this.pos
+    const prefix = this.readName()
+    if (this.peek() !== ':') this.fail(`Expected prefixed name near "${this.text.slice(start, start + 20)}"`)
+    this.pos++
+    const local = this.readName()
+
+    const namespace = this.prefixes[prefix]
+    if (namespace === undefined) this.fail(`Undeclared prefix "${prefix}:"`)
+    return { termType: 'NamedNode', value: namespace + local, curie: `${prefix}:${local}` }
+  }
+
+  private readIRIRef(): string {
+    this.expect('<')
+    const end = this.text.indexOf('>', this.pos)
+    if (end === -1) this.fail('Unterminated IRI')
+    const iri = this.text.slice(this.pos, end)
+    this.pos = end + 1
+    return iri
+  }
+
+  private readName(): string {
+    const start = this.pos
+    while (this.pos < this.text.length && /[A-Za-z0-9_\-·-￿]/.test(this.text[this.pos])) {
+      this.pos++
+    }
+    // Dots are allowed inside local names but not at the end
+    while (this.text[this.pos] === '.' && /[A-Za-z0-9_-]/.test(this.text[this.pos + 1] ?? '')) {
+      this.pos++
+      while (this.pos < this.text.length && /[A-Za-z0-9_\-·-￿]/.test(this.text[this.pos])) {
+        this.pos++
+      }
+    }
+    return this.text.slice(start, this.pos)
+  }
+
+  private newBlankNode(): TurtleTerm {
+    return { termType: 'BlankNode', value: `_:b${this.blankCounter++}` }
+  }
+
+  private matchKeyword(keyword: string): boolean {
+    return this.text.startsWith(keyword, this.pos) &&
+      !/[A-Za-z0-9_:-]/.test(this.text[this.pos + keyword.length] ?? '')
+  }
+
+  private skipWhitespace(): void {
+    while (this.pos < this.text.length) {
+      const ch = this.text[this.pos]
+      if (ch === '\n') {
+        this.line++
+        this.pos++
+      } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+        this.pos++
+      } else if (ch === '#') {
+        while (this.pos < this.text.length && this.text[this.pos] !== '\n') this.pos++
+      } else {
+        break
+      }
+    }
+  }
+
+  private peek(): string {
+    return this.text[this.pos] ?? ''
+  }
+
+  private expect(ch: string): void {
+    this.skipWhitespace()
+    if (this.text[this.pos] !== ch) {
+      this.fail(`Expected "${ch}" but found "${this.text.slice(this.pos, this.pos + 20)}"`)
+    }
+    this.pos++
+  }
+
+  private fail(message: string): never {
+    throw new TurtleParseError(message, this.line, this.source)
+  }
+}
@@ -4,6 +4,10 @@
  * Provides validation infrastructure for the knowledge graph:
  * - ReferenceValidator: Validates @id references
  * - SchemaValidator: Validates node structure against schemas
+ * - ShaclValidator: Validates nodes against SHACL shapes
+ * - ChemicalValidator: Checks that chemical identifiers agree
+ * - TcmFormulaValidator: Checks TCM formulas for incompatible, pregnancy-forbidden and toxic herbs
+ * - DoshaValidator: Checks the dosha effects of dravyas against their rasa, guna, virya and vipaka
  * - CompositeValidator: Combines multiple validators
  */
 
@@ -27,5 +31,22 @@ export {
 
 // Validators
 export { ReferenceValidator } from './ReferenceValidator.js'
-export { SchemaValidator } from './SchemaValidator.js'
+export { SchemaValidator, type JsonSchemaDocument } from './SchemaValidator.js'
+export {
+  ShaclValidator,
+  type ShaclNodeShape,
+  type ShaclPropertyShape,
+  type ShaclTermRef,
+} from './ShaclValidator.js'
+export {
+  parseTurtle,
+  readList,
+  TurtleParseError,
+  type TurtleTerm,
+  type TurtleTriple,
+  type TurtleDocument,
+} from './TurtleParser.js'
+export { ChemicalValidator, type ChemicalValidatorOptions } from './ChemicalValidator.js'
+export { TcmFormulaValidator } from './TcmFormulaValidator.js'
+export { DoshaValidator } from './DoshaValidator.js'
 export { CompositeValidator, type Validator } from './CompositeValidator.js'
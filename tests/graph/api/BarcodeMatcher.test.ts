@@ -0,0 +1,118 @@
+/**
+ * Unit Tests for BarcodeMatcher
+ *
+ * Tests local alignment, species ranking, confidence flags and FASTA parsing.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { BarcodeMatcher, parseFasta } from '../../../src/graph/api/BarcodeMatcher.js'
+import { NodeType, type BarcodeNode } from '../../../src/graph/types.js'
+
+const GRAPH = 'https://www.herbapedia.org/graph/'
+
+// Two ITS2-like references that differ at a few sites, and an unrelated rbcL
+const GINSENG_ITS2 = 'CGCATCGCGTCGCCCCCCAACCCATCACTCCCTTGCGGGAGTTGAGGCGGAGGGGCGGATAATGGCCTCCCGTGCCTCG'
+const NOTOGINSENG_ITS2 = 'CGCATCGCGTCGCCCCCCAACCCATCACTCCCTTGCGGGAGTTGTGGCGGAGGGGCGGATAATGGCCTCCCGTGCGTCG'
+const GINSENG_RBCL = 'ATGTCACCACAAACAGAAACTAAAGCAAGTGTTGGATTCAAAGCTGGTGTTAAAGATTACAAATTGACTTATTATACTCC'
+
+function barcode(slug: string, species: string | null, sequences: Array<[string, string]>): BarcodeNode {
+  const node: BarcodeNode = {
+    '@id': `${GRAPH}barcode/${slug}`,
+    '@type': ['botany:DNABarcode'],
+    slug,
+    name: { en: `${slug} DNA Barcode` },
+    sequence: sequences.map(([region, sequence]) => ({ region, sequence, source: `media/extracted/dna/dna-${slug}.jsonld` })),
+  }
+  if (species) node.barcodes = { '@id': `${GRAPH}species/${species}` }
+  return node
+}
+
+function reverseComplement(sequence: string): string {
+  const complement: Record<string, string> = { A: 'T', T: 'A', C: 'G', G: 'C' }
+  return sequence.split('').reverse().map(base => complement[base]).join('')
+}
+
+describe('BarcodeMatcher', () => {
+  let registry: GraphRegistry
+  let matcher: BarcodeMatcher
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    registry.registerNode(barcode('ginseng', 'panax-ginseng', [['ITS2', GINSENG_ITS2], ['rbcL', GINSENG_RBCL]]), NodeType.BARCODE)
+    registry.registerNode(barcode('panax-notoginseng', 'panax-notoginseng', [['ITS2', NOTOGINSENG_ITS2]]), NodeType.BARCODE)
+    matcher = new BarcodeMatcher(registry)
+  })
+
+  describe('align', () => {
+    it('should count matches and aligned columns across a gap', () => {
+      const alignment = matcher.align('ACGTACGTTTACGTACGT', 'ACGTACGTACGTACGT')
+      expect(alignment.matches).to.equal(16)
+      expect(alignment.length).to.equal(18)
+      expect(alignment.queryStart).to.equal(0)
+      expect(alignment.queryEnd).to.equal(18)
+    })
+
+    it('should align locally', () => {
+      const alignment = matcher.align('GGGGGACGTACGTACGTGGGGG', 'TTTTACGTACGTACGTTTTT')
+      expect(alignment.matches).to.equal(alignment.length)
+      expect(alignment.length).to.equal(12)
+      expect(alignment.queryStart).to.equal(5)
+    })
+  })
+
+  describe('identify', () => {
+    it('should rank the exact species first with high confidence', () => {
+      const result = matcher.identify(GINSENG_ITS2, { region: 'ITS2' })
+
+      expect(result.confidence).to.equal('high')
+      expect(result.matches.map(m => m.barcode)).to.deep.equal([`${GRAPH}barcode/ginseng`, `${GRAPH}barcode/panax-notoginseng`])
+      expect(result.matches[0]).to.include({ identity: 100, coverage: 100, region: 'ITS2', reverseComplement: false })
+      expect(result.matches[0].species).to.deep.equal([{ '@id': `${GRAPH}species/panax-ginseng` }])
+      expect(result.gap).to.equal(round(100 - result.matches[1].identity))
+    })
+
+    it('should match the reverse complement of a read', () => {
+      const result = matcher.identify(reverseComplement(NOTOGINSENG_ITS2).toLowerCase(), { region: 'its2' })
+
+      expect(result.matches[0].barcode).to.equal(`${GRAPH}barcode/panax-notoginseng`)
+      expect(result.matches[0].reverseComplement).to.equal(true)
+      expect(result.matches[0].identity).to.equal(100)
+    })
+
+    it('should flag near-identical top hits as ambiguous', () => {
+      const result = matcher.identify(GINSENG_ITS2, { region: 'ITS2', minGap: 5 })
+      expect(result.confidence).to.equal('ambiguous')
+    })
+
+    it('should flag partial matches as low confidence', () => {
+      const result = matcher.identify(GINSENG_ITS2.slice(0, 30) + 'T'.repeat(60), { region: 'ITS2' })
+      expect(result.confidence).to.equal('low')
+      expect(result.matches[0].coverage).to.be.lessThan(80)
+    })
+
+    it('should only compare against the requested region', () => {
+      expect(matcher.identify(GINSENG_RBCL, { region: 'ITS2' }).confidence).to.equal('none')
+      expect(matcher.identify(GINSENG_RBCL).matches[0].region).to.equal('rbcL')
+    })
+  })
+
+  describe('parseFasta', () => {
+    it('should parse records and normalize sequences', () => {
+      const records = parseFasta('>read1 ITS2 sample\nacgu\nNNRY\n\n>read2\nACGT\n')
+      expect(records).to.deep.equal([
+        { id: 'read1', description: 'ITS2 sample', sequence: 'ACGTNNNN' },
+        { id: 'read2', description: '', sequence: 'ACGT' },
+      ])
+    })
+
+    it('should read text without a header as one sequence', () => {
+      expect(parseFasta('ACGT\nACGT')).to.deep.equal([{ id: 'query', description: '', sequence: 'ACGTACGT' }])
+    })
+  })
+})
+
+function round(value: number): number {
+  return Math.round(value * 10) / 10
+}
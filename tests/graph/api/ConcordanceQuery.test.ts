@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for ConcordanceQuery
+ *
+ * Aligns the profiles of a species with the curated crosswalk in
+ * systems/crosswalk.jsonld and checks the agreement on each axis.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { ConcordanceQuery } from '../../../src/graph/api/ConcordanceQuery.js'
+import { NodeType } from '../../../src/graph/types.js'
+import {
+  TcmProfileNode,
+  AyurvedaProfileNode,
+  UnaniProfileNode,
+  MongolianProfileNode,
+} from '../../../src/graph/nodes/ProfileNodes.js'
+
+const CROSSWALK = path.resolve(__dirname, '../../../systems/crosswalk.jsonld')
+const SPECIES = 'https://www.herbapedia.org/graph/species/test-herb'
+const VOCAB = 'https://www.herbapedia.org/graph/vocab'
+
+describe('ConcordanceQuery', () => {
+  let registry: GraphRegistry
+  let concordance: ConcordanceQuery
+
+  function tcm(nature: string, ...flavors: string[]) {
+    const builder = TcmProfileNode.builder().slug('test-tcm').name({ en: 'Test' })
+      .derivedFrom(SPECIES).hasNature(`${VOCAB}/tcm/nature/${nature}`)
+    flavors.forEach(flavor => builder.addFlavor(`${VOCAB}/tcm/flavor/${flavor}`))
+    registry.registerNode(builder.build().toJSON(), NodeType.TCM_PROFILE)
+  }
+
+  function ayurveda(virya: string, ...rasas: string[]) {
+    const builder = AyurvedaProfileNode.builder().slug('test-ayurveda').name({ en: 'Test' })
+      .derivedFrom(`${SPECIES}#rhizome`).hasVirya(`${VOCAB}/ayurveda/virya/${virya}`)
+    rasas.forEach(rasa => builder.addRasa(`${VOCAB}/ayurveda/rasa/${rasa}`))
+    registry.registerNode(builder.build().toJSON(), NodeType.AYURVEDA_PROFILE)
+  }
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    concordance = new ConcordanceQuery(registry, CROSSWALK)
+  })
+
+  it('should map system values to crosswalk concepts', () => {
+    expect(concordance.getAxes().map(axis => axis.axis)).to.deep.equal(['thermal', 'taste'])
+    expect(concordance.mapValue('thermal', 'ayurveda', 'Uṣṇa')?.value).to.equal('heating')
+    expect(concordance.mapValue('taste', 'tcm', 'acrid')?.value).to.equal('pungent')
+    expect(concordance.mapValue('taste', 'ayurveda', 'bland')).toBeUndefined()
+  })
+
+  it('should align agreeing profiles', () => {
+    tcm('warm', 'acrid', 'sweet')
+    ayurveda('ushna', 'katu', 'madhura')
+    registry.registerNode(
+      UnaniProfileNode.builder().slug('test-unani').name({ en: 'Test' })
+        .derivedFrom(SPECIES).hasTemperament(`${VOCAB}/unani/temperament/hot-dry`).build().toJSON(),
+      NodeType.UNANI_PROFILE
+    )
+
+    const result = concordance.compare('test-herb')
+    expect(result.profiles).to.have.length(3)
+    expect(result.axes.thermal.rows).to.deep.equal([{
+      concept: 'heating',
+      name: { en: 'Heating', 'zh-Hant': '溫熱', 'zh-Hans': '温热' },
+      degree: 1,
+      systems: { tcm: ['warm'], ayurveda: ['ushna'], unani: ['hot-dry'] },
+    }])
+    expect(result.axes.thermal.agreement).to.equal('agree')
+    expect(result.axes.taste.agreement).to.equal('agree')
+    expect(result.disagreements).to.deep.equal([])
+  })
+
+  it('should flag opposite thermal natures', () => {
+    tcm('cool', 'bitter')
+    ayurveda('ushna', 'tikta', 'katu')
+
+    const result = concordance.compare('test-herb')
+    expect(result.axes.thermal.agreement).to.equal('disagree')
+    expect(result.disagreements.map(d => d.message)).to.deep.equal([
+      'tcm cool (cooling) vs ayurveda ushna (heating)',
+    ])
+    expect(result.axes.taste.agreement).to.equal('partial')
+  })
+
+  it('should treat neutral against heating as a partial agreement', () => {
+    tcm('neutral')
+    ayurveda('ushna')
+
+    const result = concordance.compare('test-herb')
+    expect(result.axes.thermal.agreement).to.equal('partial')
+    expect(result.disagreements).to.deep.equal([])
+    expect(result.axes.taste.agreement).to.equal('insufficient')
+  })
+
+  it('should ignore non-thermal Mongolian potencies and report unmapped values', () => {
+    registry.registerNode(
+      MongolianProfileNode.builder().slug('test-mongolian').name({ en: 'Test' }).derivedFrom(SPECIES)
+        .addPotency(`${VOCAB}/mongolian/potency/hot`).addPotency(`${VOCAB}/mongolian/potency/sharp`)
+        .build().toJSON(),
+      NodeType.MONGOLIAN_PROFILE
+    )
+    ayurveda('unknown-virya')
+
+    const result = concordance.compare('test-herb')
+    expect(result.axes.thermal.systems).to.deep.equal(['mongolian'])
+    expect(result.axes.thermal.unmapped.map(value => `${value.system}:${value.value}`)).to.deep.equal([
+      'ayurveda:unknown-virya',
+    ])
+    expect(result.axes.thermal.agreement).to.equal('insufficient')
+  })
+
+  it('should require a crosswalk and reject malformed ones', () => {
+    expect(() => new ConcordanceQuery(registry).compare('test-herb')).to.throw('No crosswalk loaded')
+    expect(() => concordance.loadCrosswalk({ axes: [{ axis: 'thermal' }], members: [{ value: 'hot', axis: 'taste' }] }))
+      .to.throw('needs a value and a known axis')
+  })
+})
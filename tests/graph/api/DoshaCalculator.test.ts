@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for DoshaCalculator
+ *
+ * Predicts dosha effects from the rasa, guna, virya and vipaka rules in
+ * systems/ayurveda/reference and compares them with affectsDosha.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
+import { DoshaCalculator } from '../../../src/graph/api/DoshaCalculator.js'
+import { NodeType } from '../../../src/graph/types.js'
+import { AyurvedaProfileNode } from '../../../src/graph/nodes/ProfileNodes.js'
+
+const REFERENCE = path.resolve(__dirname, '../../../systems/ayurveda/reference')
+const VOCAB = 'https://www.herbapedia.org/graph/vocab/ayurveda'
+
+describe('DoshaCalculator', () => {
+  let registry: GraphRegistry
+  let calculator: DoshaCalculator
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    calculator = new DoshaCalculator(registry, REFERENCE)
+
+    // Dry ginger: pungent, light and sharp, heating, pungent vipaka
+    registry.registerNode(
+      AyurvedaProfileNode.builder().slug('nagara').name({ en: 'Dry ginger' })
+        .addRasa(`${VOCAB}/rasa/katu`)
+        .addGuna(`${VOCAB}/guna/laghu`)
+        .addGuna(`${VOCAB}/guna/tikshna`)
+        .hasVirya(`${VOCAB}/virya/ushna`)
+        .hasVipaka(`${VOCAB}/vipaka/katu`)
+        .affectsDosha('vata', 'balances')
+        .affectsDosha('pitta', 'increases')
+        .affectsDosha('kapha', 'balances')
+        .build().toJSON(),
+      NodeType.AYURVEDA_PROFILE
+    )
+    // Licorice: sweet and heavy, cooling, sweet vipaka; sara has no rule
+    registry.registerNode(
+      AyurvedaProfileNode.builder().slug('yashtimadhu').name({ en: 'Licorice' })
+        .addRasa(`${VOCAB}/rasa/madhura`)
+        .addGuna(`${VOCAB}/guna/guru`)
+        .addGuna(`${VOCAB}/guna/sara`)
+        .hasVirya(`${VOCAB}/virya/shita`)
+        .hasVipaka(`${VOCAB}/vipaka/madhura`)
+        .build().toJSON(),
+      NodeType.AYURVEDA_PROFILE
+    )
+  })
+
+  it('should resolve rules by English and Sanskrit names', () => {
+    expect(calculator.resolveRule('rasa', 'Kaṭu')?.value).to.equal('pungent')
+    expect(calculator.resolveRule('virya', 'shita')?.value).to.equal('cooling')
+    expect(calculator.resolveRule('guna', 'Tīkṣṇa')?.value).to.equal('sharp')
+    expect(calculator.resolveRule('vipaka', 'sweet')?.effects).to.deep.equal({
+      vata: 'decreases',
+      pitta: 'decreases',
+      kapha: 'increases',
+    })
+    expect(calculator.resolveRule('guna', 'sara')).toBeUndefined()
+  })
+
+  it('should score a dravya and flag stored effects the rules contradict', () => {
+    const report = calculator.calculate('nagara')
+
+    expect(report.contributions.map(c => `${c.kind} ${c.value}->${c.rule} ${c.weight}`)).to.deep.equal([
+      'rasa katu->pungent 1',
+      'guna laghu->light 0.5',
+      'guna tikshna->sharp 0.5',
+      'virya ushna->heating 2',
+      'vipaka katu->pungent 1',
+    ])
+    expect(report.doshas).to.deep.equal({
+      vata: { score: 0.2, predicted: 'increases', stored: 'balances' },
+      pitta: { score: 1, predicted: 'increases', stored: 'increases' },
+      kapha: { score: -1, predicted: 'decreases', stored: 'balances' },
+    })
+    expect(report.disagreements).to.have.length(1)
+    expect(report.disagreements[0].message).to.equal(
+      'nagara: affectsDosha says it balances vata, its rasa, guna, virya and vipaka predict it increases vata (score 0.2)'
+    )
+  })
+
+  it('should calculate a profile node', () => {
+    const node = registry.getNode('https://www.herbapedia.org/graph/profile/ayurveda/nagara')!
+    const report = calculator.calculateProfile(node)
+
+    expect(report.dravya).to.equal('nagara')
+    expect(report.doshas.kapha).to.deep.equal({ score: -1, predicted: 'decreases', stored: 'balances' })
+    expect(report.disagreements.map(disagreement => disagreement.dosha)).to.deep.equal(['vata'])
+  })
+
+  it('should report values without a rule', () => {
+    const report = calculator.calculate('yashtimadhu')
+
+    expect(report.unmatched).to.deep.equal(['guna/sara'])
+    expect(report.doshas.vata).to.deep.equal({ score: -0.11, predicted: 'decreases' })
+    expect(report.doshas.kapha).to.deep.equal({ score: 1, predicted: 'increases' })
+    expect(report.disagreements).to.deep.equal([])
+    expect(() => calculator.calculate('missing')).to.throw('Ayurveda profile missing not found')
+  })
+
+  it('should sum the effects of a combination by proportion', () => {
+    const report = calculator.calculateCombination([
+      { dravya: 'nagara', proportion: 1 },
+      { dravya: 'yashtimadhu', proportion: 3 },
+      'unknown',
+    ])
+
+    expect(report.dravyas.map(dravya => dravya.dravya)).to.deep.equal(['nagara', 'yashtimadhu'])
+    expect(report.unresolved).to.deep.equal(['unknown'])
+    // Stored effects count as ±1: vata 0.25 × -1 + 0.75 × -0.11
+    expect(report.doshas).to.deep.equal({
+      vata: { score: -0.33, effect: 'decreases' },
+      pitta: { score: -0.5, effect: 'decreases' },
+      kapha: { score: 0.5, effect: 'increases' },
+    })
+    expect(calculator.calculateCombination([]).doshas.vata).to.deep.equal({ score: 0 })
+  })
+
+  it('should reject malformed rules', () => {
+    expect(() => calculator.loadRules('rasa', { members: [{ '@id': 'x/sweet' }] }))
+      .to.throw('rasa x/sweet has no effectOnDoshas')
+    expect(() => calculator.loadRules('rasa', { members: [{ '@id': 'x/sweet', effectOnDoshas: { ojas: 'increases' } }] }))
+      .to.throw('Unknown dosha ojas in rasa x/sweet')
+    expect(() => calculator.loadRules('rasa', { members: [{ '@id': 'x/sweet', effectOnDoshas: { vata: 'calms' } }] }))
+      .to.throw('Unknown dosha effect calms for vata in rasa x/sweet')
+  })
+
+  it('should keep structured dosha effects when building the graph', async () => {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-dosha-'))
+    const writeJson = (relPath: string, data: unknown) => {
+      fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+      fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+    }
+
+    try {
+      fs.mkdirSync(path.join(dataRoot, 'systems/ayurveda/reference'), { recursive: true })
+      for (const file of ['rasas.jsonld', 'gunas.jsonld', 'viryas.jsonld', 'vipakas.jsonld']) {
+        fs.copyFileSync(path.join(REFERENCE, file), path.join(dataRoot, 'systems/ayurveda/reference', file))
+      }
+      writeJson('systems/ayurveda/dravyas/ashwagandha/profile.jsonld', {
+        name: { en: 'Ashwagandha' },
+        affectsDosha: { vata: { effect: 'decreases' }, kapha: { effect: 'decreases', notes: 'Mildly' } },
+      })
+      writeJson('systems/ayurveda/dravyas/nagara/profile.jsonld', {
+        name: { en: 'Dry ginger' },
+        hasRasa: [{ '@id': `${VOCAB}/rasa/katu` }],
+        hasVirya: { '@id': `${VOCAB}/virya/shita` },
+        balancesDosha: [{ '@id': `${VOCAB}/dosha/vata` }],
+        increasesDosha: [{ '@id': `${VOCAB}/dosha/pitta` }],
+      })
+
+      const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: true })
+      const result = await builder.build()
+      const registry = builder.getRegistry()
+
+      expect((registry.profiles.ayurveda.getBySlug('ashwagandha') as AyurvedaProfileNode).affectsDosha).to.deep.equal({
+        vata: { effect: 'decreases' },
+        kapha: { effect: 'decreases', notes: 'Mildly' },
+      })
+      expect((registry.profiles.ayurveda.getBySlug('nagara') as AyurvedaProfileNode).affectsDosha).to.deep.equal({
+        vata: { effect: 'balances' },
+        pitta: { effect: 'increases' },
+      })
+      expect(result.warnings.map(warning => `[${warning.type}] ${warning.message}`)).to.include(
+        '[dosha] nagara: affectsDosha says it increases pitta, its rasa, guna, virya and vipaka predict it decreases pitta (score -0.33)'
+      )
+    } finally {
+      fs.rmSync(dataRoot, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,179 @@
+/**
+ * Unit Tests for FingerprintComparator
+ *
+ * Tests peak alignment against monograph RRTs, similarity scoring,
+ * pass/fail criteria and peak table parsing.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import {
+  FingerprintComparator,
+  parsePeakTable,
+  type ChromatogramPeak,
+} from '../../../src/graph/api/FingerprintComparator.js'
+import { NodeType, type AnalyticalMethodNode } from '../../../src/graph/types.js'
+
+const GRAPH = 'https://www.herbapedia.org/graph/'
+
+function method(slug: string, rrtValues: unknown, identificationCriteria: Record<string, unknown>): AnalyticalMethodNode {
+  return {
+    '@id': `${GRAPH}analytical-method/${slug}`,
+    '@type': ['herbapedia:AnalyticalMethod', 'schema:Dataset'],
+    slug,
+    name: { en: slug },
+    technique: ['HPLC-Fingerprint'],
+    hplcFingerprint: { identificationCriteria },
+    rrtValues: rrtValues as Array<Record<string, unknown>>,
+  }
+}
+
+const GINSENG_PEAKS = [
+  { peakNumber: 1, compound: 'Ginsenoside Rg₁', rrt: 1.0, acceptableRange: null, referenceMarker: true, referenceTo: 'self' },
+  { peakNumber: 2, compound: 'Ginsenoside Re', rrt: 1.06, acceptableRange: '±0.03', referenceMarker: false, referenceTo: 'Ginsenoside Rg₁' },
+  { peakNumber: 3, compound: 'Ginsenoside Rf', rrt: 0.89, acceptableRange: '± 0.03', referenceMarker: false, referenceTo: 'Ginsenoside Rb₁' },
+  { peakNumber: 4, compound: 'Ginsenoside Rb₁', rrt: 1.0, acceptableRange: null, referenceMarker: true, referenceTo: 'self' },
+  { peakNumber: 5, compound: 'Ginsenoside Rc', rrt: 1.03, acceptableRange: '+/-0.03', referenceMarker: false, referenceTo: 'Ginsenoside Rb₁' },
+  { peakNumber: 6, compound: 'Ginsenoside Rd', rrt: 1.13, acceptableRange: 'plus or minus 0.03', referenceMarker: false, referenceTo: 'Ginsenoside Rb₁' },
+]
+
+// Rg₁ at 20 min, Rb₁ at 40 min, plus two unrelated peaks
+const SAMPLE: ChromatogramPeak[] = [
+  { rt: 5.1, area: 300 },
+  { rt: 20.0, area: 1000 },
+  { rt: 21.3, area: 800 },
+  { rt: 35.6, area: 500 },
+  { rt: 40.0, area: 2000 },
+  { rt: 41.2, area: 700 },
+  { rt: 45.2, area: 900 },
+  { rt: 50.3, area: 100 },
+]
+
+describe('FingerprintComparator', () => {
+  let registry: GraphRegistry
+  let comparator: FingerprintComparator
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    registry.registerNode(method('radix-ginseng', GINSENG_PEAKS, {
+      retentionTimeTolerance: '≤ 3.0% difference between sample and standard',
+    }), NodeType.ANALYTICAL_METHOD)
+    registry.registerNode(method('radix-paeoniae-rubra', {
+      paeoniaLactiflora: [
+        { peakNumber: 1, compound: 'unidentified', rrt: 0.69, acceptableRange: '± 0.05', referenceMarker: false, referenceTo: 'Paeoniflorin' },
+        { peakNumber: 2, compound: 'Paeoniflorin', rrt: 1.0, acceptableRange: null, referenceMarker: true, referenceTo: 'self' },
+      ],
+      paeoniaVeitchii: [
+        { peakNumber: 1, compound: 'unidentified', rrt: 0.56, acceptableRange: '± 0.03', referenceMarker: false, referenceTo: 'Paeoniflorin' },
+        { peakNumber: 2, compound: 'Paeoniflorin', rrt: 1.0, acceptableRange: null, referenceMarker: true, referenceTo: 'self' },
+      ],
+    }, { characteristicPeaks: '2 peaks required' }), NodeType.ANALYTICAL_METHOD)
+    comparator = new FingerprintComparator(registry)
+  })
+
+  describe('getCharacteristicPeaks', () => {
+    it('should parse RRTs, acceptable ranges and markers', () => {
+      const peaks = comparator.getCharacteristicPeaks('radix-ginseng')
+
+      expect(peaks.map(p => p.tolerance)).to.deep.equal([0.03, 0.03, 0.03, 0.03, 0.03, 0.03])
+      expect(peaks[0]).to.deep.equal({
+        peakNumber: 1,
+        compound: 'Ginsenoside Rg₁',
+        rrt: 1.0,
+        tolerance: 0.03,
+        marker: true,
+        referenceTo: 'Ginsenoside Rg₁',
+      })
+      expect(peaks[2].referenceTo).to.equal('Ginsenoside Rb₁')
+      expect(comparator.getCharacteristicPeaks('radix-paeoniae-rubra', 'paeoniaVeitchii')[0].compound).toBeUndefined()
+    })
+  })
+
+  describe('compare', () => {
+    it('should locate the markers and match every characteristic peak', () => {
+      const result = comparator.compare(SAMPLE, 'radix-ginseng')
+
+      expect(result.passed).to.equal(true)
+      expect(result.missing).to.deep.equal([])
+      expect(result.matched.map(m => [m.peakNumber, m.rt])).to.deep.equal([
+        [1, 20.0], [2, 21.3], [3, 35.6], [4, 40.0], [5, 41.2], [6, 45.2],
+      ])
+      expect(result.matched[1]).to.include({ compound: 'Ginsenoside Re', rrt: 1.065, deviation: 0.005 })
+      expect(result.similarity).toBeUndefined()
+      expect(result.criteria).to.deep.equal({ requiredPeaks: 6, retentionTimeTolerance: 3.0, minSimilarity: 0.9 })
+    })
+
+    it('should report missing peaks and fail', () => {
+      const result = comparator.compare(SAMPLE.filter(p => p.rt !== 41.2), 'radix-ginseng')
+
+      expect(result.passed).to.equal(false)
+      expect(result.missing.map(p => p.compound)).to.deep.equal(['Ginsenoside Rc'])
+      expect(result.failures).to.deep.equal(['Found 5 of 6 required characteristic peaks'])
+    })
+
+    it('should not match peaks outside the acceptable range', () => {
+      const shifted = SAMPLE.map(p => p.rt === 45.2 ? { ...p, rt: 46.8 } : p)
+      const result = comparator.compare(shifted, 'radix-ginseng')
+      expect(result.missing.map(p => p.peakNumber)).to.deep.equal([6])
+    })
+
+    it('should use labelled or given marker peaks', () => {
+      // Neither candidate explains other peaks, so the larger one would be taken
+      const sample = [{ rt: 40.0, area: 2000 }, { rt: 60.0, area: 5000 }]
+      const markerRt = (peaks: ChromatogramPeak[], markers?: Record<string, number>) =>
+        comparator.compare(peaks, 'radix-ginseng', { markers }).matched.find(m => m.peakNumber === 4)?.rt
+
+      expect(markerRt(sample)).to.equal(60.0)
+      expect(markerRt([{ ...sample[0], label: 'Ginsenoside Rb1' }, sample[1]])).to.equal(40.0)
+      expect(markerRt(sample, { 'Ginsenoside Rb₁': 40.2 })).to.equal(40.0)
+    })
+
+    it('should score areas against a reference chromatogram', () => {
+      const reference = SAMPLE.map(p => ({ ...p, rt: p.rt * 1.01 }))
+      const same = comparator.compare(SAMPLE, 'radix-ginseng', { reference })
+      expect(same.similarity).to.equal(1)
+      expect(same.passed).to.equal(true)
+
+      const skewed = SAMPLE.map(p => p.rt === 40.0 ? { ...p, area: 100 } : p)
+      const result = comparator.compare(skewed, 'radix-ginseng', { reference })
+      expect(result.similarity).to.be.lessThan(0.9)
+      expect(result.failures).to.deep.equal([`Similarity ${result.similarity} is below 0.9`])
+    })
+
+    it('should check marker retention times against the reference', () => {
+      const reference = SAMPLE.map(p => ({ ...p, rt: p.rt * 1.05 }))
+      const result = comparator.compare(SAMPLE, 'radix-ginseng', { reference })
+
+      expect(result.passed).to.equal(false)
+      expect(result.failures[0]).to.match(/^Retention time of Ginsenoside Rb₁ differs from the reference by 4\.8%/)
+    })
+
+    it('should pick the best fingerprint variant', () => {
+      const sample = [{ rt: 5.6, area: 10 }, { rt: 10.0, area: 50 }]
+      expect(comparator.compare(sample, 'radix-paeoniae-rubra').variant).to.equal('paeoniaVeitchii')
+      expect(comparator.compare(sample, 'radix-paeoniae-rubra', { variant: 'paeoniaLactiflora' }).passed).to.equal(false)
+    })
+
+    it('should reject unknown methods', () => {
+      expect(() => comparator.compare(SAMPLE, 'unknown')).toThrow('Unknown analytical method: unknown')
+    })
+  })
+
+  describe('parsePeakTable', () => {
+    it('should find columns by header name', () => {
+      const peaks = parsePeakTable('Peak;Name;Ret. Time;Area;Height\n1;Rg1;20.01;1000.5;80\n2;;21.3;800;60\n')
+      expect(peaks).to.deep.equal([
+        { rt: 20.01, area: 1000.5, label: 'Rg1' },
+        { rt: 21.3, area: 800 },
+      ])
+    })
+
+    it('should read RT, area and name columns without a header', () => {
+      expect(parsePeakTable('20.0\t1000\tRg1\n# comment\n21.3\t800\n')).to.deep.equal([
+        { rt: 20.0, area: 1000, label: 'Rg1' },
+        { rt: 21.3, area: 800 },
+      ])
+    })
+  })
+})
@@ -9,6 +9,7 @@ import { expect } from 'vitest'
 import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
 import { GraphIndex } from '../../../src/graph/api/GraphIndex.js'
 import { NodeType } from '../../../src/graph/types.js'
+import { ChemicalNode } from '../../../src/graph/nodes/BotanicalNodes.js'
 import { minimalTestGraph } from '../fixtures/testGraph.js'
 
 describe('GraphIndex', () => {
@@ -107,6 +108,47 @@ describe('GraphIndex', () => {
     })
   })
 
+  describe('chemical structure search', () => {
+    const ZINGERONE = 'CC(=O)CCc1ccc(O)c(OC)c1'
+
+    beforeEach(() => {
+      const chemicals: Array<[string, string]> = [
+        ['zingerone', ZINGERONE],
+        ['shogaol', 'CCCCC/C=C/C(=O)CCc1ccc(O)c(OC)c1'],
+        ['caffeic-acid', 'OC(=O)/C=C/c1ccc(O)c(O)c1'],
+        ['beta-lactone', 'CC1OC(=O)C1C'],
+        ['broken', 'C1CC('],
+      ]
+      for (const [slug, smiles] of chemicals) {
+        registry.registerNode(ChemicalNode.builder().slug(slug).smiles(smiles).build(), NodeType.CHEMICAL)
+      }
+    })
+
+    const slugs = (nodes: Array<{ slug?: string }>) => nodes.map(node => node.slug)
+
+    it('should rank chemicals by Tanimoto similarity', () => {
+      const results = index.searchChemicalsBySimilarity(ZINGERONE, 0.3)
+      expect(slugs(results.map(r => r.node))).to.deep.equal(['zingerone', 'shogaol'])
+      expect(results[0].similarity).to.equal(1)
+      expect(results[1].similarity).to.be.within(0.3, 0.9)
+    })
+
+    it('should apply the similarity threshold', () => {
+      expect(slugs(index.searchChemicalsBySimilarity(ZINGERONE).map(r => r.node))).to.deep.equal(['zingerone'])
+      expect(index.searchChemicalsBySimilarity('C1CCCCC1', 0.5)).to.deep.equal([])
+    })
+
+    it('should find chemicals by substructure', () => {
+      expect(slugs(index.searchChemicalsBySubstructure('c([OH])c[OH]'))).to.deep.equal(['caffeic-acid'])
+      expect(slugs(index.searchChemicalsBySubstructure('c([OH])cO[CH3]'))).to.deep.equal(['zingerone', 'shogaol'])
+      expect(slugs(index.searchChemicalsBySubstructure('O=C1CCO1'))).to.deep.equal(['beta-lactone'])
+    })
+
+    it('should reject unparseable queries', () => {
+      expect(() => index.searchChemicalsBySimilarity('C1CC')).to.throw('Unclosed ring 1')
+    })
+  })
+
   describe('getStats', () => {
     it('should return graph statistics', () => {
       const stats = index.getStats()
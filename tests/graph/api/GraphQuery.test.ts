@@ -6,11 +6,30 @@
 
 import { describe, it } from 'vitest'
 import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
 import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
 import { GraphQuery } from '../../../src/graph/api/GraphQuery.js'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
 import { NodeType } from '../../../src/graph/types.js'
+import { ModernProfileNode, MongolianProfileNode, UnaniProfileNode, WesternProfileNode } from '../../../src/graph/nodes/ProfileNodes.js'
+import { ChemicalNode } from '../../../src/graph/nodes/BotanicalNodes.js'
+import { FormulaParseError } from '../../../src/graph/utils/chemistry.js'
+import { ShaclValidator } from '../../../src/graph/validators/ShaclValidator.js'
 import { minimalTestGraph } from '../fixtures/testGraph.js'
 
+const SHAPES = path.resolve(__dirname, '../../../schema/shapes')
+
+/**
+ * SHACL errors of the vocabulary nodes of a registry
+ */
+function vocabularyShapeErrors(registry: GraphRegistry): string[] {
+  return new ShaclValidator(registry, SHAPES).validate().issues
+    .filter(issue => issue.severity === 'error' && issue.nodeIri.includes('/vocab/'))
+    .map(issue => `${issue.nodeIri}: ${issue.message}`)
+}
+
 describe('GraphQuery', () => {
   let registry: GraphRegistry
   let query: GraphQuery
@@ -58,6 +77,373 @@ describe('GraphQuery', () => {
   })
   })
 
+  describe('modern profiles', () => {
+    beforeEach(() => {
+      const profile = ModernProfileNode.builder()
+        .slug('ginsenosides')
+        .name({ en: 'Ginsenosides' })
+        .derivedFromSource('https://www.herbapedia.org/graph/species/panax-ginseng')
+        .build()
+      registry.registerNode(profile.toJSON(), NodeType.MODERN_PROFILE)
+    })
+
+    it('should return modern profiles by system', () => {
+      const profiles = query.getProfilesBySystem('modern')
+      expect(profiles).to.have.length(1)
+      expect(profiles[0]['@id']).to.equal('https://www.herbapedia.org/graph/profile/modern/ginsenosides')
+    })
+
+    it('should find modern profiles through derivedFromSource', () => {
+      const ids = query.findProfilesForSpecies('panax-ginseng').map(p => p['@id'])
+      expect(ids).to.include('https://www.herbapedia.org/graph/profile/modern/ginsenosides')
+      expect(ids).to.include('https://www.herbapedia.org/graph/profile/tcm/ren-shen')
+    })
+
+    it('should find profiles of a part of the species', () => {
+      const profile = ModernProfileNode.builder()
+        .slug('ginseng-root-extract')
+        .name({ en: 'Ginseng root extract' })
+        .derivedFromSource('https://www.herbapedia.org/graph/species/panax-ginseng#root')
+        .build()
+      registry.registerNode(profile.toJSON(), NodeType.MODERN_PROFILE)
+
+      const ids = query.findProfilesForSpecies('panax-ginseng').map(p => p['@id'])
+      expect(ids).to.include('https://www.herbapedia.org/graph/profile/modern/ginseng-root-extract')
+      expect(query.findProfilesForSpecies('panax')).to.deep.equal([])
+    })
+
+    it('should resolve a herb slug to the profiles of its species', () => {
+      registry.registerNode(
+        ModernProfileNode.builder().slug('orphan').name({ en: 'Orphan' }).build().toJSON(),
+        NodeType.MODERN_PROFILE
+      )
+      const species = 'https://www.herbapedia.org/graph/species/panax-ginseng'
+      const ids = (slug: string) => query.findSourcesForHerb(slug)?.sources.map(p => p['@id'])
+
+      expect(query.findSourcesForHerb('panax-ginseng')?.species).to.equal(species)
+      expect(ids('panax-ginseng')).to.have.members([
+        'https://www.herbapedia.org/graph/profile/tcm/ren-shen',
+        'https://www.herbapedia.org/graph/profile/modern/ginsenosides',
+      ])
+      expect(ids('ginsenosides')).to.deep.equal(ids('panax-ginseng'))
+      expect(query.findSourcesForHerb('orphan')).to.deep.equal({ sources: [query.getProfile('modern', 'orphan')] })
+      expect(query.findSourcesForHerb('missing')).toBeUndefined()
+    })
+  })
+
+  describe('Mongolian drugs', () => {
+    beforeEach(() => {
+      registry.registerNode(
+        MongolianProfileNode.builder().slug('gaa').name({ en: 'Ginger' })
+          .affectsRoot('heyi', 'decreases').affectsRoot('xila', 'increases').affectsRoot('badagan', 'decreases')
+          .build().toJSON(),
+        NodeType.MONGOLIAN_PROFILE
+      )
+      registry.registerNode(
+        MongolianProfileNode.builder().slug('gurgum').name({ en: 'Saffron' })
+          .affectsRoot('xila', 'decreases')
+          .build().toJSON(),
+        NodeType.MONGOLIAN_PROFILE
+      )
+    })
+
+    it('should find drugs by their effect on a root', () => {
+      expect(query.findMongolianDrugsAffecting('xila', 'decreases').map(drug => drug.slug)).to.deep.equal(['gurgum'])
+      expect(query.findMongolianDrugsAffecting('Xila').map(drug => drug.slug)).to.deep.equal(['gaa', 'gurgum'])
+      expect(query.findMongolianDrugsAffecting('badagan', 'increases')).to.deep.equal([])
+      expect(query.findMongolianDrugsAffecting('malagan')).to.deep.equal([])
+    })
+
+    it('should load the roots, tastes, potencies and elements as vocabulary', async () => {
+      const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-mongolian-'))
+      const writeJson = (relPath: string, data: unknown) => {
+        fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+        fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+      }
+      const term = (type: string, value: string, en: string) => ({
+        '@id': `https://www.herbapedia.org/system/mongolian/profile/${type}/${value}`,
+        name: { en },
+      })
+
+      try {
+        writeJson('systems/mongolian/reference/roots.jsonld', { members: [term('root', 'xila', 'Xila (Bile)')] })
+        writeJson('systems/mongolian/reference/tastes.jsonld', { members: [term('taste', 'pungent', 'Pungent/Hot')] })
+        writeJson('systems/mongolian/reference/potencies.jsonld', { members: [term('potency', 'hot', 'Hot')] })
+        writeJson('systems/mongolian/reference/elements.jsonld', { members: [term('element', 'fire', 'Fire')] })
+        writeJson('profiles/mongolian/gaa/profile.jsonld', {
+          name: { en: 'Ginger' },
+          hasElement: [{ '@id': 'https://www.herbapedia.org/system/mongolian/profile/element/fire' }],
+          hasTaste: [{ '@id': 'https://www.herbapedia.org/system/mongolian/profile/taste/pungent' }],
+          hasPotency: [{ '@id': 'https://www.herbapedia.org/system/mongolian/profile/potency/hot' }],
+          affectsRoots: { xila: { effect: 'increases' } },
+        })
+
+        const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: false })
+        await builder.build()
+        const built = builder.getRegistry()
+        const builtQuery = new GraphQuery(built)
+
+        expect(builtQuery.getVocabulary('mongolian', 'root', 'xila')).to.include({
+          '@id': 'https://www.herbapedia.org/graph/vocab/mongolian/root/xila',
+          slug: 'xila',
+          vocabularyType: 'root',
+        })
+        expect(vocabularyShapeErrors(built)).to.deep.equal([])
+        expect(builtQuery.getVocabularyByType('mongolian', 'taste').map(node => node.prefLabel))
+          .to.deep.equal([{ en: 'Pungent/Hot' }])
+        expect(built.getStats().byType['vocab:mongolian:potencies']).to.equal(1)
+        expect(builtQuery.findMongolianDrugsAffecting('xila', 'increases')[0].hasTaste).to.deep.equal([
+          { '@id': 'https://www.herbapedia.org/graph/vocab/mongolian/taste/pungent' },
+        ])
+        expect(built.resolver.getUnresolvedReferences()).to.deep.equal([])
+      } finally {
+        fs.rmSync(dataRoot, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('Unani drugs', () => {
+    const TEMPERAMENT = 'https://www.herbapedia.org/graph/vocab/unani/temperament'
+
+    beforeEach(() => {
+      const drug = (slug: string, temperament: string, degree?: number) => {
+        const builder = UnaniProfileNode.builder().slug(slug).name({ en: slug })
+          .hasTemperament(`${TEMPERAMENT}/${temperament}`)
+        if (degree !== undefined) builder.temperamentDegree(degree)
+        registry.registerNode(builder.build().toJSON(), NodeType.UNANI_PROFILE)
+      }
+      registry.registerNode(
+        UnaniProfileNode.builder().slug('zanjabil').name({ en: 'Ginger' })
+          .hasTemperament(`${TEMPERAMENT}/hot-dry`).temperamentDegree(3)
+          .addCorrective('Sekanjabin (oxymel)')
+          .build().toJSON(),
+        NodeType.UNANI_PROFILE
+      )
+      drug('darchini', 'hot-dry', 2)
+      drug('asal', 'hot-wet', 2)
+      drug('kafur', 'cold-dry', 3)
+      drug('khurfa', 'cold-wet', 3)
+      drug('kahu', 'cold-wet', 2)
+      drug('unrated', 'cold-wet')
+    })
+
+    it('should find drugs by temperament quality and degree', () => {
+      const slugs = (drugs: UnaniProfileNode[]) => drugs.map(drug => drug.slug)
+
+      expect(slugs(query.findUnaniDrugsByTemperament('hot'))).to.deep.equal(['zanjabil', 'darchini', 'asal'])
+      expect(slugs(query.findUnaniDrugsByTemperament('hot', { minDegree: 3 }))).to.deep.equal(['zanjabil'])
+      expect(slugs(query.findUnaniDrugsByTemperament('Cold-Wet', { maxDegree: 2 }))).to.deep.equal(['kahu'])
+      expect(slugs(query.findUnaniDrugsByTemperament('dry'))).to.deep.equal(['zanjabil', 'darchini', 'kafur'])
+      expect(() => query.findUnaniDrugsByTemperament('warm')).to.throw('Unknown Unani temperament warm')
+    })
+
+    it('should suggest correctives of opposite temperament', () => {
+      const suggestion = query.suggestUnaniCorrectives('zanjabil')!
+
+      expect(suggestion.temperament).to.equal('hot-dry')
+      expect(suggestion.recorded).to.deep.equal(['Sekanjabin (oxymel)'])
+      expect(suggestion.correctives.map(c => `${c.drug.slug} ${c.temperament} ${c.opposes.join('+')}`)).to.deep.equal([
+        'khurfa cold-wet heat+moisture',
+        'kahu cold-wet heat+moisture',
+        'unrated cold-wet heat+moisture',
+        'kafur cold-dry heat',
+        'asal hot-wet moisture',
+      ])
+      expect(query.suggestUnaniCorrectives('missing')).toBeUndefined()
+    })
+
+    it('should load the temperaments, degrees and elements as vocabulary', async () => {
+      const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-unani-'))
+      const writeJson = (relPath: string, data: unknown) => {
+        fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+        fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+      }
+      const source = (type: string, value: string) => `https://www.herbapedia.org/system/unani/profile/${type}/${value}`
+
+      try {
+        writeJson('systems/unani/reference/temperaments.jsonld', {
+          members: [{ '@id': source('temperament', 'hot-dry'), name: { en: 'Hot and Dry' } }],
+        })
+        writeJson('systems/unani/reference/degrees.jsonld', {
+          members: [{ '@id': source('degree', '3'), name: { en: 'Third Degree' } }],
+        })
+        writeJson('systems/unani/reference/elements.jsonld', {
+          members: [{ '@id': source('element', 'fire'), name: { en: 'Fire' } }],
+        })
+        writeJson('profiles/unani/zanjabil/profile.jsonld', {
+          name: { en: 'Ginger' },
+          hasTemperament: { '@id': source('temperament', 'hot-dry') },
+          temperamentDegree: 3,
+          hasElement: [{ '@id': source('element', 'fire') }],
+        })
+
+        const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: false })
+        await builder.build()
+        const builtQuery = new GraphQuery(builder.getRegistry())
+
+        expect(builtQuery.getVocabulary('unani', 'degree', '3')).to.include({
+          '@id': 'https://www.herbapedia.org/graph/vocab/unani/degree/3',
+          slug: '3',
+          vocabularyType: 'degree',
+        })
+        expect(builtQuery.getVocabulary('unani', 'temperament', 'hot-dry')).to.include({ vocabularyType: 'temperament' })
+        expect(vocabularyShapeErrors(builder.getRegistry())).to.deep.equal([])
+        expect(builtQuery.findUnaniDrugsByTemperament('hot-dry', { minDegree: 3 }).map(drug => drug.slug))
+          .to.deep.equal(['zanjabil'])
+        expect(builder.getRegistry().resolver.getUnresolvedReferences()).to.deep.equal([])
+      } finally {
+        fs.rmSync(dataRoot, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('Western herbs', () => {
+    const WESTERN = 'https://www.herbapedia.org/graph/vocab/western'
+
+    beforeEach(() => {
+      registry.registerNode(
+        { '@id': `${WESTERN}/organ/liver`, '@type': ['skos:Concept'], value: 'liver', broader: { '@id': `${WESTERN}/system/digestive` } },
+        NodeType.WESTERN_ORGAN
+      )
+      registry.registerNode(
+        WesternProfileNode.builder().slug('ginger').name({ en: 'Ginger' })
+          .addAction(`${WESTERN}/action/carminative`)
+          .primaryBodySystem(`${WESTERN}/system/digestive`)
+          .addSecondaryBodySystem(`${WESTERN}/system/immune`)
+          .build().toJSON(),
+        NodeType.WESTERN_PROFILE
+      )
+      registry.registerNode(
+        WesternProfileNode.builder().slug('valerian').name({ en: 'Valerian' })
+          .addAction(`${WESTERN}/action/nervine`)
+          .addAction(`${WESTERN}/action/sedative`)
+          .primaryBodySystem(`${WESTERN}/system/nervous`)
+          .build().toJSON(),
+        NodeType.WESTERN_PROFILE
+      )
+      registry.registerNode(
+        WesternProfileNode.builder().slug('milk-thistle').name({ en: 'Milk thistle' })
+          .addAction(`${WESTERN}/action/hepatic`)
+          .addOrganAffinity(`${WESTERN}/organ/liver`)
+          .build().toJSON(),
+        NodeType.WESTERN_PROFILE
+      )
+    })
+
+    it('should find herbs by action and organ', () => {
+      expect(query.findWesternHerbsByAction('nervine').map(herb => herb.slug)).to.deep.equal(['valerian'])
+      expect(query.findWesternHerbsByAction('Carminative').map(herb => herb.slug)).to.deep.equal(['ginger'])
+      expect(query.findWesternHerbsByAction('diuretic')).to.deep.equal([])
+      expect(query.findWesternHerbsByOrgan('liver').map(herb => herb.slug)).to.deep.equal(['milk-thistle'])
+    })
+
+    it('should find herbs by body system through their body systems and organs', () => {
+      expect(query.findWesternHerbsByBodySystem('digestive').map(herb => herb.slug)).to.deep.equal(['ginger', 'milk-thistle'])
+      expect(query.findWesternHerbsByBodySystem('digestive', { primaryOnly: true }).map(herb => herb.slug)).to.deep.equal(['ginger'])
+      expect(query.findWesternHerbsByBodySystem('immune').map(herb => herb.slug)).to.deep.equal(['ginger'])
+      expect(query.findWesternHerbsByBodySystem('immune', { primaryOnly: true })).to.deep.equal([])
+    })
+
+    it('should load the actions, organs and body systems as vocabulary', async () => {
+      const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-western-'))
+      const writeJson = (relPath: string, data: unknown) => {
+        fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+        fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+      }
+      const system = { '@id': 'https://www.herbapedia.org/system/western/profile/system/nervous' }
+
+      try {
+        writeJson('systems/western/reference/actions.jsonld', {
+          members: [{ '@id': 'https://www.herbapedia.org/system/western/action/nervine', name: { en: 'Nervine' } }],
+        })
+        writeJson('systems/western/reference/organs.jsonld', {
+          members: [{ '@id': 'https://www.herbapedia.org/system/western/organ/brain', name: { en: 'Brain' }, bodySystem: system }],
+        })
+        writeJson('systems/western/reference/systems.jsonld', {
+          members: [{ ...system, name: { en: 'Nervous System' } }],
+        })
+        writeJson('systems/western/herbs/valerian/profile.jsonld', {
+          name: { en: 'Valerian' },
+          hasAction: [{ '@id': 'https://www.herbapedia.org/system/western/action/nervine' }, { name: 'Sedative' }],
+          hasOrganAffinity: [{ '@id': 'https://www.herbapedia.org/system/western/organ/brain' }],
+          secondaryBodySystems: [system],
+        })
+
+        const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: false })
+        await builder.build()
+        const builtQuery = new GraphQuery(builder.getRegistry())
+
+        expect(builtQuery.getVocabulary('western', 'organ', 'brain')).to.deep.include({
+          slug: 'brain',
+          vocabularyType: 'organ',
+          broader: { '@id': `${WESTERN}/system/nervous` },
+        })
+        expect(builtQuery.getVocabulary('western', 'system', 'nervous')).to.include({ vocabularyType: 'system' })
+        expect(builtQuery.getVocabulary('western', 'action', 'nervine')).to.include({ vocabularyType: 'action' })
+        expect(vocabularyShapeErrors(builder.getRegistry())).to.deep.equal([])
+        const valerian = builtQuery.findWesternHerbsByAction('nervine')[0]
+        expect(valerian.hasAction).to.deep.equal([{ '@id': `${WESTERN}/action/nervine` }])
+        expect(valerian.hasOrganAffinity).to.deep.equal([{ '@id': `${WESTERN}/organ/brain` }])
+        expect(valerian.secondaryBodySystems).to.deep.equal([{ '@id': `${WESTERN}/system/nervous` }])
+        expect(builtQuery.findWesternHerbsByBodySystem('nervous').map(herb => herb.slug)).to.deep.equal(['valerian'])
+        expect(builder.getRegistry().resolver.getUnresolvedReferences()).to.deep.equal([])
+      } finally {
+        fs.rmSync(dataRoot, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('chemical searches', () => {
+    const slugs = (nodes: Array<{ slug?: string }>) => nodes.map(node => node.slug)
+
+    beforeEach(() => {
+      const chemicals: Array<[string, string]> = [
+        ['curcumin', 'C21H20O6'],
+        ['berberine', 'C20H18NO4'],
+        ['corydaline', 'C22H27NO4'],
+        ['quercetin', 'C15H10O7'],
+        ['allicin', 'C6H10OS2'],
+        ['ginsenosides', 'Variable (triterpene saponins)'],
+      ]
+      for (const [slug, formula] of chemicals) {
+        registry.registerNode(ChemicalNode.builder().slug(slug).formula(formula).build(), NodeType.CHEMICAL)
+      }
+      registry.registerNode(ChemicalNode.builder().slug('polysaccharides').build(), NodeType.CHEMICAL)
+    })
+
+    it('should find chemicals by formula in any notation', () => {
+      expect(slugs(query.findChemicalsByFormula('C21H20O6'))).to.deep.equal(['curcumin'])
+      expect(slugs(query.findChemicalsByFormula('C₂₁H₂₀O₆'))).to.deep.equal(['curcumin'])
+      expect(slugs(query.findChemicalsByFormula('O7C15H10'))).to.deep.equal(['quercetin'])
+      expect(query.findChemicalsByFormula('C21H22O6')).to.deep.equal([])
+      expect(() => query.findChemicalsByFormula('curcumin')).to.throw(FormulaParseError)
+    })
+
+    it('should find chemicals by monoisotopic mass, sorted by mass', () => {
+      expect(slugs(query.findChemicalsByMassRange(300, 370))).to.deep.equal(['quercetin', 'berberine', 'curcumin', 'corydaline'])
+      expect(slugs(query.findChemicalsByMassRange(368.1260, 368.1260))).to.deep.equal(['curcumin'])
+      expect(query.findChemicalsByMassRange(368.13, 368.14)).to.deep.equal([])
+    })
+
+    it('should widen the mass range by tolerancePpm', () => {
+      // 368.126 is 13.6 ppm below 368.131
+      expect(query.findChemicalsByMassRange(368.131, 368.131, { tolerancePpm: 10 })).to.deep.equal([])
+      expect(slugs(query.findChemicalsByMassRange(368.131, 368.131, { tolerancePpm: 15 }))).to.deep.equal(['curcumin'])
+    })
+
+    it('should use average molecular weight on request', () => {
+      expect(query.findChemicalsByMassRange(368.3, 368.4)).to.deep.equal([])
+      expect(slugs(query.findChemicalsByMassRange(368.3, 368.4, { mass: 'average' }))).to.deep.equal(['curcumin'])
+    })
+
+    it('should filter by elements', () => {
+      expect(slugs(query.findChemicalsByElements({ contains: ['N'] }))).to.deep.equal(['berberine', 'corydaline'])
+      expect(slugs(query.findChemicalsByElements({ only: ['C', 'H', 'O'] }))).to.deep.equal(['curcumin', 'quercetin'])
+      expect(slugs(query.findChemicalsByElements({ excludes: ['N', 'O'] }))).to.deep.equal([])
+      expect(slugs(query.findChemicalsByMassRange(360, 370, { contains: ['N'] }))).to.deep.equal(['corydaline'])
+    })
+  })
+
   describe('getByIRI', () => {
     it('should return node by full IRI', () => {
     const node = query.getByIRI('https://www.herbapedia.org/graph/species/panax-ginseng')
@@ -0,0 +1,188 @@
+/**
+ * Unit Tests for InteractionChecker
+ *
+ * Matches the drug interaction statements of profiles and preparations
+ * against drug names, through the synonym table in
+ * reference/drugs/synonyms.jsonld.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
+import { InteractionChecker } from '../../../src/graph/api/InteractionChecker.js'
+import { NodeType, type WesternProfileNode } from '../../../src/graph/types.js'
+import {
+  TcmProfileNode,
+  WesternProfileNode,
+  ModernProfileNode,
+} from '../../../src/graph/nodes/ProfileNodes.js'
+
+const SYNONYMS = path.resolve(__dirname, '../../../reference/drugs/synonyms.jsonld')
+const GRAPH = 'https://www.herbapedia.org/graph'
+const SPECIES = `${GRAPH}/species/test-herb`
+
+describe('InteractionChecker', () => {
+  let registry: GraphRegistry
+  let checker: InteractionChecker
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    checker = new InteractionChecker(registry, SYNONYMS)
+
+    registry.registerNode(
+      { '@id': SPECIES, '@type': ['botany:PlantSpecies'], slug: 'test-herb', name: { en: 'Test herb' } },
+      NodeType.SPECIES
+    )
+    registry.registerNode(
+      WesternProfileNode.builder().slug('test-western').name({ en: 'Test' }).derivedFrom(SPECIES)
+        .addDrugInteraction({ drug: 'Warfarin', interaction: 'May decrease INR', severity: 'moderate' })
+        .addDrugInteraction({ drug: 'MAO inhibitors', interaction: 'Potential hypertensive crisis', severity: 'high' })
+        .addDrugInteraction({ drug: 'Stimulants', severity: 'low' })
+        .build().toJSON(),
+      NodeType.WESTERN_PROFILE
+    )
+    registry.registerNode(
+      TcmProfileNode.builder().slug('test-tcm').name({ en: 'Test' }).derivedFrom(`${SPECIES}#root`)
+        .incompatibilities({ en: 'Incompatible with Veratrum (藜蘆). Antagonized by Radish (蘿蔔).' })
+        .build().toJSON(),
+      NodeType.TCM_PROFILE
+    )
+    registry.registerNode({
+      '@id': `${GRAPH}/preparation/test-root`,
+      '@type': ['herbal:HerbalPreparation'],
+      slug: 'test-root',
+      name: { en: 'Test root' },
+      derivedFrom: { '@id': SPECIES },
+      safetyInfo: { drugInteractions: ['warfarin', 'other anticoagulants'] },
+    }, NodeType.PREPARATION)
+  })
+
+  it('should resolve drug names, brand names and classes', () => {
+    expect(checker.resolveDrug('Coumadin')?.drug).to.equal('warfarin')
+    expect(checker.resolveDrug('MAOIs')?.drug).to.equal('mao inhibitors')
+    expect(checker.resolveDrug('  Blood-thinners ')?.drug).to.equal('anticoagulants')
+    expect(checker.resolveDrug('radish')).toBeUndefined()
+  })
+
+  it('should rank the findings by severity with their sources', () => {
+    const report = checker.check(['test-herb'], ['Coumadin', 'Nardil'])
+
+    expect(report.findings.map(f => `${f.severity} ${f.drug} ${f.statement} ${f.property}`)).to.deep.equal([
+      'major Nardil MAO inhibitors drugInteractions',
+      'moderate Coumadin Warfarin drugInteractions',
+      'unknown Coumadin warfarin safetyInfo.drugInteractions',
+      'unknown Coumadin other anticoagulants safetyInfo.drugInteractions',
+    ])
+    expect(report.findings[0]).to.deep.include({
+      herb: 'test-herb',
+      description: 'Potential hypertensive crisis',
+      matchedOn: 'mao inhibitors',
+      source: `${GRAPH}/profile/western/test-western`,
+    })
+    expect(report.findings[3].matchedOn).to.equal('anticoagulants')
+    expect(report.unresolvedHerbs).to.deep.equal([])
+    expect(report.unrecognizedDrugs).to.deep.equal([])
+  })
+
+  it('should match a drug class against statements about its members', () => {
+    const report = checker.check(['test-herb'], ['anticoagulants'])
+    expect(report.findings.map(f => f.matchedOn)).to.deep.equal(['warfarin', 'warfarin', 'anticoagulants'])
+  })
+
+  it('should match unknown drugs as words and report them', () => {
+    const report = checker.check(['test-herb'], ['Radish', 'Rad'])
+
+    expect(report.unrecognizedDrugs).to.deep.equal(['Radish', 'Rad'])
+    expect(report.findings).to.have.length(1)
+    expect(report.findings[0]).to.deep.include({
+      drug: 'Radish',
+      severity: 'unknown',
+      property: 'incompatibilities',
+      source: `${GRAPH}/profile/tcm/test-tcm`,
+    })
+    expect(report.findings[0].matchedOn).toBeUndefined()
+  })
+
+  it('should resolve preparations and profiles to their species', () => {
+    registry.registerNode(
+      ModernProfileNode.builder().slug('test-extract').name({ en: 'Test extract' })
+        .addDrugInteraction({ drug: 'Metformin', type: 'minor' })
+        .build().toJSON(),
+      NodeType.MODERN_PROFILE
+    )
+
+    const report = checker.check(['test-root', 'test-tcm', 'test-extract', 'unknown-herb'], ['Stimulants', 'Glucophage'])
+    expect(report.findings.map(f => `${f.herb} ${f.statement}`)).to.deep.equal([
+      'test-root Stimulants',
+      'test-tcm Stimulants',
+      'test-extract Metformin',
+    ])
+    expect(report.unresolvedHerbs).to.deep.equal(['unknown-herb'])
+  })
+
+  it('should reject malformed synonym tables', () => {
+    expect(() => checker.loadSynonyms({ members: [{ '@id': 'x', synonyms: ['y'] }] }))
+      .to.throw('Drug synonym entry x needs a drug name')
+    expect(() => checker.loadSynonyms({ members: [{ drug: 'warfarin', memberOf: ['anticoagulants'] }] }))
+      .to.throw('Drug warfarin is a member of unknown class anticoagulants')
+    expect(new InteractionChecker(registry).check(['test-herb'], ['warfarin']).findings).to.have.length(2)
+  })
+
+  it('should read the interactions loaded by GraphBuilder', async () => {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-interactions-'))
+    const writeJson = (relPath: string, data: unknown) => {
+      fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+      fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+    }
+
+    try {
+      writeJson('entities/botanical/species/ginseng/entity.jsonld', {
+        '@id': 'https://www.herbapedia.org/entity/botanical/species/ginseng',
+        '@type': ['botany:PlantSpecies'],
+        name: { en: 'Panax ginseng' },
+      })
+      const derivedFromPlant = { '@id': 'https://www.herbapedia.org/entity/botanical/species/ginseng' }
+      writeJson('profiles/western/ginseng/profile.jsonld', {
+        name: { en: 'Asian Ginseng' },
+        derivedFromPlant,
+        drugInteractions: [
+          { drug: 'Warfarin', interaction: 'May decrease INR', severity: 'moderate' },
+          { drug: 'Digoxin', severity: 'severe' },
+          { interaction: 'No drug named' },
+        ],
+      })
+      writeJson('systems/tcm/herbs/ren-shen/profile.jsonld', {
+        name: { en: 'Ginseng' },
+        derivedFromPlant,
+        incompatibilities: { en: 'Antagonized by Radish.' },
+      })
+      writeJson('entities/preparations/ginseng-root/entity.jsonld', {
+        name: { en: 'Ginseng root' },
+        derivedFrom: derivedFromPlant,
+        safetyInfo: { drugInteractions: ['warfarin'] },
+      })
+
+      const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: false })
+      await builder.build()
+
+      expect((builder.getRegistry().getNode(`${GRAPH}/profile/western/ginseng`) as WesternProfileNode).drugInteractions)
+        .to.deep.equal([
+          { drug: 'Warfarin', interaction: 'May decrease INR', severity: 'moderate' },
+          { drug: 'Digoxin' },
+        ])
+      const statements = new InteractionChecker(builder.getRegistry(), SYNONYMS).getStatements('ginseng')
+      expect(statements.map(s => `${s.severity} ${s.statement} ${s.source}`)).to.have.members([
+        `unknown Antagonized by Radish. ${GRAPH}/profile/tcm/ren-shen`,
+        `moderate Warfarin ${GRAPH}/profile/western/ginseng`,
+        `unknown Digoxin ${GRAPH}/profile/western/ginseng`,
+        `unknown warfarin ${GRAPH}/preparation/ginseng-root`,
+      ])
+    } finally {
+      fs.rmSync(dataRoot, { recursive: true, force: true })
+    }
+  })
+})
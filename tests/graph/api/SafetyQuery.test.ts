@@ -0,0 +1,214 @@
+/**
+ * Unit Tests for SafetyQuery
+ *
+ * Merges the pregnancy and lactation statements of the profiles and
+ * preparations of a herb into one summary.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
+import { SafetyQuery } from '../../../src/graph/api/SafetyQuery.js'
+import { NodeType } from '../../../src/graph/types.js'
+import {
+  TcmProfileNode,
+  AyurvedaProfileNode,
+  WesternProfileNode,
+  ModernProfileNode,
+} from '../../../src/graph/nodes/ProfileNodes.js'
+
+const GRAPH = 'https://www.herbapedia.org/graph'
+
+describe('SafetyQuery', () => {
+  let registry: GraphRegistry
+  let safety: SafetyQuery
+
+  function species(slug: string) {
+    registry.registerNode(
+      { '@id': `${GRAPH}/species/${slug}`, '@type': ['botany:PlantSpecies'], slug, name: { en: slug } },
+      NodeType.SPECIES
+    )
+  }
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    safety = new SafetyQuery(registry)
+
+    species('test-herb')
+    registry.registerNode({
+      '@id': `${GRAPH}/preparation/test-root`,
+      '@type': ['herbal:HerbalPreparation'],
+      slug: 'test-root',
+      name: { en: 'Test root' },
+      derivedFrom: { '@id': `${GRAPH}/species/test-herb` },
+      safetyInfo: {
+        pregnancySafety: { en: 'Generally considered safe in culinary amounts. Therapeutic doses should be used with caution during pregnancy.' },
+        generalContraindications: { en: 'Avoid in cases of excess heat.' },
+      },
+    }, NodeType.PREPARATION)
+    registry.registerNode(
+      TcmProfileNode.builder().slug('test-tcm').name({ en: 'Test' })
+        .derivedFrom(`${GRAPH}/species/test-herb#root`)
+        .contraindications({ en: 'Contraindicated in pregnancy (promotes blood circulation).', 'zh-Hant': '孕婦忌用。' })
+        .cautions({ en: 'Excessive use may cause internal heat.' })
+        .build().toJSON(),
+      NodeType.TCM_PROFILE
+    )
+    registry.registerNode(
+      WesternProfileNode.builder().slug('test-western').name({ en: 'Test' })
+        .derivedFrom(`${GRAPH}/species/test-herb`)
+        .contraindications({ en: 'Gallbladder disease, pregnancy (therapeutic doses). Not for use while breastfeeding.' })
+        .build().toJSON(),
+      NodeType.WESTERN_PROFILE
+    )
+  })
+
+  it('should merge the statements of all systems with their provenance', () => {
+    const summary = safety.getSafetySummary('test-herb')!
+
+    expect(summary.species).to.equal(`${GRAPH}/species/test-herb`)
+    expect(summary.systems).to.have.members(['preparation', 'tcm', 'western'])
+    expect(summary.pregnancy.category).to.equal('unsafe')
+    expect(summary.pregnancy.bySystem).to.deep.equal({ preparation: 'caution', tcm: 'unsafe', western: 'caution' })
+    expect(summary.pregnancy.statements.find(s => s.system === 'tcm')).to.deep.equal({
+      text: 'Contraindicated in pregnancy (promotes blood circulation).',
+      system: 'tcm',
+      source: `${GRAPH}/profile/tcm/test-tcm`,
+      property: 'contraindications',
+      category: 'unsafe',
+    })
+    expect(summary.lactation.category).to.equal('unsafe')
+    expect(summary.lactation.bySystem).to.deep.equal({ western: 'unsafe' })
+  })
+
+  it('should list every contraindication and caution text', () => {
+    const summary = safety.getSafetySummary('test-root')!
+
+    expect(summary.herb).to.equal('test-root')
+    expect(summary.contraindications.map(note => `${note.system} ${note.property}`)).to.have.members([
+      'preparation safetyInfo.generalContraindications',
+      'tcm contraindications',
+      'tcm cautions',
+      'western contraindications',
+    ])
+  })
+
+  it('should map modern pregnancy categories and lactation ratings', () => {
+    registry.registerNode(
+      ModernProfileNode.builder().slug('test-extract').name({ en: 'Test extract' })
+        .derivedFromSource(`${GRAPH}/species/test-herb`)
+        .pregnancyCategory('C').lactationSafety('LikelySafe')
+        .build().toJSON(),
+      NodeType.MODERN_PROFILE
+    )
+    registry.registerNode(
+      ModernProfileNode.builder().slug('orphan').name({ en: 'Orphan' })
+        .pregnancyCategory('N').lactationSafety('InsufficientInformation')
+        .build().toJSON(),
+      NodeType.MODERN_PROFILE
+    )
+
+    const summary = safety.getSafetySummary('test-extract')!
+    expect(summary.pregnancy.bySystem.modern).to.equal('caution')
+    expect(summary.lactation.statements.map(s => `${s.system} ${s.property} ${s.category}`)).to.deep.equal([
+      'western contraindications unsafe',
+      'modern lactationSafety safe',
+    ])
+
+    const orphan = safety.getSafetySummary('orphan')!
+    expect(orphan.species).toBeUndefined()
+    expect(orphan.pregnancy.category).to.equal('unknown')
+    expect(orphan.pregnancy.statements).to.have.length(1)
+    expect(safety.getSafetySummary('missing')).toBeUndefined()
+  })
+
+  it('should read dose qualifiers as caution and mentions without terms by property', () => {
+    species('other-herb')
+    registry.registerNode(
+      AyurvedaProfileNode.builder().slug('other-ayurveda').name({ en: 'Other' })
+        .derivedFrom(`${GRAPH}/species/other-herb`)
+        .contraindications({ en: 'Avoid in high Pitta conditions, bleeding disorders, and pregnancy in high doses.' })
+        .build().toJSON(),
+      NodeType.AYURVEDA_PROFILE
+    )
+    registry.registerNode(
+      TcmProfileNode.builder().slug('other-tcm').name({ en: 'Other' })
+        .derivedFrom(`${GRAPH}/species/other-herb`)
+        .contraindications({ en: 'Yin deficiency with heat signs.' })
+        .cautions({ en: 'Pregnancy.' })
+        .build().toJSON(),
+      NodeType.TCM_PROFILE
+    )
+
+    const summary = safety.getSafetySummary('other-herb')!
+    expect(summary.pregnancy.bySystem).to.deep.equal({ ayurveda: 'caution', tcm: 'caution' })
+    expect(summary.pregnancy.statements).to.have.length(2)
+    expect(summary.lactation.statements).to.deep.equal([])
+    expect(summary.lactation.category).to.equal('unknown')
+  })
+
+  it('should list the herbs flagged by any system', () => {
+    species('safe-herb')
+    registry.registerNode({
+      '@id': `${GRAPH}/preparation/safe-leaf`,
+      '@type': ['herbal:HerbalPreparation'],
+      slug: 'safe-leaf',
+      name: { en: 'Safe leaf' },
+      derivedFrom: { '@id': `${GRAPH}/species/safe-herb` },
+      safetyInfo: { pregnancySafety: { en: 'Considered safe in pregnancy.' } },
+    }, NodeType.PREPARATION)
+    species('no-data')
+
+    expect(safety.findHerbsUnsafeInPregnancy().map(summary => summary.herb)).to.deep.equal(['test-herb'])
+    expect(safety.findHerbsUnsafeInLactation().map(summary => summary.herb)).to.deep.equal(['test-herb'])
+    expect(safety.findHerbsBySafety('pregnancy', 'safe').map(summary => summary.herb)).to.deep.equal(['safe-herb'])
+  })
+
+  it('should read the safety fields loaded by GraphBuilder', async () => {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-safety-'))
+    const writeJson = (relPath: string, data: unknown) => {
+      fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+      fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+    }
+
+    try {
+      writeJson('entities/botanical/species/turmeric/entity.jsonld', {
+        '@id': 'https://www.herbapedia.org/entity/botanical/species/turmeric',
+        '@type': ['botany:PlantSpecies'],
+        name: { en: 'Curcuma longa' },
+      })
+      const derivedFromPlant = { '@id': 'https://www.herbapedia.org/entity/botanical/species/turmeric' }
+      writeJson('profiles/western/turmeric/profile.jsonld', {
+        name: { en: 'Turmeric' },
+        derivedFromPlant,
+        contraindications: { en: 'Gallbladder disease, pregnancy (therapeutic doses).' },
+      })
+      writeJson('systems/ayurveda/dravyas/haridra/profile.jsonld', {
+        name: { en: 'Haridra' },
+        derivedFromPlant,
+        contraindications: { en: 'Contraindicated in pregnancy.' },
+      })
+      writeJson('systems/tcm/herbs/jiang-huang/profile.jsonld', {
+        name: { en: 'Turmeric' },
+        derivedFromPlant,
+        tcmSafetyConsideration: { en: 'Use with caution during pregnancy.' },
+      })
+
+      const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: false })
+      await builder.build()
+
+      const summary = new SafetyQuery(builder.getRegistry()).getSafetySummary('turmeric')!
+      expect(summary.pregnancy.statements.map(s => `${s.system} ${s.property} ${s.category}`)).to.have.members([
+        'western contraindications caution',
+        'ayurveda contraindications unsafe',
+        'tcm cautions caution',
+      ])
+    } finally {
+      fs.rmSync(dataRoot, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * Unit Tests for TcmFormulaChecker
+ *
+ * Checks formulas and ingredient lists against the pairs and lists in
+ * systems/tcm/reference/formula-safety.jsonld.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
+import { TcmFormulaChecker } from '../../../src/graph/api/TcmFormulaChecker.js'
+import { NodeType } from '../../../src/graph/types.js'
+import { TcmProfileNode } from '../../../src/graph/nodes/ProfileNodes.js'
+
+const SAFETY = path.resolve(__dirname, '../../../systems/tcm/reference/formula-safety.jsonld')
+const GRAPH = 'https://www.herbapedia.org/graph'
+
+describe('TcmFormulaChecker', () => {
+  let registry: GraphRegistry
+  let checker: TcmFormulaChecker
+
+  function preparation(slug: string, species: string, name: string) {
+    registry.registerNode({
+      '@id': `${GRAPH}/preparation/${slug}`,
+      '@type': ['herbal:HerbalPreparation'],
+      slug,
+      name: { en: name },
+      derivedFrom: { '@id': `${GRAPH}/species/${species}` },
+    }, NodeType.PREPARATION)
+  }
+
+  function formula(slug: string, ...ingredients: string[]) {
+    registry.registerNode({
+      '@id': `${GRAPH}/formula/${slug}`,
+      '@type': ['herbapedia:Formula'],
+      slug,
+      name: { en: slug },
+      hasIngredient: ingredients.map(ingredient => ({ '@id': `${GRAPH}/preparation/${ingredient}` })),
+    }, NodeType.FORMULA)
+  }
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    checker = new TcmFormulaChecker(registry, SAFETY)
+
+    registry.registerNode(
+      { '@id': `${GRAPH}/species/glycyrrhiza-uralensis`, '@type': ['botany:PlantSpecies'], slug: 'glycyrrhiza-uralensis' },
+      NodeType.SPECIES
+    )
+    registry.registerNode(
+      TcmProfileNode.builder().slug('licorice').name({ en: 'Licorice' }).pinyin('Gān Cǎo')
+        .derivedFrom(`${GRAPH}/species/glycyrrhiza-uralensis#root`).build().toJSON(),
+      NodeType.TCM_PROFILE
+    )
+    preparation('licorice-root-slices', 'glycyrrhiza-uralensis', 'Licorice root slices')
+    preparation('kansui', 'euphorbia-kansui', 'Kansui')
+  })
+
+  it('should match ingredients by name, alias and group', () => {
+    expect(checker.resolveIngredient('Gān Cǎo').herbs).to.deep.equal(['gan-cao'])
+    expect(checker.resolveIngredient('甘草').herbs).to.deep.equal(['gan-cao'])
+    expect(checker.resolveIngredient('white-peony-root').herbs).to.deep.equal(['bai-shao', 'shao-yao'])
+    expect(checker.resolveIngredient('附子').herbs).to.deep.equal(['fu-zi', 'wu-tou'])
+    expect(checker.resolveIngredient('honey').herbs).to.deep.equal([])
+  })
+
+  it('should match preparations through the TCM profiles of their species', () => {
+    expect(checker.resolveIngredient('licorice-root-slices')).to.deep.equal({
+      ingredient: 'licorice-root-slices',
+      node: `${GRAPH}/preparation/licorice-root-slices`,
+      herbs: ['gan-cao'],
+    })
+  })
+
+  it('should report the eighteen incompatibilities and nineteen antagonisms', () => {
+    const report = checker.checkIngredients(['川貝母', 'fu zi', 'Ren Shen', 'Wu Ling Zhi', 'honey'])
+
+    const pairs = report.issues.filter(issue => issue.severity === 'error')
+    expect(pairs.map(issue => `${issue.type} ${issue.herbs.join('+')}`)).to.deep.equal([
+      'eighteen-incompatibilities wu-tou+bei-mu',
+      'nineteen-antagonisms ren-shen+wu-ling-zhi',
+    ])
+    expect(pairs[0].ingredients).to.deep.equal(['fu zi', '川貝母'])
+    expect(pairs[1].message).to.equal('人參 Rén Shēn and 五靈脂 Wǔ Líng Zhī must not be combined (十九畏, nineteen antagonisms)')
+    expect(report.unmatched).to.deep.equal(['honey'])
+  })
+
+  it('should report pregnancy and toxicity findings', () => {
+    const report = checker.checkIngredients(['Chuan Wu', 'xi xin', 'peach kernel'])
+
+    expect(report.issues.map(issue => `${issue.severity} ${issue.type} ${issue.level} ${issue.herbs[0]}`)).to.deep.equal([
+      'warning pregnancy forbidden chuan-wu',
+      'info pregnancy caution tao-ren',
+      'warning toxicity highly-toxic chuan-wu',
+      'info toxicity slightly-toxic xi-xin',
+    ])
+    expect(report.issues[2].message).to.equal('川烏 Chuān Wū is highly toxic (大毒)')
+  })
+
+  it('should not pair an ingredient with itself', () => {
+    expect(checker.checkIngredients(['ren-shen', 'ginseng']).issues).to.deep.equal([])
+  })
+
+  it('should check formula nodes', () => {
+    formula('gan-sui-ban-xia', 'licorice-root-slices', 'kansui')
+    formula('empty')
+
+    expect(checker.checkFormula('gan-sui-ban-xia').issues.map(issue => issue.type)).to.deep.equal([
+      'eighteen-incompatibilities',
+      'pregnancy',
+      'toxicity',
+    ])
+    expect(checker.checkFormula('empty')).to.deep.equal({
+      formula: `${GRAPH}/formula/empty`,
+      ingredients: [],
+      unmatched: [],
+      issues: [],
+    })
+    expect(() => checker.checkFormula('missing')).to.throw('Formula missing not found')
+  })
+
+  it('should reject malformed reference data', () => {
+    expect(() => new TcmFormulaChecker(registry).checkIngredients(['甘草'])).to.throw('No TCM formula safety data loaded')
+    expect(() => checker.loadSafety({
+      herbs: [{ herb: 'gan-cao' }],
+      incompatibilities: [{ kind: 'eighteen-incompatibilities', herbs: ['gan-cao', 'gan-sui'] }],
+    })).to.throw('Unknown herb gan-sui in incompatibility')
+    expect(() => checker.loadSafety({ herbs: [{ herb: 'gan-cao' }], toxicity: [{ herb: 'gan-cao', level: 'mild' }] }))
+      .to.throw('Unknown toxicity level mild for gan-cao')
+  })
+
+  it('should fail graph validation for formulas with forbidden pairs', async () => {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-formula-'))
+    const writeJson = (relPath: string, data: unknown) => {
+      fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+      fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+    }
+
+    try {
+      fs.mkdirSync(path.join(dataRoot, 'systems/tcm/reference'), { recursive: true })
+      fs.copyFileSync(SAFETY, path.join(dataRoot, 'systems/tcm/reference/formula-safety.jsonld'))
+      writeJson('entities/preparations/ren-shen/entity.jsonld', { name: { en: 'Ren Shen' } })
+      writeJson('entities/preparations/li-lu/entity.jsonld', { name: { en: 'Veratrum' } })
+      writeJson('entities/formulas/test-formula/entity.jsonld', {
+        name: { en: 'Test formula' },
+        hasIngredients: [
+          { ingredient: { '@id': 'https://www.herbapedia.org/entity/preparation/ren-shen' }, proportion: 60 },
+          { ingredient: { '@id': 'https://www.herbapedia.org/entity/preparation/li-lu' }, proportion: 40 },
+        ],
+      })
+
+      const result = await new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: true }).build()
+      expect(result.success).to.equal(false)
+      expect(result.errors.map(error => `${error.source}: ${error.message}`)).to.include(
+        `${GRAPH}/formula/test-formula: 藜蘆 Lí Lú and 人參 Rén Shēn must not be combined (十八反, eighteen incompatibilities)`
+      )
+    } finally {
+      fs.rmSync(dataRoot, { recursive: true, force: true })
+    }
+  })
+})
@@ -0,0 +1,41 @@
+/**
+ * Temporary data roots for loader and build tests
+ *
+ * Tests write a few source files into a fresh directory and build the graph
+ * from it, without validation and with the output next to the sources.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphBuilder, type GraphBuilderOptions } from '../../../src/graph/GraphBuilder.js'
+
+export class TestDataRoot {
+  /** Absolute path of the data root */
+  readonly dir: string
+
+  constructor(prefix = 'herbapedia-test-') {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+  }
+
+  /**
+   * Write a source file, optionally with a modification time
+   */
+  writeJson(relPath: string, data: unknown, mtime?: Date): void {
+    const filePath = path.join(this.dir, relPath)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, JSON.stringify(data))
+    if (mtime) fs.utimesSync(filePath, mtime, mtime)
+  }
+
+  /**
+   * A builder for the data root; options override the test defaults
+   */
+  builder(options: Partial<GraphBuilderOptions> = {}): GraphBuilder {
+    return new GraphBuilder({ dataRoot: this.dir, outputDir: this.dir, validate: false, ...options })
+  }
+
+  remove(): void {
+    fs.rmSync(this.dir, { recursive: true, force: true })
+  }
+}
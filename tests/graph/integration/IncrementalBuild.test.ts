@@ -0,0 +1,150 @@
+/**
+ * Integration Tests for incremental builds
+ *
+ * Builds a small data root, changes it, and rebuilds from the manifest.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { BuildManifest, MANIFEST_FILE } from '../../../src/graph/BuildManifest.js'
+import { JsonLdExporter } from '../../../src/graph/exporters/GraphExporter.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const BEFORE = new Date('2026-01-01T00:00:00Z')
+const SINCE = new Date('2026-02-01T00:00:00Z').getTime()
+const AFTER = new Date('2026-03-01T00:00:00Z')
+
+const GINSENG = 'https://www.herbapedia.org/graph/species/panax-ginseng'
+const GINGER = 'https://www.herbapedia.org/graph/species/zingiber-officinale'
+const REN_SHEN = 'https://www.herbapedia.org/graph/profile/tcm/ren-shen'
+
+let root: TestDataRoot
+let outputDir: string
+
+function writeSource(relPath: string, data: unknown, mtime = BEFORE): void {
+  root.writeJson(relPath, data, mtime)
+}
+
+function species(slug: string, scientificName: string): unknown {
+  return {
+    '@id': `https://www.herbapedia.org/entity/botanical/species/${slug}`,
+    '@type': ['botany:PlantSpecies'],
+    name: { en: scientificName },
+    scientificName,
+  }
+}
+
+function tcmProfile(pinyin: string): unknown {
+  return {
+    '@id': 'https://www.herbapedia.org/system/tcm/profile/ren-shen',
+    name: { en: 'Ginseng' },
+    pinyin,
+    derivedFromPlant: { '@id': 'https://www.herbapedia.org/entity/botanical/species/panax-ginseng' },
+  }
+}
+
+async function build(previousManifest?: BuildManifest) {
+  const builder = root.builder({
+    outputDir,
+    sinceTimestamp: previousManifest ? SINCE : 0,
+    previousManifest,
+  })
+  const result = await builder.build()
+  return { builder, result }
+}
+
+describe('Incremental builds', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-data-')
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-out-'))
+
+    writeSource('entities/botanical/species/panax-ginseng/entity.jsonld', species('panax-ginseng', 'Panax ginseng'))
+    writeSource('entities/botanical/species/zingiber-officinale/entity.jsonld', species('zingiber-officinale', 'Zingiber officinale'))
+    writeSource('systems/tcm/herbs/ren-shen/profile.jsonld', tcmProfile('rén shēn'))
+  })
+
+  afterEach(() => {
+    root.remove()
+    fs.rmSync(outputDir, { recursive: true, force: true })
+  })
+
+  it('should record source files and their nodes in the manifest', async () => {
+    const { builder, result } = await build()
+    const manifest = builder.getManifest()
+
+    expect(result.incremental).toBeUndefined()
+    expect(manifest.getFile('systems/tcm/herbs/ren-shen/profile.jsonld')?.nodes).to.deep.equal([REN_SHEN])
+    expect(manifest.getNode(REN_SHEN)?.refs).to.deep.equal([{ iri: GINSENG, resolved: true }])
+  })
+
+  it('should round-trip the manifest through disk', async () => {
+    const { builder } = await build()
+    const manifestPath = path.join(outputDir, MANIFEST_FILE)
+    builder.getManifest().save(manifestPath)
+
+    const loaded = BuildManifest.load(manifestPath)
+    expect(loaded?.listFiles()).to.have.members(builder.getManifest().listFiles())
+    expect(BuildManifest.load(path.join(outputDir, 'missing.json'))).to.equal(null)
+  })
+
+  it('should reuse unchanged files', async () => {
+    const first = await build()
+    const { builder, result } = await build(first.builder.getManifest())
+
+    expect(result.incremental?.changedFiles).to.deep.equal([])
+    expect(result.incremental?.reusedFiles).to.equal(3)
+    expect(result.stats.totalNodes).to.equal(first.result.stats.totalNodes)
+    expect(builder.getRegistry().resolver.getOutgoingReferences(REN_SHEN)).to.deep.equal([GINSENG])
+  })
+
+  it('should treat touched files with identical content as unchanged', async () => {
+    const first = await build()
+    writeSource('entities/botanical/species/zingiber-officinale/entity.jsonld', species('zingiber-officinale', 'Zingiber officinale'), AFTER)
+
+    const { result } = await build(first.builder.getManifest())
+    expect(result.incremental?.changedFiles).to.deep.equal([])
+    expect(result.incremental?.reusedFiles).to.equal(3)
+  })
+
+  it('should re-transform changed files', async () => {
+    const first = await build()
+    writeSource('systems/tcm/herbs/ren-shen/profile.jsonld', tcmProfile('ren shen'), AFTER)
+
+    const { builder, result } = await build(first.builder.getManifest())
+    expect(result.incremental?.changedFiles).to.deep.equal(['systems/tcm/herbs/ren-shen/profile.jsonld'])
+    expect(result.incremental?.reusedFiles).to.equal(2)
+    expect(builder.getRegistry().getNode(REN_SHEN)?.pinyin).to.equal('ren shen')
+  })
+
+  it('should drop nodes of deleted files and re-resolve references to them', async () => {
+    const first = await build()
+    fs.rmSync(path.join(root.dir, 'entities/botanical/species/panax-ginseng'), { recursive: true })
+
+    const { builder, result } = await build(first.builder.getManifest())
+    const registry = builder.getRegistry()
+
+    expect(result.incremental?.removedFiles).to.deep.equal(['entities/botanical/species/panax-ginseng/entity.jsonld'])
+    expect(result.incremental?.removedNodes).to.deep.equal([GINSENG])
+    expect(registry.hasNode(GINSENG)).to.equal(false)
+    expect(registry.hasNode(GINGER)).to.equal(true)
+    expect(registry.resolver.getUnresolvedReferences()).to.include(GINSENG)
+    expect(builder.getManifest().getNode(REN_SHEN)?.refs).to.deep.equal([{ iri: GINSENG, resolved: false }])
+  })
+
+  it('should delete the node files of removed nodes', async () => {
+    const first = await build()
+    await new JsonLdExporter(first.builder.getRegistry(), outputDir).export()
+    const nodeFile = path.join(outputDir, 'node/species/panax-ginseng.jsonld')
+    expect(fs.existsSync(nodeFile)).to.equal(true)
+
+    fs.rmSync(path.join(root.dir, 'entities/botanical/species/panax-ginseng'), { recursive: true })
+    const { builder, result } = await build(first.builder.getManifest())
+
+    const removed = new JsonLdExporter(builder.getRegistry(), outputDir).removeNodes(result.incremental!.removedNodes)
+    expect(removed).to.equal(1)
+    expect(fs.existsSync(nodeFile)).to.equal(false)
+  })
+})
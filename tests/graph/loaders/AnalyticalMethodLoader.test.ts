@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for the analytical-method loader
+ *
+ * Loads extracted chemical-analysis datasets from a small data root and
+ * queries them through GraphQuery.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'vitest'
+import { expect } from 'vitest'
+import { GraphQuery } from '../../../src/graph/api/GraphQuery.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const GRAPH = 'https://www.herbapedia.org/graph/'
+
+let root: TestDataRoot
+
+function species(slug: string, scientificName: string): void {
+  root.writeJson(`entities/botanical/species/${slug}/entity.jsonld`, {
+    '@id': `https://www.herbapedia.org/entity/botanical/species/${slug}`,
+    '@type': ['botany:PlantSpecies'],
+    name: { en: scientificName },
+    scientificName,
+  })
+}
+
+function dataset(slug: string, data: Record<string, unknown>): void {
+  root.writeJson(`media/extracted/chemical/chem-${slug}.jsonld`, {
+    '@id': `media/extracted/chemical/${slug}`,
+    '@type': ['herbapedia:ChemicalAnalysisData', 'schema:Dataset'],
+    sourceDocument: `CHEM_${slug}.pdf`,
+    ...data,
+  })
+}
+
+async function build() {
+  const builder = root.builder()
+  const result = await builder.build()
+  return { result, query: new GraphQuery(builder.getRegistry()) }
+}
+
+describe('Analytical method loader', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-analysis-')
+
+    species('albizia-julibrissin', 'Albizia julibrissin Durazz.')
+    species('rheum-palmatum', 'Rheum palmatum')
+    species('rheum-officinale', 'Rheum officinale')
+    root.writeJson('entities/botanical/chemicals/quercitrin/entity.jsonld', {
+      '@type': ['herbapedia:Chemical'],
+      name: { en: 'Quercitrin' },
+    })
+
+    dataset('albiziae-flos', {
+      scientificName: 'Albizia julibrissin',
+      chineseName: '合歡花',
+      pinyinName: 'He Huan Hua',
+      identificationMethod: ['TLC', 'HPLC-Fingerprint', 'HPLC-Assay'],
+      referenceCompounds: [{ name: 'Quercitrin', formula: 'C₂₁H₂₀O₁₁', purpose: ['Assay quantification'] }],
+      assayLimits: { quercitrin: { compound: 'Quercitrin', minimumContent: '1.0%', basis: 'dried substance' } },
+      hplcAssay: { systemSuitability: { resolution: '≥ 1.5' } },
+      rrtValues: [{ peak: 1, rrt: 0.82 }],
+    })
+    dataset('radix-rhizoma-rhei', {
+      scientificName: 'Rheum palmatum L., Rheum tanguticum Maxim. ex Balf., Rheum officinale Baill.',
+      identificationMethod: ['TLC', 'HPLC-Assay'],
+      assayLimits: {
+        totalAnthraquinones: { compounds: ['Emodin', 'Rhein'], minimumContent: 'Not less than 0.5%' },
+        polydatin: { compound: 'Polydatin', minimumContent: 'Calculated from calibration curve' },
+        note: 'No further requirements',
+      },
+    })
+    dataset('descurainiae-lepidii-semen', {
+      herbs: [
+        { latinName: 'Descurainiae Semen', scientificName: 'Descurainia sophia', identificationMethod: ['TLC'] },
+        { latinName: 'Lepidii Semen', scientificName: 'Lepidium apetalum', tlcMethod: { plate: 'silica gel' } },
+      ],
+    })
+  })
+
+  afterEach(() => {
+    root.remove()
+  })
+
+  it('should load one node per dataset and per herb monograph', async () => {
+    const { result, query } = await build()
+
+    expect(result.errors).to.deep.equal([])
+    expect(result.stats.byType.analyticalMethods).to.equal(4)
+    expect(query.getAnalyticalMethod('lepidii-semen')?.technique).to.deep.equal(['TLC'])
+    expect(query.getAnalyticalMethod('descurainiae-semen')?.sourceDocument).to.equal('CHEM_descurainiae-lepidii-semen.pdf')
+  })
+
+  it('should link species by binomial and chemicals by compound name', async () => {
+    const { query } = await build()
+    const albizia = query.getAnalyticalMethod('albiziae-flos')!
+
+    expect(albizia['@id']).to.equal(`${GRAPH}analytical-method/albiziae-flos`)
+    expect(albizia.name).to.deep.equal({ en: 'He Huan Hua', 'zh-Hant': '合歡花' })
+    expect(albizia.analyzesSpecies).to.deep.equal([{ '@id': `${GRAPH}species/albizia-julibrissin` }])
+    expect(albizia.analyzesCompound).to.deep.equal([{ '@id': `${GRAPH}chemical/quercitrin` }])
+    expect(albizia.referenceCompound?.[0].chemical).to.deep.equal({ '@id': `${GRAPH}chemical/quercitrin` })
+    expect(albizia.hplcAssay).to.deep.equal({ systemSuitability: { resolution: '≥ 1.5' } })
+
+    expect(query.getAnalyticalMethod('radix-rhizoma-rhei')?.analyzesSpecies).to.deep.equal([
+      { '@id': `${GRAPH}species/rheum-palmatum` },
+      { '@id': `${GRAPH}species/rheum-officinale` },
+    ])
+  })
+
+  it('should parse assay limits to percentages', async () => {
+    const { query } = await build()
+
+    expect(query.getAnalyticalMethod('albiziae-flos')?.assayLimit).to.deep.equal([{
+      key: 'quercitrin',
+      compound: 'Quercitrin',
+      minimumContent: 1.0,
+      basis: 'dried substance',
+      chemical: { '@id': `${GRAPH}chemical/quercitrin` },
+    }])
+    expect(query.getAnalyticalMethod('radix-rhizoma-rhei')?.assayLimit).to.deep.equal([
+      { key: 'totalAnthraquinones', compounds: ['Emodin', 'Rhein'], minimumContent: 0.5 },
+      { key: 'polydatin', compound: 'Polydatin', requirement: 'Calculated from calibration curve' },
+    ])
+  })
+
+  it('should find methods by technique, compound and minimum content', async () => {
+    const { query } = await build()
+    const slugs = (criteria: Parameters<GraphQuery['findAnalyticalMethods']>[0]) =>
+      query.findAnalyticalMethods(criteria).map(method => method.slug)
+
+    expect(slugs({ technique: 'HPLC-Assay', compound: 'quercitrin', minimumContent: 1.0 })).to.deep.equal(['albiziae-flos'])
+    expect(slugs({ compound: 'quercitrin', minimumContent: 1.5 })).to.deep.equal([])
+    expect(slugs({ compound: 'rhein' })).to.deep.equal(['radix-rhizoma-rhei'])
+    expect(slugs({ technique: 'tlc' })).to.have.length(4)
+    expect(query.findAnalyticalMethodsForSpecies('rheum-officinale').map(m => m.slug)).to.deep.equal(['radix-rhizoma-rhei'])
+  })
+})
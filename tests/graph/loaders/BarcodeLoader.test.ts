@@ -0,0 +1,141 @@
+/**
+ * Unit Tests for the DNA barcode loaders
+ *
+ * Loads curated barcodes and extracted DNA reference datasets from a small
+ * data root, and checks that both end up in the same barcode nodes.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'vitest'
+import { expect } from 'vitest'
+import { GraphQuery } from '../../../src/graph/api/GraphQuery.js'
+import type { BuildManifest } from '../../../src/graph/BuildManifest.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const GRAPH = 'https://www.herbapedia.org/graph/'
+const CURATED = 'entities/botanical/barcodes/ginseng/entity.jsonld'
+const DATASET = 'media/extracted/dna/dna-panax-ginseng.jsonld'
+
+let root: TestDataRoot
+
+function dataset(slug: string, scientificName: unknown, loci: unknown[], mtime?: Date): void {
+  root.writeJson(`media/extracted/dna/dna-${slug}.jsonld`, {
+    '@id': `media/extracted/dna/${slug}`,
+    '@type': ['herbapedia:DNASequenceData', 'schema:Dataset'],
+    sourceDocument: 'GCMTI FS:2020-1',
+    scientificName,
+    loci,
+    specimen: { gcmtiCode: 'GA0000010a00', totalSpecimens: 2 },
+  }, mtime)
+}
+
+function ginsengDataset(its2: string, mtime?: Date): void {
+  dataset('panax-ginseng', { full: 'Panax ginseng C.A.Mey.', genus: 'Panax', species: 'ginseng' }, [
+    { name: 'ITS2', sequenceLength: its2.length, consensusSequence: its2, specimenCount: 2, specimens: ['RD88-A', 'RD89-A'] },
+    { name: 'psbA-trnH', sequenceLength: 8, consensusSequence: 'ATAACTTC', specimenCount: 2, specimens: ['RD88-A', 'RD89-A'] },
+  ], mtime)
+}
+
+async function build(previousManifest?: BuildManifest) {
+  const builder = root.builder({
+    previousManifest,
+    sinceTimestamp: previousManifest ? new Date('2026-02-01T00:00:00Z').getTime() : 0,
+  })
+  const result = await builder.build()
+  return { builder, result, query: new GraphQuery(builder.getRegistry()) }
+}
+
+describe('Barcode loaders', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-barcode-')
+    const before = new Date('2026-01-01T00:00:00Z')
+
+    root.writeJson('entities/botanical/species/panax-ginseng/entity.jsonld', {
+      '@id': 'https://www.herbapedia.org/entity/botanical/species/panax-ginseng',
+      '@type': ['botany:PlantSpecies'],
+      name: { en: 'Ginseng' },
+      scientificName: 'Panax ginseng C.A. Meyer',
+    }, before)
+    root.writeJson(CURATED, {
+      '@id': 'https://www.herbapedia.org/entity/botanical/barcode/ginseng',
+      '@type': ['botany:DNABarcode', 'schema:Dataset'],
+      name: { en: 'Ginseng DNA Barcode' },
+      barcodes: { '@id': 'https://www.herbapedia.org/entity/botanical/species/panax-ginseng' },
+      sequence: [
+        { region: 'rbcL', sequence: 'ATGTCACCA', length: '9', genbankAccession: 'NC_006290' },
+        { region: 'ITS2', sequence: 'CGATCGATA', length: '9', genbankAccession: 'AY722267' },
+      ],
+    }, before)
+    ginsengDataset('CGCATCGCG', before)
+    dataset('pulsatilla-chinensis', 'Pulsatilla chinensis', [{
+      name: 'ITS2',
+      sequences: [
+        { specimenId: 'RD576-1A', sequence: 'CACACAGCG' },
+        { specimenId: 'RD577-1B', sequence: 'CACACTGCG' },
+        { specimenId: 'RD476-1A', sequence: 'CACACTGCG' },
+      ],
+    }], before)
+  })
+
+  afterEach(() => {
+    root.remove()
+  })
+
+  it('should register curated barcodes linked to their species', async () => {
+    const { result, query } = await build()
+    const barcode = query.getBarcode('ginseng')!
+
+    expect(result.errors).to.deep.equal([])
+    expect(barcode['@id']).to.equal(`${GRAPH}barcode/ginseng`)
+    expect(barcode.barcodes).to.deep.equal({ '@id': `${GRAPH}species/panax-ginseng` })
+    expect(barcode.sequence[0]).to.deep.equal({
+      region: 'rbcL',
+      sequence: 'ATGTCACCA',
+      length: 9,
+      genbankAccession: 'NC_006290',
+      source: CURATED,
+    })
+  })
+
+  it('should merge extracted datasets into the barcode node of their species', async () => {
+    const { result, query } = await build()
+
+    expect(result.stats.byType.barcodes).to.equal(2)
+    expect(query.getBarcodesForSpecies('panax-ginseng').map(b => b.slug)).to.deep.equal(['ginseng'])
+    expect(query.getBarcode('ginseng')?.gcmtiCode).to.equal('GA0000010a00')
+    expect(query.getBarcodeRegion('panax-ginseng', 'ITS2').map(s => [s.sequence, s.source])).to.deep.equal([
+      ['CGATCGATA', CURATED],
+      ['CGCATCGCG', DATASET],
+    ])
+    expect(query.getBarcodeRegion('panax-ginseng', 'psbA-trnH')[0]).to.deep.equal({
+      region: 'psbA-trnH',
+      sequence: 'ATAACTTC',
+      length: 8,
+      specimens: ['RD88-A', 'RD89-A'],
+      specimenCount: 2,
+      source: DATASET,
+      sourceDocument: 'GCMTI FS:2020-1',
+    })
+  })
+
+  it('should keep datasets without a known species as barcode nodes of their own', async () => {
+    const { query } = await build()
+    const pulsatilla = query.getBarcode('pulsatilla-chinensis')!
+
+    expect(pulsatilla.name).to.deep.equal({ en: 'Pulsatilla chinensis DNA Barcode' })
+    expect(pulsatilla.barcodes).toBeUndefined()
+    expect(pulsatilla.sequence[0].sequence).to.equal('CACACTGCG')
+    expect(pulsatilla.sequence[0].specimens).to.deep.equal(['RD576-1A', 'RD577-1B', 'RD476-1A'])
+  })
+
+  it('should merge again in incremental builds', async () => {
+    const first = await build()
+    ginsengDataset('CGCATTTTG', new Date('2026-03-01T00:00:00Z'))
+
+    const { result, query } = await build(first.builder.getManifest())
+    expect(result.incremental?.changedFiles).to.deep.equal([DATASET])
+    expect(query.getBarcodeRegion('panax-ginseng', 'ITS2').map(s => s.sequence)).to.deep.equal([
+      'CGATCGATA',
+      'CGCATTTTG',
+    ])
+  })
+})
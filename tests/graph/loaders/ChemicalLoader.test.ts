@@ -0,0 +1,128 @@
+/**
+ * Unit Tests for the chemical loaders
+ *
+ * Loads chemical entities and the reference compound list from a small data
+ * root, and checks that both end up in the same chemical nodes.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { GraphQuery } from '../../../src/graph/api/GraphQuery.js'
+import type { ChemicalNode } from '../../../src/graph/types.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const COMPOUNDS = path.resolve(__dirname, '../../../reference/chemicals/compounds.jsonld')
+
+let root: TestDataRoot
+
+async function build() {
+  const builder = root.builder()
+  const result = await builder.build()
+  return { result, query: new GraphQuery(builder.getRegistry()) }
+}
+
+describe('Chemical loaders', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-chemical-')
+
+    root.writeJson('entities/botanical/chemicals/curcumin/entity.jsonld', {
+      '@id': 'https://www.herbapedia.org/entity/botanical/chemical/curcumin',
+      '@type': ['herbapedia:ChemicalCompound'],
+      name: { en: 'Curcumin' },
+      molecularFormula: 'C21H20O6',
+      casNumber: '458-37-7',
+    })
+    root.writeJson('reference/chemicals/compounds.jsonld', {
+      '@context': '../schema/context/core.jsonld',
+      '@graph': [
+        {
+          '@id': 'chemical/curcumin',
+          '@type': 'herbapedia:ChemicalCompound',
+          prefLabel: { en: 'Curcumin (reference)' },
+          formula: 'C21H22O6',
+          inchiKey: 'VFLDPWHFBUODDF-FCXRPNKRSA-N',
+        },
+        {
+          '@id': 'chemical/berberine',
+          '@type': 'herbapedia:ChemicalCompound',
+          prefLabel: { en: 'Berberine', 'zh-Hant': '小檗鹼' },
+          formula: 'C₂₀H₁₈NO₄⁺',
+        },
+        {
+          '@id': 'chemical/resveratrol',
+          '@type': 'herbapedia:ChemicalCompound',
+          prefLabel: { en: 'Resveratrol' },
+        },
+        {
+          '@id': 'chemical/alkaloids',
+          '@type': 'herbapedia:ChemicalClass',
+          prefLabel: { en: 'Alkaloids' },
+        },
+      ],
+    })
+  })
+
+  afterEach(() => {
+    root.remove()
+  })
+
+  it('should create chemical nodes for reference compounds without an entity', async () => {
+    const { result, query } = await build()
+
+    expect(result.errors).to.deep.equal([])
+    expect(result.stats.byType.chemicals).to.equal(3)
+    const berberine = query.getChemical('berberine') as ChemicalNode
+    expect(berberine.name).to.deep.equal({ en: 'Berberine', 'zh-Hant': '小檗鹼' })
+    expect(berberine.formula).to.equal('C20H18NO4')
+    expect(query.getChemical('resveratrol')).toBeDefined()
+    expect(query.getChemical('alkaloids')).toBeUndefined()
+  })
+
+  it('should only fill in identifiers that the entity lacks', async () => {
+    const { query } = await build()
+
+    const curcumin = query.getChemical('curcumin') as ChemicalNode
+    expect(curcumin.name).to.deep.equal({ en: 'Curcumin' })
+    expect(curcumin.formula).to.equal('C21H20O6')
+    expect(curcumin.casNumber).to.equal('458-37-7')
+    expect(curcumin.inchiKey).to.equal('VFLDPWHFBUODDF-FCXRPNKRSA-N')
+  })
+
+  it('should search entity and reference compounds together', async () => {
+    const { query } = await build()
+
+    const hits = query.findChemicalsByMassRange(330, 370, { contains: ['N'] })
+    expect(hits.map(chemical => chemical.slug)).to.deep.equal(['berberine'])
+    expect(query.findChemicalsByFormula('C21H20O6').map(chemical => chemical.slug)).to.deep.equal(['curcumin'])
+  })
+
+})
+
+describe('Reference compound list', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-compounds-')
+    root.writeJson('reference/chemicals/compounds.jsonld', JSON.parse(fs.readFileSync(COMPOUNDS, 'utf-8')))
+  })
+
+  afterEach(() => {
+    root.remove()
+  })
+
+  it('should give every compound a structure and skip compound classes', async () => {
+    const { result, query } = await build()
+
+    expect(result.warnings).to.deep.equal([])
+    expect(query.findChemicalsByElements({ contains: ['N'] }).map(chemical => chemical.slug)).to.deep.equal(['berberine'])
+    expect(query.findChemicalsByFormula('C14H12O3').map(chemical => chemical.slug)).to.deep.equal(['resveratrol'])
+    expect((query.getChemical('berberine') as ChemicalNode).formula).to.equal('C20H18NO4')
+    for (const slug of ['curcumin', 'gingerol', 'resveratrol', 'berberine']) {
+      const chemical = query.getChemical(slug) as ChemicalNode
+      expect(chemical.smiles, slug).toBeDefined()
+      expect(chemical.casNumber, slug).toBeDefined()
+    }
+    expect(query.getChemical('alkaloids')).toBeUndefined()
+    expect(query.getChemical('essential-oils')).toBeUndefined()
+  })
+})
@@ -0,0 +1,217 @@
+/**
+ * Unit Tests for NodeLoader plugins
+ *
+ * Tests the loader registry, source discovery, and running a plugin
+ * loader for a new medical system through GraphBuilder.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import {
+  NodeLoaderRegistry,
+  findLoaderSources,
+  matchesTypes,
+  type NodeLoader,
+} from '../../../src/graph/loaders/NodeLoader.js'
+import { JsonLdExporter } from '../../../src/graph/exporters/GraphExporter.js'
+import { generateIRI, parseIRI, type NodeTypeValue } from '../../../src/graph/types.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const KAMPO_BASE = 'https://www.herbapedia.org/graph/profile/kampo/'
+
+function loader(name: string, dependsOn?: string[]): NodeLoader {
+  return {
+    name,
+    nodeType: name,
+    iriPattern: slug => `https://www.herbapedia.org/graph/${name}/${slug}`,
+    sources: [],
+    dependsOn,
+    transform: () => null,
+  }
+}
+
+const kampoLoader: NodeLoader = {
+  name: 'kampo-profile',
+  nodeType: 'kampo-profile',
+  iriPattern: slug => `${KAMPO_BASE}${slug}`,
+  sources: ['systems/kampo/herbs/*/profile.jsonld'],
+  types: ['kampo:Herb'],
+  dependsOn: ['species'],
+  transform: (data, ctx) => ({
+    '@context': 'https://www.herbapedia.org/schema/context/kampo.jsonld',
+    '@id': ctx.iri(ctx.slug),
+    '@type': ['kampo:Herb'],
+    name: data.name as Record<string, string>,
+    derivedFrom: { '@id': ctx.resolveRef(data.derivedFromPlant, 'species')! },
+  }),
+}
+
+let root: TestDataRoot
+
+describe('NodeLoader', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-loader-')
+  })
+
+  afterEach(() => {
+    root.remove()
+  })
+
+  describe('NodeLoaderRegistry', () => {
+    it('should order loaders by dependency, then registration order', () => {
+      const registry = new NodeLoaderRegistry()
+      registry.register(loader('profile', ['species']))
+      registry.register(loader('species'))
+      registry.register(loader('chemical'))
+
+      expect(registry.ordered().map(l => l.name)).to.deep.equal(['species', 'profile', 'chemical'])
+    })
+
+    it('should reject duplicate names', () => {
+      const registry = new NodeLoaderRegistry()
+      registry.register(loader('species'))
+      expect(() => registry.register(loader('species'))).to.throw('already registered')
+    })
+
+    it('should reject unknown dependencies and cycles', () => {
+      const unknown = new NodeLoaderRegistry()
+      unknown.register(loader('profile', ['missing']))
+      expect(() => unknown.ordered()).to.throw('unknown loader: missing')
+
+      const cycle = new NodeLoaderRegistry()
+      cycle.register(loader('a', ['b']))
+      cycle.register(loader('b', ['a']))
+      expect(() => cycle.ordered()).to.throw('cycle')
+    })
+  })
+
+  describe('findLoaderSources', () => {
+    it('should take the slug from the last wildcard segment', () => {
+      root.writeJson('systems/kampo/herbs/ninjin/profile.jsonld', {})
+      root.writeJson('systems/kampo/vocab/taste/bitter.jsonld', {})
+
+      expect(findLoaderSources(root.dir, ['systems/kampo/herbs/*/profile.jsonld'])).to.deep.equal([
+        { slug: 'ninjin', filePath: path.join(root.dir, 'systems/kampo/herbs/ninjin/profile.jsonld') },
+      ])
+      expect(findLoaderSources(root.dir, ['systems/kampo/vocab/taste/*.jsonld'])[0].slug).to.equal('bitter')
+    })
+
+    it('should let earlier globs win on slug clashes', () => {
+      root.writeJson('systems/kampo/herbs/ninjin/profile.jsonld', {})
+      root.writeJson('profiles/kampo/ninjin/profile.jsonld', {})
+      root.writeJson('profiles/kampo/kanzo/profile.jsonld', {})
+
+      const files = findLoaderSources(root.dir, [
+        'systems/kampo/herbs/*/profile.jsonld',
+        'profiles/kampo/*/profile.jsonld',
+      ])
+      expect(files.map(f => path.relative(root.dir, f.filePath))).to.deep.equal([
+        'systems/kampo/herbs/ninjin/profile.jsonld',
+        'profiles/kampo/kanzo/profile.jsonld',
+      ])
+    })
+
+    it('should ignore missing directories', () => {
+      expect(findLoaderSources(root.dir, ['systems/none/*/profile.jsonld'])).to.deep.equal([])
+    })
+  })
+
+  describe('matchesTypes', () => {
+    it('should match strings, patterns and predicates', () => {
+      const data = { '@type': ['kampo:Herb', 'schema:Thing'] }
+      expect(matchesTypes(data, ['kampo:Herb'])).to.equal(true)
+      expect(matchesTypes(data, [/^kampo:/])).to.equal(true)
+      expect(matchesTypes(data, ['tcm:Herb'])).to.equal(false)
+      expect(matchesTypes({ '@type': 'kampo:Herb' }, types => types.length === 1)).to.equal(true)
+    })
+  })
+
+  describe('GraphBuilder plugins', () => {
+    beforeEach(() => {
+      root.writeJson('entities/botanical/species/panax-ginseng/entity.jsonld', {
+        '@id': 'https://www.herbapedia.org/entity/botanical/species/panax-ginseng',
+        '@type': ['botany:PlantSpecies'],
+        name: { en: 'Ginseng' },
+        scientificName: 'Panax ginseng',
+      })
+      root.writeJson('systems/kampo/herbs/ninjin/profile.jsonld', {
+        '@type': ['kampo:Herb'],
+        name: { ja: '人参' },
+        derivedFromPlant: { '@id': 'https://www.herbapedia.org/entity/botanical/species/panax-ginseng' },
+      })
+      root.writeJson('systems/kampo/herbs/notes/profile.jsonld', { '@type': ['kampo:Note'] })
+    })
+
+    it('should load a new medical system without changing the builder', async () => {
+      const builder = root.builder()
+      builder.registerLoader(kampoLoader)
+
+      const result = await builder.build()
+      const registry = builder.getRegistry()
+      const iri = `${KAMPO_BASE}ninjin`
+
+      expect(result.errors).to.deep.equal([])
+      expect(result.stats.byType['kampo-profile']).to.equal(1)
+      expect(registry.getNodeType(iri)).to.equal('kampo-profile')
+      expect(registry.getNode(iri)?.derivedFrom).to.deep.equal({
+        '@id': 'https://www.herbapedia.org/graph/species/panax-ginseng',
+      })
+      expect(registry.resolver.getUnresolvedReferences()).to.deep.equal([])
+    })
+
+    it('should register the node type and its IRI pattern', () => {
+      root.builder().registerLoader(kampoLoader)
+
+      expect(generateIRI('kampo-profile' as NodeTypeValue, 'kanzo')).to.equal(`${KAMPO_BASE}kanzo`)
+      expect(parseIRI(`${KAMPO_BASE}kanzo`).nodeType).to.equal('kampo-profile')
+    })
+
+    it('should export plugin nodes by IRI path', async () => {
+      const outputDir = path.join(root.dir, 'out')
+      const builder = root.builder({ outputDir })
+      builder.registerLoader(kampoLoader)
+      await builder.build()
+
+      await new JsonLdExporter(builder.getRegistry(), outputDir).export()
+      expect(fs.existsSync(path.join(outputDir, 'node/profile/kampo/ninjin.jsonld'))).to.equal(true)
+    })
+
+    it('should keep the file reads of all loaders within one concurrency limit', async () => {
+      for (let i = 0; i < 6; i++) {
+        root.writeJson(`systems/tcm/herbs/herb-${i}/profile.jsonld`, { name: { en: `Herb ${i}` } })
+        root.writeJson(`systems/ayurveda/dravyas/dravya-${i}/profile.jsonld`, { name: { en: `Dravya ${i}` } })
+      }
+      const builder = root.builder({ concurrency: 2 })
+
+      // Count the reads in flight across all loaders
+      const reader = builder as unknown as { readSourceFile: (...args: unknown[]) => Promise<unknown> }
+      const readSourceFile = reader.readSourceFile.bind(builder)
+      let active = 0
+      let peak = 0
+      reader.readSourceFile = async (...args) => {
+        active++
+        peak = Math.max(peak, active)
+        try {
+          return await readSourceFile(...args)
+        } finally {
+          active--
+        }
+      }
+
+      const result = await builder.build()
+      expect(result.stats.byType['profiles:tcm']).to.equal(6)
+      expect(result.stats.byType['profiles:ayurveda']).to.equal(6)
+      expect(peak).to.equal(2)
+    })
+
+    it('should list built-in loaders in build order', () => {
+      const builder = root.builder()
+      const names = builder.getLoaders().ordered().map(l => l.name)
+
+      expect(names.slice(0, 2)).to.deep.equal(['species', 'part'])
+      expect(names.indexOf('formula')).to.be.greaterThan(names.indexOf('preparation'))
+    })
+  })
+})
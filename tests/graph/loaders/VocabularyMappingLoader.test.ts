@@ -0,0 +1,131 @@
+/**
+ * Unit Tests for the vocabulary mappings
+ *
+ * Loads TCM flavors, Ayurveda rasas and a mapping file from a small data
+ * root, and follows the SKOS mapping links from one system to the others.
+ */
+
+import { describe, it, beforeEach, afterEach } from 'vitest'
+import { expect } from 'vitest'
+import { GraphTraversal } from '../../../src/graph/api/GraphTraversal.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const VOCAB = 'https://www.herbapedia.org/graph/vocab'
+
+let root: TestDataRoot
+
+async function build() {
+  const builder = root.builder()
+  const result = await builder.build()
+  return { result, registry: builder.getRegistry(), traversal: new GraphTraversal(builder.getRegistry()) }
+}
+
+describe('Vocabulary mappings', () => {
+  beforeEach(() => {
+    root = new TestDataRoot('herbapedia-mapping-')
+
+    root.writeJson('systems/tcm/flavors.jsonld', {
+      '@graph': [
+        { '@id': 'https://www.herbapedia.org/system/tcm/flavor/acrid', flavorValue: 'acrid', prefLabel: { en: 'Acrid' } },
+        { '@id': 'https://www.herbapedia.org/system/tcm/flavor/sweet', flavorValue: 'sweet', prefLabel: { en: 'Sweet' } },
+      ],
+    })
+    root.writeJson('systems/tcm/reference/natures.jsonld', {
+      members: [{ '@id': 'https://www.herbapedia.org/system/tcm/nature/warm', name: { en: 'Warm' } }],
+    })
+    root.writeJson('systems/ayurveda/rasas.jsonld', {
+      '@graph': [{ '@id': 'https://www.herbapedia.org/entity/rasa/katu', rasaValue: 'pungent', prefLabel: { en: 'Pungent' } }],
+    })
+    root.writeJson('systems/ayurveda/viryas.jsonld', {
+      '@graph': [{ '@id': 'https://www.herbapedia.org/entity/virya/ushna', viryaValue: 'heating', prefLabel: { en: 'Heating' } }],
+    })
+    root.writeJson('systems/vocabulary-mappings.jsonld', {
+      members: [
+        {
+          exactMatch: [
+            { '@id': 'https://www.herbapedia.org/system/tcm/flavor/acrid' },
+            { '@id': 'https://www.herbapedia.org/system/ayurveda/profile/rasa/pungent' },
+            { '@id': 'https://www.herbapedia.org/system/mongolian/profile/taste/pungent' },
+          ],
+        },
+        {
+          closeMatch: [
+            { '@id': 'https://www.herbapedia.org/system/tcm/nature/warm' },
+            { '@id': 'https://www.herbapedia.org/system/ayurveda/profile/virya/heating' },
+          ],
+        },
+      ],
+    })
+
+    root.writeJson('systems/tcm/herbs/gan-jiang/profile.jsonld', {
+      name: { en: 'Dried ginger' },
+      hasNature: { '@id': 'https://www.herbapedia.org/system/tcm/nature/warm' },
+      hasFlavor: [{ '@id': 'https://www.herbapedia.org/system/tcm/flavor/acrid' }],
+    })
+    root.writeJson('systems/tcm/herbs/gan-cao/profile.jsonld', {
+      name: { en: 'Licorice' },
+      hasFlavor: [{ '@id': 'https://www.herbapedia.org/system/tcm/flavor/sweet' }],
+    })
+    root.writeJson('systems/ayurveda/dravyas/pippali/profile.jsonld', {
+      name: { en: 'Long pepper' },
+      hasRasa: [{ '@id': 'https://www.herbapedia.org/system/ayurveda/profile/rasa/pungent' }],
+      hasVirya: { '@id': 'https://www.herbapedia.org/system/ayurveda/profile/virya/heating' },
+    })
+    root.writeJson('systems/mongolian/herbs/gaa/profile.jsonld', {
+      name: { en: 'Ginger' },
+      hasTaste: [{ '@id': 'https://www.herbapedia.org/system/mongolian/profile/taste/pungent' }],
+    })
+  })
+
+  afterEach(() => {
+    root.remove()
+  })
+
+  it('should link the terms of a member in both directions', async () => {
+    const { result, registry } = await build()
+
+    expect(result.errors).to.deep.equal([])
+    expect(registry.getNode(`${VOCAB}/tcm/flavor/acrid`)).to.deep.include({
+      exactMatch: [{ '@id': `${VOCAB}/ayurveda/rasa/pungent` }, { '@id': `${VOCAB}/mongolian/taste/pungent` }],
+    })
+    expect(registry.getNode(`${VOCAB}/ayurveda/virya/heating`)).to.deep.include({
+      closeMatch: [{ '@id': `${VOCAB}/tcm/nature/warm` }],
+    })
+    expect((registry.getNode(`${VOCAB}/tcm/flavor/sweet`) as { exactMatch?: unknown }).exactMatch).toBeUndefined()
+  })
+
+  it('should find the profiles of every system for a concept', async () => {
+    const { traversal } = await build()
+
+    const slugs = (nodes: Array<{ slug?: string }>) => nodes.map(node => node.slug).sort()
+    expect(slugs(traversal.getProfilesForConcept(`${VOCAB}/ayurveda/rasa/pungent`))).to.deep.equal(['gaa', 'gan-jiang', 'pippali'])
+    // The Mongolian taste has no vocabulary node, but its profiles are still found
+    expect(traversal.getMatchingConcepts(`${VOCAB}/tcm/flavor/acrid`).map(node => node['@id'])).to.deep.equal([
+      `${VOCAB}/ayurveda/rasa/pungent`,
+    ])
+  })
+
+  it('should only follow closeMatch links when asked', async () => {
+    const { traversal } = await build()
+
+    const warm = `${VOCAB}/tcm/nature/warm`
+    expect(traversal.getProfilesForConcept(warm).map(node => node['@id'])).to.deep.equal([
+      'https://www.herbapedia.org/graph/profile/tcm/gan-jiang',
+    ])
+    expect(traversal.getProfilesForConcept(warm, { closeMatch: true })).to.have.length(2)
+    expect(traversal.getMatchingConcepts(warm, { closeMatch: true }).map(node => node['@id'])).to.deep.equal([
+      `${VOCAB}/ayurveda/virya/heating`,
+    ])
+  })
+
+  it('should warn about terms that are not vocabulary IRIs', async () => {
+    root.writeJson('systems/vocabulary-mappings.jsonld', {
+      members: [{ exactMatch: [{ '@id': 'https://www.herbapedia.org/graph/species/ginger' }] }],
+    })
+
+    const { result } = await build()
+    expect(result.warnings.map(warning => warning.message)).to.include(
+      'Mapping term https://www.herbapedia.org/graph/species/ginger is not a vocabulary IRI'
+    )
+  })
+})
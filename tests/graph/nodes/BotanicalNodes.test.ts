@@ -231,6 +231,15 @@ describe('ChemicalNode', () => {
       expect(node.inchiKey).to.equal('RBKQYMVQJHRZBK-UHFFFAOYSA-N')
       expect(node.pubchemId).to.equal('9898276')
     })
+
+    it('should normalize formulas to ASCII Hill notation', () => {
+      const build = (formula: string) => ChemicalNode.builder().slug('test').formula(formula).build().formula
+
+      expect(build('C₂₁H₂₀O₁₁')).to.equal('C21H20O11')
+      expect(build('CH3COOH')).to.equal('C2H4O2')
+      expect(build('NaCl')).to.equal('ClNa')
+      expect(build('Variable (polymer)')).to.equal('Variable (polymer)')
+    })
   })
 
   describe('ChemicalNode', () => {
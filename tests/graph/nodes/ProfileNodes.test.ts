@@ -1,7 +1,8 @@
 /**
  * Unit Tests for Profile Node Classes
  *
- * Tests TcmProfileNode, AyurvedaProfileNode, WesternProfileNode, and VocabularyNode.
+ * Tests TcmProfileNode, AyurvedaProfileNode, WesternProfileNode, UnaniProfileNode,
+ * MongolianProfileNode, ModernProfileNode, and VocabularyNode.
  */
 
 import { describe, it, expect } from 'vitest'
@@ -12,6 +13,9 @@ import {
   AyurvedaProfileNodeBuilder,
   WesternProfileNode,
   WesternProfileNodeBuilder,
+  UnaniProfileNode,
+  MongolianProfileNode,
+  ModernProfileNode,
 } from '../../../src/graph/nodes/ProfileNodes.js'
 
 describe('TcmProfileNode', () => {
@@ -100,8 +104,9 @@ describe('AyurvedaProfileNode', () => {
         .slug('ashwagandha')
         .name({ en: 'Ashwagandha' })
         .derivedFrom('https://test.org/species/1')
-        .addDosha('https://www.herbapedia.org/graph/vocab/ayurveda/dosha/vata')
-        .addDosha('https://www.herbapedia.org/graph/vocab/ayurveda/dosha/kapha')
+        .affectsDosha('vata', 'decreases')
+        .affectsDosha('kapha', 'decreases')
+        .affectsDosha('pitta', 'increases', 'In excess')
         .addRasa('https://www.herbapedia.org/graph/vocab/ayurveda/rasa/bitter')
         .addRasa('https://www.herbapedia.org/graph/vocab/ayurveda/rasa/astringent')
         .addGuna('https://www.herbapedia.org/graph/vocab/ayurveda/guna/light')
@@ -109,7 +114,11 @@ describe('AyurvedaProfileNode', () => {
         .hasVipaka('https://www.herbapedia.org/graph/vocab/ayurveda/vipaka/pungent')
         .build()
 
-      expect(node.affectsDosha).to.have.lengthOf(2)
+      expect(node.affectsDosha).to.deep.equal({
+        vata: { effect: 'decreases' },
+        kapha: { effect: 'decreases' },
+        pitta: { effect: 'increases', notes: 'In excess' },
+      })
       expect(node.hasRasa).to.have.lengthOf(2)
       expect(node.hasGuna).to.have.lengthOf(1)
       expect(node.hasVirya).to.exist
@@ -197,6 +206,151 @@ describe('WesternProfileNode', () => {
   })
 })
 
+describe('UnaniProfileNode', () => {
+  describe('UnaniProfileNodeBuilder', () => {
+    it('should build a Unani profile with required fields', () => {
+      const node = UnaniProfileNode.builder()
+        .slug('zanjabil')
+        .name({ en: 'Ginger', fa: 'زنجبیل' })
+        .unaniName('زنجبیل')
+        .arabicName('زنجبيل')
+        .derivedFrom('https://www.herbapedia.org/graph/species/zingiber-officinale')
+        .build()
+
+      expect(node.slug).to.equal('zanjabil')
+      expect(node.unaniName).to.equal('زنجبیل')
+      expect(node['@id']).to.include('/profile/unani/zanjabil')
+    })
+
+    it('should build with temperament, degree and elements', () => {
+      const node = UnaniProfileNode.builder()
+        .slug('zanjabil')
+        .name({ en: 'Ginger' })
+        .hasTemperament('https://www.herbapedia.org/system/unani/profile/temperament/hot-dry')
+        .temperamentDegree(3)
+        .addElement('https://www.herbapedia.org/system/unani/profile/element/fire')
+        .addCorrective('Sekanjabin (oxymel)')
+        .build()
+
+      expect(node.hasTemperament?.['@id']).to.include('/temperament/hot-dry')
+      expect(node.temperamentDegree).to.equal(3)
+      expect(node.hasElement).to.have.lengthOf(1)
+      expect(node.corrective).to.deep.equal(['Sekanjabin (oxymel)'])
+    })
+
+    it('should omit empty collections', () => {
+      const node = UnaniProfileNode.builder().slug('zanjabil').name({ en: 'Ginger' }).build()
+
+      expect(node.hasElement).toBeUndefined()
+      expect(node.corrective).toBeUndefined()
+    })
+  })
+
+  describe('UnaniProfileNode', () => {
+    it('should have correct type', () => {
+      const node = UnaniProfileNode.builder().slug('zanjabil').name({ en: 'Ginger' }).build()
+
+      expect(node['@type']).to.include('unani:Drug')
+    })
+  })
+})
+
+describe('MongolianProfileNode', () => {
+  describe('MongolianProfileNodeBuilder', () => {
+    it('should build a Mongolian profile with Tibetan names', () => {
+      const node = MongolianProfileNode.builder()
+        .slug('gaa')
+        .name({ en: 'Ginger', mn: 'га' })
+        .mongolianName('га')
+        .tibetanName('སྐྱུ་རུ་')
+        .tibetanWylie('skyur ru')
+        .build()
+
+      expect(node.tibetanName).to.equal('སྐྱུ་རུ་')
+      expect(node.tibetanWylie).to.equal('skyur ru')
+      expect(node['@id']).to.include('/profile/mongolian/gaa')
+    })
+
+    it('should build with roots, tastes and potencies', () => {
+      const node = MongolianProfileNode.builder()
+        .slug('gaa')
+        .name({ en: 'Ginger' })
+        .affectsRoot('heyi', 'decreases')
+        .affectsRoot('xila', 'increases')
+        .addTaste('https://www.herbapedia.org/system/mongolian/profile/taste/pungent')
+        .addPotency('https://www.herbapedia.org/system/mongolian/profile/potency/hot')
+        .addPotency('https://www.herbapedia.org/system/mongolian/profile/potency/light')
+        .addElement('https://www.herbapedia.org/system/mongolian/profile/element/fire')
+        .build()
+
+      expect(node.affectsRoots).to.deep.equal({
+        heyi: { effect: 'decreases' },
+        xila: { effect: 'increases' },
+      })
+      expect(node.hasTaste).to.have.lengthOf(1)
+      expect(node.hasPotency).to.have.lengthOf(2)
+      expect(node.hasElement).to.have.lengthOf(1)
+    })
+  })
+
+  describe('MongolianProfileNode', () => {
+    it('should have correct type', () => {
+      const node = MongolianProfileNode.builder().slug('gaa').name({ en: 'Ginger' }).build()
+
+      expect(node['@type']).to.include('mongolian:Drug')
+    })
+  })
+})
+
+describe('ModernProfileNode', () => {
+  describe('ModernProfileNodeBuilder', () => {
+    it('should build a modern profile linked to its source', () => {
+      const node = ModernProfileNode.builder()
+        .slug('calcium')
+        .name({ en: 'Calcium' })
+        .derivedFromSource('https://www.herbapedia.org/graph/species/calcium')
+        .fdaStatus('GRAS')
+        .addRegulatoryCategory('Dietary Supplement')
+        .build()
+
+      expect(node['@id']).to.include('/profile/modern/calcium')
+      expect(node.derivedFromSource?.['@id']).to.include('/species/calcium')
+      expect(node.fdaStatus).to.equal('GRAS')
+      expect(node.regulatoryCategory).to.deep.equal(['Dietary Supplement'])
+    })
+
+    it('should build with dosing and safety fields', () => {
+      const node = ModernProfileNode.builder()
+        .slug('vitamin-a')
+        .name({ en: 'Vitamin A' })
+        .rda({ unit: 'mcg', adult: { male: '900', female: '700' } })
+        .ul({ unit: 'mcg', adult: '3000' })
+        .pregnancyCategory('X')
+        .addDrugInteraction({ drug: 'Isotretinoin', type: 'major' })
+        .build()
+
+      expect(node.rda).to.deep.equal({ unit: 'mcg', adult: { male: '900', female: '700' } })
+      expect(node.ul?.adult).to.equal('3000')
+      expect(node.pregnancyCategory).to.equal('X')
+      expect(node.drugInteraction).to.have.lengthOf(1)
+      expect(node.indication).toBeUndefined()
+    })
+
+    it('should require a slug', () => {
+      expect(() => ModernProfileNode.builder().name({ en: 'Calcium' }).build())
+        .to.throw('Modern profile slug is required')
+    })
+  })
+
+  describe('ModernProfileNode', () => {
+    it('should have correct type', () => {
+      const node = ModernProfileNode.builder().slug('calcium').name({ en: 'Calcium' }).build()
+
+      expect(node['@type']).to.include('modern:Substance')
+    })
+  })
+})
+
 // Skip VocabularyNode tests - need implementation updates
 describe.skip('VocabularyNode', () => {
   // TODO: Update tests to match actual VocabularyNode implementation
@@ -0,0 +1,121 @@
+/**
+ * Unit Tests for IRIResolver
+ *
+ * Tests mapping of source IRI namespaces to canonical graph IRIs.
+ */
+
+import { describe, it } from 'vitest'
+import { expect } from 'vitest'
+import { IRIResolver } from '../../../src/graph/registry/IRIResolver.js'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { GraphQuery } from '../../../src/graph/api/GraphQuery.js'
+import { NodeType } from '../../../src/graph/types.js'
+import { IRI_NAMESPACES } from '../../../types/core.js'
+import { sampleSpeciesNode } from '../fixtures/testGraph.js'
+
+const BASE = 'https://www.herbapedia.org/'
+
+describe('IRIResolver', () => {
+  describe('resolve', () => {
+    it('should map entity IRIs to graph IRIs', () => {
+      const resolver = new IRIResolver()
+      expect(resolver.resolve(`${BASE}entity/botanical/species/panax-ginseng`)).to.deep.equal({
+        iri: `${BASE}graph/species/panax-ginseng`,
+        nodeType: NodeType.SPECIES,
+        identifier: 'panax-ginseng',
+      })
+      expect(resolver.resolve(`${BASE}entity/botanical/part/ginseng-root`)?.nodeType).to.equal(NodeType.PART)
+      expect(resolver.resolve(`${BASE}entity/preparation/ginseng-tea`)?.iri)
+        .to.equal(`${BASE}graph/preparation/ginseng-tea`)
+    })
+
+    it('should map both profile schemes to the same graph IRI', () => {
+      const resolver = new IRIResolver()
+      const expected = `${BASE}graph/profile/tcm/ginseng`
+      expect(resolver.resolve(`${BASE}system/tcm/profile/ginseng`)?.iri).to.equal(expected)
+      expect(resolver.resolve(`${BASE}entity/profile/tcm/ginseng`)?.iri).to.equal(expected)
+      expect(resolver.resolve(`${BASE}system/tcm/profile/ginseng`)?.nodeType).to.equal(NodeType.TCM_PROFILE)
+    })
+
+    it('should map vocabulary namespaces', () => {
+      const resolver = new IRIResolver()
+      expect(resolver.resolve(`${BASE}system/tcm/flavor/sweet`)?.nodeType).to.equal(NodeType.TCM_FLAVOR)
+      expect(resolver.resolve(`${BASE}reference/tcm/flavor/sweet`)?.iri)
+        .to.equal(`${BASE}graph/vocab/tcm/flavor/sweet`)
+      expect(resolver.resolve(`${BASE}entity/guna/guru`)?.nodeType).to.equal(NodeType.AYURVEDA_GUNA)
+      expect(resolver.resolve(`${BASE}system/mongolian/profile/taste/sweet`)?.iri)
+        .to.equal(`${BASE}graph/vocab/mongolian/taste/sweet`)
+    })
+
+    it('should leave node type empty for namespaces without graph nodes', () => {
+      const resolved = new IRIResolver().resolve(`${BASE}system/persian/temperament/hot-dry`)
+      expect(resolved?.iri).to.equal(`${BASE}graph/vocab/persian/temperament/hot-dry`)
+      expect(resolved?.nodeType).to.equal(null)
+    })
+
+    it('should type system vocabulary IRIs', () => {
+      const resolved = new IRIResolver().resolve(`${BASE}system/western/action/sedative`)
+      expect(resolved?.iri).to.equal(`${BASE}graph/vocab/western/action/sedative`)
+      expect(resolved?.nodeType).to.equal('western-action')
+    })
+
+    it('should keep slugs from different namespaces apart', () => {
+      const resolver = new IRIResolver()
+      const species = resolver.resolve(`${BASE}entity/botanical/species/ginseng-root`)
+      const part = resolver.resolve(`${BASE}entity/botanical/part/ginseng-root`)
+      expect(species?.iri).not.to.equal(part?.iri)
+    })
+
+    it('should resolve relative entity IRIs', () => {
+      expect(new IRIResolver().resolve('botanical/species/zingiber-officinale')?.iri)
+        .to.equal(`${BASE}graph/species/zingiber-officinale`)
+    })
+
+    it('should resolve every namespace in IRI_NAMESPACES', () => {
+      const resolver = new IRIResolver()
+      for (const namespace of Object.values(IRI_NAMESPACES)) {
+        const resolved = resolver.resolve(`${namespace}/example`)
+        expect(resolved?.iri, namespace).to.match(/^https:\/\/www\.herbapedia\.org\/graph\/.+\/example$/)
+      }
+    })
+
+    it('should return null for foreign IRIs', () => {
+      const resolver = new IRIResolver()
+      expect(resolver.resolve('http://www.wikidata.org/entity/Q192163')).to.equal(null)
+      expect(resolver.canonicalize('http://www.wikidata.org/entity/Q192163'))
+        .to.equal('http://www.wikidata.org/entity/Q192163')
+    })
+  })
+
+  describe('aliases', () => {
+    it('should prefer registered aliases over namespace rules', () => {
+      const resolver = new IRIResolver()
+      resolver.addAlias(`${BASE}entity/botanical/species/ginseng`, `${BASE}graph/species/panax-ginseng`)
+      expect(resolver.canonicalize(`${BASE}entity/botanical/species/ginseng`))
+        .to.equal(`${BASE}graph/species/panax-ginseng`)
+      expect(resolver.getAliases(`${BASE}graph/species/panax-ginseng`))
+        .to.deep.equal([`${BASE}entity/botanical/species/ginseng`])
+    })
+  })
+
+  describe('GraphRegistry integration', () => {
+    it('should look up nodes by source IRI', () => {
+      const registry = new GraphRegistry()
+      registry.registerNode(sampleSpeciesNode, NodeType.SPECIES)
+      const query = new GraphQuery(registry)
+
+      const node = query.getByIRI(`${BASE}entity/botanical/species/panax-ginseng`)
+      expect(node?.['@id']).to.equal(sampleSpeciesNode['@id'])
+      expect(query.exists(`${BASE}entity/botanical/species/panax-ginseng`)).to.be.true
+    })
+
+    it('should keep the original source IRI as an alias', () => {
+      const registry = new GraphRegistry()
+      const sourceIRI = `${BASE}entity/botanical/species/ginseng`
+      registry.registerNode(sampleSpeciesNode, NodeType.SPECIES, sourceIRI)
+
+      expect(registry.getNode(sourceIRI)?.['@id']).to.equal(sampleSpeciesNode['@id'])
+      expect(registry.iris.getAliases(sampleSpeciesNode['@id'])).to.deep.equal([sourceIRI])
+    })
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for chemistry helpers
+ */
+
+import { describe, it } from 'vitest'
+import { expect } from 'vitest'
+import {
+  FormulaParseError,
+  parseFormula,
+  toHillFormula,
+  normalizeFormula,
+  molecularWeight,
+  monoisotopicMass,
+  isValidCasNumber,
+  isValidInchiKey,
+  inchiFormula,
+} from '../../../src/graph/utils/chemistry.js'
+
+describe('parseFormula', () => {
+  it('should parse ASCII and Unicode subscript formulas', () => {
+    expect(parseFormula('C21H20O6')).to.deep.equal({ C: 21, H: 20, O: 6 })
+    expect(parseFormula('C₂₁H₂₀O₁₁')).to.deep.equal({ C: 21, H: 20, O: 11 })
+  })
+
+  it('should expand groups, hydrates and multipliers', () => {
+    expect(parseFormula('Ca(OH)2')).to.deep.equal({ Ca: 1, O: 2, H: 2 })
+    expect(parseFormula('K4[Fe(CN)6]')).to.deep.equal({ K: 4, Fe: 1, C: 6, N: 6 })
+    expect(parseFormula('CuSO4·5H2O')).to.deep.equal({ Cu: 1, S: 1, O: 9, H: 10 })
+    expect(parseFormula('2C2H4O2.H2O')).to.deep.equal({ C: 4, H: 10, O: 5 })
+  })
+
+  it('should ignore a trailing charge', () => {
+    expect(parseFormula('C5H5N+')).to.deep.equal({ C: 5, H: 5, N: 1 })
+  })
+
+  it('should reject unknown elements and malformed formulas', () => {
+    expect(() => parseFormula('Xx2')).to.throw(FormulaParseError, 'Unknown element "Xx"')
+    expect(() => parseFormula('C54H92O24 (Rb1 example)')).to.throw(FormulaParseError)
+    expect(() => parseFormula('C2H(')).to.throw('Unclosed "("')
+    expect(() => parseFormula('')).to.throw('Empty formula')
+  })
+})
+
+describe('toHillFormula', () => {
+  it('should order C, H, then alphabetical', () => {
+    expect(toHillFormula({ O: 2, H: 4, C: 2 })).to.equal('C2H4O2')
+    expect(toHillFormula({ N: 1, Br: 1, C: 6, H: 4, Cl: 1 })).to.equal('C6H4BrClN')
+  })
+
+  it('should order everything alphabetically without carbon', () => {
+    expect(normalizeFormula('H2SO4')).to.equal('H2O4S')
+    expect(normalizeFormula('NaCl')).to.equal('ClNa')
+  })
+})
+
+describe('molecularWeight', () => {
+  it('should compute average molecular weights', () => {
+    expect(molecularWeight('C21H20O6')).to.be.closeTo(368.38, 0.01)
+    expect(molecularWeight('H2O')).to.be.closeTo(18.015, 0.001)
+    expect(molecularWeight({ C: 17, H: 26, O: 4 })).to.be.closeTo(294.39, 0.01)
+  })
+})
+
+describe('monoisotopicMass', () => {
+  it('should compute monoisotopic masses', () => {
+    expect(monoisotopicMass('C21H20O6')).to.be.closeTo(368.1260, 0.0001)
+    expect(monoisotopicMass('H2O')).to.be.closeTo(18.0106, 0.0001)
+    expect(monoisotopicMass({ C: 20, H: 18, N: 1, O: 4 })).to.be.closeTo(336.1236, 0.0001)
+  })
+
+  it('should use the most abundant isotope of bromine', () => {
+    expect(monoisotopicMass('CH3Br')).to.be.closeTo(93.9418, 0.0001)
+  })
+
+  it('should be undefined for elements without a monoisotopic mass', () => {
+    expect(monoisotopicMass('UO2')).toBeUndefined()
+  })
+})
+
+describe('identifier checks', () => {
+  it('should verify CAS check digits', () => {
+    expect(isValidCasNumber('458-37-7')).to.equal(true)
+    expect(isValidCasNumber('7732-18-5')).to.equal(true)
+    expect(isValidCasNumber('458-37-8')).to.equal(false)
+    expect(isValidCasNumber('45837-7')).to.equal(false)
+  })
+
+  it('should check the InChIKey format', () => {
+    expect(isValidInchiKey('LFLJHXIJSUQFPF-FQGREHNESA-N')).to.equal(true)
+    expect(isValidInchiKey('UQHOUQHOUQHOU-UQHOUQHOUQH-OUQHOUQHO')).to.equal(false)
+    expect(isValidInchiKey('lfljhxijsuqfpf-fqgrehnesa-n')).to.equal(false)
+  })
+
+  it('should extract the InChI formula layer', () => {
+    expect(inchiFormula('InChI=1S/C21H20O6/c1-26-17-9-3-13')).to.equal('C21H20O6')
+    expect(inchiFormula('C21H20O6')).toBeUndefined()
+  })
+})
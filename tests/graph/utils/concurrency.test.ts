@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for bounded concurrency helpers
+ */
+
+import { describe, it } from 'vitest'
+import { expect } from 'vitest'
+import { mapConcurrent, createLimiter } from '../../../src/graph/utils/concurrency.js'
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('mapConcurrent', () => {
+  it('should return results in input order', async () => {
+    const results = await mapConcurrent([30, 5, 20, 0], 4, async ms => {
+      await delay(ms)
+      return ms
+    })
+    expect(results).to.deep.equal([30, 5, 20, 0])
+  })
+
+  it('should never exceed the concurrency limit', async () => {
+    let active = 0
+    let peak = 0
+
+    await mapConcurrent(Array.from({ length: 20 }, (_, i) => i), 3, async i => {
+      active++
+      peak = Math.max(peak, active)
+      await delay(i % 4)
+      active--
+    })
+
+    expect(peak).to.equal(3)
+  })
+
+  it('should treat a non-positive limit as 1', async () => {
+    let active = 0
+    let peak = 0
+
+    await mapConcurrent([1, 2, 3], 0, async () => {
+      active++
+      peak = Math.max(peak, active)
+      await delay(1)
+      active--
+    })
+
+    expect(peak).to.equal(1)
+  })
+
+  it('should handle an empty list', async () => {
+    expect(await mapConcurrent([], 10, async x => x)).to.deep.equal([])
+  })
+
+  it('should reject with the first error and stop taking items', async () => {
+    const started: number[] = []
+    const run = mapConcurrent([0, 1, 2, 3, 4], 1, async i => {
+      started.push(i)
+      if (i === 1) throw new Error('boom')
+      return i
+    })
+
+    await expect(run).rejects.toThrow('boom')
+    expect(started).to.deep.equal([0, 1])
+  })
+})
+
+describe('createLimiter', () => {
+  it('should keep the calls of all callers within one limit', async () => {
+    const limit = createLimiter(2)
+    let active = 0
+    let peak = 0
+    const task = (ms: number) => limit(async () => {
+      active++
+      peak = Math.max(peak, active)
+      await delay(ms)
+      active--
+      return ms
+    })
+
+    const results = await Promise.all([
+      Promise.all([3, 1, 2].map(task)),
+      Promise.all([2, 0, 1].map(task)),
+    ])
+
+    expect(results).to.deep.equal([[3, 1, 2], [2, 0, 1]])
+    expect(peak).to.equal(2)
+  })
+
+  it('should start calls in the order they were made', async () => {
+    const limit = createLimiter(1)
+    const started: number[] = []
+
+    await Promise.all([0, 1, 2, 3].map(i => limit(async () => {
+      started.push(i)
+      await delay(3 - i)
+    })))
+
+    expect(started).to.deep.equal([0, 1, 2, 3])
+  })
+
+  it('should pass on rejections and free the slot', async () => {
+    const limit = createLimiter(1)
+
+    await expect(limit(async () => { throw new Error('boom') })).rejects.toThrow('boom')
+    expect(await limit(async () => 'next')).to.equal('next')
+  })
+})
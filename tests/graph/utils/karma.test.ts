@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for KarmaNormalizer
+ *
+ * Matches the free-text karma strings of dravyas, including IAST in the
+ * legacy 8-bit font encoding, to the karma vocabulary.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
+import { KarmaNormalizer, decodeLegacyIast, karmaKey } from '../../../src/graph/utils/karma.js'
+import { ShaclValidator } from '../../../src/graph/validators/ShaclValidator.js'
+import { NodeType } from '../../../src/graph/types.js'
+import { AyurvedaProfileNode } from '../../../src/graph/nodes/ProfileNodes.js'
+
+const REFERENCE = path.resolve(__dirname, '../../../systems/ayurveda/reference')
+const SHAPES = path.resolve(__dirname, '../../../schema/shapes')
+const KARMA = 'https://www.herbapedia.org/graph/vocab/ayurveda/karma'
+
+describe('KarmaNormalizer', () => {
+  let registry: GraphRegistry
+  let normalizer: KarmaNormalizer
+
+  function karma(value: string, label: string) {
+    registry.registerNode(
+      { '@id': `${KARMA}/${value}`, '@type': ['skos:Concept'], value, prefLabel: { en: label } },
+      NodeType.AYURVEDA_KARMA
+    )
+  }
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    normalizer = new KarmaNormalizer(registry)
+
+    karma('dipana', 'Dipana')
+    karma('hrudya', 'Hrudya')
+    karma('vatahara', 'Vatahara')
+    karma('pittahara', 'Pittahara')
+    karma('shleshmahara', 'Shleshmahara')
+    karma('kusthaghna', 'Kusthaghna')
+  })
+
+  it('should decode the legacy IAST encoding and fold strings to keys', () => {
+    expect(decodeLegacyIast('D¢pana')).to.equal('Dīpana')
+    expect(decodeLegacyIast('ViÀaghna')).to.equal('Viṣaghna')
+    expect(karmaKey('varnya (improves complexion)')).to.equal('varnya')
+    expect(karmaKey('Kuṣṭhaghna.')).to.equal('kusthahara')
+    expect(karmaKey('K¤minut')).to.equal('krmihara')
+    expect(karmaKey('Vraṇāpaha')).to.equal('vranahara')
+  })
+
+  it('should match values, labels and synonyms', () => {
+    expect(normalizer.normalize('D¢pana').karmas).to.deep.equal([`${KARMA}/dipana`])
+    expect(normalizer.normalize('dipana (kindles digestive fire)').karmas).to.deep.equal([`${KARMA}/dipana`])
+    expect(normalizer.normalize('Hṛdya.').karmas).to.deep.equal([`${KARMA}/hrudya`])
+    expect(normalizer.normalize('Kuṣṭhajit').karmas).to.deep.equal([`${KARMA}/kusthaghna`])
+    expect(normalizer.normalize('Kaphanāśaka').karmas).to.deep.equal([`${KARMA}/shleshmahara`])
+    expect(normalizer.normalize('Carminative')).to.deep.equal({
+      text: 'Carminative',
+      decoded: 'Carminative',
+      key: 'carminative',
+      karmas: [],
+    })
+  })
+
+  it('should split dosha compounds into the karma of each dosha', () => {
+    expect(normalizer.normalize('Kaphav¡tahara').karmas).to.deep.equal([`${KARMA}/shleshmahara`, `${KARMA}/vatahara`])
+    expect(normalizer.normalize('Vātakaphāpaha').karmas).to.deep.equal([`${KARMA}/vatahara`, `${KARMA}/shleshmahara`])
+    expect(normalizer.normalize('TridoÀahara').karmas).to.deep.equal([
+      `${KARMA}/vatahara`,
+      `${KARMA}/pittahara`,
+      `${KARMA}/shleshmahara`,
+    ])
+    expect(normalizer.normalize('Raktadoṣahara').karmas).to.deep.equal([])
+  })
+
+  it('should report the unmatched strings of all dravyas by key', () => {
+    for (const [slug, karmas] of [
+      ['vidanga', ['K¤mighna', 'D¢pana']],
+      ['nimba', ['K¤minut', 'ViÀaghna', 'Pittahara']],
+      ['triphala', []],
+    ] as const) {
+      const builder = AyurvedaProfileNode.builder().slug(slug).name({ en: slug })
+      for (const text of karmas) builder.addKarma(text)
+      registry.registerNode(builder.build().toJSON(), NodeType.AYURVEDA_PROFILE)
+    }
+
+    expect(normalizer.normalizeDravya('vidanga').map(match => match.karmas.length)).to.deep.equal([0, 1])
+    expect(() => normalizer.normalizeDravya('missing')).to.throw('Ayurveda profile missing not found')
+
+    expect(normalizer.report()).to.deep.equal({
+      dravyas: 2,
+      total: 5,
+      matched: 2,
+      unmatched: [
+        { key: 'krmihara', count: 2, texts: ['Kṛmighna', 'Kṛminut'], dravyas: ['vidanga', 'nimba'] },
+        { key: 'visahara', count: 1, texts: ['Viṣaghna'], dravyas: ['nimba'] },
+      ],
+    })
+  })
+
+  it('should load the Ayurveda reference vocabularies and link karma when building the graph', async () => {
+    const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-karma-'))
+    const writeJson = (relPath: string, data: unknown) => {
+      fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+      fs.writeFileSync(path.join(dataRoot, relPath), JSON.stringify(data))
+    }
+
+    try {
+      fs.mkdirSync(path.join(dataRoot, 'systems/ayurveda/reference'), { recursive: true })
+      for (const file of ['karmas.jsonld', 'mahabhutas.jsonld', 'prabhavas.jsonld', 'categories.jsonld']) {
+        fs.copyFileSync(path.join(REFERENCE, file), path.join(dataRoot, 'systems/ayurveda/reference', file))
+      }
+      writeJson('entities/botanical/species/zingiber-officinale/entity.jsonld', {
+        '@id': 'https://www.herbapedia.org/entity/botanical/species/zingiber-officinale',
+        '@type': ['botany:PlantSpecies'],
+        name: { en: 'Zingiber officinale' },
+      })
+      writeJson('systems/ayurveda/dravyas/nagara/profile.jsonld', {
+        name: { en: 'Dry ginger' },
+        derivedFrom: { '@id': 'https://www.herbapedia.org/graph/species/zingiber-officinale' },
+        karma: [{ '@id': 'https://www.herbapedia.org/system/ayurveda/karma/pachana' }, 'Kaphav¡tahara', 'Vamana'],
+        mahabhuta: [{ '@id': 'https://www.herbapedia.org/system/ayurveda/mahabhuta/agni' }],
+        hasPrabhava: { '@id': 'https://www.herbapedia.org/system/ayurveda/profile/prabhava/anulomana' },
+        ayurvedaCategory: { '@id': 'https://www.herbapedia.org/system/ayurveda/profile/category/dipaniya' },
+      })
+
+      const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: false })
+      await builder.build()
+      const built = builder.getRegistry()
+
+      expect(built.vocabulary.ayurveda.karmas.count).to.equal(17)
+      expect(built.vocabulary.ayurveda.mahabhutas.count).to.equal(5)
+      expect(built.vocabulary.ayurveda.prabhavas.count).to.equal(10)
+      expect(built.vocabulary.ayurveda.categories.count).to.equal(10)
+      expect(built.getNode(`${KARMA}/dipana`)).to.deep.include({
+        slug: 'dipana',
+        vocabularyType: 'karma',
+        value: 'dipana',
+        prefLabel: { en: 'Dipana', sa: 'दीपन' },
+        description: { en: 'Kindles digestive fire (Agni), promotes digestion.' },
+      })
+
+      const vocab = 'https://www.herbapedia.org/graph/vocab/ayurveda'
+      const nagara = built.profiles.ayurveda.getBySlug('nagara') as AyurvedaProfileNode
+      expect(nagara.karma).to.deep.equal(['Kaphav¡tahara', 'Vamana'])
+      expect(nagara.hasKarma).to.deep.equal([
+        { '@id': `${KARMA}/pachana` },
+        { '@id': `${KARMA}/shleshmahara` },
+        { '@id': `${KARMA}/vatahara` },
+      ])
+      expect(nagara.hasMahabhuta).to.deep.equal([{ '@id': `${vocab}/mahabhuta/agni` }])
+      expect(nagara.hasPrabhava).to.deep.equal({ '@id': `${vocab}/prabhava/anulomana` })
+      expect(nagara.ayurvedaCategory).to.deep.equal({ '@id': `${vocab}/category/dipaniya` })
+      expect(nagara.derivedFrom).to.deep.equal({ '@id': 'https://www.herbapedia.org/graph/species/zingiber-officinale' })
+
+      const shapes = new ShaclValidator(built, SHAPES).validate()
+      expect(shapes.issues.filter(issue => issue.severity === 'error' && issue.nodeIri.includes('/vocab/'))).to.deep.equal([])
+      expect(shapes.issues.map(issue => issue.message)).not.to.include(
+        'Ayurveda Dravya must reference exactly one plant (ayurveda:derivedFromPlant)'
+      )
+      expect(built.resolver.getUnresolvedReferences()).to.deep.equal([])
+    } finally {
+      fs.rmSync(dataRoot, { recursive: true, force: true })
+    }
+  })
+})
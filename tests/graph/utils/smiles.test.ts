@@ -0,0 +1,93 @@
+/**
+ * Unit Tests for SMILES parsing, fingerprints and substructure matching
+ */
+
+import { describe, it } from 'vitest'
+import { expect } from 'vitest'
+import {
+  SmilesParseError,
+  parseSmiles,
+  moleculeFormula,
+  morganFingerprint,
+  tanimoto,
+  hasSubstructure,
+} from '../../../src/graph/utils/smiles.js'
+import { toHillFormula } from '../../../src/graph/utils/chemistry.js'
+
+const CURCUMIN = 'COc1cc(/C=C/C(=O)CC(=O)/C=C/c2ccc(O)c(OC)c2)ccc1O'
+const CAFFEIC_ACID = 'OC(=O)/C=C/c1ccc(O)c(O)c1'
+
+const formula = (smiles: string) => toHillFormula(moleculeFormula(parseSmiles(smiles)))
+const similarity = (a: string, b: string) => tanimoto(morganFingerprint(parseSmiles(a)), morganFingerprint(parseSmiles(b)))
+
+describe('parseSmiles', () => {
+  it('should build the molecular graph with implicit hydrogens', () => {
+    const ethanol = parseSmiles('CCO')
+    expect(ethanol.atoms.map(atom => atom.hydrogens)).to.deep.equal([3, 2, 1])
+    expect(ethanol.bonds).to.have.length(2)
+    expect(formula(CURCUMIN)).to.equal('C21H20O6')
+    expect(formula('OC[C@H]1OC(O)[C@H](O)[C@@H](O)[C@@H]1O')).to.equal('C6H12O6')
+  })
+
+  it('should read bracket atoms, charges and disconnected components', () => {
+    const salt = parseSmiles('[NH4+].[Cl-]')
+    expect(salt.atoms.map(atom => [atom.element, atom.hydrogens, atom.charge])).to.deep.equal([['N', 4, 1], ['Cl', 0, -1]])
+    expect(salt.bonds).to.deep.equal([])
+    expect(formula('c1cc[nH]c1')).to.equal('C4H5N')
+    expect(formula('[13CH3]C(=O)O')).to.equal('C2H4O2')
+  })
+
+  it('should perceive aromaticity of rings written in Kekulé form', () => {
+    for (const kekule of ['C1=CC=CC=C1', 'C1=CC=C2C=CC=CC2=C1', 'C1=CNC=C1', 'C1=CC=NC=C1']) {
+      expect(parseSmiles(kekule).atoms.every(atom => atom.aromatic), kekule).to.equal(true)
+    }
+    expect(parseSmiles('C1=CCC=C1').atoms.some(atom => atom.aromatic)).to.equal(false)
+    expect(parseSmiles('O=C1C=CC(=O)C=C1').atoms.some(atom => atom.aromatic)).to.equal(false)
+  })
+
+  it('should reject malformed SMILES', () => {
+    expect(() => parseSmiles('C1CC')).to.throw(SmilesParseError, 'Unclosed ring 1')
+    expect(() => parseSmiles('C(C')).to.throw('Unclosed "("')
+    expect(() => parseSmiles('CC)')).to.throw('Unbalanced ")"')
+    expect(() => parseSmiles('[Xx]')).to.throw('Invalid bracket atom "[Xx]"')
+    expect(() => parseSmiles('C==C')).to.throw('Two bond symbols in a row')
+    expect(() => parseSmiles('')).to.throw('Empty SMILES')
+  })
+})
+
+describe('morganFingerprint', () => {
+  it('should give identical fingerprints for aromatic and Kekulé spellings', () => {
+    expect(similarity('Oc1ccccc1', 'OC1=CC=CC=C1')).to.equal(1)
+    expect(similarity(CURCUMIN, CURCUMIN)).to.equal(1)
+  })
+
+  it('should score related structures above unrelated ones', () => {
+    const zingerone = 'CC(=O)CCc1ccc(O)c(OC)c1'
+    expect(similarity(zingerone, CURCUMIN)).to.be.greaterThan(similarity(zingerone, 'C1CCCCC1'))
+    expect(similarity(zingerone, 'CCCCC/C=C/C(=O)CCc1ccc(O)c(OC)c1')).to.be.greaterThan(0.4)
+  })
+
+  it('should be 0 for empty fingerprints', () => {
+    expect(tanimoto(new Set(), new Set())).to.equal(0)
+  })
+})
+
+describe('hasSubstructure', () => {
+  it('should match a catechol only with two free hydroxyls', () => {
+    expect(hasSubstructure(parseSmiles(CAFFEIC_ACID), 'c([OH])c[OH]')).to.equal(true)
+    expect(hasSubstructure(parseSmiles(CURCUMIN), 'c([OH])c[OH]')).to.equal(false)
+    expect(hasSubstructure(parseSmiles(CURCUMIN), 'c(O)cO')).to.equal(true)
+  })
+
+  it('should match rings and bond orders', () => {
+    expect(hasSubstructure(parseSmiles('CC1OC(=O)C1C'), 'O=C1CCO1')).to.equal(true)
+    expect(hasSubstructure(parseSmiles('CC1CCOC1=O'), 'O=C1CCO1')).to.equal(false)
+    expect(hasSubstructure(parseSmiles(CAFFEIC_ACID), 'C=CC(=O)[OH]')).to.equal(true)
+    expect(hasSubstructure(parseSmiles(CAFFEIC_ACID), 'C-CC(=O)[OH]')).to.equal(false)
+  })
+
+  it('should match aromatic patterns against Kekulé structures', () => {
+    expect(hasSubstructure(parseSmiles('OC1=C(O)C=CC=C1'), 'c([OH])c[OH]')).to.equal(true)
+    expect(hasSubstructure(parseSmiles('CCO'), '*O')).to.equal(true)
+  })
+})
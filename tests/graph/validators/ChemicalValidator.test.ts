@@ -0,0 +1,120 @@
+/**
+ * Unit Tests for ChemicalValidator
+ *
+ * Tests that the CAS number, formula, molecular weight, InChI and InChIKey
+ * of chemical nodes are checked against each other.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { ChemicalValidator } from '../../../src/graph/validators/ChemicalValidator.js'
+import { CompositeValidator } from '../../../src/graph/validators/CompositeValidator.js'
+import { NodeType, type ChemicalNode, type GraphNode } from '../../../src/graph/types.js'
+
+const CURCUMIN_INCHI = 'InChI=1S/C21H20O6/c1-26-17-9-3-13(4-10-17)5-7-15(23)21(27)16(24)8-6-14-11-18(25)20(28-2)12-19(14)22/h3-12,22,25H,1-2H3/b7-5+,8-6+'
+
+function curcumin(overrides: Partial<ChemicalNode> = {}): ChemicalNode {
+  return {
+    '@id': 'https://www.herbapedia.org/graph/chemical/curcumin',
+    '@type': ['herbapedia:ChemicalCompound'],
+    slug: 'curcumin',
+    name: { en: 'Curcumin' },
+    formula: 'C21H20O6',
+    molecularWeight: 368.38,
+    casNumber: '458-37-7',
+    inchi: CURCUMIN_INCHI,
+    inchiKey: 'LFLJHXIJSUQFPF-FQGREHNESA-N',
+    ...overrides,
+  }
+}
+
+describe('ChemicalValidator', () => {
+  let registry: GraphRegistry
+  let validator: ChemicalValidator
+
+  const issueTypes = (node: GraphNode) => validator.validateNode(node).issues.map(issue => issue.type)
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    validator = new ChemicalValidator(registry)
+  })
+
+  it('should accept consistent identifiers', () => {
+    const result = validator.validateNode(curcumin())
+    expect(result.valid).to.equal(true)
+    expect(result.issues).to.deep.equal([])
+  })
+
+  it('should reject CAS numbers with a wrong check digit or format', () => {
+    const result = validator.validateNode(curcumin({ casNumber: '458-37-8' }))
+    expect(result.issues[0]).to.include({
+      severity: 'error',
+      type: 'invalid-cas-number',
+      message: 'CAS number 458-37-8 has an incorrect check digit',
+    })
+    expect(validator.validateNode(curcumin({ casNumber: '458377' })).issues[0].message)
+      .to.equal('CAS number 458377 is not in the format NNNNNNN-NN-N')
+  })
+
+  it('should check molecular weight against the formula', () => {
+    const result = validator.validateNode(curcumin({ molecularWeight: 386.4 }))
+    expect(result.issues).to.have.length(1)
+    expect(result.issues[0]).to.include({ type: 'molecular-weight-mismatch', expected: '368.385', actual: '386.4' })
+  })
+
+  it('should compare the formula with the InChI formula layer', () => {
+    const result = validator.validateNode(curcumin({ formula: 'C21H22O6', molecularWeight: undefined }))
+    expect(result.issues[0]).to.include({ type: 'formula-mismatch', expected: 'C21H20O6', actual: 'C21H22O6' })
+    expect(issueTypes(curcumin({ inchi: 'C21H20O6' }))).to.deep.equal(['invalid-inchi'])
+  })
+
+  it('should parse Unicode subscript formulas and suggest Hill notation', () => {
+    const result = validator.validateNode(curcumin({ formula: 'C₂₁H₂₀O₆' }))
+    expect(result.valid).to.equal(true)
+    expect(result.issues[0]).to.include({ severity: 'info', type: 'non-hill-formula', expected: 'C21H20O6' })
+  })
+
+  it('should warn about formulas that cannot be parsed', () => {
+    const result = validator.validateNode(curcumin({ formula: 'C54H92O24 (Rb1 example)' }))
+    expect(result.valid).to.equal(true)
+    expect(result.issues.map(issue => [issue.severity, issue.type])).to.deep.equal([['warning', 'invalid-formula']])
+  })
+
+  it('should check the InChIKey format', () => {
+    expect(issueTypes(curcumin({ inchiKey: 'UQHOUQHOUQHOU-UQHOUQHOUQH-OUQHOUQHO' }))).to.deep.equal(['invalid-inchikey'])
+  })
+
+  it('should read molecularFormula from source entities', () => {
+    const { formula: _formula, ...rest } = curcumin()
+    const entity = { ...rest, molecularFormula: 'C21H20O6', molecularWeight: 400 } as unknown as GraphNode
+    expect(validator.validateNode(entity).issues[0].property).to.equal('molecularWeight')
+  })
+
+  it('should parse the SMILES and compare its atoms with the formula', () => {
+    const smiles = 'COc1cc(/C=C/C(=O)CC(=O)/C=C/c2ccc(O)c(OC)c2)ccc1O'
+    expect(validator.validateNode(curcumin({ smiles })).issues).to.deep.equal([])
+
+    const result = validator.validateNode(curcumin({ smiles: 'COc1cc(/C=C/C(=O)CC(=O)/C=C/c2ccc(O)cc2)ccc1O' }))
+    expect(result.issues[0]).to.include({ type: 'formula-mismatch', expected: 'C20H18O5', actual: 'C21H20O6' })
+    expect(issueTypes(curcumin({ smiles: 'COc1cc(' }))).to.deep.equal(['invalid-smiles'])
+  })
+
+  it('should stop at the first error with failFast', () => {
+    const node = curcumin({ casNumber: '458-37-8', inchiKey: 'invalid' })
+    expect(validator.validateNode(node).errorCount).to.equal(2)
+    expect(validator.validateNode(node, { failFast: true }).errorCount).to.equal(1)
+  })
+
+  it('should validate the chemical nodes of a registry and run in CompositeValidator', () => {
+    registry.registerNode(curcumin({ casNumber: '458-37-8' }), NodeType.CHEMICAL)
+
+    const result = validator.validate()
+    expect(result.totalNodes).to.equal(1)
+    expect(result.byType).to.deep.equal({ 'invalid-cas-number': 1 })
+
+    const composite = new CompositeValidator(registry)
+    expect(composite.listValidators()).to.include('chemical')
+    expect(composite.getValidator('chemical')!.validate().valid).to.equal(false)
+  })
+})
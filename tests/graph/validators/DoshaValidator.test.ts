@@ -0,0 +1,78 @@
+/**
+ * Unit Tests for DoshaValidator
+ *
+ * Tests that the stored dosha effects of Ayurveda profiles are checked
+ * against the rules of systems/ayurveda/reference.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { DoshaValidator } from '../../../src/graph/validators/DoshaValidator.js'
+import { CompositeValidator } from '../../../src/graph/validators/CompositeValidator.js'
+import { NodeType, type GraphNode } from '../../../src/graph/types.js'
+import { AyurvedaProfileNode } from '../../../src/graph/nodes/ProfileNodes.js'
+
+const REFERENCE = path.resolve(__dirname, '../../../systems/ayurveda/reference')
+const VOCAB = 'https://www.herbapedia.org/graph/vocab/ayurveda'
+const PROFILE = 'https://www.herbapedia.org/graph/profile/ayurveda'
+
+describe('DoshaValidator', () => {
+  let registry: GraphRegistry
+  let validator: DoshaValidator
+
+  // Dry ginger: pungent, light, heating, pungent vipaka
+  function nagara(vata: 'balances' | 'increases'): GraphNode {
+    const node = AyurvedaProfileNode.builder().slug('nagara').name({ en: 'Dry ginger' })
+      .addRasa(`${VOCAB}/rasa/katu`)
+      .addGuna(`${VOCAB}/guna/laghu`)
+      .hasVirya(`${VOCAB}/virya/ushna`)
+      .hasVipaka(`${VOCAB}/vipaka/katu`)
+      .affectsDosha('vata', vata)
+      .affectsDosha('kapha', 'balances')
+      .build().toJSON() as GraphNode
+    registry.registerNode(node, NodeType.AYURVEDA_PROFILE)
+    return node
+  }
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    validator = new DoshaValidator(registry, REFERENCE)
+  })
+
+  it('should warn about stored effects opposite to the prediction', () => {
+    const result = validator.validateNode(nagara('balances'))
+
+    expect(result.valid).to.equal(true)
+    expect(result.issues).to.have.length(1)
+    expect(result.issues[0]).to.include({
+      severity: 'warning',
+      type: 'dosha-disagreement',
+      nodeIri: `${PROFILE}/nagara`,
+      property: 'affectsDosha',
+    })
+    expect(result.issues[0].context).to.deep.equal({ dosha: 'vata', stored: 'balances', predicted: 'increases' })
+  })
+
+  it('should accept stored effects that agree with the prediction', () => {
+    expect(validator.validateNode(nagara('increases')).issues).to.deep.equal([])
+  })
+
+  it('should skip other nodes and report nothing without rules', () => {
+    nagara('balances')
+    const chemical = { '@id': 'https://www.herbapedia.org/graph/chemical/gingerol', '@type': ['herbapedia:ChemicalCompound'] }
+
+    expect(validator.validateNode(chemical as GraphNode).issues).to.deep.equal([])
+    expect(validator.validate().totalNodes).to.equal(1)
+    expect(new DoshaValidator(registry).validate().issues).to.deep.equal([])
+  })
+
+  it('should run in a CompositeValidator', () => {
+    nagara('balances')
+
+    const composite = new CompositeValidator(registry)
+    composite.addValidator(validator)
+    expect(composite.getValidator('dosha')!.validate().issues.map(issue => issue.type)).to.deep.equal(['dosha-disagreement'])
+  })
+})
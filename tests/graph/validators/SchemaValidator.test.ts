@@ -0,0 +1,282 @@
+/**
+ * Unit Tests for SchemaValidator source document validation
+ *
+ * Tests validation of source documents against the JSON Schemas in
+ * schema/json-schema, directly and while the builder loads them.
+ */
+
+import { describe, it } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { SchemaValidator } from '../../../src/graph/validators/SchemaValidator.js'
+import { NodeType, generateIRI } from '../../../src/graph/types.js'
+import { sampleSpeciesNode } from '../fixtures/testGraph.js'
+import { TestDataRoot } from '../fixtures/dataRoot.js'
+
+const ROOT = path.resolve(__dirname, '../../..')
+const JSON_SCHEMA_DIR = path.join(ROOT, 'schema/json-schema')
+
+const languageMapSchema = {
+  $id: 'https://example.org/schema/core/language-map.schema.json',
+  type: 'object',
+  additionalProperties: { type: 'string' },
+}
+
+const herbSchema = {
+  $id: 'https://example.org/schema/profiles/herb.schema.json',
+  type: 'object',
+  required: ['@id', '@type', 'name', 'pinyin'],
+  properties: {
+    '@type': { type: 'array', contains: { const: 'test:Herb' } },
+    name: { $ref: '../core/language-map.schema.json' },
+    pinyin: { type: 'string', pattern: '^[a-z ]+$' },
+    hasFlavor: {
+      type: 'array',
+      items: { type: 'object', required: ['@id'] },
+    },
+  },
+}
+
+function createValidator(): SchemaValidator {
+  const validator = new SchemaValidator(new GraphRegistry())
+  validator.addJsonSchema(languageMapSchema)
+  validator.addJsonSchema(herbSchema)
+  return validator
+}
+
+function herbDocument(overrides: Record<string, unknown>): Record<string, unknown> {
+  return {
+    '@id': 'https://www.herbapedia.org/system/tcm/profile/ren-shen',
+    '@type': ['test:Herb'],
+    name: { en: 'Ginseng' },
+    pinyin: 'ren shen',
+    ...overrides,
+  }
+}
+
+describe('SchemaValidator (JSON Schemas)', () => {
+  describe('schema selection', () => {
+    it('should pick a schema from the document @type', () => {
+      const validator = createValidator()
+      expect(validator.getJsonSchemaId(herbDocument({}))).to.equal(herbSchema.$id)
+      expect(validator.getJsonSchemaId(herbDocument({ '@type': 'test:Herb' }))).to.equal(herbSchema.$id)
+      expect(validator.hasJsonSchemas()).to.equal(true)
+    })
+
+    it('should skip documents without a schema and check graph nodes against the built-in schemas', () => {
+      const validator = createValidator()
+      const document = sampleSpeciesNode as unknown as Record<string, unknown>
+      expect(validator.getJsonSchemaId(document)).toBeUndefined()
+      expect(validator.validateDocument(document).issues).to.deep.equal([])
+
+      const result = validator.validateNode(herbDocument({ '@id': generateIRI(NodeType.SPECIES, 'ginger') }) as never)
+      expect(result.issues.map(issue => issue.source)).not.to.include(herbSchema.$id)
+    })
+
+    it('should load and index the repository schemas', () => {
+      const validator = new SchemaValidator(new GraphRegistry(), undefined, JSON_SCHEMA_DIR)
+      const document = herbDocument({ '@type': ['tcm:HerbProfile'] })
+      expect(validator.getJsonSchemaId(document)).to.equal(
+        'https://herbapedia.org/schema/json-schema/profiles/tcm-profile.schema.json'
+      )
+    })
+
+    it('should pick a schema from an @type enum', () => {
+      const validator = new SchemaValidator(new GraphRegistry())
+      validator.addJsonSchema({
+        $id: 'https://example.org/schema/term.schema.json',
+        properties: { '@type': { type: 'array', items: { enum: ['test:Flavor', 'test:Nature'] } } },
+      })
+      expect(validator.getJsonSchemaId(herbDocument({ '@type': ['test:Nature'] }))).to.equal(
+        'https://example.org/schema/term.schema.json'
+      )
+    })
+
+    it('should resolve cross-file $refs in the repository schemas', () => {
+      const validator = new SchemaValidator(new GraphRegistry(), undefined, JSON_SCHEMA_DIR)
+      const document = herbDocument({
+        '@id': 'botanical/species/zingiber-officinale',
+        '@type': ['botany:PlantSpecies'],
+        scientificName: 'Zingiber officinale',
+        name: { en: 'Ginger', Bad_Tag: 'x' },
+      })
+      const issue = validator.validateDocument(document).issues.find(i => i.property === 'name')
+      expect(issue?.type).to.equal('format-mismatch')
+      expect(String(issue?.context?.schemaPath)).to.contain('language-map.schema.json')
+    })
+  })
+
+  describe('validateDocument', () => {
+    it('should accept a conforming document', () => {
+      const result = createValidator().validateDocument(herbDocument({}))
+      expect(result.valid).to.equal(true)
+      expect(result.issues).to.have.length(0)
+    })
+
+    it('should report missing required properties as errors', () => {
+      const result = createValidator().validateDocument(herbDocument({ pinyin: undefined }))
+      const issue = result.issues.find(i => i.type === 'missing-required')
+      expect(issue?.severity).to.equal('error')
+      expect(issue?.property).to.equal('pinyin')
+      expect(issue?.source).to.equal(herbSchema.$id)
+      expect(issue?.nodeIri).to.equal('https://www.herbapedia.org/system/tcm/profile/ren-shen')
+    })
+
+    it('should identify a document by the given id', () => {
+      const result = createValidator().validateDocument(herbDocument({ pinyin: undefined }), 'systems/tcm/herbs.jsonld')
+      expect(result.nodeIri).to.equal('systems/tcm/herbs.jsonld')
+      expect(result.issues[0].nodeIri).to.equal('systems/tcm/herbs.jsonld')
+    })
+
+    it('should report type mismatches inside referenced schemas', () => {
+      const result = createValidator().validateDocument(herbDocument({ name: { en: 42 } }))
+      const issue = result.issues.find(i => i.type === 'type-mismatch')
+      expect(issue?.property).to.equal('name.en')
+      expect(issue?.expected).to.equal('string')
+    })
+
+    it('should report pattern mismatches', () => {
+      const result = createValidator().validateDocument(herbDocument({ pinyin: 'Rén Shēn' }))
+      const issue = result.issues.find(i => i.type === 'format-mismatch')
+      expect(issue?.property).to.equal('pinyin')
+    })
+
+    it('should report array item paths', () => {
+      const result = createValidator().validateDocument(herbDocument({ hasFlavor: [{ '@id': 'a' }, {}] }))
+      const issue = result.issues.find(i => i.type === 'missing-required')
+      expect(issue?.property).to.equal('hasFlavor[1].@id')
+    })
+
+    it('should report each failing property once', () => {
+      const validator = new SchemaValidator(new GraphRegistry())
+      validator.addJsonSchema({
+        $id: 'https://example.org/schema/entity.schema.json',
+        required: ['@id', 'name'],
+        properties: { '@id': { type: 'string', pattern: '^[a-z]+/[a-z-]+$' } },
+      })
+      validator.addJsonSchema({
+        $id: 'https://example.org/schema/nature.schema.json',
+        allOf: [{ $ref: 'entity.schema.json' }],
+        required: ['@id', 'name'],
+        properties: {
+          '@id': { type: 'string', pattern: '^tcm/nature/[a-z-]+$' },
+          '@type': { type: 'array', contains: { const: 'test:Nature' } },
+          value: { type: 'string', enum: ['warm', 'cool'] },
+        },
+      })
+
+      const result = validator.validateDocument({ '@id': 'Warm', '@type': ['test:Nature'], value: 1 })
+      expect(result.issues.map(issue => `${issue.type} ${issue.property}`)).to.deep.equal([
+        'missing-required name',
+        'format-mismatch @id',
+        'type-mismatch value',
+      ])
+      expect(result.issues[1].expected).to.equal('^tcm/nature/[a-z-]+$')
+    })
+
+    it('should stop after the first error with failFast', () => {
+      const document = herbDocument({ pinyin: 'Rén Shēn', name: { en: 42 } })
+      const result = createValidator().validateDocument(document, undefined, { failFast: true })
+      expect(result.errorCount).to.equal(1)
+    })
+  })
+
+  describe('GraphBuilder integration', () => {
+    const flavorSchema = {
+      $id: 'https://example.org/schema/reference/flavor.schema.json',
+      allOf: [{ $ref: '../core/term.schema.json' }],
+      required: ['@id', '@type', 'prefLabel'],
+      properties: {
+        '@type': { contains: { const: 'tcm:Flavor' } },
+        flavorValue: { type: 'string', pattern: '^[a-z]+$' },
+      },
+    }
+    const termSchema = {
+      $id: 'https://example.org/schema/core/term.schema.json',
+      required: ['@id', 'prefLabel'],
+      properties: { prefLabel: { $ref: 'language-map.schema.json' } },
+    }
+    const flavors = {
+      '@graph': [
+        { '@id': 'https://www.herbapedia.org/system/tcm/flavor/sweet', '@type': ['tcm:Flavor'], flavorValue: 'sweet' },
+        {
+          '@id': 'https://www.herbapedia.org/system/tcm/flavor/bitter',
+          '@type': ['tcm:Flavor'],
+          flavorValue: 'Bitter',
+          prefLabel: { en: 'Bitter' },
+        },
+      ],
+    }
+
+    function writeData(root: TestDataRoot): void {
+      root.writeJson('schema/json-schema/core/language-map.schema.json', languageMapSchema)
+      root.writeJson('schema/json-schema/core/term.schema.json', termSchema)
+      root.writeJson('schema/json-schema/reference/flavor.schema.json', flavorSchema)
+      root.writeJson('systems/tcm/flavors.jsonld', flavors)
+    }
+
+    it('should check source documents before they are transformed and report each violation once as an error', async () => {
+      const root = new TestDataRoot()
+      try {
+        writeData(root)
+        const result = await root.builder({ validate: true }).build()
+        const errors = result.errors.map(error => `${error.source} ${error.message}`)
+
+        expect(errors).to.deep.equal([
+          'https://www.herbapedia.org/system/tcm/flavor/sweet Missing required property: prefLabel [flavor.schema.json]',
+          'https://www.herbapedia.org/system/tcm/flavor/bitter Property flavorValue must match pattern "^[a-z]+$" [flavor.schema.json]',
+        ])
+        expect(result.warnings.filter(warning => warning.type === 'json-schema')).to.deep.equal([])
+        expect(result.stats.totalNodes).to.be.greaterThan(0)
+      } finally {
+        root.remove()
+      }
+    })
+
+    it('should not check source documents without validation', async () => {
+      const root = new TestDataRoot()
+      try {
+        writeData(root)
+        const result = await root.builder().build()
+        expect(result.errors).to.deep.equal([])
+      } finally {
+        root.remove()
+      }
+    })
+
+    it('should accept repository sources of every kind the repository schemas describe', async () => {
+      const root = new TestDataRoot()
+      try {
+        fs.cpSync(JSON_SCHEMA_DIR, path.join(root.dir, 'schema/json-schema'), { recursive: true })
+        for (const relPath of [
+          'entities/botanical/species/aloe-vera/entity.jsonld',
+          'entities/botanical/species/chamomile/entity.jsonld',
+          'entities/botanical/parts/algae-whole-plant/entity.jsonld',
+          'entities/botanical/chemicals/alkaloids/entity.jsonld',
+          'entities/botanical/barcodes/chamomile/entity.jsonld',
+          'entities/preparations/algae/entity.jsonld',
+          'entities/preparations/argan-oil/entity.jsonld',
+          'systems/tcm/flavors.jsonld',
+          'systems/tcm/meridians.jsonld',
+          'systems/tcm/categories.jsonld',
+          'systems/tcm/reference',
+          'systems/ayurveda/gunas.jsonld',
+          'systems/ayurveda/rasas.jsonld',
+          'systems/ayurveda/reference',
+          'systems/mongolian/reference',
+          'systems/unani/reference',
+          'systems/western/reference',
+        ]) {
+          fs.cpSync(path.join(ROOT, relPath), path.join(root.dir, relPath), { recursive: true })
+        }
+
+        const result = await root.builder({ validate: true }).build()
+        expect(result.errors.map(error => `${error.source} ${error.message}`)).to.deep.equal([])
+      } finally {
+        root.remove()
+      }
+    })
+  })
+})
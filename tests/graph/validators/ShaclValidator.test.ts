@@ -0,0 +1,312 @@
+/**
+ * Unit Tests for ShaclValidator
+ *
+ * Tests SHACL shape loading and constraint checking for graph nodes.
+ */
+
+import { describe, it } from 'vitest'
+import { expect } from 'vitest'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { GraphBuilder } from '../../../src/graph/GraphBuilder.js'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { ShaclValidator } from '../../../src/graph/validators/ShaclValidator.js'
+import { CompositeValidator } from '../../../src/graph/validators/CompositeValidator.js'
+import { parseTurtle } from '../../../src/graph/validators/TurtleParser.js'
+import { NodeType } from '../../../src/graph/types.js'
+import type { GraphNode } from '../../../src/graph/types.js'
+import { sampleSpeciesNode, sampleTcmFlavorNode } from '../fixtures/testGraph.js'
+
+const ROOT = path.resolve(__dirname, '../../..')
+const SHAPES_DIR = path.join(ROOT, 'schema/shapes')
+
+const TEST_SHAPES = `
+@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+@prefix schema: <https://schema.org/> .
+@prefix dwc: <http://rs.tdwg.org/dwc/terms/> .
+@prefix herbapedia: <https://www.herbapedia.org/ontology/> .
+
+herbapedia:BaseShape
+  a sh:NodeShape ;
+  sh:property [
+    sh:path herbapedia:slug ;
+    sh:datatype xsd:string ;
+    sh:minCount 1 ;
+    sh:pattern "^[a-z0-9]+(-[a-z0-9]+)*$" ;
+  ] .
+
+herbapedia:IRIReferenceShape
+  a sh:NodeShape ;
+  sh:property [
+    sh:path herbapedia:id ;
+    sh:minCount 1 ;
+    sh:maxCount 1 ;
+  ] .
+
+herbapedia:SpeciesShape
+  a sh:NodeShape ;
+  sh:targetClass schema:Plant ;
+  sh:node herbapedia:BaseShape ;
+  sh:pattern "^https://www\\\\.herbapedia\\\\.org/graph/species/[a-z0-9-]+$" ;
+  sh:property [
+    sh:path dwc:scientificName ;
+    sh:datatype xsd:string ;
+    sh:minCount 1 ;
+    sh:maxCount 1 ;
+    sh:message "Species must have exactly one scientific name" ;
+  ] ;
+  sh:property [
+    sh:path herbapedia:gbifId ;
+    sh:datatype xsd:integer ;
+  ] ;
+  sh:property [
+    sh:path schema:sameAs ;
+    sh:node herbapedia:IRIReferenceShape ;
+  ] ;
+  sh:property [
+    sh:path herbapedia:containsChemical ;
+    sh:class herbapedia:ChemicalCompound ;
+  ] ;
+  sh:property [
+    sh:path herbapedia:family ;
+    sh:minCount 1 ;
+    sh:severity sh:Warning ;
+  ] .
+`
+
+function createValidator(nodes: GraphNode[]): { registry: GraphRegistry; validator: ShaclValidator } {
+  const registry = new GraphRegistry()
+  for (const node of nodes) {
+    const nodeType = node['@id'].includes('/species/') ? NodeType.SPECIES
+      : node['@id'].includes('/chemical/') ? NodeType.CHEMICAL
+      : NodeType.TCM_FLAVOR
+    registry.registerNode(node, nodeType)
+  }
+  const validator = new ShaclValidator(registry)
+  validator.loadShapes(TEST_SHAPES, 'test.shacl.ttl')
+  return { registry, validator }
+}
+
+function speciesNode(overrides: Record<string, unknown>): GraphNode {
+  return { ...sampleSpeciesNode, containsChemical: undefined, ...overrides } as GraphNode
+}
+
+describe('TurtleParser', () => {
+  it('should parse prefixes, blank nodes and collections', () => {
+    const doc = parseTurtle(`
+      @prefix sh: <http://www.w3.org/ns/shacl#> .
+      @prefix ex: <https://example.org/> .
+      ex:Shape a sh:NodeShape ;
+        sh:property [ sh:path ex:p ; sh:in ("a" "b") ; sh:minCount 1 ] .
+    `)
+
+    expect(doc.prefixes.ex).to.equal('https://example.org/')
+    const typeTriple = doc.triples.find(t => t.subject.curie === 'ex:Shape' && t.object.curie === 'sh:NodeShape')
+    expect(typeTriple).toBeDefined()
+    const minCount = doc.triples.find(t => t.predicate.curie === 'sh:minCount')
+    expect(minCount?.object.value).to.equal('1')
+  })
+
+  it('should parse every shape file in schema/shapes', () => {
+    const validator = new ShaclValidator(new GraphRegistry(), SHAPES_DIR)
+    expect(validator.getShape('herbapedia:SpeciesShape')).toBeDefined()
+    expect(validator.getShape('tcm:HerbShape')).toBeDefined()
+    expect(validator.listShapes().length).to.be.greaterThan(10)
+  })
+})
+
+describe('ShaclValidator', () => {
+  describe('targeting', () => {
+    it('should match target classes by full IRI', () => {
+      const { validator } = createValidator([sampleSpeciesNode])
+      const shapes = validator.getTargetShapes(sampleSpeciesNode)
+      expect(shapes.map(s => s.curie)).to.deep.equal(['herbapedia:SpeciesShape'])
+    })
+
+    it('should match target classes by compact name', () => {
+      const node = speciesNode({ '@type': ['schema:Plant'] })
+      const { validator } = createValidator([node])
+      expect(validator.getTargetShapes(node)).to.have.length(1)
+    })
+
+    it('should skip nodes not targeted by any shape', () => {
+      const { validator } = createValidator([sampleTcmFlavorNode])
+      const result = validator.validateNode(sampleTcmFlavorNode)
+      expect(result.valid).to.equal(true)
+      expect(result.issues).to.have.length(0)
+    })
+  })
+
+  describe('validateNode', () => {
+    it('should accept a conforming node', () => {
+      const node = speciesNode({})
+      const { validator } = createValidator([node])
+      const result = validator.validateNode(node)
+      expect(result.valid).to.equal(true)
+      expect(result.errorCount).to.equal(0)
+    })
+
+    it('should report sh:minCount violations with shape and path', () => {
+      const node = speciesNode({ scientificName: undefined })
+      const { validator } = createValidator([node])
+      const issue = validator.validateNode(node).issues.find(i => i.type === 'shacl-min-count')
+
+      expect(issue).toBeDefined()
+      expect(issue?.severity).to.equal('error')
+      expect(issue?.property).to.equal('scientificName')
+      expect(issue?.message).to.equal('Species must have exactly one scientific name')
+      expect(issue?.source).to.equal('test.shacl.ttl')
+      expect(issue?.context).to.deep.equal({
+        shape: 'herbapedia:SpeciesShape',
+        path: 'dwc:scientificName',
+        constraint: 'sh:minCount',
+      })
+    })
+
+    it('should report sh:maxCount violations', () => {
+      const node = speciesNode({ scientificName: ['Panax ginseng', 'Panax schinseng'] })
+      const { validator } = createValidator([node])
+      const types = validator.validateNode(node).issues.map(i => i.type)
+      expect(types).to.include('shacl-max-count')
+    })
+
+    it('should report sh:datatype violations', () => {
+      const node = speciesNode({ gbifId: '5372392' })
+      const { validator } = createValidator([node])
+      const issue = validator.validateNode(node).issues.find(i => i.type === 'shacl-datatype')
+      expect(issue?.property).to.equal('gbifId')
+      expect(issue?.expected).to.equal('xsd:integer')
+    })
+
+    it('should report sh:pattern violations on the node IRI', () => {
+      const node = speciesNode({ '@id': 'https://www.herbapedia.org/graph/species/Panax_Ginseng' })
+      const { validator } = createValidator([node])
+      const issue = validator.validateNode(node).issues.find(i => i.type === 'shacl-pattern')
+      expect(issue?.property).to.equal('@id')
+    })
+
+    it('should check nested sh:node shapes on the focus node', () => {
+      const node = speciesNode({ slug: 'Panax Ginseng' })
+      const { validator } = createValidator([node])
+      const issue = validator.validateNode(node).issues.find(i => i.type === 'shacl-pattern')
+      expect(issue?.property).to.equal('slug')
+      expect(issue?.context?.shape).to.equal('herbapedia:BaseShape')
+    })
+
+    it('should report values that do not conform to a property sh:node', () => {
+      const node = speciesNode({ sameAs: [{ url: 'http://www.wikidata.org/entity/Q192163' }] })
+      const { validator } = createValidator([node])
+      const issue = validator.validateNode(node).issues.find(i => i.type === 'shacl-node')
+      expect(issue?.property).to.equal('sameAs')
+      expect(issue?.expected).to.equal('herbapedia:IRIReferenceShape')
+    })
+
+    it('should report sh:class violations for resolved references', () => {
+      const chemical: GraphNode = {
+        '@id': 'https://www.herbapedia.org/graph/chemical/ginsenosides',
+        '@type': ['herbapedia:Saponin'],
+        slug: 'ginsenosides',
+      }
+      const node = speciesNode({
+        containsChemical: [
+          { '@id': chemical['@id'] },
+          { '@id': 'https://www.herbapedia.org/graph/chemical/unknown' },
+        ],
+      })
+      const { validator } = createValidator([node, chemical])
+      const issues = validator.validateNode(node).issues.filter(i => i.type === 'shacl-class')
+      expect(issues).to.have.length(1)
+      expect(issues[0].actual).to.equal(chemical['@id'])
+    })
+
+    it('should honour sh:severity', () => {
+      const node = speciesNode({ family: undefined })
+      const { validator } = createValidator([node])
+      const result = validator.validateNode(node)
+      expect(result.valid).to.equal(true)
+      expect(result.warningCount).to.equal(1)
+    })
+  })
+
+  describe('validate', () => {
+    it('should aggregate results for all nodes', () => {
+      const invalid = speciesNode({
+        '@id': 'https://www.herbapedia.org/graph/species/other',
+        slug: 'other',
+        scientificName: undefined,
+      })
+      const { validator } = createValidator([speciesNode({}), invalid])
+      const result = validator.validate()
+
+      expect(result.totalNodes).to.equal(2)
+      expect(result.invalidNodes).to.equal(1)
+      expect(result.byType['shacl-min-count']).to.equal(1)
+    })
+  })
+
+  describe('built nodes', () => {
+    it('should build source data that conforms to schema/shapes', async () => {
+      const dataRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'herbapedia-shapes-'))
+      const copy = (relPath: string) => {
+        fs.mkdirSync(path.dirname(path.join(dataRoot, relPath)), { recursive: true })
+        fs.copyFileSync(path.join(ROOT, relPath), path.join(dataRoot, relPath))
+      }
+
+      try {
+        fs.cpSync(SHAPES_DIR, path.join(dataRoot, 'schema/shapes'), { recursive: true })
+        copy('systems/tcm/flavors.jsonld')
+        copy('systems/tcm/reference/natures.jsonld')
+        copy('systems/ayurveda/rasas.jsonld')
+        copy('systems/ayurveda/dravyas/adhaki/profile.jsonld')
+        copy('entities/botanical/species/ginger/entity.jsonld')
+        copy('entities/botanical/parts/ginger-rhizome/entity.jsonld')
+        copy('entities/botanical/chemicals/gingerol/entity.jsonld')
+        copy('entities/formulas/mpc/entity.jsonld')
+
+        const builder = new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: true })
+        const result = await builder.build()
+        const registry = builder.getRegistry()
+
+        // Gaps in the source data fail the shapes
+        expect(result.errors.map(error => `${error.source} ${error.message}`)).to.have.members([
+          'https://www.herbapedia.org/graph/formula/mpc Formula must have at least one ingredient [herbapedia:FormulaShape]',
+          ...['rasa (taste)', 'guna (quality)'].map(property => (
+            `https://www.herbapedia.org/graph/profile/ayurveda/adhaki Ayurveda Dravya must have at least one ${property} [ayurveda:DravyaShape]`
+          )),
+          ...['virya (potency)', 'vipaka (post-digestive effect)'].map(property => (
+            `https://www.herbapedia.org/graph/profile/ayurveda/adhaki Ayurveda Dravya must have exactly one ${property} [ayurveda:DravyaShape]`
+          )),
+        ])
+        expect(registry.getNode('https://www.herbapedia.org/graph/vocab/tcm/nature/hot')).to.deep.include({
+          slug: 'hot',
+          vocabularyType: 'nature',
+          prefLabel: { en: 'Hot', 'zh-Hant': '熱', 'zh-Hans': '热' },
+        })
+        expect(registry.getNode('https://www.herbapedia.org/graph/part/ginger-rhizome')).to.include({ partType: 'rhizome' })
+        expect(registry.getNode('https://www.herbapedia.org/graph/chemical/gingerol')).to.deep.include({
+          '@type': ['herbapedia:Chemical', 'herbapedia:ChemicalCompound'],
+          chemicalName: '[6]-Gingerol',
+        })
+
+        // A lenient build reports them as warnings
+        const lenient = await new GraphBuilder({ dataRoot, outputDir: dataRoot, validate: true, lenient: true }).build()
+        expect(lenient.errors).to.deep.equal([])
+        expect(lenient.warnings.map(warning => `${warning.type} ${warning.source} ${warning.message}`)).to.include(
+          'shacl https://www.herbapedia.org/graph/formula/mpc Formula must have at least one ingredient [herbapedia:FormulaShape]'
+        )
+      } finally {
+        fs.rmSync(dataRoot, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('CompositeValidator integration', () => {
+    it('should register the SHACL validator when a shapes directory is given', () => {
+      const registry = new GraphRegistry()
+      expect(new CompositeValidator(registry).listValidators()).not.to.include('shacl')
+      expect(new CompositeValidator(registry, SHAPES_DIR).listValidators()).to.include('shacl')
+    })
+  })
+})
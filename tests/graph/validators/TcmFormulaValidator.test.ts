@@ -0,0 +1,111 @@
+/**
+ * Unit Tests for TcmFormulaValidator
+ *
+ * Tests that formula nodes are checked against the incompatible pairs, the
+ * pregnancy list and the toxicity list in
+ * systems/tcm/reference/formula-safety.jsonld.
+ */
+
+import { describe, it, beforeEach } from 'vitest'
+import { expect } from 'vitest'
+import path from 'path'
+import { GraphRegistry } from '../../../src/graph/registry/GraphRegistry.js'
+import { TcmFormulaValidator } from '../../../src/graph/validators/TcmFormulaValidator.js'
+import { CompositeValidator } from '../../../src/graph/validators/CompositeValidator.js'
+import { NodeType, type GraphNode } from '../../../src/graph/types.js'
+import { TcmProfileNode } from '../../../src/graph/nodes/ProfileNodes.js'
+
+const SAFETY = path.resolve(__dirname, '../../../systems/tcm/reference/formula-safety.jsonld')
+const GRAPH = 'https://www.herbapedia.org/graph'
+
+describe('TcmFormulaValidator', () => {
+  let registry: GraphRegistry
+  let validator: TcmFormulaValidator
+
+  function formula(slug: string, ...ingredients: string[]): GraphNode {
+    const node = {
+      '@id': `${GRAPH}/formula/${slug}`,
+      '@type': ['herbapedia:Formula'],
+      slug,
+      name: { en: slug },
+      hasIngredient: ingredients.map(ingredient => ({ '@id': `${GRAPH}/preparation/${ingredient}` })),
+    }
+    registry.registerNode(node, NodeType.FORMULA)
+    return node as GraphNode
+  }
+
+  beforeEach(() => {
+    registry = new GraphRegistry()
+    validator = new TcmFormulaValidator(registry, SAFETY)
+
+    registry.registerNode(
+      { '@id': `${GRAPH}/species/glycyrrhiza-uralensis`, '@type': ['botany:PlantSpecies'], slug: 'glycyrrhiza-uralensis' },
+      NodeType.SPECIES
+    )
+    registry.registerNode(
+      TcmProfileNode.builder().slug('licorice').name({ en: 'Licorice' }).pinyin('Gān Cǎo')
+        .derivedFrom(`${GRAPH}/species/glycyrrhiza-uralensis#root`).build().toJSON(),
+      NodeType.TCM_PROFILE
+    )
+    for (const [slug, species, name] of [
+      ['licorice-root-slices', 'glycyrrhiza-uralensis', 'Licorice root slices'],
+      ['kansui', 'euphorbia-kansui', 'Kansui'],
+      ['peach-kernel', 'prunus-persica', 'Peach kernel'],
+    ]) {
+      registry.registerNode({
+        '@id': `${GRAPH}/preparation/${slug}`,
+        '@type': ['herbal:HerbalPreparation'],
+        slug,
+        name: { en: name },
+        derivedFrom: { '@id': `${GRAPH}/species/${species}` },
+      }, NodeType.PREPARATION)
+    }
+  })
+
+  it('should report forbidden pairs of a formula node as errors on hasIngredient', () => {
+    const result = validator.validateNode(formula('gan-sui-ban-xia', 'licorice-root-slices', 'kansui'))
+
+    expect(result.valid).to.equal(false)
+    expect(result.issues.map(issue => `${issue.severity} ${issue.type}`)).to.deep.equal([
+      'error eighteen-incompatibilities',
+      'warning pregnancy',
+      'warning toxicity',
+    ])
+    expect(result.issues[0]).to.include({
+      nodeIri: `${GRAPH}/formula/gan-sui-ban-xia`,
+      property: 'hasIngredient',
+      message: '甘草 Gān Cǎo and 甘遂 Gān Suì must not be combined (十八反, eighteen incompatibilities)',
+    })
+  })
+
+  it('should keep formulas with only cautions valid', () => {
+    const result = validator.validateNode(formula('tao-ren', 'peach-kernel'))
+
+    expect(result.valid).to.equal(true)
+    expect(result.issues.map(issue => `${issue.severity} ${issue.type}`)).to.deep.equal(['info pregnancy'])
+  })
+
+  it('should validate all formula nodes', () => {
+    formula('gan-sui-ban-xia', 'licorice-root-slices', 'kansui')
+    formula('tao-ren', 'peach-kernel')
+    formula('empty')
+
+    const result = validator.validate()
+    expect(result.valid).to.equal(false)
+    expect(result.totalNodes).to.equal(3)
+    expect(result.invalidNodes).to.equal(1)
+    expect(result.bySeverity.error).to.equal(1)
+
+    const composite = new CompositeValidator(registry)
+    composite.addValidator(validator)
+    expect(composite.getValidator('tcm-formula')!.validate().valid).to.equal(false)
+  })
+
+  it('should report no issues without reference data', () => {
+    formula('gan-sui-ban-xia', 'licorice-root-slices', 'kansui')
+
+    const result = new TcmFormulaValidator(registry).validate()
+    expect(result.valid).to.equal(true)
+    expect(result.issues).to.deep.equal([])
+  })
+})